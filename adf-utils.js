@@ -1,8 +1,9 @@
 /**
  * Atlassian Document Format (ADF) Utility Functions
  *
- * This module provides helper functions to convert plain text and other formats
- * to Atlassian Document Format (ADF) required by JIRA Cloud REST API v3.
+ * This module provides helper functions to convert plain text, GitHub-Flavored
+ * Markdown and other formats to Atlassian Document Format (ADF) required by
+ * JIRA Cloud REST API v3, and to render ADF back to markdown for GitHub.
  *
  * ADF is a JSON-based document format used by Atlassian products.
  * Learn more: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
@@ -284,6 +285,1101 @@ function isValidADF(adf) {
   );
 }
 
+// ---------------------------------------------------------------------------
+// GitHub-Flavored Markdown → ADF
+// ---------------------------------------------------------------------------
+
+const FENCE_RE = /^( {0,3})(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const ATX_HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE_RE = /^ {0,3}> ?/;
+const LIST_ITEM_RE = /^( *)([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*)|[ \t]*)$/;
+const TABLE_DELIMITER_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+const HTML_COMMENT_RE = /^ {0,3}<!--/;
+const TASK_MARKER_RE = /^\[([ xX])\][ \t]+(?=\S)/;
+
+// ADF marks of each emphasis delimiter
+const DELIMITER_MARKS = {
+  "*": ["em"],
+  _: ["em"],
+  "**": ["strong"],
+  __: ["strong"],
+  "***": ["strong", "em"],
+  ___: ["strong", "em"],
+  "~~": ["strike"],
+};
+
+/**
+ * Builds a text node, omitting the marks array when there are no marks
+ * @param {string} text - Text content
+ * @param {Array} marks - ADF marks to apply
+ * @returns {object} ADF text node
+ */
+function textNode(text, marks = []) {
+  return marks.length > 0 ? { type: "text", text, marks } : { type: "text", text };
+}
+
+/**
+ * Merges adjacent text nodes that carry identical marks
+ * @param {Array} nodes - Inline ADF nodes
+ * @returns {Array} Merged inline nodes
+ */
+function mergeTextNodes(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous &&
+      previous.type === "text" &&
+      node.type === "text" &&
+      JSON.stringify(previous.marks || []) === JSON.stringify(node.marks || [])
+    ) {
+      previous.text += node.text;
+    } else if (node.type !== "text" || node.text) {
+      merged.push({ ...node });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Pairs every opening bracket with the bracket that closes it, in one pass
+ * over the text (searching from each bracket would be quadratic for text
+ * like "[[[[...")
+ * @param {string} text - Source text
+ * @param {string} open - Opening bracket character
+ * @param {string} close - Closing bracket character
+ * @returns {Map<number, number>} Index of each closed opening bracket → index of its closing bracket
+ */
+function matchBrackets(text, open, close) {
+  const pairs = new Map();
+  const openings = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === open) {
+      openings.push(i);
+    } else if (text[i] === close && openings.length > 0) {
+      pairs.set(openings.pop(), i);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Parses a `[label](url "title")` link starting at `start`
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening `[`
+ * @param {object} scan - Per-text state from parseInline(); caches the bracket pairs
+ * @returns {object|null} {label, href, end} or null if not a link
+ */
+function parseLink(text, start, scan = {}) {
+  scan.brackets = scan.brackets || matchBrackets(text, "[", "]");
+  const labelEnd = scan.brackets.has(start) ? scan.brackets.get(start) : -1;
+  if (labelEnd === -1 || text[labelEnd + 1] !== "(") return null;
+
+  scan.parens = scan.parens || matchBrackets(text, "(", ")");
+  const targetEnd = scan.parens.has(labelEnd + 1) ? scan.parens.get(labelEnd + 1) : -1;
+  if (targetEnd === -1) return null;
+
+  const target = text.slice(labelEnd + 2, targetEnd).trim();
+  const match = target.match(/^<?([^\s>]*)>?(?:\s+["'(].*["')])?$/);
+  if (!match) return null;
+
+  return { label: text.slice(start + 1, labelEnd), href: match[1], end: targetEnd + 1 };
+}
+
+/**
+ * Converts inline markdown (emphasis, code spans, links) to ADF inline nodes
+ * @param {string} text - Inline markdown text
+ * @param {Array} marks - Marks inherited from enclosing formatting
+ * @returns {Array} ADF inline nodes
+ */
+function parseInline(text, marks = []) {
+  const nodes = [];
+  let buffer = "";
+  let i = 0;
+  // Bracket pairs and the delimiters known to have no closer, so no part of
+  // the text is searched more than once
+  const scan = { unmatched: {} };
+
+  const flush = () => {
+    if (buffer) nodes.push(textNode(buffer, marks));
+    buffer = "";
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes
+    if (char === "\\" && i + 1 < text.length && /[!-/:-@[-`{-~]/.test(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Code spans: only links may be combined with the code mark in ADF
+    if (char === "`") {
+      const fence = rest.match(/^`+/)[0];
+      const end = text.indexOf(fence, i + fence.length);
+      if (end !== -1) {
+        flush();
+        let code = text.slice(i + fence.length, end);
+        if (/^ .* $/.test(code)) code = code.slice(1, -1);
+        const codeMarks = marks.filter((mark) => mark.type === "link");
+        nodes.push(textNode(code, [...codeMarks, { type: "code" }]));
+        i = end + fence.length;
+        continue;
+      }
+      buffer += fence;
+      i += fence.length;
+      continue;
+    }
+
+    // Images and links (images are linked until they are uploaded as attachments)
+    if (char === "[" || (char === "!" && text[i + 1] === "[")) {
+      const isImage = char === "!";
+      const link = parseLink(text, isImage ? i + 1 : i, scan);
+      const insideLink = marks.some((mark) => mark.type === "link");
+      if (link && isImage && insideLink) {
+        // Linked image: keep the alt text under the enclosing link
+        flush();
+        nodes.push(textNode(link.label || link.href, marks));
+        i = link.end;
+        continue;
+      }
+      if (link && !insideLink) {
+        flush();
+        const linkMarks = [...marks, { type: "link", attrs: { href: link.href } }];
+        const label = link.label || link.href;
+        nodes.push(...(isImage ? [textNode(label, linkMarks)] : parseInline(label, linkMarks)));
+        i = link.end;
+        continue;
+      }
+    }
+
+    // HTML images (GitHub inserts <img width=... src=...> for pasted screenshots)
+    const htmlImage = !marks.some((mark) => mark.type === "link") && rest.match(/^<img\s[^<>]*>/i);
+    const imageSrc = htmlImage && htmlImage[0].match(/\ssrc\s*=\s*["']([^"']+)["']/i);
+    if (imageSrc) {
+      flush();
+      const alt = htmlImage[0].match(/\salt\s*=\s*["']([^"']*)["']/i);
+      const href = imageSrc[1];
+      nodes.push(
+        textNode((alt && alt[1]) || "image", [...marks, { type: "link", attrs: { href } }]),
+      );
+      i += htmlImage[0].length;
+      continue;
+    }
+
+    // Autolinks: <https://...> and bare URLs
+    const autolink = rest.match(/^<((?:https?|mailto):[^\s<>]+)>/);
+    const bareUrl =
+      !marks.some((mark) => mark.type === "link") &&
+      (i === 0 || /[\s(*_~]/.test(text[i - 1])) &&
+      rest.match(/^https?:\/\/[^\s<]+[^\s<.,:;"')\]*_~!?]/);
+    if (autolink || bareUrl) {
+      flush();
+      const href = autolink ? autolink[1] : bareUrl[0];
+      nodes.push(textNode(href, [...marks, { type: "link", attrs: { href } }]));
+      i += autolink ? autolink[0].length : bareUrl[0].length;
+      continue;
+    }
+
+    // Strong, emphasis and strikethrough. A `***` run with no closing `***` is
+    // read as `**` followed by `*`, as before triple runs were recognised.
+    const delimiter = rest.match(/^(\*\*\*|___|\*\*|__|~~|\*|_)/);
+    if (delimiter) {
+      const run = delimiter[1];
+      const intraword = run[0] === "_" && i > 0 && /\w/.test(text[i - 1]);
+      const token =
+        run.length === 3 && findClosingDelimiter(text, i + 3, run, scan.unmatched) === -1
+          ? run.slice(1)
+          : run;
+      const end = intraword
+        ? -1
+        : findClosingDelimiter(text, i + token.length, token, scan.unmatched);
+      if (end !== -1) {
+        flush();
+        const inner = text.slice(i + token.length, end);
+        const innerMarks = [
+          ...marks,
+          ...DELIMITER_MARKS[token]
+            .filter((type) => !marks.some((mark) => mark.type === type))
+            .map((type) => ({ type })),
+        ];
+        nodes.push(...parseInline(inner, innerMarks));
+        i = end + token.length;
+        continue;
+      }
+      buffer += token;
+      i += token.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return mergeTextNodes(nodes);
+}
+
+/**
+ * Finds the closing emphasis delimiter matching `token`
+ * @param {string} text - Source text
+ * @param {number} from - Index to start searching from
+ * @param {string} token - Delimiter (`*`, `_`, `**`, `__`, `***`, `___` or `~~`)
+ * @param {object} unmatched - Per-text record of where searches for each delimiter found
+ *   nothing; a search from there or later cannot find one either
+ * @returns {number} Index of the closing delimiter, or -1
+ */
+function findClosingDelimiter(text, from, token, unmatched = {}) {
+  if (from >= text.length || /\s/.test(text[from])) return -1;
+  if (unmatched[token] !== undefined && from >= unmatched[token]) return -1;
+
+  for (let i = from + 1; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (text[i] === "`") {
+      const fence = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(fence, i + fence.length);
+      if (end !== -1) i = end + fence.length - 1;
+      continue;
+    }
+    if (!text.startsWith(token, i) || /\s/.test(text[i - 1])) continue;
+    // A single delimiter must not be half of a double one
+    if (token.length === 1 && (text[i + 1] === token || text[i - 1] === token)) continue;
+    if (token[0] === "_" && /\w/.test(text[i + token.length] || "")) continue;
+    return i;
+  }
+  unmatched[token] = from;
+  return -1;
+}
+
+/**
+ * Converts the lines of a paragraph to inline nodes separated by hard breaks,
+ * matching how GitHub renders line breaks in issues and comments
+ * @param {Array<string>} lines - Paragraph lines
+ * @returns {Array} ADF inline nodes
+ */
+function parseParagraphInline(lines) {
+  const content = [];
+  lines.forEach((line, index) => {
+    if (index > 0) content.push({ type: "hardBreak" });
+    content.push(...parseInline(line.trim().replace(/\\$/, "")));
+  });
+  return content;
+}
+
+/**
+ * Splits a table row into trimmed cell strings, honouring escaped pipes
+ * @param {string} line - Table row line
+ * @returns {Array<string>} Cell contents
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let cell = "";
+  const row = line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "");
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === "\\" && row[i + 1] === "|") {
+      cell += "|";
+      i++;
+    } else if (row[i] === "|") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Builds an ADF table from pipe-table lines (header, delimiter, body rows)
+ * @param {Array<string>} lines - Table lines
+ * @returns {object} ADF table node
+ */
+function buildTable(lines) {
+  const header = splitTableRow(lines[0]);
+  const bodyRows = lines.slice(2).map(splitTableRow);
+
+  const row = (cells, cellType) => ({
+    type: "tableRow",
+    content: header.map((_, index) => ({
+      type: cellType,
+      attrs: {},
+      content: [{ type: "paragraph", content: parseInline(cells[index] || "") }],
+    })),
+  });
+
+  return {
+    type: "table",
+    attrs: { isNumberColumnEnabled: false, layout: "default" },
+    content: [row(header, "tableHeader"), ...bodyRows.map((cells) => row(cells, "tableCell"))],
+  };
+}
+
+/**
+ * Checks whether a line starts a block that can interrupt a paragraph
+ * @param {string} line - Line to check
+ * @returns {boolean} True if the line starts a new block
+ */
+function startsBlock(line) {
+  if (FENCE_RE.test(line) || ATX_HEADING_RE.test(line) || THEMATIC_BREAK_RE.test(line)) {
+    return true;
+  }
+  if (BLOCKQUOTE_RE.test(line) || HTML_COMMENT_RE.test(line)) return true;
+
+  const item = line.match(LIST_ITEM_RE);
+  return Boolean(item && item[4] && (/^[-*+]$/.test(item[2]) || /^1[.)]$/.test(item[2])));
+}
+
+/**
+ * Removes up to `count` columns of leading indentation from a line
+ * @param {string} line - Line to outdent
+ * @param {number} count - Number of columns to remove
+ * @returns {string} Outdented line
+ */
+function outdent(line, count) {
+  const indent = line.match(/^ */)[0].length;
+  return line.slice(Math.min(indent, count));
+}
+
+/**
+ * Turns a task list back into a bullet list of `[ ]` / `[x]` items, for places
+ * ADF does not allow task lists
+ * @param {object} node - ADF taskList node
+ * @returns {object} ADF bulletList node
+ */
+function taskListToBulletList(node) {
+  const items = [];
+  node.content.forEach((child) => {
+    if (child.type === "taskList" && items.length > 0) {
+      items[items.length - 1].content.push(taskListToBulletList(child));
+    } else if (child.type === "taskItem") {
+      const marker = textNode(child.attrs.state === "DONE" ? "[x] " : "[ ] ");
+      items.push({
+        type: "listItem",
+        content: [{ type: "paragraph", content: mergeTextNodes([marker, ...child.content]) }],
+      });
+    }
+  });
+  return { type: "bulletList", content: items };
+}
+
+/**
+ * Coerces block nodes into the subset ADF allows inside a list item or quote
+ * (paragraphs, lists and code blocks)
+ * @param {Array} nodes - Block nodes
+ * @returns {Array} Nodes valid as list item / blockquote children
+ */
+function toNestableBlocks(nodes) {
+  return nodes.flatMap((node) => {
+    switch (node.type) {
+      case "heading":
+        return [
+          {
+            type: "paragraph",
+            content: node.content.map((child) =>
+              child.type === "text"
+                ? textNode(child.text, [...(child.marks || []), { type: "strong" }])
+                : child,
+            ),
+          },
+        ];
+      case "blockquote":
+        return toNestableBlocks(node.content);
+      case "rule":
+        return [];
+      case "taskList":
+        return [taskListToBulletList(node)];
+      case "table":
+        return node.content.map((row) => ({
+          type: "paragraph",
+          content: mergeTextNodes(
+            row.content.flatMap((cell, index) => [
+              ...(index > 0 ? [textNode(" | ")] : []),
+              ...cell.content[0].content,
+            ]),
+          ),
+        }));
+      default:
+        return [node];
+    }
+  });
+}
+
+/**
+ * Builds the items of an ADF task list from the lines of each list item, if
+ * every item is a GFM task (`[ ]` or `[x]`) holding a single paragraph and
+ * optional nested task lists; ADF task items only take inline content
+ * @param {Array<Array<string>>} rawItems - Lines of each list item
+ * @param {object} context - Conversion context from markdownToADF()
+ * @returns {Array|null} taskItem/taskList nodes, or null to render a bullet list instead
+ */
+function parseTaskItems(rawItems, context) {
+  const markers = rawItems.map((itemLines) => itemLines[0].match(TASK_MARKER_RE));
+  if (!markers.every(Boolean)) return null;
+
+  const items = [];
+  for (let index = 0; index < rawItems.length; index++) {
+    const [firstLine, ...rest] = rawItems[index];
+    const localId = nextLocalId(context);
+    const [first, ...nested] = parseBlocks(
+      [firstLine.slice(markers[index][0].length), ...rest],
+      context,
+    );
+    if (!first || first.type !== "paragraph" || nested.some((node) => node.type !== "taskList")) {
+      return null;
+    }
+    items.push(
+      {
+        type: "taskItem",
+        attrs: { localId, state: markers[index][1] === " " ? "TODO" : "DONE" },
+        content: first.content,
+      },
+      ...nested,
+    );
+  }
+  return items;
+}
+
+/**
+ * Returns the next localId for a task list or task item. Ids are numbered in
+ * document order so converting the same markdown twice gives the same document.
+ * @param {object} context - Conversion context from markdownToADF()
+ * @returns {string} localId
+ */
+function nextLocalId(context) {
+  context.localIds = (context.localIds || 0) + 1;
+  return `task-${context.localIds}`;
+}
+
+/**
+ * Parses consecutive list items starting at `start` into an ADF list node
+ * @param {Array<string>} lines - All lines of the current block container
+ * @param {number} start - Index of the first list item line
+ * @param {object} context - Conversion context from markdownToADF()
+ * @returns {object} {node, next} ADF list node and index of the next unread line
+ */
+function parseList(lines, start, context = {}) {
+  const first = lines[start].match(LIST_ITEM_RE);
+  const ordered = /\d/.test(first[2]);
+  const delimiter = first[2].slice(-1);
+  const baseIndent = first[1].length;
+  const rawItems = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM_RE);
+    if (!match || match[1].length > baseIndent + 3 || match[1].length < baseIndent) break;
+    if (/\d/.test(match[2]) !== ordered || match[2].slice(-1) !== delimiter) break;
+    if (THEMATIC_BREAK_RE.test(lines[i])) break;
+
+    // Content indentation: marker width plus 1-4 spaces (a wider gap means indented code)
+    const gap = match[3] ? match[3].length : 1;
+    const contentIndent = match[1].length + match[2].length + (gap > 4 ? 1 : gap);
+    const itemLines = [match[3] && gap > 4 ? match[3].slice(1) + match[4] : match[4] || ""];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.trim() === "") {
+        // A blank line continues the item only if indented content follows it
+        let next = i + 1;
+        while (next < lines.length && lines[next].trim() === "") next++;
+        if (next < lines.length && lines[next].match(/^ */)[0].length >= contentIndent) {
+          itemLines.push(...lines.slice(i, next).map(() => ""));
+          i = next;
+          continue;
+        }
+        break;
+      }
+      if (line.match(/^ */)[0].length >= contentIndent) {
+        itemLines.push(outdent(line, contentIndent));
+      } else if (
+        itemLines[itemLines.length - 1].trim() !== "" &&
+        !startsBlock(line) &&
+        !LIST_ITEM_RE.test(line)
+      ) {
+        // Lazy continuation of the item's last paragraph
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    rawItems.push(itemLines);
+
+    // Skip blank lines between items of the same (loose) list
+    let next = i;
+    while (next < lines.length && lines[next].trim() === "") next++;
+    const following = next < lines.length && lines[next].match(LIST_ITEM_RE);
+    if (next > i && following && following[1].length === baseIndent) {
+      i = next;
+    } else if (next > i) {
+      break;
+    }
+  }
+
+  // GitHub task lists become Jira task lists with their checked state
+  if (!ordered && context.taskLists) {
+    const localId = nextLocalId(context);
+    const taskItems = parseTaskItems(rawItems, context);
+    if (taskItems) {
+      return { node: { type: "taskList", attrs: { localId }, content: taskItems }, next: i };
+    }
+  }
+
+  const items = rawItems.map((itemLines) => {
+    const content = toNestableBlocks(parseBlocks(itemLines, context));
+    if (content.length === 0 || content[0].type !== "paragraph") {
+      content.unshift({ type: "paragraph", content: [] });
+    }
+    return { type: "listItem", content };
+  });
+
+  const order = ordered ? parseInt(first[2], 10) : 1;
+  const node = {
+    type: ordered ? "orderedList" : "bulletList",
+    ...(order !== 1 && { attrs: { order } }),
+    content: items,
+  };
+
+  return { node, next: i };
+}
+
+/**
+ * Parses markdown lines into ADF block nodes
+ * @param {Array<string>} lines - Markdown source lines
+ * @param {object} context - Conversion context from markdownToADF()
+ * @returns {Array} ADF block nodes
+ */
+function parseBlocks(lines, context = {}) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === "") {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const [, indent, marker, language] = fence;
+      const closing = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(outdent(lines[i], indent.length));
+        i++;
+      }
+      i++;
+      const text = code.join("\n");
+      blocks.push({
+        type: "codeBlock",
+        attrs: language ? { language } : {},
+        content: text ? [textNode(text)] : [],
+      });
+      continue;
+    }
+
+    // HTML comments (e.g. hidden sync markers) are not rendered by GitHub
+    if (HTML_COMMENT_RE.test(line)) {
+      while (i < lines.length && !lines[i].includes("-->")) i++;
+      i++;
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING_RE);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        attrs: { level: heading[1].length },
+        content: parseInline((heading[2] || "").trim()),
+      });
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK_RE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() !== "") {
+        if (BLOCKQUOTE_RE.test(lines[i])) {
+          quoted.push(lines[i].replace(BLOCKQUOTE_RE, ""));
+        } else if (startsBlock(lines[i])) {
+          break;
+        } else {
+          quoted.push(lines[i]);
+        }
+        i++;
+      }
+      blocks.push({ type: "blockquote", content: toNestableBlocks(parseBlocks(quoted, context)) });
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line) && line.match(LIST_ITEM_RE)[1].length <= 3) {
+      const { node, next } = parseList(lines, i, context);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    // Indented code block
+    if (/^( {4}|\t)/.test(line)) {
+      const code = [];
+      while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || lines[i].trim() === "")) {
+        code.push(lines[i].replace(/^( {4}|\t)/, ""));
+        i++;
+      }
+      while (code.length > 0 && code[code.length - 1].trim() === "") code.pop();
+      blocks.push({ type: "codeBlock", attrs: {}, content: [textNode(code.join("\n"))] });
+      continue;
+    }
+
+    // Pipe table: header row followed by a delimiter row with the same column count
+    if (
+      line.includes("|") &&
+      i + 1 < lines.length &&
+      TABLE_DELIMITER_RE.test(lines[i + 1]) &&
+      splitTableRow(lines[i + 1]).length === splitTableRow(line).length
+    ) {
+      const tableLines = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].trim() !== "" && lines[i].includes("|")) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      blocks.push(buildTable(tableLines));
+      continue;
+    }
+
+    // Paragraph (possibly a setext heading)
+    const paragraph = [line];
+    i++;
+    let setextLevel = 0;
+    while (i < lines.length && lines[i].trim() !== "") {
+      const setext = lines[i].match(SETEXT_RE);
+      if (setext) {
+        setextLevel = setext[1][0] === "=" ? 1 : 2;
+        i++;
+        break;
+      }
+      if (startsBlock(lines[i])) break;
+      paragraph.push(lines[i]);
+      i++;
+    }
+
+    if (setextLevel) {
+      blocks.push({
+        type: "heading",
+        attrs: { level: setextLevel },
+        content: parseInline(paragraph.map((text) => text.trim()).join(" ")),
+      });
+    } else {
+      blocks.push({ type: "paragraph", content: parseParagraphInline(paragraph) });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Converts GitHub-Flavored Markdown to ADF format
+ *
+ * Supports ATX/setext headings, fenced and indented code blocks (with language),
+ * nested bullet and numbered lists, task lists, pipe tables, blockquotes,
+ * horizontal rules, and inline strong/em/strike/code marks, links and autolinks.
+ *
+ * @param {string} markdown - Markdown text (e.g. a GitHub issue body)
+ * @param {object} options - `taskLists: false` keeps `- [ ]` items as bullet list text
+ * @returns {object} ADF document object
+ */
+function markdownToADF(markdown, options = {}) {
+  if (!markdown || typeof markdown !== "string") {
+    return {
+      type: "doc",
+      version: 1,
+      content: [],
+    };
+  }
+
+  const lines = markdown
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/^[ \t]+/, (indent) => indent.replace(/\t/g, "    ")));
+
+  return {
+    type: "doc",
+    version: 1,
+    content: parseBlocks(lines, { taskLists: options.taskLists !== false }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// ADF → GitHub-Flavored Markdown
+// ---------------------------------------------------------------------------
+
+// Panel types map onto GitHub's alert blockquotes
+const PANEL_ALERTS = {
+  info: "NOTE",
+  note: "NOTE",
+  success: "TIP",
+  warning: "WARNING",
+  error: "CAUTION",
+};
+
+/**
+ * Escapes characters that GitHub would otherwise interpret as markdown or HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>~|])/g, "\\$1");
+}
+
+/**
+ * Wraps text in a markdown delimiter, keeping surrounding whitespace outside it
+ * (`** bold **` is not valid emphasis)
+ * @param {string} text - Rendered text
+ * @param {string} open - Opening delimiter
+ * @param {string} close - Closing delimiter (defaults to `open`)
+ * @returns {string} Wrapped text
+ */
+function wrapInline(text, open, close = open) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${open}${match[2]}${close}${match[3]}` : text;
+}
+
+/**
+ * Renders an ADF text node with its marks
+ * @param {object} node - ADF text node
+ * @returns {string} Markdown text
+ */
+function renderTextNode(node) {
+  const marks = node.marks || [];
+  const hasMark = (type) => marks.some((mark) => mark.type === type);
+  let text;
+
+  if (hasMark("code")) {
+    const longestRun = Math.max(0, ...(node.text.match(/`+/g) || []).map((run) => run.length));
+    const fence = "`".repeat(longestRun + 1);
+    const padding = node.text.startsWith("`") || node.text.endsWith("`") ? " " : "";
+    text = `${fence}${padding}${node.text}${padding}${fence}`;
+  } else {
+    text = escapeMarkdown(node.text);
+  }
+
+  if (hasMark("strike")) text = wrapInline(text, "~~");
+  if (hasMark("em")) text = wrapInline(text, "_");
+  if (hasMark("strong")) text = wrapInline(text, "**");
+  if (hasMark("underline")) text = wrapInline(text, "<ins>", "</ins>");
+
+  const subsup = marks.find((mark) => mark.type === "subsup");
+  if (subsup) {
+    const tag = subsup.attrs && subsup.attrs.type === "sup" ? "sup" : "sub";
+    text = wrapInline(text, `<${tag}>`, `</${tag}>`);
+  }
+
+  const link = marks.find((mark) => mark.type === "link");
+  if (link && link.attrs && link.attrs.href) {
+    text = `[${text}](${link.attrs.href})`;
+  }
+
+  return text;
+}
+
+/**
+ * Formats an ADF date node timestamp (milliseconds since epoch) as YYYY-MM-DD
+ * @param {string|number} timestamp - Timestamp from the node attrs
+ * @returns {string} ISO date, or the raw value if it cannot be parsed
+ */
+function formatADFDate(timestamp) {
+  const date = new Date(Number(timestamp));
+  return isNaN(date.getTime()) ? String(timestamp) : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Renders ADF inline nodes to a markdown string
+ * @param {Array} nodes - ADF inline nodes
+ * @param {object} options - Rendering options
+ * @param {string} options.lineBreak - String used for hard breaks
+ * @returns {string} Markdown text
+ */
+function renderInline(nodes = [], options = {}) {
+  const lineBreak = options.lineBreak || "\n";
+
+  return nodes
+    .map((node) => {
+      const attrs = node.attrs || {};
+      switch (node.type) {
+        case "text":
+          return renderTextNode(node);
+        case "hardBreak":
+          return lineBreak;
+        case "mention": {
+          const name = (attrs.text || attrs.displayName || attrs.id || "").replace(/^@/, "");
+          return name ? `**@${escapeMarkdown(name)}**` : "";
+        }
+        case "emoji":
+          return attrs.text || attrs.shortName || "";
+        case "date":
+          return formatADFDate(attrs.timestamp);
+        case "status":
+          return attrs.text ? `\`${attrs.text.toUpperCase()}\`` : "";
+        case "inlineCard":
+          return attrs.url ? `<${attrs.url}>` : "";
+        case "mediaInline":
+          return renderMedia(node);
+        case "placeholder":
+          return "";
+        default:
+          // Unknown inline node: render any children, else fall back to text attrs
+          if (Array.isArray(node.content)) return renderInline(node.content, options);
+          return attrs.text ? escapeMarkdown(attrs.text) : attrs.url || "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * Renders a media node (attachment or external image) as a markdown image or link
+ * @param {object} node - ADF media or mediaInline node
+ * @returns {string} Markdown text
+ */
+function renderMedia(node) {
+  const attrs = node.attrs || {};
+  if (attrs.type === "external" && attrs.url) {
+    return `![${escapeMarkdown(attrs.alt || "image")}](${attrs.url})`;
+  }
+  const name = attrs.alt || attrs.fileName || attrs.id || "attachment";
+  return `📎 _${escapeMarkdown(name)} (attached in Jira)_`;
+}
+
+/**
+ * Prefixes every line of a block with a marker (first line) and indentation (rest)
+ * @param {string} text - Rendered block
+ * @param {string} first - Prefix for the first line
+ * @param {string} rest - Prefix for subsequent non-empty lines
+ * @returns {string} Prefixed text
+ */
+function prefixLines(text, first, rest) {
+  return text
+    .split("\n")
+    .map((line, index) => {
+      if (index === 0) return first + line;
+      return line ? rest + line : line;
+    })
+    .join("\n");
+}
+
+/**
+ * Renders a list of ADF block nodes separated by blank lines
+ * @param {Array} nodes - ADF block nodes
+ * @returns {string} Markdown text
+ */
+function renderBlocks(nodes = []) {
+  return nodes
+    .map(renderBlock)
+    .filter((block) => block !== "")
+    .join("\n\n");
+}
+
+/**
+ * Renders a list item's children: paragraphs stay loose, nested lists stay tight
+ * @param {Array} nodes - ADF listItem / taskItem content
+ * @returns {string} Markdown text
+ */
+function renderListItemContent(nodes = []) {
+  return nodes
+    .map((node, index) => {
+      const rendered = renderBlock(node);
+      if (index === 0) return rendered;
+      const nested = /^(bulletList|orderedList|taskList)$/.test(node.type);
+      return (nested ? "\n" : "\n\n") + rendered;
+    })
+    .join("");
+}
+
+/**
+ * Renders an ADF list (bullet, ordered, task or decision) as markdown
+ * @param {object} node - ADF list node
+ * @returns {string} Markdown list
+ */
+function renderList(node) {
+  const start = node.attrs && node.attrs.order ? node.attrs.order : 1;
+
+  return (node.content || [])
+    .map((item, index) => {
+      // Task lists can nest further task lists directly
+      if (item.type === "taskList") {
+        return prefixLines(renderList(item), "  ", "  ");
+      }
+
+      let marker;
+      if (node.type === "orderedList") {
+        marker = `${start + index}. `;
+      } else if (node.type === "taskList") {
+        marker = item.attrs && item.attrs.state === "DONE" ? "- [x] " : "- [ ] ";
+      } else if (node.type === "decisionList") {
+        marker = "- ✅ ";
+      } else {
+        marker = "- ";
+      }
+
+      const body =
+        item.type === "listItem" ? renderListItemContent(item.content) : renderInline(item.content);
+      const indent = " ".repeat(node.type === "orderedList" ? marker.length : 2);
+      return prefixLines(body, marker, indent);
+    })
+    .join("\n");
+}
+
+/**
+ * Renders an ADF table as a GitHub pipe table (the first row becomes the header)
+ * @param {object} node - ADF table node
+ * @returns {string} Markdown table
+ */
+function renderTable(node) {
+  const rows = (node.content || []).map((row) =>
+    (row.content || []).map((cell) =>
+      (cell.content || [])
+        .map((block) =>
+          block.type === "paragraph" || block.type === "heading"
+            ? renderInline(block.content, { lineBreak: "<br>" })
+            : renderBlock(block).replace(/\n/g, "<br>"),
+        )
+        .filter((text) => text !== "")
+        .join("<br>")
+        .replace(/(?<!\\)\|/g, "\\|"),
+    ),
+  );
+
+  if (rows.length === 0) return "";
+
+  const columns = Math.max(...rows.map((row) => row.length));
+  const formatRow = (cells) =>
+    `| ${Array.from({ length: columns }, (_, index) => cells[index] || "").join(" | ")} |`;
+
+  return [
+    formatRow(rows[0]),
+    `| ${Array.from({ length: columns }, () => "---").join(" | ")} |`,
+    ...rows.slice(1).map(formatRow),
+  ].join("\n");
+}
+
+/**
+ * Renders a single ADF block node as markdown
+ * @param {object} node - ADF block node
+ * @returns {string} Markdown text
+ */
+function renderBlock(node) {
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case "paragraph":
+      return renderInline(node.content);
+    case "heading": {
+      const level = Math.max(1, Math.min(6, attrs.level || 1));
+      return `${"#".repeat(level)} ${renderInline(node.content, { lineBreak: " " })}`;
+    }
+    case "bulletList":
+    case "orderedList":
+    case "taskList":
+    case "decisionList":
+      return renderList(node);
+    case "codeBlock": {
+      const code = (node.content || []).map((child) => child.text || "").join("");
+      const longestRun = Math.max(2, ...(code.match(/`{3,}/g) || []).map((run) => run.length));
+      const fence = "`".repeat(longestRun + 1);
+      return `${fence}${attrs.language || ""}\n${code}\n${fence}`;
+    }
+    case "blockquote":
+      return prefixLines(renderBlocks(node.content), "> ", "> ").replace(/\n\n/g, "\n>\n");
+    case "panel": {
+      const alert = PANEL_ALERTS[attrs.panelType] || "NOTE";
+      const body = renderBlocks(node.content);
+      return prefixLines(`[!${alert}]\n${body}`, "> ", "> ").replace(/\n\n/g, "\n>\n");
+    }
+    case "rule":
+      return "---";
+    case "table":
+      return renderTable(node);
+    case "expand":
+    case "nestedExpand": {
+      const title = escapeMarkdown(attrs.title || "Details");
+      return `<details>\n<summary>${title}</summary>\n\n${renderBlocks(node.content)}\n\n</details>`;
+    }
+    case "mediaSingle":
+    case "mediaGroup":
+      return (node.content || [])
+        .filter((child) => child.type === "media")
+        .map(renderMedia)
+        .join("\n");
+    case "media":
+      return renderMedia(node);
+    case "blockCard":
+    case "embedCard":
+      return attrs.url ? `<${attrs.url}>` : "";
+    default:
+      // Unknown block (layouts, bodied extensions, future node types): render
+      // children when present, otherwise any text or URL it carries
+      if (Array.isArray(node.content)) {
+        const isInline = node.content.every((child) => child.type === "text");
+        return isInline ? renderInline(node.content) : renderBlocks(node.content);
+      }
+      if (attrs.text) return escapeMarkdown(attrs.text);
+      return attrs.url ? `<${attrs.url}>` : "";
+  }
+}
+
+/**
+ * Converts an ADF document (e.g. a Jira comment body) to GitHub-Flavored Markdown
+ *
+ * Accepts an ADF object or its JSON string. Anything that is not ADF (such as a
+ * plain-text comment body) is returned unchanged.
+ *
+ * @param {object|string} doc - ADF document object or JSON string
+ * @returns {string} Markdown text
+ */
+function adfToMarkdown(doc) {
+  let adf = doc;
+
+  if (typeof adf === "string") {
+    try {
+      adf = JSON.parse(adf);
+    } catch (error) {
+      return doc;
+    }
+  }
+
+  if (!adf || typeof adf !== "object" || !Array.isArray(adf.content)) {
+    return typeof doc === "string" ? doc : "";
+  }
+
+  return renderBlocks(adf.content).trim();
+}
+
 module.exports = {
   textToADF,
   createFormattedADF,
@@ -294,4 +1390,6 @@ module.exports = {
   createLinkADF,
   combineADFContent,
   isValidADF,
+  markdownToADF,
+  adfToMarkdown,
 };
@@ -0,0 +1,417 @@
+/**
+ * Attachment Sync
+ *
+ * Screenshots and files in GitHub issues are `user-attachments` URLs that
+ * Jira users without GitHub access cannot open. This module finds GitHub
+ * attachment links in an ADF document, downloads the files, uploads them to
+ * the Jira issue and rewrites the document to point at the Jira copies:
+ * an image alone in its paragraph becomes a media node, anything else keeps
+ * its text and links to the Jira attachment.
+ *
+ * Media nodes reference the uploaded file by its media id (`type: "file"`),
+ * which Jira only reveals in the redirect of the attachment's content URL.
+ * The content URL itself needs Jira credentials, so it cannot be embedded as
+ * an external image; when the media id cannot be read, images stay links.
+ *
+ * Uploaded files are named `gh-<hash>-<name>` after their source URL, so
+ * later edits and re-runs reuse the existing attachment instead of uploading
+ * it again. Limits and the skip list come from `attachments` in
+ * label-mapping.json.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { JiraClient } = require("./jira-client");
+
+const DEFAULT_ATTACHMENT_CONFIG = {
+  enabled: true,
+  maxFileSize: 10 * 1024 * 1024,
+  skip: [],
+};
+
+// URLs GitHub serves uploaded files from
+const GITHUB_ATTACHMENT_PATTERNS = [
+  /^https:\/\/github\.com\/user-attachments\/(?:assets|files)\//,
+  /^https:\/\/github\.com\/[^/]+\/[^/]+\/(?:assets|files)\/\d+\//,
+  /^https:\/\/(?:user-images|private-user-images|objects)\.githubusercontent\.com\//,
+];
+
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/svg+xml": ".svg",
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "application/pdf": ".pdf",
+  "application/zip": ".zip",
+  "text/plain": ".txt",
+};
+
+/**
+ * Loads the attachment settings from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {enabled, maxFileSize, skip}
+ */
+function loadAttachmentConfig(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default attachment settings");
+  }
+
+  return { ...DEFAULT_ATTACHMENT_CONFIG, ...config.attachments };
+}
+
+/**
+ * Checks whether a URL points at a file uploaded to GitHub
+ * @param {string} url - URL
+ * @returns {boolean} - Whether the URL is a GitHub attachment
+ */
+function isAttachmentUrl(url) {
+  return GITHUB_ATTACHMENT_PATTERNS.some((pattern) => pattern.test(url || ""));
+}
+
+/**
+ * Checks a URL and file name against the skip list (`*` matches anything)
+ * @param {string} url - Attachment URL
+ * @param {string} filename - Attachment file name
+ * @param {string[]} patterns - Skip patterns, e.g. "*.mp4"
+ * @returns {boolean} - Whether the attachment should be skipped
+ */
+function matchesSkipList(url, filename, patterns = []) {
+  return patterns.some((pattern) => {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    const regex = new RegExp(`^${escaped}$`, "i");
+    return regex.test(url) || (filename && regex.test(filename));
+  });
+}
+
+/**
+ * Collects the GitHub attachment URLs referenced by links and external media
+ * @param {object} doc - ADF document
+ * @returns {string[]} - Unique attachment URLs in document order
+ */
+function findAttachmentLinks(doc) {
+  const urls = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object") {
+      return;
+    }
+    (node.marks || [])
+      .filter((mark) => mark.type === "link" && isAttachmentUrl(mark.attrs && mark.attrs.href))
+      .forEach((mark) => urls.push(mark.attrs.href));
+    if (node.type === "media" && node.attrs && isAttachmentUrl(node.attrs.url)) {
+      urls.push(node.attrs.url);
+    }
+    (node.content || []).forEach(visit);
+  };
+  visit(doc);
+  return [...new Set(urls)];
+}
+
+/**
+ * Builds the file name prefix identifying the Jira copy of a source URL
+ * @param {string} url - Source URL
+ * @returns {string} - Prefix, e.g. gh-1a2b3c4d-
+ */
+function attachmentPrefix(url) {
+  return `gh-${crypto.createHash("sha256").update(url).digest("hex").slice(0, 8)}-`;
+}
+
+/**
+ * Names the Jira copy of an attachment after its source URL, so it can be
+ * found again on later runs
+ * @param {string} url - Source URL
+ * @param {string} contentType - Response content type
+ * @param {string} disposition - Response Content-Disposition header
+ * @returns {string} - File name, e.g. gh-1a2b3c4d-screenshot.png
+ */
+function attachmentFileName(url, contentType = "", disposition = "") {
+  const declared = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  let name = declared
+    ? decodeURIComponent(declared[1])
+    : decodeURIComponent(new URL(url).pathname.split("/").pop() || "attachment");
+
+  name = name.replace(/[^\w.-]+/g, "_");
+  const extension = EXTENSIONS[contentType.split(";")[0].trim().toLowerCase()];
+  if (!path.extname(name) && extension) {
+    name += extension;
+  }
+  return `${attachmentPrefix(url)}${name}`;
+}
+
+/**
+ * Downloads a GitHub attachment, sending GITHUB_TOKEN to GitHub hosts only
+ * @param {string} url - Attachment URL
+ * @param {number} maxFileSize - Size limit in bytes
+ * @returns {Promise<object>} - {filename, contentType, content}
+ */
+async function downloadAttachment(url, maxFileSize) {
+  const host = new URL(url).hostname;
+  const headers = {};
+  if (
+    process.env.GITHUB_TOKEN &&
+    (host === "github.com" || host.endsWith(".githubusercontent.com"))
+  ) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const response = await axios.get(url, {
+    headers,
+    responseType: "arraybuffer",
+    maxContentLength: maxFileSize,
+    maxBodyLength: maxFileSize,
+  });
+  const contentType = response.headers["content-type"] || "application/octet-stream";
+
+  return {
+    filename: attachmentFileName(url, contentType, response.headers["content-disposition"]),
+    contentType,
+    content: Buffer.from(response.data),
+  };
+}
+
+/**
+ * Uploads a file to a Jira issue
+ * @param {JiraClient} jira - Jira client
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} file - {filename, contentType, content}
+ * @returns {Promise<object>} - Jira attachment ({id, filename, mimeType, content})
+ */
+async function uploadAttachment(jira, jiraKey, file) {
+  const boundary = `----jira-sync-${crypto.randomBytes(12).toString("hex")}`;
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`,
+    ),
+    file.content,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+
+  const attachments = await jira.request("post", jira.api(`/issue/${jiraKey}/attachments`), {
+    data: body,
+    headers: {
+      "Content-Type": `multipart/form-data; boundary=${boundary}`,
+      "X-Atlassian-Token": "no-check",
+    },
+  });
+  return attachments[0];
+}
+
+/**
+ * Reads the media id of a Jira attachment from the redirect of its content URL
+ * (https://api.media.atlassian.com/file/<id>/binary?...)
+ * @param {JiraClient} jira - Jira client
+ * @param {object} attachment - Jira attachment ({id})
+ * @returns {Promise<string|null>} - Media file id, or null if Jira did not redirect to one
+ */
+async function attachmentMediaId(jira, attachment) {
+  const response = await jira.request("get", jira.api(`/attachment/content/${attachment.id}`), {
+    redirect: "manual",
+  });
+  const location = (response.headers && response.headers.location) || "";
+  const match = location.match(/\/file\/([0-9a-f-]{36})\//i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Builds the media node of an uploaded image
+ * @param {object} attachment - Jira attachment with its `mediaId`
+ * @param {string} alt - Alternative text
+ * @returns {object} - ADF media node
+ */
+function createMediaNode(attachment, alt) {
+  const attrs = { id: attachment.mediaId, type: "file", collection: "" };
+  if (alt) {
+    attrs.alt = alt;
+  }
+  return { type: "media", attrs };
+}
+
+/**
+ * Checks whether a paragraph holds nothing but one link (plus line breaks)
+ * @param {object} node - ADF node
+ * @param {string} href - Link target
+ * @returns {boolean} - Whether the paragraph is a standalone link to href
+ */
+function isStandaloneLink(node, href) {
+  if (node.type !== "paragraph" || !Array.isArray(node.content) || node.content.length === 0) {
+    return false;
+  }
+  return node.content.every(
+    (child) =>
+      child.type === "hardBreak" ||
+      (child.type === "text" &&
+        (child.marks || []).some((mark) => mark.type === "link" && mark.attrs.href === href)),
+  );
+}
+
+/**
+ * Points attachment links and media at their Jira copies; images alone in a
+ * paragraph become media nodes when their media id is known
+ * @param {object} doc - ADF document
+ * @param {Map<string, object>} attachments - Jira attachment (with `mediaId` for images) by
+ *   source URL
+ * @returns {object} - Rewritten ADF document
+ */
+function rewriteAttachmentLinks(doc, attachments) {
+  const rewrite = (node) => {
+    if (!node || typeof node !== "object") {
+      return node;
+    }
+
+    const standalone = [...attachments.entries()].find(
+      ([url, attachment]) => attachment.mediaId && isStandaloneLink(node, url),
+    );
+    if (standalone) {
+      const [, attachment] = standalone;
+      return {
+        type: "mediaSingle",
+        attrs: { layout: "center" },
+        content: [createMediaNode(attachment, node.content[0].text)],
+      };
+    }
+
+    // An embedded GitHub image whose Jira copy cannot be embedded becomes a link to it
+    const media = node.type === "mediaSingle" && (node.content || [])[0];
+    if (media && media.attrs && attachments.has(media.attrs.url)) {
+      const attachment = attachments.get(media.attrs.url);
+      if (!attachment.mediaId) {
+        return {
+          type: "paragraph",
+          content: [
+            {
+              type: "text",
+              text: media.attrs.alt || attachment.filename || "attachment",
+              marks: [{ type: "link", attrs: { href: attachment.content } }],
+            },
+          ],
+        };
+      }
+    }
+
+    const copy = { ...node };
+    if (node.marks) {
+      copy.marks = node.marks.map((mark) =>
+        mark.type === "link" && attachments.has(mark.attrs.href)
+          ? { ...mark, attrs: { ...mark.attrs, href: attachments.get(mark.attrs.href).content } }
+          : mark,
+      );
+    }
+    if (node.type === "media" && node.attrs && attachments.has(node.attrs.url)) {
+      const attachment = attachments.get(node.attrs.url);
+      if (attachment.mediaId) {
+        return createMediaNode(attachment, node.attrs.alt);
+      }
+    }
+    if (Array.isArray(node.content)) {
+      copy.content = node.content.map(rewrite);
+    }
+    return copy;
+  };
+
+  return rewrite(doc);
+}
+
+/**
+ * Uploads the GitHub attachments referenced by an ADF document to a Jira
+ * issue and rewrites the document to use them. Files that are too large,
+ * on the skip list or cannot be downloaded keep their GitHub link.
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} doc - ADF document
+ * @param {object} options - {jira, config, download} overrides; `upload: false` only reuses
+ *   attachments already on the issue
+ * @returns {Promise<object>} - {doc, uploaded, skipped, changed}
+ */
+async function syncAttachments(jiraKey, doc, options = {}) {
+  const config = options.config || loadAttachmentConfig();
+  const result = { doc, uploaded: 0, skipped: 0, changed: false };
+  const urls = config.enabled ? findAttachmentLinks(doc) : [];
+  if (urls.length === 0) {
+    return result;
+  }
+
+  const jira = options.jira || JiraClient.fromEnv();
+  const download = options.download || downloadAttachment;
+
+  // Reuse attachments uploaded by earlier runs (named after their source URL)
+  const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "attachment" });
+  const existing = (issue.fields && issue.fields.attachment) || [];
+  const attachments = new Map();
+
+  for (const url of urls) {
+    const prefix = attachmentPrefix(url);
+    const previous = existing.find((attachment) => attachment.filename.startsWith(prefix));
+    if (previous) {
+      attachments.set(url, previous);
+      continue;
+    }
+    if (options.upload === false) {
+      result.skipped++;
+      continue;
+    }
+
+    if (matchesSkipList(url, null, config.skip)) {
+      console.log(`⏭️  Skipping attachment ${url} (skip list)`);
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const file = await download(url, config.maxFileSize);
+      if (matchesSkipList(url, file.filename.slice(prefix.length), config.skip)) {
+        console.log(`⏭️  Skipping attachment ${file.filename} (skip list)`);
+        result.skipped++;
+        continue;
+      }
+      if (file.content.length > config.maxFileSize) {
+        throw new Error(
+          `${file.content.length} bytes exceeds the ${config.maxFileSize} byte limit`,
+        );
+      }
+
+      attachments.set(url, await uploadAttachment(jira, jiraKey, file));
+      result.uploaded++;
+      console.log(`📎 Attached ${file.filename} to ${jiraKey}`);
+    } catch (error) {
+      console.warn(`⚠️  Keeping the GitHub link for ${url}: ${error.message}`);
+      result.skipped++;
+    }
+  }
+
+  // Images are embedded by media id; without one they are linked instead
+  for (const [url, attachment] of attachments) {
+    if ((attachment.mimeType || "").startsWith("image/")) {
+      try {
+        attachments.set(url, { ...attachment, mediaId: await attachmentMediaId(jira, attachment) });
+      } catch (error) {
+        console.warn(
+          `⚠️  Linking ${attachment.filename} instead of embedding it: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  if (attachments.size > 0) {
+    result.doc = rewriteAttachmentLinks(doc, attachments);
+    result.changed = true;
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_ATTACHMENT_CONFIG,
+  loadAttachmentConfig,
+  isAttachmentUrl,
+  matchesSkipList,
+  findAttachmentLinks,
+  attachmentFileName,
+  rewriteAttachmentLinks,
+  syncAttachments,
+};
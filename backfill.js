@@ -0,0 +1,370 @@
+/**
+ * Backfill existing GitHub issues into Jira
+ *
+ * The workflow only syncs issues as they are opened. This command pages
+ * through a repository's existing issues and, for each one:
+ *
+ * 1. creates the Jira issue via createIssueFromGitHub() (the same mapping as
+ *    the workflow; an issue that is already synced is found, not duplicated)
+ * 2. records the GitHub ↔ Jira link (see link-store.js)
+ * 3. imports the existing GitHub comments via addComment()
+ *
+ * Progress is checkpointed to a JSON file after every issue and comment, so an
+ * interrupted run picks up where it stopped. Comments that already reached
+ * Jira (through the workflow or an earlier run) are recognised by their
+ * `github-sync` property and not imported twice. GitHub rate limits are waited out
+ * by github-api.js and Jira 429 responses are retried by the Jira client;
+ * `--delay` adds a pause between issues to stay clear of GitHub's secondary
+ * limits on content creation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const github = require("./github-api");
+const { JiraClient } = require("./jira-client");
+const { createIssueFromGitHub } = require("./create");
+const { ENTITY_PROPERTY_KEY } = require("./link-store");
+const { addComment } = require("./sync-comment");
+
+const jira = JiraClient.fromEnv();
+
+const DEFAULT_CHECKPOINT_FILE = "./.jira-backfill.json";
+const DEFAULT_DELAY = 500;
+
+/**
+ * Parses the backfill command line
+ * @param {string[]} argv - Arguments after `node backfill.js`
+ * @returns {object} - Backfill options
+ */
+function parseBackfillArgs(argv) {
+  const options = {
+    repository: process.env.GITHUB_REPOSITORY,
+    projectKey: process.env.JIRA_PROJECT_KEY,
+    state: "open",
+    labels: [],
+    since: null,
+    until: null,
+    limit: null,
+    comments: true,
+    dryRun: false,
+    checkpoint: DEFAULT_CHECKPOINT_FILE,
+    restart: false,
+    delay: DEFAULT_DELAY,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--repo":
+        options.repository = value();
+        break;
+      case "--project":
+        options.projectKey = value();
+        break;
+      case "--state":
+        options.state = value();
+        if (!["open", "closed", "all"].includes(options.state)) {
+          throw new Error(`--state must be open, closed or all (got "${options.state}")`);
+        }
+        break;
+      case "--label":
+        options.labels.push(
+          ...value()
+            .split(",")
+            .map((label) => label.trim())
+            .filter(Boolean),
+        );
+        break;
+      case "--since":
+      case "--until": {
+        const date = value();
+        if (isNaN(Date.parse(date))) {
+          throw new Error(`${arg} must be a date such as 2024-01-31 (got "${date}")`);
+        }
+        options[arg.slice(2)] = new Date(date).toISOString();
+        break;
+      }
+      case "--limit":
+      case "--delay": {
+        const number = Number(value());
+        if (!Number.isInteger(number) || number < 0) {
+          throw new Error(`${arg} must be a non-negative integer`);
+        }
+        options[arg.slice(2)] = number;
+        break;
+      }
+      case "--checkpoint":
+        options.checkpoint = value();
+        break;
+      case "--no-comments":
+        options.comments = false;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--restart":
+        options.restart = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Keeps the issues created within the requested date range
+ * @param {Array<object>} issues - GitHub issues ({created_at})
+ * @param {object} range - {since, until} ISO timestamps (either may be null)
+ * @returns {Array<object>} - Issues created in [since, until]
+ */
+function filterByCreatedDate(issues, { since, until }) {
+  return issues.filter((issue) => {
+    const created = Date.parse(issue.created_at);
+    return (!since || created >= Date.parse(since)) && (!until || created <= Date.parse(until));
+  });
+}
+
+/**
+ * Collects the GitHub comments already copied to a Jira issue, from the
+ * origin property addComment() stores on each Jira comment
+ * @param {string} jiraKey - Jira issue key
+ * @param {JiraClient} client - Jira client
+ * @returns {Promise<Set<string>>} - GitHub comment ids
+ */
+async function importedCommentIds(jiraKey, client = jira) {
+  const comments = await client.paginate(client.api(`/issue/${jiraKey}/comment`), {
+    params: { expand: "properties" },
+    itemsKey: "comments",
+  });
+
+  const ids = new Set();
+  for (const comment of comments) {
+    const property = (comment.properties || []).find((entry) => entry.key === ENTITY_PROPERTY_KEY);
+    if (property && property.value && property.value.commentId) {
+      ids.add(String(property.value.commentId));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Loads the checkpoint of a previous run, or starts a new one
+ * @param {string} filePath - Checkpoint file
+ * @param {string} repository - Repository being backfilled
+ * @param {boolean} restart - Ignore any previous progress
+ * @returns {object} - {repository, issues: {[number]: {jiraKey, comments, done, error}}}
+ */
+function loadCheckpoint(filePath, repository, restart = false) {
+  const fresh = { repository, issues: {} };
+  if (restart) {
+    return fresh;
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return fresh;
+    }
+    throw new Error(`Cannot read checkpoint ${filePath}: ${error.message}`);
+  }
+
+  if (checkpoint.repository !== repository) {
+    throw new Error(
+      `Checkpoint ${filePath} belongs to ${checkpoint.repository}; use --restart or another --checkpoint file`,
+    );
+  }
+  return { ...fresh, ...checkpoint, issues: checkpoint.issues || {} };
+}
+
+/**
+ * Writes the checkpoint, replacing the file in one step so an interrupted
+ * write never leaves it half written
+ * @param {string} filePath - Checkpoint file
+ * @param {object} checkpoint - Checkpoint to save
+ * @returns {void}
+ */
+function saveCheckpoint(filePath, checkpoint) {
+  const temporary = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  fs.writeFileSync(
+    temporary,
+    `${JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2)}\n`,
+  );
+  fs.renameSync(temporary, filePath);
+}
+
+/**
+ * Backfills a repository's existing issues into Jira
+ * @param {object} options - Options from parseBackfillArgs()
+ * @param {object} deps - {github, jira, createIssueFromGitHub, addComment, sleep}; replaceable in tests
+ * @returns {Promise<object>} - {total, synced, resumed, comments, failed: [{number, error}]}
+ */
+async function backfill(options, deps = {}) {
+  const api = deps.github || github;
+  const client = deps.jira || jira;
+  const createFromGitHub = deps.createIssueFromGitHub || createIssueFromGitHub;
+  const importComment = deps.addComment || addComment;
+  const sleep = deps.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+  const filters = { state: options.state };
+  if (options.labels.length > 0) {
+    filters.labels = options.labels.join(",");
+  }
+  // GitHub's `since` filters on the update time; anything created since then
+  // was also updated since then, so it narrows the listing without losing issues
+  if (options.since) {
+    filters.since = options.since;
+  }
+
+  const issues = filterByCreatedDate(await api.listIssues(filters, options.repository), options);
+  console.log(`📋 ${issues.length} issue(s) in ${options.repository} match the filters`);
+
+  const checkpoint = options.dryRun
+    ? { repository: options.repository, issues: {} }
+    : loadCheckpoint(options.checkpoint, options.repository, options.restart);
+  const save = () => !options.dryRun && saveCheckpoint(options.checkpoint, checkpoint);
+  const summary = { total: issues.length, synced: 0, resumed: 0, comments: 0, failed: [] };
+
+  let processed = 0;
+  for (const issue of issues) {
+    const progress = checkpoint.issues[issue.number] || { jiraKey: null, comments: [] };
+    if (progress.done) {
+      summary.resumed++;
+      continue;
+    }
+    // The limit counts issues worked on in this run, so re-running it takes the next batch
+    if (options.limit !== null && processed >= options.limit) {
+      break;
+    }
+    if (processed > 0 && options.delay > 0) {
+      await sleep(options.delay);
+    }
+    processed++;
+
+    console.log(`\n#${issue.number} ${issue.title}`);
+    try {
+      if (options.dryRun) {
+        await createFromGitHub(issue, { projectKey: options.projectKey, dryRun: true });
+        continue;
+      }
+
+      if (!progress.jiraKey) {
+        progress.jiraKey = await createFromGitHub(issue, { projectKey: options.projectKey });
+        checkpoint.issues[issue.number] = progress;
+        save();
+        summary.synced++;
+      }
+
+      if (options.comments && issue.comments > 0) {
+        const comments = await api.listIssueComments(issue.number, options.repository);
+        const imported = await importedCommentIds(progress.jiraKey, client);
+        for (const comment of comments) {
+          if (progress.comments.includes(comment.id)) {
+            continue;
+          }
+          if (imported.has(String(comment.id))) {
+            progress.comments.push(comment.id);
+            continue;
+          }
+          if (await importComment(progress.jiraKey, comment)) {
+            summary.comments++;
+          }
+          // Sync-posted comments are skipped by addComment() and recorded too
+          progress.comments.push(comment.id);
+          save();
+        }
+      }
+
+      progress.done = true;
+      delete progress.error;
+      checkpoint.issues[issue.number] = progress;
+      save();
+      console.log(`✅ #${issue.number} → ${progress.jiraKey}`);
+    } catch (error) {
+      console.error(`❌ #${issue.number}: ${error.message}`);
+      progress.error = error.message;
+      checkpoint.issues[issue.number] = progress;
+      save();
+      summary.failed.push({ number: issue.number, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+// CLI usage
+if (require.main === module) {
+  let options;
+  try {
+    options = parseBackfillArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error("Usage: node backfill.js [options]");
+    console.error("  --repo owner/name       Repository to backfill (default GITHUB_REPOSITORY)");
+    console.error("  --project KEY           Jira project (default JIRA_PROJECT_KEY)");
+    console.error("  --state open|closed|all Issue state (default open)");
+    console.error("  --label a,b             Only issues with all of these labels (repeatable)");
+    console.error("  --since DATE            Only issues created on or after DATE");
+    console.error("  --until DATE            Only issues created on or before DATE");
+    console.error("  --limit N               Process at most N unfinished issues per run");
+    console.error("  --no-comments           Do not import existing comments");
+    console.error("  --dry-run               Preview the Jira issues without creating anything");
+    console.error(`  --checkpoint FILE       Progress file (default ${DEFAULT_CHECKPOINT_FILE})`);
+    console.error("  --restart               Ignore the progress of a previous run");
+    console.error(`  --delay MS              Pause between issues (default ${DEFAULT_DELAY})`);
+    console.error("Example: node backfill.js --state all --label bug --since 2024-01-01");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (!options.projectKey) {
+    missingEnv.push("JIRA_PROJECT_KEY");
+  }
+  if (!options.repository) {
+    missingEnv.push("GITHUB_REPOSITORY");
+  }
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const summary = await backfill(options);
+      console.log(
+        `\n📊 Backfill: ${summary.synced} synced, ${summary.resumed} already done, ` +
+          `${summary.comments} comment(s) imported, ${summary.failed.length} failed ` +
+          `(${summary.total} issue(s))`,
+      );
+      if (summary.failed.length > 0) {
+        console.log("ℹ️  Run the same command again to retry the failed issues");
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ Backfill failed: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_CHECKPOINT_FILE,
+  parseBackfillArgs,
+  filterByCreatedDate,
+  importedCommentIds,
+  loadCheckpoint,
+  saveCheckpoint,
+  backfill,
+};
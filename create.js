@@ -1,73 +1,311 @@
-const axios = require("axios");
-const { textToADF, isValidADF } = require("./adf-utils");
-const { mapGitHubIssueToJiraFields } = require("./map-issue-type");
+const { textToADF, markdownToADF, adfToMarkdown, isValidADF } = require("./adf-utils");
+const { JiraClient, JiraValidationError } = require("./jira-client");
+const { getCreateMeta, applyCreateMeta } = require("./jira-metadata");
+const { syncAttachments } = require("./attachments");
+const { mapGitHubIssueToJiraFields, loadMappingRules } = require("./map-issue-type");
+const { createLinkStore, describeIssue, ENTITY_PROPERTY_KEY } = require("./link-store");
+const { parseGitHubIssueUrl } = require("./github-api");
+const { createUserMapper, userToADF } = require("./user-mapping");
+const { buildLabelFields } = require("./sync-labels");
+const { loadTaskLists, syncSubtasks } = require("./task-lists");
+const { syncJiraMilestone } = require("./sync-milestone");
+const { syncIssueLinks, describeLink } = require("./issue-links");
 
 // Get environment variables (GitHub workflow style)
-const username = process.env.JIRA_USER_EMAIL;
-const password = process.env.JIRA_API_TOKEN;
-const baseUrl = process.env.JIRA_BASE_URL;
 const projectKey = process.env.JIRA_PROJECT_KEY;
+const jira = JiraClient.fromEnv();
 
-const auth = {
-  username: username,
-  password: password,
-};
+/**
+ * Builds the create-issue payload, converting the description to ADF
+ * @param {string} projectKey - Jira project key
+ * @param {string} issueType - Issue type (e.g., "Task", "Bug", "Story")
+ * @param {string} summary - Issue title/summary
+ * @param {string|object} description - Issue description (markdown text or ADF object)
+ * @param {object} additionalFields - Additional Jira fields (priority, components, etc.)
+ * @returns {object} - Request body for POST /issue
+ */
+function buildIssuePayload(projectKey, issueType, summary, description, additionalFields = {}) {
+  // Handle description: convert plain text to ADF or use existing ADF
+  let adfDescription;
+  if (typeof description === "string") {
+    // Markdown (e.g. a GitHub issue body) - convert to ADF
+    adfDescription = markdownToADF(description, {
+      taskLists: loadTaskLists().mode === "adf",
+    });
+  } else if (description && typeof description === "object" && isValidADF(description)) {
+    // Already in ADF format - use as is
+    adfDescription = description;
+  } else if (description && typeof description === "object") {
+    // Object but not valid ADF - try to convert to string first
+    adfDescription = textToADF(JSON.stringify(description));
+  } else {
+    // Null, undefined, or other - create empty ADF
+    adfDescription = textToADF("");
+  }
+
+  // GitHub URL is included in the description body, not as a custom field
+  return {
+    fields: {
+      project: { key: projectKey },
+      summary: summary,
+      description: adfDescription,
+      issuetype: { name: issueType },
+      ...additionalFields,
+    },
+  };
+}
+
+/**
+ * Checks a create-issue payload for problems Jira would reject
+ * @param {object} data - Payload from buildIssuePayload()
+ * @returns {string[]} - Problems found (empty when the payload looks valid)
+ */
+function validateIssuePayload(data) {
+  const fields = data.fields || {};
+  const problems = [];
+
+  if (!fields.project || !fields.project.key) {
+    problems.push("project: no project key (set JIRA_PROJECT_KEY)");
+  }
+  if (!fields.issuetype || !fields.issuetype.name) {
+    problems.push("issuetype: no issue type");
+  }
+  if (!fields.summary || !String(fields.summary).trim()) {
+    problems.push("summary: must not be empty");
+  } else if (fields.summary.length > 255) {
+    problems.push(`summary: ${fields.summary.length} characters (Jira allows 255)`);
+  } else if (/[\r\n]/.test(fields.summary)) {
+    problems.push("summary: must be a single line");
+  }
+  if (!isValidADF(fields.description)) {
+    problems.push("description: not a valid ADF document");
+  }
+  if (fields.priority && !fields.priority.name && !fields.priority.id) {
+    problems.push("priority: needs a name or id");
+  }
+  (fields.components || []).forEach((component, index) => {
+    if (!component || (!component.name && !component.id)) {
+      problems.push(`components[${index}]: needs a name or id`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Applies the project's create metadata to a payload, falling back to the
+ * configured defaults for values Jira would reject
+ * @param {object} data - Payload from buildIssuePayload()
+ * @param {object} defaults - {issueType, priority} fallbacks
+ * @returns {Promise<object>} - {payload, problems, warnings}; unreachable metadata is only a warning
+ */
+async function checkCreateMeta(data, defaults = {}) {
+  const project = data.fields && data.fields.project && data.fields.project.key;
+  if (!project) {
+    return { payload: data, problems: [], warnings: [] };
+  }
+
+  let meta;
+  try {
+    meta = await getCreateMeta(project, { jira });
+  } catch (error) {
+    return {
+      payload: data,
+      problems: [],
+      warnings: [`Skipped create metadata check: ${error.message}`],
+    };
+  }
+
+  const { fields, warnings, problems } = applyCreateMeta(data.fields, meta, defaults);
+  return { payload: { ...data, fields }, problems, warnings };
+}
+
+/**
+ * Describes a field value in one line for the payload preview
+ * @param {*} value - Field value
+ * @returns {string} - Readable value
+ */
+function describeFieldValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(describeFieldValue).join(", ");
+  }
+  if (value && typeof value === "object") {
+    const named = value.name || value.key || value.value || value.id || value.accountId;
+    if (named !== undefined) {
+      return String(named);
+    }
+    return Object.values(value).some((part) => part !== undefined)
+      ? JSON.stringify(value)
+      : "(not set)";
+  }
+  return String(value);
+}
+
+/**
+ * Formats a create-issue payload as a diff-style preview ("+" for every field sent)
+ * @param {object} data - Payload from buildIssuePayload()
+ * @returns {string} - Preview text
+ */
+function formatPayloadPreview(data) {
+  const { description, ...fields } = data.fields || {};
+  const lines = Object.entries(fields).map(([fieldId, value]) =>
+    `+ ${fieldId}: ${describeFieldValue(value)}`.trimEnd(),
+  );
+
+  lines.push("+ description:");
+  adfToMarkdown(description)
+    .split("\n")
+    .forEach((line) => lines.push(`+   ${line}`.trimEnd()));
+
+  return lines.join("\n");
+}
+
+/**
+ * Checks whether a description starts with the "Original GitHub Issue" link
+ * that createGitHubIssueADF() writes for the given URL
+ * @param {object} description - ADF description
+ * @param {string} githubUrl - GitHub issue URL
+ * @returns {boolean} - Whether the description was synced from that issue
+ */
+function hasGitHubIssueMarker(description, githubUrl) {
+  const first = description && Array.isArray(description.content) && description.content[0];
+  if (!first || first.type !== "paragraph" || !Array.isArray(first.content)) {
+    return false;
+  }
+  const [label, link] = first.content;
+  return Boolean(
+    label &&
+    label.text === "Original GitHub Issue: " &&
+    link &&
+    (link.marks || []).some((mark) => mark.type === "link" && mark.attrs.href === githubUrl),
+  );
+}
+
+/**
+ * Finds a Jira issue already created for a GitHub issue: first through the
+ * link store, then by searching the project for the "Original GitHub Issue"
+ * link at the top of every synced description
+ * @param {object} githubIssue - GitHub issue ({number, html_url})
+ * @param {string} projectKey - Jira project key
+ * @returns {Promise<string|null>} - Existing Jira issue key
+ */
+async function findExistingIssue(githubIssue, projectKey) {
+  const linked = await createLinkStore().getJiraKey(githubIssue);
+  if (linked) {
+    return linked;
+  }
+
+  const { issueUrl } = describeIssue(githubIssue);
+  const candidates = await jira.searchIssues(
+    `project = "${projectKey}" AND text ~ "\\"${issueUrl}\\"" ORDER BY created ASC`,
+    { fields: ["description"], limit: 20 },
+  );
+  const match = candidates.find((candidate) =>
+    hasGitHubIssueMarker(candidate.fields && candidate.fields.description, issueUrl),
+  );
+  return match ? match.key : null;
+}
 
 /**
  * Creates an issue in Jira Cloud using REST API
  * @param {string} projectKey - Jira project key
  * @param {string} issueType - Issue type (e.g., "Task", "Bug", "Story")
  * @param {string} summary - Issue title/summary
- * @param {string|object} description - Issue description (plain text or ADF object)
+ * @param {string|object} description - Issue description (markdown text or ADF object)
  * @param {object} additionalFields - Additional Jira fields (priority, components, etc.)
- * @returns {Promise<string>} - Jira issue key
+ * @param {object} options - Creation options
+ * @param {boolean} options.dryRun - Validate and preview the payload without creating it
+ * @param {object} options.defaults - {issueType, priority} fallbacks for values Jira would reject
+ * @param {object} options.githubIssue - Source GitHub issue ({number, html_url}); an issue
+ *   already synced from it is returned instead of creating a duplicate
+ * @param {boolean} options.force - Create even if the GitHub issue is already synced
+ * @returns {Promise<string|object>} - Jira issue key, or {payload, problems, warnings, existingKey}
+ *   for a dry run
  */
-async function createIssue(projectKey, issueType, summary, description, additionalFields = {}) {
+async function createIssue(
+  projectKey,
+  issueType,
+  summary,
+  description,
+  additionalFields = {},
+  options = {},
+) {
   try {
-    // Handle description: convert plain text to ADF or use existing ADF
-    let adfDescription;
-    if (typeof description === "string") {
-      // Plain text - convert to ADF
-      adfDescription = textToADF(description);
-    } else if (description && typeof description === "object" && isValidADF(description)) {
-      // Already in ADF format - use as is
-      adfDescription = description;
-    } else if (description && typeof description === "object") {
-      // Object but not valid ADF - try to convert to string first
-      adfDescription = textToADF(JSON.stringify(description));
-    } else {
-      // Null, undefined, or other - create empty ADF
-      adfDescription = textToADF("");
+    let existingKey = null;
+    if (options.githubIssue && !options.force) {
+      try {
+        existingKey = await findExistingIssue(options.githubIssue, projectKey);
+      } catch (error) {
+        console.warn(`⚠️  Could not check for an existing Jira issue: ${error.message}`);
+      }
+    }
+    if (existingKey && !options.dryRun) {
+      console.log(
+        `♻️  ${describeIssue(options.githubIssue).issueUrl} is already synced to ${existingKey}; not creating a duplicate (use --force to override)`,
+      );
+      return existingKey;
     }
 
-    const data = {
-      fields: {
-        project: { key: projectKey },
-        summary: summary,
-        description: adfDescription,
-        issuetype: { name: issueType },
-        ...additionalFields,
-      },
-    };
+    let defaults = options.defaults;
+    if (!defaults) {
+      const rules = loadMappingRules();
+      defaults = { issueType: rules.defaultIssueType, priority: rules.defaultPriority };
+    }
+    const built = buildIssuePayload(projectKey, issueType, summary, description, additionalFields);
+    const {
+      payload: data,
+      problems: metaProblems,
+      warnings,
+    } = await checkCreateMeta(built, defaults);
+    const problems = [...validateIssuePayload(data), ...metaProblems];
 
-    console.log(data);
+    // Tag the issue with its GitHub source in the same request, so a re-run
+    // finds it even if recording the link afterwards fails
+    if (options.githubIssue) {
+      data.properties = [{ key: ENTITY_PROPERTY_KEY, value: describeIssue(options.githubIssue) }];
+    }
 
-    // GitHub URL is now included in the description body, not as a custom field
+    if (existingKey) {
+      warnings.push(
+        `Already synced to ${existingKey}; a real run would return it without creating`,
+      );
+    }
 
-    const config = {
-      headers: { "Content-Type": "application/json" },
-      auth: auth,
-    };
+    if (options.dryRun) {
+      console.log("🔍 Dry run: the following issue would be created\n");
+      console.log(formatPayloadPreview(data));
+      console.log("");
+      warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+      problems.forEach((problem) => console.error(`❌ ${problem}`));
 
-    const response = await axios.post(`${baseUrl}/rest/api/3/issue`, data, config);
-    return response.data.key;
+      return { dryRun: true, payload: data, problems, warnings, existingKey };
+    }
+
+    warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+    if (problems.length > 0) {
+      throw new JiraValidationError(`Issue cannot be created in ${projectKey}`, {
+        errorMessages: problems,
+      });
+    }
+
+    const response = await jira.post(jira.api("/issue"), data);
+
+    // Attachments need the issue key, so they are uploaded after creation
+    try {
+      const attached = await syncAttachments(response.key, data.fields.description, { jira });
+      if (attached.changed) {
+        await jira.put(jira.api(`/issue/${response.key}`), {
+          fields: { description: attached.doc },
+        });
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not sync attachments to ${response.key}: ${error.message}`);
+    }
+
+    return response.key;
   } catch (error) {
     console.error("Error creating Jira issue:");
-    if (error.response && error.response.data && error.response.data.errors) {
-      console.error(JSON.stringify(error.response.data.errors, null, 2));
-    } else {
-      console.error(error.message);
-    }
+    console.error(error.message);
     throw error;
   }
 }
@@ -75,9 +313,10 @@ async function createIssue(projectKey, issueType, summary, description, addition
 /**
  * Creates a complex ADF description with GitHub metadata
  * @param {string} githubUrl - GitHub issue URL
- * @param {string} author - GitHub issue author
+ * @param {string|object} author - GitHub login of the author, or the user resolved by
+ *   createUserMapper().resolve() to mention their Jira account
  * @param {string} createdAt - Creation timestamp
- * @param {string} body - Issue body
+ * @param {string} body - Issue body (GitHub-Flavored Markdown)
  * @param {object} mappingInfo - Additional mapping information
  * @returns {object} - ADF formatted description
  */
@@ -108,12 +347,15 @@ function createGitHubIssueADF(githubUrl, author, createdAt, body, mappingInfo =
     // Author info
     {
       type: "paragraph",
-      content: [
-        {
-          type: "text",
-          text: `Created by: ${author}`,
-        },
-      ],
+      content:
+        author && author.accountId
+          ? [{ type: "text", text: "Created by: " }, ...userToADF(author)]
+          : [
+              {
+                type: "text",
+                text: `Created by: ${author && typeof author === "object" ? author.login : author}`,
+              },
+            ],
     },
     // Created date
     {
@@ -178,22 +420,9 @@ function createGitHubIssueADF(githubUrl, author, createdAt, body, mappingInfo =
     });
   }
 
-  // Add issue body if provided
+  // Add issue body if provided, converting GitHub markdown to rich ADF
   if (body && body.trim()) {
-    // Split body into paragraphs
-    const paragraphs = body.split("\n").filter((line) => line.trim() !== "");
-
-    paragraphs.forEach((paragraph) => {
-      content.push({
-        type: "paragraph",
-        content: [
-          {
-            type: "text",
-            text: paragraph.trim(),
-          },
-        ],
-      });
-    });
+    content.push(...markdownToADF(body, { taskLists: loadTaskLists().mode === "adf" }).content);
   }
 
   return {
@@ -203,13 +432,160 @@ function createGitHubIssueADF(githubUrl, author, createdAt, body, mappingInfo =
   };
 }
 
+/**
+ * Turns a mapping result into additional Jira fields
+ * @param {object} mapping - Result of mapGitHubIssueToJiraFields()
+ * @returns {object} - priority, components and custom fields
+ */
+function buildMappedFields(mapping) {
+  const fields = {};
+
+  if (mapping.priority) {
+    fields.priority = { name: mapping.priority };
+  }
+  if (mapping.components && mapping.components.length > 0) {
+    fields.components = mapping.components.map((component) => ({ name: component }));
+  }
+
+  // Custom fields from the configured custom field rules
+  return Object.assign(fields, mapping.customFields);
+}
+
+/**
+ * Records (or repairs) the GitHub issue ↔ Jira key link for comment and edit
+ * sync, warning instead of failing since the issue already exists
+ * @param {object} githubIssue - GitHub issue ({number, html_url})
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<void>}
+ */
+async function linkGitHubIssue(githubIssue, issueKey) {
+  try {
+    await createLinkStore().link(githubIssue, issueKey);
+    console.log(`🔗 Linked ${githubIssue.html_url} ↔ ${issueKey}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not record the GitHub ↔ Jira link: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the sub-tasks for the issue's task list when `taskLists.mode` is
+ * "subtasks", warning instead of failing since the issue already exists
+ * @param {object} githubIssue - GitHub issue ({body})
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<void>}
+ */
+async function createTaskListSubtasks(githubIssue, issueKey) {
+  try {
+    const result = await syncSubtasks(issueKey, githubIssue);
+    if (result && result.created.length > 0) {
+      console.log(`☑️  Created sub-tasks ${result.created.join(", ")} for the task list`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not create the task list sub-tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Carries the issue's milestone over to the new Jira issue, warning instead of
+ * failing since the issue already exists
+ * @param {object} githubIssue - GitHub issue ({milestone})
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<void>}
+ */
+async function syncCreatedMilestone(githubIssue, issueKey) {
+  if (!githubIssue.milestone) {
+    return;
+  }
+  try {
+    const applied = await syncJiraMilestone(issueKey, githubIssue);
+    if (applied) {
+      console.log(`🏁 Set the ${applied.target} to milestone "${applied.name}"`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not sync the milestone: ${error.message}`);
+  }
+}
+
+/**
+ * Links the issues the body refers to ("blocked by #12"), warning instead of
+ * failing since the issue already exists
+ * @param {object} githubIssue - GitHub issue ({number, html_url, body})
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<void>}
+ */
+async function linkReferencedIssues(githubIssue, issueKey) {
+  try {
+    const created = await syncIssueLinks(issueKey, githubIssue);
+    if (created.length > 0) {
+      console.log(`🔗 Linked ${created.map(describeLink).join(", ")}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not link the referenced issues: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Jira issue for a GitHub issue taken from an event payload:
+ * maps it, builds the description, creates (or finds) the issue and links it
+ * @param {object} githubIssue - GitHub issue ({number, title, body, html_url, user, created_at, labels})
+ * @param {object} options - {projectKey, force, dryRun}
+ * @returns {Promise<string|object>} - Jira issue key, or the createIssue() result for a dry run
+ */
+async function createIssueFromGitHub(githubIssue, options = {}) {
+  const mapping = mapGitHubIssueToJiraFields(githubIssue);
+  const rules = loadMappingRules(mapping.template);
+
+  // Mention the author and @mentioned users, and set reporter/assignee, for mapped users
+  const users = createUserMapper({ jira });
+  const description = await users.mentionsToADF(
+    createGitHubIssueADF(
+      githubIssue.html_url,
+      await users.resolve(githubIssue.user && githubIssue.user.login),
+      githubIssue.created_at,
+      githubIssue.body || "",
+      mapping,
+    ),
+  );
+
+  const issueKey = await createIssue(
+    options.projectKey || projectKey,
+    mapping.issueType,
+    `[GitHub] ${githubIssue.title}`,
+    description,
+    {
+      ...buildMappedFields(mapping),
+      ...buildLabelFields(mapping.labels),
+      ...(await users.issueUserFields(githubIssue)),
+      ...(await users.customUserFields(mapping.userFields)),
+    },
+    {
+      defaults: { issueType: rules.defaultIssueType, priority: rules.defaultPriority },
+      githubIssue,
+      force: options.force,
+      dryRun: options.dryRun,
+    },
+  );
+  if (options.dryRun) {
+    return issueKey;
+  }
+
+  await linkGitHubIssue(githubIssue, issueKey);
+  await createTaskListSubtasks(githubIssue, issueKey);
+  await syncCreatedMilestone(githubIssue, issueKey);
+  await linkReferencedIssues(githubIssue, issueKey);
+  return issueKey;
+}
+
 // CLI usage
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const flags = ["--dry-run", "--force"];
+  const dryRun = process.argv.includes("--dry-run");
+  const force = process.argv.includes("--force");
+  const args = process.argv.slice(2).filter((arg) => !flags.includes(arg));
 
   if (args.length < 3) {
     console.error(
-      "Usage: node create.js <issueType> <summary> <description> [githubUrl] [author] [createdAt] [githubLabelsJson]",
+      "Usage: node create.js [--dry-run] [--force] <issueType> <summary> <description> [githubUrl] [author] [createdAt] [githubLabelsJson]",
     );
     console.error(
       "Example: node create.js 'Task' 'Issue title' 'Issue description' 'https://github.com/user/repo/issues/1' 'username' '2023-01-01T00:00:00Z' '[\"Bug Report\"]'",
@@ -220,12 +596,16 @@ if (require.main === module) {
   const [issueType, summary, description, githubUrl, author, createdAt, githubLabelsJson] = args;
 
   // Validate required environment variables
-  if (!username || !password || !baseUrl || !projectKey) {
+  const missingEnv = JiraClient.missingEnv();
+  if (!projectKey) {
+    missingEnv.push("JIRA_PROJECT_KEY");
+  }
+  if (missingEnv.length > 0 && dryRun) {
+    // A dry run still previews and validates the payload offline
+    console.warn(`⚠️  Missing environment variables: ${missingEnv.join(", ")}`);
+  } else if (missingEnv.length > 0) {
     console.error("Missing required environment variables:");
-    console.error("- JIRA_USER_EMAIL");
-    console.error("- JIRA_API_TOKEN");
-    console.error("- JIRA_BASE_URL");
-    console.error("- JIRA_PROJECT_KEY");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
     process.exit(1);
   }
 
@@ -233,8 +613,10 @@ if (require.main === module) {
   (async () => {
     try {
       let finalDescription;
+      let jiraIssueType = issueType;
       let additionalFields = {};
       let mappingInfo = {};
+      let defaults;
 
       // Parse GitHub labels if provided
       if (githubLabelsJson) {
@@ -248,16 +630,15 @@ if (require.main === module) {
 
           const mapping = mapGitHubIssueToJiraFields(mockIssue);
           mappingInfo = mapping;
+          // The workflow maps labels only; a templates.<id>.issueType override wins
+          jiraIssueType = mapping.issueType || issueType;
 
-          // Set priority if mapped
-          if (mapping.priority) {
-            additionalFields.priority = { name: mapping.priority };
-          }
+          // Fallbacks for values that do not exist in the Jira project
+          const rules = loadMappingRules(mapping.template);
+          defaults = { issueType: rules.defaultIssueType, priority: rules.defaultPriority };
 
-          // Set components if mapped
-          if (mapping.components && mapping.components.length > 0) {
-            additionalFields.components = mapping.components.map((comp) => ({ name: comp }));
-          }
+          // Set priority, components and custom fields if mapped, and mirror the labels
+          additionalFields = { ...buildMappedFields(mapping), ...buildLabelFields(mapping.labels) };
 
           console.log(`🏷️  GitHub Labels: [${mapping.labels.join(", ")}]`);
           console.log(`📋 Mapped Issue Type: ${mapping.issueType}`);
@@ -272,34 +653,73 @@ if (require.main === module) {
 
       // If GitHub metadata is provided, create rich ADF description
       if (githubUrl && author && createdAt) {
-        finalDescription = createGitHubIssueADF(
-          githubUrl,
-          author,
-          createdAt,
-          description,
-          mappingInfo,
+        const users = createUserMapper({ jira });
+        finalDescription = await users.mentionsToADF(
+          createGitHubIssueADF(
+            githubUrl,
+            await users.resolve(author),
+            createdAt,
+            description,
+            mappingInfo,
+          ),
         );
+        Object.assign(additionalFields, await users.issueUserFields({ user: { login: author } }));
       } else {
         // Use plain description
         finalDescription = description;
       }
 
+      // User picker custom fields hold GitHub logins until resolved to Jira accounts
+      if (mappingInfo.userFields) {
+        Object.assign(
+          additionalFields,
+          await createUserMapper({ jira }).customUserFields(mappingInfo.userFields),
+        );
+      }
+
+      const githubIssue = parseGitHubIssueUrl(githubUrl);
+
+      if (dryRun) {
+        const result = await createIssue(
+          projectKey,
+          jiraIssueType,
+          summary,
+          finalDescription,
+          additionalFields,
+          { dryRun: true, defaults, githubIssue, force },
+        );
+        if (result.problems.length > 0) {
+          console.error(
+            `❌ Dry run found ${result.problems.length} problem(s); nothing was created`,
+          );
+          process.exit(1);
+        }
+        console.log("✅ Dry run passed; nothing was created");
+        return;
+      }
+
       const issueKey = await createIssue(
         projectKey,
-        issueType,
+        jiraIssueType,
         summary,
         finalDescription,
         additionalFields,
+        { defaults, githubIssue, force },
       );
-      console.log(`✅ Successfully created Jira issue: ${issueKey}`);
-      console.log(`🔗 Issue URL: ${baseUrl}/browse/${issueKey}`);
+      console.log(`✅ Successfully synced to Jira issue: ${issueKey}`);
+      console.log(`🔗 Issue URL: ${jira.browseUrl(issueKey)}`);
+
+      if (githubIssue) {
+        await linkGitHubIssue(githubIssue, issueKey);
+      }
+      await createTaskListSubtasks({ body: description }, issueKey);
 
       // Output for GitHub workflow
       if (process.env.GITHUB_OUTPUT) {
         require("fs").appendFileSync(process.env.GITHUB_OUTPUT, `jira-key=${issueKey}\n`);
         require("fs").appendFileSync(
           process.env.GITHUB_OUTPUT,
-          `jira-url=${baseUrl}/browse/${issueKey}\n`,
+          `jira-url=${jira.browseUrl(issueKey)}\n`,
         );
       }
     } catch (error) {
@@ -312,4 +732,12 @@ if (require.main === module) {
 module.exports = {
   createIssue,
   createGitHubIssueADF,
+  buildIssuePayload,
+  validateIssuePayload,
+  checkCreateMeta,
+  formatPayloadPreview,
+  hasGitHubIssueMarker,
+  findExistingIssue,
+  buildMappedFields,
+  createIssueFromGitHub,
 };
@@ -0,0 +1,279 @@
+const axios = require("axios");
+const { parseRetryAfter } = require("./jira-client");
+
+// Longest wait for a rate limit to reset before giving up (the primary limit resets hourly)
+const MAX_RATE_LIMIT_WAIT = 60 * 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Get environment variables (GitHub workflow style)
+const token = process.env.GITHUB_TOKEN;
+const repository = process.env.GITHUB_REPOSITORY;
+const apiUrl = process.env.GITHUB_API_URL || "https://api.github.com";
+
+/**
+ * Builds the axios request config for the GitHub REST API
+ * @returns {object} - axios config with auth and API version headers
+ */
+function requestConfig() {
+  return {
+    headers: {
+      Accept: "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  };
+}
+
+/**
+ * Works out how long to wait before retrying a rate-limited response
+ * @param {object} response - axios response (or error.response)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null if the response is not rate limited
+ */
+function rateLimitDelay(response, now = Date.now()) {
+  if (!response || ![403, 429].includes(response.status)) {
+    return null;
+  }
+  const headers = response.headers || {};
+
+  // Secondary rate limits send Retry-After; the primary limit sends the reset time
+  const retryAfter = parseRetryAfter(headers["retry-after"]);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  if (headers["x-ratelimit-remaining"] === "0" && headers["x-ratelimit-reset"]) {
+    return Math.max(0, Number(headers["x-ratelimit-reset"]) * 1000 - now) + 1000;
+  }
+  return null;
+}
+
+/**
+ * Sends a request to the GitHub REST API, waiting out rate limits
+ * @param {object} config - axios request config ({method, url, data, params})
+ * @param {number} attempt - Retries made so far
+ * @returns {Promise<object>} - axios response
+ */
+async function request(config, attempt = 0) {
+  try {
+    return await axios({ ...requestConfig(), ...config });
+  } catch (error) {
+    const delay = rateLimitDelay(error.response);
+    if (delay === null || attempt >= MAX_RATE_LIMIT_RETRIES || delay > MAX_RATE_LIMIT_WAIT) {
+      throw error;
+    }
+    console.warn(`⏳ GitHub rate limit reached, retrying in ${Math.ceil(delay / 1000)}s`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return request(config, attempt + 1);
+  }
+}
+
+/**
+ * Builds the REST URL of an issue
+ * @param {number|string} issueNumber - GitHub issue number
+ * @param {string} repo - Repository in "owner/name" form (defaults to GITHUB_REPOSITORY)
+ * @returns {string} - Issue API URL
+ */
+function issueUrl(issueNumber, repo = repository) {
+  if (!repo) {
+    throw new Error('GITHUB_REPOSITORY is not set (expected "owner/name")');
+  }
+  return `${apiUrl}/repos/${repo}/issues/${issueNumber}`;
+}
+
+/**
+ * Parses a GitHub issue URL (html or API form)
+ * @param {string} url - e.g. https://github.com/owner/repo/issues/12
+ * @returns {object|null} - {repository, number, html_url} or null if not an issue URL
+ */
+function parseGitHubIssueUrl(url) {
+  const match = String(url || "").match(
+    /github\.com\/(?:repos\/)?([^/\s]+\/[^/\s]+)\/issues\/(\d+)/,
+  );
+  if (!match) {
+    return null;
+  }
+
+  return {
+    repository: match[1],
+    number: parseInt(match[2], 10),
+    html_url: `https://github.com/${match[1]}/issues/${match[2]}`,
+  };
+}
+
+/**
+ * Fetches a GitHub issue
+ * @param {number|string} issueNumber - GitHub issue number
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<object>} - GitHub issue
+ */
+async function getIssue(issueNumber, repo = repository) {
+  const response = await request({ method: "get", url: issueUrl(issueNumber, repo) });
+  return response.data;
+}
+
+/**
+ * Updates a GitHub issue (title, body, state, labels, ...)
+ * @param {number|string} issueNumber - GitHub issue number
+ * @param {object} fields - Fields to update
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<object>} - Updated GitHub issue
+ */
+async function updateIssue(issueNumber, fields, repo = repository) {
+  const response = await request({
+    method: "patch",
+    url: issueUrl(issueNumber, repo),
+    data: fields,
+  });
+  return response.data;
+}
+
+/**
+ * Adds a comment to a GitHub issue
+ * @param {number|string} issueNumber - GitHub issue number
+ * @param {string} body - Comment markdown
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<object>} - Created comment
+ */
+async function createIssueComment(issueNumber, body, repo = repository) {
+  const response = await request({
+    method: "post",
+    url: `${issueUrl(issueNumber, repo)}/comments`,
+    data: { body },
+  });
+  return response.data;
+}
+
+/**
+ * Replaces the body of a GitHub issue comment
+ * @param {number|string} commentId - GitHub comment id
+ * @param {string} body - Comment markdown
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<object>} - Updated comment
+ */
+async function updateIssueComment(commentId, body, repo = repository) {
+  const response = await request({
+    method: "patch",
+    url: issueUrl(`comments/${commentId}`, repo),
+    data: { body },
+  });
+  return response.data;
+}
+
+/**
+ * Lists every comment on a GitHub issue, following pagination
+ * @param {number|string} issueNumber - GitHub issue number
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<Array<object>>} - All comments, oldest first
+ */
+async function listIssueComments(issueNumber, repo = repository) {
+  const comments = [];
+  let url = `${issueUrl(issueNumber, repo)}/comments?per_page=100`;
+
+  while (url) {
+    const response = await request({ method: "get", url });
+    comments.push(...response.data);
+    url = nextPageUrl(response);
+  }
+
+  return comments;
+}
+
+/**
+ * Lists the issues of a repository, following pagination (pull requests are left out)
+ * @param {object} filters - {state, labels, since, sort, direction}; labels is a comma-separated list
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<Array<object>>} - Matching issues, oldest first unless sort/direction say otherwise
+ */
+async function listIssues(filters = {}, repo = repository) {
+  if (!repo) {
+    throw new Error('GITHUB_REPOSITORY is not set (expected "owner/name")');
+  }
+
+  const issues = [];
+  let url = `${apiUrl}/repos/${repo}/issues`;
+  let params = { state: "open", sort: "created", direction: "asc", ...filters, per_page: 100 };
+
+  while (url) {
+    const response = await request({ method: "get", url, params });
+    issues.push(...response.data.filter((issue) => !issue.pull_request));
+    url = nextPageUrl(response);
+    // The next link already carries the query string
+    params = undefined;
+  }
+
+  return issues;
+}
+
+/**
+ * Lists the labels defined in a repository, following pagination
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<Array<object>>} - Labels ({name, color, description})
+ */
+async function listLabels(repo = repository) {
+  if (!repo) {
+    throw new Error('GITHUB_REPOSITORY is not set (expected "owner/name")');
+  }
+
+  const labels = [];
+  let url = `${apiUrl}/repos/${repo}/labels?per_page=100`;
+
+  while (url) {
+    const response = await request({ method: "get", url });
+    labels.push(...response.data);
+    url = nextPageUrl(response);
+  }
+
+  return labels;
+}
+
+/**
+ * Reads the rel="next" link of a paginated response
+ * @param {object} response - axios response
+ * @returns {string|null} - URL of the next page, or null on the last page
+ */
+function nextPageUrl(response) {
+  const next = (response.headers.link || "").match(/<([^>]+)>;\s*rel="next"/);
+  return next ? next[1] : null;
+}
+
+/**
+ * Fetches a GitHub user's public profile
+ * @param {string} login - GitHub login
+ * @returns {Promise<object>} - GitHub user ({login, name, email, ...}); email is null unless public
+ */
+async function getUser(login) {
+  const response = await request({
+    method: "get",
+    url: `${apiUrl}/users/${encodeURIComponent(login)}`,
+  });
+  return response.data;
+}
+
+/**
+ * Searches issues in a repository
+ * @param {string} query - Search qualifiers (the repository qualifier is added)
+ * @param {string} repo - Repository in "owner/name" form
+ * @returns {Promise<Array<object>>} - Matching issues (first page)
+ */
+async function searchIssues(query, repo = repository) {
+  const response = await request({
+    method: "get",
+    url: `${apiUrl}/search/issues`,
+    params: { q: `repo:${repo} is:issue ${query}`, per_page: 100 },
+  });
+  return response.data.items;
+}
+
+module.exports = {
+  parseGitHubIssueUrl,
+  getIssue,
+  updateIssue,
+  createIssueComment,
+  updateIssueComment,
+  listIssueComments,
+  listIssues,
+  listLabels,
+  searchIssues,
+  getUser,
+  rateLimitDelay,
+};
@@ -0,0 +1,281 @@
+/**
+ * GitHub Issue Form Parser
+ *
+ * GitHub renders issue forms (.github/ISSUE_TEMPLATE/*.yml) into the issue body
+ * as `### <field label>` sections followed by the submitted value. This module
+ * turns those sections back into a field map keyed by the template field `id`s
+ * (e.g. `affected-area`, `urgency`, `business-justification`).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const NO_RESPONSE = "_No response_";
+
+// Form elements that render a section in the issue body
+const INPUT_TYPES = ["input", "textarea", "dropdown", "checkboxes"];
+
+/**
+ * Normalizes a field label for comparison (case, whitespace and trailing colons)
+ * @param {string} label - Field label
+ * @returns {string} Normalized label
+ */
+function normalizeLabel(label) {
+  return String(label)
+    .replace(/^#+\s*/, "")
+    .replace(/\s+/g, " ")
+    .replace(/:$/, "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Converts a free-form label into an id-like key, used for sections that are
+ * not described by the template
+ * @param {string} label - Section label
+ * @returns {string} Slugified key
+ */
+function slugify(label) {
+  return normalizeLabel(label)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Loads and normalizes GitHub issue form templates
+ * @param {string} templateDir - Directory containing the issue form YAML files
+ * @returns {Array<object>} Templates: {file, name, labels, fields}
+ */
+function loadIssueTemplates(templateDir = "./.github/ISSUE_TEMPLATE") {
+  try {
+    return fs
+      .readdirSync(templateDir)
+      .filter((file) => /\.ya?ml$/.test(file) && file !== "config.yml")
+      .map((file) => {
+        const template = yaml.load(fs.readFileSync(path.join(templateDir, file), "utf8")) || {};
+        const fields = (template.body || [])
+          .filter((element) => INPUT_TYPES.includes(element.type) && element.attributes)
+          .map((element) => ({
+            id: element.id || slugify(element.attributes.label),
+            type: element.type,
+            label: element.attributes.label,
+            options: (element.attributes.options || []).map((option) =>
+              typeof option === "string" ? option : option.label,
+            ),
+            multiple: Boolean(element.attributes.multiple),
+            render: element.attributes.render,
+          }));
+
+        return {
+          file,
+          name: template.name,
+          labels: template.labels || [],
+          fields,
+        };
+      });
+  } catch (error) {
+    console.warn(`⚠️  Could not load issue templates from ${templateDir}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Returns the section headings found in an issue body, matching both the
+ * `### Label` form GitHub renders and bare lines equal to a known field label
+ * @param {Array<string>} lines - Issue body lines
+ * @param {Set<string>} knownLabels - Normalized labels of the template fields
+ * @returns {Array<object>} Headings: {index, label}
+ */
+function findSections(lines, knownLabels) {
+  const sections = [];
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) return;
+
+    const heading = line.match(/^###\s+(.+?)\s*$/);
+    if (heading) {
+      sections.push({ index, label: heading[1] });
+    } else if (knownLabels.has(normalizeLabel(line)) && line.trim() !== "") {
+      sections.push({ index, label: line.trim() });
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Chooses the template an issue was created from, by label and then by how
+ * many of the template's field labels appear in the body
+ * @param {object} githubIssue - GitHub issue ({labels, body})
+ * @param {Array<object>} templates - Templates from loadIssueTemplates()
+ * @returns {object|null} Matching template, or null
+ */
+function findTemplateForIssue(githubIssue, templates) {
+  const issueLabels = (githubIssue.labels || []).map((label) =>
+    normalizeLabel(typeof label === "string" ? label : label.name),
+  );
+
+  const byLabel = templates.find((template) =>
+    template.labels.some((label) => issueLabels.includes(normalizeLabel(label))),
+  );
+  if (byLabel) return byLabel;
+
+  const bodyLines = (githubIssue.body || "").split(/\r?\n/).map(normalizeLabel);
+  let best = null;
+  let bestScore = 0;
+  templates.forEach((template) => {
+    const score = template.fields.filter((field) =>
+      bodyLines.includes(normalizeLabel(field.label)),
+    ).length;
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Converts the raw text of a section into a typed value for its field
+ * @param {string} raw - Section text (already trimmed)
+ * @param {object|undefined} field - Template field definition
+ * @returns {string|Array<string>|null} Field value
+ */
+function parseFieldValue(raw, field) {
+  if (raw === "" || raw === NO_RESPONSE) {
+    return field && (field.type === "checkboxes" || field.multiple) ? [] : null;
+  }
+
+  if (!field) return raw;
+
+  switch (field.type) {
+    case "checkboxes":
+      // Checked options are rendered as `- [X] label`
+      return raw
+        .split("\n")
+        .map((line) => line.match(/^\s*[-*]\s+\[([ xX])\]\s+(.*)$/))
+        .filter((match) => match && match[1].toLowerCase() === "x")
+        .map((match) => match[2].trim());
+    case "dropdown":
+      if (field.multiple) {
+        return splitMultiSelect(raw, field.options);
+      }
+      return raw;
+    case "textarea":
+      if (field.render) {
+        // Rendered textareas are wrapped in a code fence
+        return raw.replace(/^(```|~~~)[^\n]*\n?/, "").replace(/\n?(```|~~~)$/, "");
+      }
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Splits a multi-select dropdown value, preferring known options so that
+ * options containing commas are kept intact
+ * @param {string} raw - Rendered value (options joined with ", ")
+ * @param {Array<string>} options - Template options
+ * @returns {Array<string>} Selected options
+ */
+function splitMultiSelect(raw, options = []) {
+  const selected = [];
+  let rest = raw;
+
+  while (rest) {
+    const option = options
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .find((candidate) => rest === candidate || rest.startsWith(`${candidate}, `));
+    const value = option || rest.split(", ")[0];
+    selected.push(value);
+    rest = rest.slice(value.length).replace(/^, /, "");
+  }
+
+  return selected;
+}
+
+/**
+ * Parses a GitHub issue form body into a field map keyed by template field ids
+ *
+ * Sections with no answer (`_No response_`) become `null` (or `[]` for
+ * checkboxes and multi-selects). Sections that are not part of the template
+ * are included under a slugified version of their heading.
+ *
+ * @param {string} body - GitHub issue body
+ * @param {object|null} template - Template from loadIssueTemplates()
+ * @returns {object} Field map: {[fieldId]: value}
+ */
+function parseIssueFormBody(body, template = null) {
+  if (!body || typeof body !== "string") return {};
+
+  const fields = template ? template.fields : [];
+  const fieldsByLabel = new Map(fields.map((field) => [normalizeLabel(field.label), field]));
+  const lines = body.replace(/\r\n?/g, "\n").split("\n");
+  const sections = findSections(lines, new Set(fieldsByLabel.keys()));
+
+  const values = {};
+  sections.forEach((section, index) => {
+    const end = index + 1 < sections.length ? sections[index + 1].index : lines.length;
+    const raw = lines
+      .slice(section.index + 1, end)
+      .join("\n")
+      .trim();
+    const field = fieldsByLabel.get(normalizeLabel(section.label));
+    const key = field ? field.id : slugify(section.label);
+
+    if (key && !(key in values)) {
+      values[key] = parseFieldValue(raw, field);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parses a GitHub issue created from an issue form
+ * @param {object} githubIssue - GitHub issue ({labels, body})
+ * @param {string} templateDir - Directory containing the issue form YAML files
+ * @returns {object} {template, fields} where template is the matched template name or null
+ */
+function parseGitHubIssueForm(githubIssue, templateDir = "./.github/ISSUE_TEMPLATE") {
+  const template = findTemplateForIssue(githubIssue, loadIssueTemplates(templateDir));
+
+  return {
+    template: template ? template.file.replace(/\.ya?ml$/, "") : null,
+    fields: parseIssueFormBody(githubIssue.body, template),
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.error("Usage: node issue-form-parser.js <issue-body> [github-labels-json]");
+    console.error('Example: node issue-form-parser.js "$(cat body.md)" \'["Bug Report"]\'');
+    process.exit(1);
+  }
+
+  try {
+    const labels = args[1] ? JSON.parse(args[1]) : [];
+    const result = parseGitHubIssueForm({ body: args[0], labels });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error("❌ Error parsing issue form:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  NO_RESPONSE,
+  loadIssueTemplates,
+  findTemplateForIssue,
+  parseIssueFormBody,
+  parseGitHubIssueForm,
+};
@@ -0,0 +1,330 @@
+/**
+ * GitHub cross-references → Jira issue links
+ *
+ * Issue bodies and comments refer to other issues as `#123`, `owner/repo#123`
+ * or by URL. Each referenced issue that is synced to Jira gets a Jira issue
+ * link to the issue the text belongs to. The link type comes from the phrase
+ * in front of the reference, looked up in `issueLinks.phrases` in
+ * label-mapping.json ("duplicate of #45" → Duplicate, "blocked by #12" →
+ * Blocks); a reference without a phrase gets `issueLinks.defaultLinkType`
+ * (Relates, or none when null). Phrases apply to lists of references too:
+ * "blocked by #12, #13 and #14".
+ *
+ * References in code, HTML comments and to the issue itself are ignored, as
+ * are referenced issues without a Jira issue. Links are only added: a link
+ * that already exists is not created again, and removing a reference leaves
+ * its link in Jira.
+ */
+
+const fs = require("fs");
+const { JiraClient } = require("./jira-client");
+const { createLinkStore } = require("./link-store");
+const { isSyncedGitHubComment } = require("./sync-origin");
+const { parseGitHubIssueUrl } = require("./github-api");
+
+const jira = JiraClient.fromEnv();
+
+// `direction` is seen from the issue the text belongs to: "outward" reads
+// "this issue duplicates #45", "inward" reads "this issue is blocked by #12"
+const DEFAULT_ISSUE_LINKS = {
+  enabled: true,
+  defaultLinkType: "Relates",
+  phrases: {
+    "duplicate of": { linkType: "Duplicate", direction: "outward" },
+    duplicates: { linkType: "Duplicate", direction: "outward" },
+    "duplicated by": { linkType: "Duplicate", direction: "inward" },
+    "blocked by": { linkType: "Blocks", direction: "inward" },
+    "depends on": { linkType: "Blocks", direction: "inward" },
+    blocks: { linkType: "Blocks", direction: "outward" },
+    "relates to": { linkType: "Relates", direction: "outward" },
+  },
+};
+
+// `#12`, `owner/repo#12` or an issue URL, not part of a word, path or HTML entity
+const REFERENCE_SOURCE =
+  "(?<![\\w&/#.-])(?:([A-Za-z0-9_.-]+\\/[A-Za-z0-9_.-]+))?#(\\d+)\\b" +
+  "|https?:\\/\\/github\\.com\\/[^/\\s]+\\/[^/\\s]+\\/issues\\/\\d+\\b";
+// Separators in a list of references: "#1, #2 and #3"
+const LIST_SEPARATOR_SOURCE = "(?:\\s*,\\s*(?:and\\s+|or\\s+)?|\\s+and\\s+|\\s+or\\s+|\\s*&\\s*)";
+
+/**
+ * Loads the issue link settings from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {enabled, defaultLinkType, phrases}
+ */
+function loadIssueLinks(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default issue link settings");
+  }
+
+  return { ...DEFAULT_ISSUE_LINKS, ...config.issueLinks };
+}
+
+/**
+ * Removes the parts of a markdown text whose references are not meant as links
+ * @param {string} text - Issue body or comment (GitHub-Flavored Markdown)
+ * @returns {string} - Text without code blocks, code spans and HTML comments
+ */
+function stripNonReferences(text) {
+  return String(text || "")
+    .replace(/<!--[^]*?-->/g, " ")
+    .replace(/^( {0,3})(`{3,}|~{3,})[^]*?(^\1\2\s*$|(?![^]))/gm, " ")
+    .replace(/(`+)[^`]+?\1/g, " ");
+}
+
+/**
+ * Reads a reference match into the issue it points at
+ * @param {string} match - Matched reference
+ * @param {string} repository - Repository of bare `#123` references
+ * @returns {object|null} - {repository, number}
+ */
+function parseReference(match, repository) {
+  const url = parseGitHubIssueUrl(match);
+  if (url) {
+    return { repository: url.repository, number: url.number };
+  }
+  const [, owner, number] = match.match(/^(?:([^#]+))?#(\d+)$/) || [];
+  return number ? { repository: owner || repository, number: parseInt(number, 10) } : null;
+}
+
+/**
+ * Finds the issue references of a text with the link each one asks for
+ * @param {string} text - Issue body or comment
+ * @param {string} repository - Repository of bare `#123` references ("owner/name")
+ * @param {object} settings - Issue link settings
+ * @returns {Array<object>} - [{repository, number, linkType, direction, phrase}] in text
+ *   order, one per issue; a reference after a phrase wins over a bare one
+ */
+function parseReferences(text, repository, settings = DEFAULT_ISSUE_LINKS) {
+  const source = stripNonReferences(text);
+  const rules = settings.phrases || {};
+  const normalize = (phrase) => phrase.trim().replace(/\s+/g, " ").toLowerCase();
+
+  // Phrases of the references that follow one, by position in the text
+  const phrased = new Map();
+  // Longest phrase first so "duplicated by" is not read as "duplicate"
+  const phrases = Object.keys(rules).sort((a, b) => b.length - a.length);
+  if (phrases.length > 0) {
+    const alternatives = phrases.map((phrase) =>
+      phrase
+        .trim()
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\s+/g, "\\s+"),
+    );
+    const reference = `(?:${REFERENCE_SOURCE})`;
+    const phraseRe = new RegExp(
+      `(?<![\\w-])(${alternatives.join("|")})\\s*:?\\s+(${reference}(?:${LIST_SEPARATOR_SOURCE}${reference})*)`,
+      "dgi",
+    );
+    for (const match of source.matchAll(phraseRe)) {
+      const phrase = phrases.find((candidate) => normalize(candidate) === normalize(match[1]));
+      const listStart = match.indices[2][0];
+      for (const listed of match[2].matchAll(new RegExp(REFERENCE_SOURCE, "g"))) {
+        phrased.set(listStart + listed.index, phrase);
+      }
+    }
+  }
+
+  const references = new Map();
+  for (const match of source.matchAll(new RegExp(REFERENCE_SOURCE, "g"))) {
+    const phrase = phrased.get(match.index) || null;
+    const linkType = phrase ? rules[phrase].linkType : settings.defaultLinkType;
+    const reference = parseReference(match[0], repository);
+    if (!linkType || !reference || !reference.repository) {
+      continue;
+    }
+
+    const id = `${reference.repository.toLowerCase()}#${reference.number}`;
+    const known = references.get(id);
+    if (!known || (!known.phrase && phrase)) {
+      references.set(id, {
+        ...reference,
+        linkType,
+        direction: (phrase && rules[phrase].direction) || "outward",
+        phrase,
+      });
+    }
+  }
+  return [...references.values()];
+}
+
+/**
+ * Builds the create request for a Jira issue link
+ * @param {string} jiraKey - Key of the issue the text belongs to
+ * @param {string} otherKey - Key of the referenced issue
+ * @param {string} linkType - Link type name
+ * @param {string} direction - "outward" or "inward", seen from jiraKey
+ * @returns {object} - POST /issueLink body
+ */
+function buildIssueLink(jiraKey, otherKey, linkType, direction) {
+  // Jira reads a created link as "<inwardIssue> <outward description> <outwardIssue>",
+  // e.g. {inwardIssue: A, outwardIssue: B, type: Blocks} is "A blocks B"
+  const [source, target] = direction === "inward" ? [otherKey, jiraKey] : [jiraKey, otherKey];
+  return {
+    type: { name: linkType },
+    inwardIssue: { key: source },
+    outwardIssue: { key: target },
+  };
+}
+
+/**
+ * Checks whether an issue already has the link a reference asks for
+ * @param {Array<object>} issueLinks - `issuelinks` field of the issue
+ * @param {string} otherKey - Key of the referenced issue
+ * @param {string|null} linkType - Link type name; null matches any link between the issues
+ * @returns {boolean} - Whether the issues are already linked
+ */
+function hasIssueLink(issueLinks, otherKey, linkType) {
+  return issueLinks.some((link) => {
+    const other = link.outwardIssue || link.inwardIssue || {};
+    const type = (link.type && link.type.name) || "";
+    return other.key === otherKey && (!linkType || type.toLowerCase() === linkType.toLowerCase());
+  });
+}
+
+/**
+ * Creates the Jira issue links for the references in an issue body or comment
+ * @param {string} jiraKey - Jira issue key of the GitHub issue the text belongs to
+ * @param {object} githubIssue - GitHub issue ({number, html_url, body})
+ * @param {object} options - {text (defaults to the issue body), settings}
+ * @returns {Promise<Array<object>>} - Created links [{key, linkType, direction}]
+ */
+async function syncIssueLinks(jiraKey, githubIssue, options = {}) {
+  const settings = options.settings || loadIssueLinks();
+  if (!settings.enabled) {
+    console.log("ℹ️  Issue link sync is turned off (issueLinks.enabled)");
+    return [];
+  }
+
+  const own = parseGitHubIssueUrl(githubIssue.html_url) || {};
+  const repository = own.repository || process.env.GITHUB_REPOSITORY;
+  const text = options.text === undefined ? githubIssue.body : options.text;
+  const references = parseReferences(text, repository, settings).filter(
+    (reference) =>
+      !(
+        reference.number === githubIssue.number &&
+        String(reference.repository).toLowerCase() === String(repository).toLowerCase()
+      ),
+  );
+  if (references.length === 0) {
+    return [];
+  }
+
+  try {
+    const { issueLinkTypes } = await jira.get(jira.api("/issueLinkType"));
+    const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "issuelinks" });
+    const issueLinks = issue.fields.issuelinks || [];
+    const linkStore = createLinkStore();
+    const created = [];
+
+    for (const reference of references) {
+      const label = `${reference.repository}#${reference.number}`;
+      const linkType = (issueLinkTypes || []).find(
+        (type) => type.name.toLowerCase() === String(reference.linkType).toLowerCase(),
+      );
+      if (!linkType) {
+        console.warn(`⚠️  Jira has no issue link type "${reference.linkType}"; skipping ${label}`);
+        continue;
+      }
+
+      let otherKey;
+      try {
+        otherKey = await linkStore.getJiraKey({
+          number: reference.number,
+          html_url: `https://github.com/${reference.repository}/issues/${reference.number}`,
+        });
+      } catch (error) {
+        console.warn(`⚠️  Could not look up ${label}: ${error.message}`);
+        continue;
+      }
+      if (!otherKey || otherKey === jiraKey) {
+        continue;
+      }
+
+      // A bare reference adds nothing to issues that are already linked
+      if (hasIssueLink(issueLinks, otherKey, reference.phrase ? linkType.name : null)) {
+        continue;
+      }
+
+      await jira.post(
+        jira.api("/issueLink"),
+        buildIssueLink(jiraKey, otherKey, linkType.name, reference.direction),
+      );
+      const direction = reference.direction === "inward" ? "inwardIssue" : "outwardIssue";
+      issueLinks.push({ type: { name: linkType.name }, [direction]: { key: otherKey } });
+      created.push({ key: otherKey, linkType: linkType.name, direction: reference.direction });
+    }
+    return created;
+  } catch (error) {
+    console.error(`Error linking the issues referenced by ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Describes a created link the way Jira shows it on the issue
+ * @param {object} link - {key, linkType, direction}
+ * @returns {string} - e.g. "Blocks ← PROJ-12"
+ */
+function describeLink(link) {
+  return `${link.linkType} ${link.direction === "inward" ? "←" : "→"} ${link.key}`;
+}
+
+// CLI usage
+if (require.main === module) {
+  const [jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = process.argv.slice(2);
+
+  if (!jiraKey || !eventPath) {
+    console.error("Usage: node issue-links.js <jiraKey> [eventPath]");
+    console.error(
+      "Links the issues referenced by the issue or comment in GITHUB_EVENT_PATH in Jira",
+    );
+    console.error("Example: node issue-links.js PROJ-123 ./issue-comment-event.json");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+      if (event.comment && isSyncedGitHubComment(event.comment)) {
+        console.log("⏭️  The comment was posted by the sync; nothing to link");
+        return;
+      }
+
+      const created = await syncIssueLinks(jiraKey, event.issue, {
+        text: event.comment ? event.comment.body : undefined,
+      });
+      if (created.length > 0) {
+        console.log(`✅ Linked ${jiraKey}: ${created.map(describeLink).join(", ")}`);
+      } else {
+        console.log(`ℹ️  No new issue links for ${jiraKey}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to link the issues referenced by ${jiraKey}: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_ISSUE_LINKS,
+  loadIssueLinks,
+  parseReferences,
+  buildIssueLink,
+  hasIssueLink,
+  syncIssueLinks,
+  describeLink,
+};
@@ -0,0 +1,411 @@
+/**
+ * Jira REST Client
+ *
+ * Shared client used by every script that talks to Jira. It handles:
+ *
+ * - Authentication: email + API token, or a bearer token (`JIRA_PAT`). Either
+ *   way the sync needs REST API v3, whose bodies are Atlassian Document Format,
+ *   so only Jira Cloud is supported. Data Center / Server only serve v2 (wiki
+ *   markup); `JIRA_API_VERSION=2` and their 404s for v3 paths are reported as such
+ * - Retries: 429 and 5xx responses (and dropped connections) are retried with
+ *   exponential backoff, honoring the `Retry-After` header. A POST may have
+ *   been applied before a 5xx or a dropped connection, so POSTs are retried on
+ *   429 only unless the caller marks them `idempotent`
+ * - Errors: `errorMessages` and field `errors` from Jira are surfaced as typed
+ *   exceptions (auth, permission, validation, not-found)
+ * - Pagination: offset (`startAt`/`isLast`) and token (`nextPageToken`) endpoints
+ */
+
+const axios = require("axios");
+
+const RETRYABLE_NETWORK_ERRORS = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+// Every caller sends and reads ADF bodies, which only REST API v3 has
+const SUPPORTED_API_VERSION = "3";
+const UNSUPPORTED_DEPLOYMENT =
+  "the sync sends Atlassian Document Format bodies, which only Jira Cloud's REST API v3 accepts; " +
+  "Jira Data Center / Server is not supported";
+
+/**
+ * Base class for errors returned by Jira
+ */
+class JiraError extends Error {
+  /**
+   * @param {string} message - Error summary
+   * @param {object} details - {status, errorMessages, errors, method, url}
+   */
+  constructor(message, details = {}) {
+    const problems = [
+      ...(details.errorMessages || []),
+      ...Object.entries(details.errors || {}).map(([field, text]) => `${field}: ${text}`),
+    ];
+    super(problems.length > 0 ? `${message}: ${problems.join("; ")}` : message);
+    this.name = this.constructor.name;
+    this.status = details.status || null;
+    this.errorMessages = details.errorMessages || [];
+    this.errors = details.errors || {};
+    this.method = details.method;
+    this.url = details.url;
+  }
+}
+
+/** 401: missing or invalid credentials */
+class JiraAuthError extends JiraError {}
+
+/** 403: authenticated but not allowed */
+class JiraPermissionError extends JiraError {}
+
+/** 400: the request was rejected, usually with field `errors` */
+class JiraValidationError extends JiraError {}
+
+/** 404: the issue, project or resource does not exist (or is not visible) */
+class JiraNotFoundError extends JiraError {}
+
+const ERROR_CLASSES = {
+  400: JiraValidationError,
+  401: JiraAuthError,
+  403: JiraPermissionError,
+  404: JiraNotFoundError,
+};
+
+/**
+ * Reads the retry delay from a Retry-After header (seconds or HTTP date)
+ * @param {string|undefined} header - Retry-After header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class JiraClient {
+  /**
+   * @param {object} options - Client options
+   * @param {string} options.baseUrl - Jira base URL, e.g. https://company.atlassian.net
+   * @param {string} options.email - Account email (with apiToken, for Jira Cloud)
+   * @param {string} options.apiToken - API token (with email, for Jira Cloud)
+   * @param {string} options.personalAccessToken - Bearer token, used instead of email + API token
+   * @param {string} options.apiVersion - REST API version used by api() paths; only "3" (the
+   *   default) is supported and any other value is rejected on the first request
+   * @param {number} options.maxRetries - Retries for 429/5xx responses (default 4)
+   * @param {number} options.retryDelay - Initial backoff in milliseconds (default 1000)
+   * @param {number} options.maxRetryDelay - Upper bound for a single wait (default 60000)
+   * @param {Function} options.sleep - Wait function, replaceable in tests
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || "").replace(/\/+$/, "");
+    this.email = options.email;
+    this.apiToken = options.apiToken;
+    this.personalAccessToken = options.personalAccessToken;
+    this.apiVersion = String(options.apiVersion || "3");
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    this.maxRetryDelay = options.maxRetryDelay !== undefined ? options.maxRetryDelay : 60000;
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Creates a client from environment variables (GitHub workflow style):
+   * JIRA_BASE_URL, JIRA_USER_EMAIL + JIRA_API_TOKEN or JIRA_PAT, JIRA_API_VERSION
+   * @param {object} env - Environment variables
+   * @returns {JiraClient} - Configured client
+   */
+  static fromEnv(env = process.env) {
+    return new JiraClient({
+      baseUrl: env.JIRA_BASE_URL,
+      email: env.JIRA_USER_EMAIL,
+      apiToken: env.JIRA_API_TOKEN,
+      personalAccessToken: env.JIRA_PAT,
+      apiVersion: env.JIRA_API_VERSION,
+    });
+  }
+
+  /**
+   * Lists the Jira environment variables that are missing
+   * @param {object} env - Environment variables
+   * @returns {string[]} - Missing variable names (alternatives joined with "or")
+   */
+  static missingEnv(env = process.env) {
+    const missing = [];
+    if (!env.JIRA_BASE_URL) {
+      missing.push("JIRA_BASE_URL");
+    }
+    if (!env.JIRA_PAT) {
+      if (!env.JIRA_USER_EMAIL) {
+        missing.push("JIRA_USER_EMAIL (or JIRA_PAT)");
+      }
+      if (!env.JIRA_API_TOKEN) {
+        missing.push("JIRA_API_TOKEN (or JIRA_PAT)");
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Builds a REST API path for the configured API version
+   * @param {string} path - Path below /rest/api/<version>, e.g. "/issue/PROJ-1"
+   * @returns {string} - Full API path
+   */
+  api(path) {
+    return `/rest/api/${this.apiVersion}${path}`;
+  }
+
+  /**
+   * Builds the browse URL of an issue
+   * @param {string} issueKey - Jira issue key
+   * @returns {string} - Issue URL
+   */
+  browseUrl(issueKey) {
+    return `${this.baseUrl}/browse/${issueKey}`;
+  }
+
+  /**
+   * Sends a request, retrying rate-limited and server errors
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the base URL (e.g. from api())
+   * @param {object} options - {data, params, headers, idempotent (default: all methods but POST),
+   *   redirect: "manual" to return a redirect instead of following it}
+   * @returns {Promise<*>} - Response body; {status, headers, data} with `redirect: "manual"`
+   */
+  async request(method, path, options = {}) {
+    if (!this.baseUrl) {
+      throw new JiraError("JIRA_BASE_URL is not configured");
+    }
+    if (this.apiVersion !== SUPPORTED_API_VERSION) {
+      throw new JiraError(
+        `JIRA_API_VERSION=${this.apiVersion} is not supported: ${UNSUPPORTED_DEPLOYMENT}`,
+      );
+    }
+
+    const url = `${this.baseUrl}${path}`;
+    const config = {
+      method,
+      url,
+      data: options.data,
+      params: options.params,
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        ...options.headers,
+      },
+    };
+
+    if (options.redirect === "manual") {
+      config.maxRedirects = 0;
+      config.validateStatus = (status) => status >= 200 && status < 400;
+    }
+
+    if (this.personalAccessToken) {
+      config.headers.Authorization = `Bearer ${this.personalAccessToken}`;
+    } else if (this.email || this.apiToken) {
+      config.auth = { username: this.email, password: this.apiToken };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.request(config);
+        if (options.redirect === "manual") {
+          return { status: response.status, headers: response.headers, data: response.data };
+        }
+        return response.data;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        const idempotent =
+          options.idempotent !== undefined ? options.idempotent : method.toLowerCase() !== "post";
+        const retryable =
+          status === 429 ||
+          (idempotent && status !== null && status >= 500) ||
+          (idempotent && status === null && RETRYABLE_NETWORK_ERRORS.includes(error.code));
+
+        if (!retryable || attempt >= this.maxRetries) {
+          throw this.toJiraError(error, method, url);
+        }
+
+        const retryAfter = parseRetryAfter(error.response && error.response.headers["retry-after"]);
+        const backoff = this.retryDelay * 2 ** attempt * (1 + Math.random() * 0.2);
+        const delay = Math.min(retryAfter !== null ? retryAfter : backoff, this.maxRetryDelay);
+
+        console.warn(
+          `⚠️  Jira ${method.toUpperCase()} ${path} failed (${status || error.code}), retrying in ${Math.round(delay)}ms (${attempt + 1}/${this.maxRetries})`,
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Converts an axios error into a typed JiraError
+   * @param {Error} error - axios error
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @returns {JiraError} - Typed error
+   */
+  toJiraError(error, method, url) {
+    if (!error.response) {
+      return new JiraError(`Jira request ${method.toUpperCase()} ${url} failed: ${error.message}`, {
+        method,
+        url,
+      });
+    }
+
+    const { status, data } = error.response;
+    const body = data && typeof data === "object" ? data : {};
+    const ErrorClass = ERROR_CLASSES[status] || JiraError;
+
+    // Jira Cloud explains its 404s; a bare one for a v3 path means the server has no REST API v3
+    if (
+      status === 404 &&
+      this.personalAccessToken &&
+      !body.errorMessages &&
+      !body.errors &&
+      url.includes(`/rest/api/${SUPPORTED_API_VERSION}/`)
+    ) {
+      return new JiraNotFoundError(
+        `Jira request ${method.toUpperCase()} ${url} failed (404): this Jira does not serve REST API v3 (${UNSUPPORTED_DEPLOYMENT})`,
+        { status, method, url },
+      );
+    }
+
+    return new ErrorClass(`Jira request ${method.toUpperCase()} ${url} failed (${status})`, {
+      status,
+      errorMessages: body.errorMessages || (body.message ? [body.message] : []),
+      errors: body.errors,
+      method,
+      url,
+    });
+  }
+
+  /**
+   * @param {string} path - Endpoint path
+   * @param {object} params - Query parameters
+   * @returns {Promise<*>} - Response body
+   */
+  get(path, params) {
+    return this.request("get", path, { params });
+  }
+
+  /**
+   * @param {string} path - Endpoint path
+   * @param {object} data - JSON body
+   * @param {object} params - Query parameters
+   * @param {object} options - {idempotent: also retry server errors and dropped connections}
+   * @returns {Promise<*>} - Response body
+   */
+  post(path, data, params, options = {}) {
+    return this.request("post", path, { data, params, idempotent: options.idempotent });
+  }
+
+  /**
+   * @param {string} path - Endpoint path
+   * @param {object} data - JSON body
+   * @param {object} params - Query parameters
+   * @returns {Promise<*>} - Response body
+   */
+  put(path, data, params) {
+    return this.request("put", path, { data, params });
+  }
+
+  /**
+   * @param {string} path - Endpoint path
+   * @param {object} params - Query parameters
+   * @returns {Promise<*>} - Response body
+   */
+  delete(path, params) {
+    return this.request("delete", path, { params });
+  }
+
+  /**
+   * Collects every item of a paginated endpoint
+   *
+   * Offset endpoints (startAt/maxResults with isLast or total) and token
+   * endpoints (nextPageToken, e.g. POST /search/jql) are both supported.
+   *
+   * @param {string} path - Endpoint path
+   * @param {object} options - {itemsKey (name or candidate names), params, data, method, pageSize, limit}
+   * @returns {Promise<Array>} - All items
+   */
+  async paginate(path, options = {}) {
+    const method = options.method || (options.data ? "post" : "get");
+    const pageSize = options.pageSize || 50;
+    const limit = options.limit || Infinity;
+    const items = [];
+    let startAt = 0;
+    let nextPageToken;
+
+    while (items.length < limit) {
+      let page;
+      if (method === "get") {
+        const paging = nextPageToken ? { nextPageToken } : { startAt };
+        page = await this.get(path, { ...options.params, ...paging, maxResults: pageSize });
+      } else {
+        const data = { ...options.data, maxResults: pageSize };
+        if (nextPageToken) {
+          data.nextPageToken = nextPageToken;
+        } else if (!options.tokenPaging) {
+          data.startAt = startAt;
+        }
+        // POST pages are searches, which are safe to repeat
+        page = await this.request(method, path, { params: options.params, data, idempotent: true });
+      }
+
+      const itemsKey = []
+        .concat(options.itemsKey || ["values", "issues", "comments", "worklogs"])
+        .find((key) => Array.isArray(page[key]));
+      const pageItems = Array.isArray(page) ? page : (itemsKey && page[itemsKey]) || [];
+      items.push(...pageItems);
+
+      if (page.nextPageToken) {
+        nextPageToken = page.nextPageToken;
+        continue;
+      }
+      if (
+        Array.isArray(page) ||
+        pageItems.length === 0 ||
+        page.isLast === true ||
+        options.tokenPaging ||
+        (typeof page.total === "number" && startAt + pageItems.length >= page.total)
+      ) {
+        break;
+      }
+      startAt += pageItems.length;
+    }
+
+    return items.slice(0, limit);
+  }
+
+  /**
+   * Runs a JQL search, following pagination
+   * @param {string} jql - JQL query
+   * @param {object} options - {fields, limit}
+   * @returns {Promise<Array<object>>} - Matching issues
+   */
+  searchIssues(jql, options = {}) {
+    // Jira Cloud pages search results by token; Data Center only has the offset endpoint
+    const tokenPaging = !this.personalAccessToken;
+
+    return this.paginate(this.api(tokenPaging ? "/search/jql" : "/search"), {
+      data: { jql, fields: options.fields || ["summary"] },
+      itemsKey: "issues",
+      tokenPaging,
+      pageSize: options.pageSize || 50,
+      limit: options.limit,
+    });
+  }
+}
+
+module.exports = {
+  JiraClient,
+  JiraError,
+  JiraAuthError,
+  JiraPermissionError,
+  JiraValidationError,
+  JiraNotFoundError,
+  parseRetryAfter,
+};
@@ -0,0 +1,402 @@
+/**
+ * Jira Create Metadata
+ *
+ * Fetches and caches the create metadata (`/issue/createmeta`) of a project:
+ * its issue types and, per issue type, the fields of the create screen with
+ * their required flags and allowed values. Mapped fields are checked against
+ * it before an issue is created, so a priority or component that does not
+ * exist in the project falls back to the configured default (with a warning)
+ * instead of failing the whole creation. Edits are checked the same way
+ * against the issue's edit metadata (`/issue/{key}/editmeta`).
+ *
+ * The cache lives in memory for the current process and in a JSON file
+ * (`JIRA_CREATEMETA_CACHE`, default ./.jira-createmeta.json) for
+ * `JIRA_CREATEMETA_TTL` seconds (default 3600).
+ */
+
+const fs = require("fs");
+const { JiraClient } = require("./jira-client");
+
+const DEFAULT_CACHE_FILE = "./.jira-createmeta.json";
+const DEFAULT_CACHE_TTL = 3600;
+
+// Fields every create request sets itself, so they never need checking
+const PAYLOAD_FIELDS = ["project", "issuetype"];
+
+const memoryCache = new Map();
+
+/**
+ * Fetches the create metadata of a project from Jira
+ * @param {string} projectKey - Jira project key
+ * @param {JiraClient} jira - Jira client
+ * @returns {Promise<object>} - {project, fetchedAt, issueTypes: [{id, name, subtask, fields}]}
+ */
+async function fetchCreateMeta(projectKey, jira = JiraClient.fromEnv()) {
+  const issueTypes = await jira.paginate(jira.api(`/issue/createmeta/${projectKey}/issuetypes`), {
+    itemsKey: ["issueTypes", "values"],
+  });
+
+  const result = [];
+  for (const issueType of issueTypes) {
+    const fields = await jira.paginate(
+      jira.api(`/issue/createmeta/${projectKey}/issuetypes/${issueType.id}`),
+      { itemsKey: ["fields", "values"] },
+    );
+
+    result.push({
+      id: issueType.id,
+      name: issueType.name,
+      subtask: Boolean(issueType.subtask),
+      fields: fields.map((field) => ({
+        fieldId: field.fieldId || field.key,
+        name: field.name,
+        required: Boolean(field.required),
+        hasDefaultValue: Boolean(field.hasDefaultValue),
+        schema: field.schema || {},
+        allowedValues: Array.isArray(field.allowedValues)
+          ? field.allowedValues.map((value) => ({
+              id: value.id,
+              name: value.name,
+              value: value.value,
+            }))
+          : null,
+      })),
+    });
+  }
+
+  return { project: projectKey, fetchedAt: new Date().toISOString(), issueTypes: result };
+}
+
+/**
+ * Returns the create metadata of a project, from cache when it is fresh
+ * @param {string} projectKey - Jira project key
+ * @param {object} options - {jira, cacheFile, ttl (seconds), refresh}
+ * @returns {Promise<object>} - Create metadata (see fetchCreateMeta)
+ */
+async function getCreateMeta(projectKey, options = {}) {
+  const jira = options.jira || JiraClient.fromEnv();
+  const cacheFile =
+    options.cacheFile !== undefined
+      ? options.cacheFile
+      : process.env.JIRA_CREATEMETA_CACHE || DEFAULT_CACHE_FILE;
+  const ttl =
+    options.ttl !== undefined
+      ? options.ttl
+      : Number(process.env.JIRA_CREATEMETA_TTL || DEFAULT_CACHE_TTL);
+  const cacheKey = `${jira.baseUrl} ${projectKey}`;
+  const isFresh = (entry) => entry && Date.now() - new Date(entry.fetchedAt).getTime() < ttl * 1000;
+
+  if (!options.refresh) {
+    if (isFresh(memoryCache.get(cacheKey))) {
+      return memoryCache.get(cacheKey);
+    }
+
+    const stored = cacheFile ? readCacheFile(cacheFile)[cacheKey] : null;
+    if (isFresh(stored)) {
+      memoryCache.set(cacheKey, stored);
+      return stored;
+    }
+  }
+
+  const meta = await fetchCreateMeta(projectKey, jira);
+  memoryCache.set(cacheKey, meta);
+
+  if (cacheFile) {
+    try {
+      const cache = readCacheFile(cacheFile);
+      cache[cacheKey] = meta;
+      fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2) + "\n");
+    } catch (error) {
+      console.warn(`⚠️  Could not write create metadata cache: ${error.message}`);
+    }
+  }
+
+  return meta;
+}
+
+/**
+ * Reads the cache file, treating a missing or corrupt file as empty
+ * @param {string} cacheFile - Path to the cache file
+ * @returns {object} - Cached metadata keyed by "<baseUrl> <projectKey>"
+ */
+function readCacheFile(cacheFile) {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Finds an issue type by name (case-insensitive)
+ * @param {object} meta - Create metadata
+ * @param {string} name - Issue type name
+ * @returns {object|null} - Issue type metadata
+ */
+function findIssueType(meta, name) {
+  if (!name) {
+    return null;
+  }
+  return meta.issueTypes.find((type) => type.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Finds the allowed value matching a payload value by id, name or option value
+ * @param {object} fieldMeta - Field metadata
+ * @param {object} value - Payload value, e.g. {name: "High"}
+ * @returns {object|null} - Allowed value, or null if the field has none matching
+ */
+function findAllowedValue(fieldMeta, value) {
+  const wanted = value && (value.id || value.name || value.value);
+  if (!wanted) {
+    return null;
+  }
+  return (
+    fieldMeta.allowedValues.find(
+      (option) =>
+        option.id === wanted ||
+        (option.name || "").toLowerCase() === String(wanted).toLowerCase() ||
+        (option.value || "").toLowerCase() === String(wanted).toLowerCase(),
+    ) || null
+  );
+}
+
+/**
+ * Checks create-issue fields against the project's create metadata and
+ * replaces what Jira would reject with the configured defaults:
+ *
+ * - unknown issue type → defaults.issueType (or the first standard issue type)
+ * - priority not allowed → defaults.priority, or left to Jira's default
+ * - unknown components and other allowed-value options → dropped
+ * - fields not on the create screen → dropped
+ *
+ * Required fields without a default value cannot be fixed and are reported
+ * as problems.
+ *
+ * @param {object} fields - Create-issue fields (payload `fields`)
+ * @param {object} meta - Create metadata
+ * @param {object} defaults - {issueType, priority} fallbacks
+ * @returns {object} - {fields, warnings, problems}
+ */
+function applyCreateMeta(fields, meta, defaults = {}) {
+  const result = { ...fields };
+  const warnings = [];
+  const problems = [];
+
+  const requestedType = fields.issuetype && fields.issuetype.name;
+  let issueType = findIssueType(meta, requestedType);
+  if (!issueType) {
+    const standardTypes = meta.issueTypes.filter((type) => !type.subtask);
+    issueType = findIssueType(meta, defaults.issueType) || standardTypes[0] || null;
+
+    if (!issueType) {
+      problems.push(`issuetype: ${meta.project} has no issue types that can be created`);
+      return { fields: result, warnings, problems };
+    }
+    warnings.push(
+      `Issue type "${requestedType}" does not exist in ${meta.project}; using "${issueType.name}"`,
+    );
+  }
+  result.issuetype = { name: issueType.name };
+
+  const fieldsById = new Map(issueType.fields.map((field) => [field.fieldId, field]));
+
+  Object.keys(result)
+    .filter((fieldId) => !PAYLOAD_FIELDS.includes(fieldId))
+    .forEach((fieldId) => {
+      const fieldMeta = fieldsById.get(fieldId);
+      if (!fieldMeta) {
+        warnings.push(
+          `Field "${fieldId}" is not on the ${issueType.name} create screen of ${meta.project}; skipping it`,
+        );
+        delete result[fieldId];
+        return;
+      }
+      if (!fieldMeta.allowedValues || fieldMeta.allowedValues.length === 0) {
+        return;
+      }
+
+      const value = result[fieldId];
+      if (Array.isArray(value)) {
+        const kept = value.filter((item) => {
+          if (findAllowedValue(fieldMeta, item)) {
+            return true;
+          }
+          warnings.push(`${fieldMeta.name} "${describeValue(item)}" does not exist; skipping it`);
+          return false;
+        });
+        if (kept.length > 0) {
+          result[fieldId] = kept;
+        } else {
+          delete result[fieldId];
+        }
+      } else if (value && typeof value === "object" && !findAllowedValue(fieldMeta, value)) {
+        const fallback =
+          fieldId === "priority" && defaults.priority
+            ? findAllowedValue(fieldMeta, { name: defaults.priority })
+            : null;
+        if (fallback) {
+          warnings.push(
+            `Priority "${describeValue(value)}" does not exist; using "${fallback.name}"`,
+          );
+          result[fieldId] = { name: fallback.name };
+        } else {
+          warnings.push(
+            `${fieldMeta.name} "${describeValue(value)}" does not exist; leaving it to Jira's default`,
+          );
+          delete result[fieldId];
+        }
+      }
+    });
+
+  issueType.fields
+    .filter((field) => field.required && !field.hasDefaultValue)
+    .filter((field) => !PAYLOAD_FIELDS.includes(field.fieldId))
+    .filter((field) => result[field.fieldId] === undefined)
+    .forEach((field) => {
+      problems.push(`${field.fieldId}: "${field.name}" is required for ${issueType.name}`);
+    });
+
+  return { fields: result, warnings, problems };
+}
+
+/**
+ * Fetches the edit metadata of an issue (`/issue/{key}/editmeta`): the fields
+ * of its edit screen with their allowed values. It depends on the issue's
+ * type and status, so it is not cached.
+ * @param {string} jiraKey - Jira issue key
+ * @param {JiraClient} jira - Jira client
+ * @returns {Promise<object>} - {issue, fields: [{fieldId, name, allowedValues}]}
+ */
+async function fetchEditMeta(jiraKey, jira = JiraClient.fromEnv()) {
+  const response = await jira.get(jira.api(`/issue/${jiraKey}/editmeta`));
+
+  return {
+    issue: jiraKey,
+    fields: Object.entries(response.fields || {}).map(([fieldId, field]) => ({
+      fieldId,
+      name: field.name,
+      allowedValues: Array.isArray(field.allowedValues)
+        ? field.allowedValues.map((value) => ({
+            id: value.id,
+            name: value.name,
+            value: value.value,
+          }))
+        : null,
+    })),
+  };
+}
+
+/**
+ * Checks edit-issue fields against the issue's edit metadata and drops what
+ * Jira would reject, so the rest of the edit still goes through:
+ *
+ * - unknown components and other allowed-value options → dropped
+ * - priority or other option not allowed → left unchanged
+ * - fields not on the edit screen → left unchanged
+ *
+ * @param {object} fields - Edit-issue fields (payload `fields`)
+ * @param {object} meta - Edit metadata from fetchEditMeta()
+ * @returns {object} - {fields, warnings}
+ */
+function applyEditMeta(fields, meta) {
+  const result = { ...fields };
+  const warnings = [];
+  const fieldsById = new Map(meta.fields.map((field) => [field.fieldId, field]));
+
+  Object.keys(result).forEach((fieldId) => {
+    const fieldMeta = fieldsById.get(fieldId);
+    if (!fieldMeta) {
+      warnings.push(`Field "${fieldId}" is not on the edit screen of ${meta.issue}; skipping it`);
+      delete result[fieldId];
+      return;
+    }
+    if (!fieldMeta.allowedValues || fieldMeta.allowedValues.length === 0) {
+      return;
+    }
+
+    const value = result[fieldId];
+    if (Array.isArray(value)) {
+      const kept = value.filter((item) => {
+        if (findAllowedValue(fieldMeta, item)) {
+          return true;
+        }
+        warnings.push(`${fieldMeta.name} "${describeValue(item)}" does not exist; skipping it`);
+        return false;
+      });
+      if (kept.length > 0) {
+        result[fieldId] = kept;
+      } else {
+        delete result[fieldId];
+      }
+    } else if (value && typeof value === "object" && !findAllowedValue(fieldMeta, value)) {
+      warnings.push(
+        `${fieldMeta.name} "${describeValue(value)}" does not exist; leaving it unchanged`,
+      );
+      delete result[fieldId];
+    }
+  });
+
+  return { fields: result, warnings };
+}
+
+/**
+ * Describes a payload value for warnings
+ * @param {*} value - Payload value
+ * @returns {string} - Readable value
+ */
+function describeValue(value) {
+  if (value && typeof value === "object") {
+    return String(value.name || value.value || value.id || JSON.stringify(value));
+  }
+  return String(value);
+}
+
+/**
+ * Clears the in-memory cache (the cache file is left alone)
+ */
+function clearCreateMetaCache() {
+  memoryCache.clear();
+}
+
+// CLI usage
+if (require.main === module) {
+  const projectKey = process.argv[2] || process.env.JIRA_PROJECT_KEY;
+
+  if (!projectKey) {
+    console.error("Usage: node jira-metadata.js [projectKey]");
+    console.error(
+      "Prints the issue types and create-screen fields of a project (JIRA_PROJECT_KEY by default)",
+    );
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const meta = await getCreateMeta(projectKey, { refresh: true });
+      console.log(`📋 Create metadata for ${meta.project}:`);
+      meta.issueTypes.forEach((issueType) => {
+        console.log(`\n${issueType.name}${issueType.subtask ? " (sub-task)" : ""}`);
+        issueType.fields.forEach((field) => {
+          const allowed = field.allowedValues
+            ? `: ${field.allowedValues.map((value) => value.name || value.value).join(", ")}`
+            : "";
+          console.log(`  ${field.required ? "*" : " "} ${field.fieldId} (${field.name})${allowed}`);
+        });
+      });
+    } catch (error) {
+      console.error(`❌ Could not fetch create metadata: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  fetchCreateMeta,
+  getCreateMeta,
+  findIssueType,
+  applyCreateMeta,
+  fetchEditMeta,
+  applyEditMeta,
+  clearCreateMetaCache,
+};
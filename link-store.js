@@ -0,0 +1,381 @@
+/**
+ * GitHub Issue ↔ Jira Key Link Store
+ *
+ * Records which Jira issue a GitHub issue is synchronized with. Backends:
+ *
+ * - `issue-body`: hidden HTML comment marker appended to the GitHub issue body
+ * - `jira-property`: `github-sync` entity property on the Jira issue
+ * - `file`: local JSON file (for tests and local runs)
+ * - `comment`: read-only lookup of the legacy "Jira Ticket Created" bot comment,
+ *   so issues synced before the link store existed are still found
+ *
+ * Backends are combined with LINK_STORE_BACKENDS (comma separated, in lookup
+ * order). Lookups return the first backend's answer; `link()` writes to every
+ * writable backend.
+ */
+
+const fs = require("fs");
+const github = require("./github-api");
+const { JiraClient, JiraNotFoundError } = require("./jira-client");
+
+const DEFAULT_BACKENDS = "issue-body,jira-property,comment";
+const DEFAULT_LINK_FILE = "./.jira-links.json";
+const ENTITY_PROPERTY_KEY = "github-sync";
+
+// Jira issue keys: project keys may contain digits and underscores (e.g. AB2_C-123)
+const JIRA_KEY_PATTERN = "[A-Z][A-Z0-9_]+-\\d+";
+const JIRA_KEY_RE = new RegExp(`^${JIRA_KEY_PATTERN}$`);
+const LINK_MARKER_RE = /<!--\s*jira-sync:\s*(\{[^]*?\})\s*-->/;
+const LEGACY_COMMENT_RE = new RegExp(`\\*\\*Ticket:\\*\\*\\s*\\[(${JIRA_KEY_PATTERN})\\]`);
+
+/**
+ * Normalizes a GitHub issue into the fields stored with a link
+ * @param {object} issue - GitHub issue ({number, html_url, repository_url?})
+ * @returns {object} - {repository, issueNumber, issueUrl}
+ */
+function describeIssue(issue) {
+  const parsed = github.parseGitHubIssueUrl(issue.html_url || issue.url);
+  return {
+    repository: parsed ? parsed.repository : process.env.GITHUB_REPOSITORY,
+    issueNumber: issue.number || (parsed && parsed.number),
+    issueUrl: issue.html_url || (parsed && parsed.html_url),
+  };
+}
+
+/**
+ * Builds the hidden marker stored in a GitHub issue body
+ * @param {string} jiraKey - Jira issue key
+ * @returns {string} - HTML comment marker
+ */
+function createLinkMarker(jiraKey) {
+  return `<!-- jira-sync: ${JSON.stringify({ jiraKey })} -->`;
+}
+
+/**
+ * Reads the Jira key from a GitHub issue body marker
+ * @param {string} body - GitHub issue body
+ * @returns {string|null} - Jira issue key
+ */
+function parseLinkMarker(body) {
+  const match = String(body || "").match(LINK_MARKER_RE);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const { jiraKey } = JSON.parse(match[1]);
+    return JIRA_KEY_RE.test(jiraKey) ? jiraKey : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Backend storing the link as a hidden marker in the GitHub issue body
+ * @returns {object} - Link store backend
+ */
+function createIssueBodyBackend() {
+  return {
+    name: "issue-body",
+
+    async getJiraKey(issue) {
+      if (typeof issue.body === "string") {
+        return parseLinkMarker(issue.body);
+      }
+      const { repository, issueNumber } = describeIssue(issue);
+      return parseLinkMarker((await github.getIssue(issueNumber, repository)).body);
+    },
+
+    async getGitHubIssue(jiraKey) {
+      // The search index only narrows candidates; the marker itself is authoritative
+      const candidates = await github.searchIssues(`"${jiraKey}" in:body`);
+      const issue = candidates.find((candidate) => parseLinkMarker(candidate.body) === jiraKey);
+      return issue ? describeIssue(issue) : null;
+    },
+
+    async link(issue, jiraKey) {
+      const { repository, issueNumber } = describeIssue(issue);
+      const current = await github.getIssue(issueNumber, repository);
+      const body = String(current.body || "");
+      const marker = createLinkMarker(jiraKey);
+
+      const updatedBody = LINK_MARKER_RE.test(body)
+        ? body.replace(LINK_MARKER_RE, marker)
+        : `${body.replace(/\s+$/, "")}\n\n${marker}`;
+
+      if (updatedBody !== body) {
+        await github.updateIssue(issueNumber, { body: updatedBody }, repository);
+      }
+    },
+  };
+}
+
+/**
+ * Backend storing the link as an entity property on the Jira issue
+ * @param {JiraClient} jira - Jira client
+ * @returns {object} - Link store backend
+ */
+function createJiraPropertyBackend(jira = JiraClient.fromEnv()) {
+  const propertyPath = (jiraKey) => jira.api(`/issue/${jiraKey}/properties/${ENTITY_PROPERTY_KEY}`);
+
+  const readProperty = async (jiraKey) => {
+    try {
+      return (await jira.get(propertyPath(jiraKey))).value;
+    } catch (error) {
+      if (error instanceof JiraNotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: "jira-property",
+
+    async getJiraKey(issue) {
+      // Entity properties set over REST are not searchable with JQL, so find
+      // candidates by the issue URL in the text and confirm with the property
+      const { issueUrl } = describeIssue(issue);
+      const candidates = await jira.searchIssues(`text ~ "\\"${issueUrl}\\""`, { limit: 20 });
+
+      for (const candidate of candidates) {
+        const value = await readProperty(candidate.key);
+        if (value && value.issueUrl === issueUrl) {
+          return candidate.key;
+        }
+      }
+      return null;
+    },
+
+    async getGitHubIssue(jiraKey) {
+      const value = await readProperty(jiraKey);
+      return value && value.issueNumber ? value : null;
+    },
+
+    async link(issue, jiraKey) {
+      await jira.put(propertyPath(jiraKey), describeIssue(issue));
+    },
+  };
+}
+
+/**
+ * Backend storing links in a local JSON file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {object} - Link store backend
+ */
+function createFileBackend(filePath = process.env.LINK_STORE_FILE || DEFAULT_LINK_FILE) {
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8")).links || [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: "file",
+
+    async getJiraKey(issue) {
+      const { issueUrl } = describeIssue(issue);
+      const entry = read().find((link) => link.issueUrl === issueUrl);
+      return entry ? entry.jiraKey : null;
+    },
+
+    async getGitHubIssue(jiraKey) {
+      const entry = read().find((link) => link.jiraKey === jiraKey);
+      if (!entry) {
+        return null;
+      }
+      return {
+        repository: entry.repository,
+        issueNumber: entry.issueNumber,
+        issueUrl: entry.issueUrl,
+      };
+    },
+
+    async link(issue, jiraKey) {
+      const entry = { jiraKey, ...describeIssue(issue) };
+      const links = read().filter(
+        (link) => link.issueUrl !== entry.issueUrl && link.jiraKey !== jiraKey,
+      );
+      links.push(entry);
+      fs.writeFileSync(filePath, `${JSON.stringify({ links }, null, 2)}\n`);
+    },
+  };
+}
+
+/**
+ * Read-only backend finding the legacy "**Ticket:** [KEY-123]" bot comment
+ * @returns {object} - Link store backend
+ */
+function createCommentBackend() {
+  return {
+    name: "comment",
+    readOnly: true,
+
+    async getJiraKey(issue) {
+      const { repository, issueNumber } = describeIssue(issue);
+      const comments = await github.listIssueComments(issueNumber, repository);
+      for (const comment of comments) {
+        const match = String(comment.body || "").match(LEGACY_COMMENT_RE);
+        if (match) {
+          return match[1];
+        }
+      }
+      return null;
+    },
+
+    async getGitHubIssue() {
+      return null;
+    },
+  };
+}
+
+const BACKEND_FACTORIES = {
+  "issue-body": createIssueBodyBackend,
+  "jira-property": createJiraPropertyBackend,
+  file: createFileBackend,
+  comment: createCommentBackend,
+};
+
+/**
+ * Creates a link store combining one or more backends
+ * @param {Array<string|object>|string} backends - Backend names or backend objects
+ * @returns {object} - Link store with getJiraKey(issue), getGitHubIssue(jiraKey) and link(issue, jiraKey)
+ */
+function createLinkStore(backends = process.env.LINK_STORE_BACKENDS || DEFAULT_BACKENDS) {
+  const list = (typeof backends === "string" ? backends.split(",") : backends).map((backend) => {
+    if (typeof backend !== "string") {
+      return backend;
+    }
+    const factory = BACKEND_FACTORIES[backend.trim()];
+    if (!factory) {
+      throw new Error(
+        `Unknown link store backend "${backend}". Valid backends: ${Object.keys(BACKEND_FACTORIES).join(", ")}`,
+      );
+    }
+    return factory();
+  });
+
+  // Try each backend in order, skipping ones that fail (e.g. missing credentials)
+  const lookup = async (method, arg) => {
+    for (const backend of list) {
+      try {
+        const result = await backend[method](arg);
+        if (result) {
+          return result;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Link store backend "${backend.name}" failed: ${error.message}`);
+      }
+    }
+    return null;
+  };
+
+  return {
+    backends: list,
+
+    /**
+     * Finds the Jira key linked to a GitHub issue
+     * @param {object} issue - GitHub issue ({number, html_url, body?})
+     * @returns {Promise<string|null>} - Jira issue key
+     */
+    getJiraKey(issue) {
+      return lookup("getJiraKey", issue);
+    },
+
+    /**
+     * Finds the GitHub issue linked to a Jira key
+     * @param {string} jiraKey - Jira issue key
+     * @returns {Promise<object|null>} - {repository, issueNumber, issueUrl}
+     */
+    getGitHubIssue(jiraKey) {
+      return lookup("getGitHubIssue", jiraKey);
+    },
+
+    /**
+     * Records a link in every writable backend
+     * @param {object} issue - GitHub issue ({number, html_url})
+     * @param {string} jiraKey - Jira issue key
+     * @returns {Promise<void>}
+     */
+    async link(issue, jiraKey) {
+      if (!JIRA_KEY_RE.test(jiraKey)) {
+        throw new Error(`Invalid Jira issue key: ${jiraKey}`);
+      }
+      for (const backend of list.filter((candidate) => !candidate.readOnly)) {
+        await backend.link(issue, jiraKey);
+      }
+    },
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [command, target, jiraKey] = process.argv.slice(2);
+
+  if (!["get", "github", "link"].includes(command) || !target) {
+    console.error("Usage: node link-store.js get <issue-number|issue-url>");
+    console.error("       node link-store.js github <jira-key>");
+    console.error("       node link-store.js link <issue-number|issue-url> <jira-key>");
+    process.exit(1);
+  }
+
+  const store = createLinkStore();
+  const issue = github.parseGitHubIssueUrl(target) || {
+    number: parseInt(target, 10),
+    html_url: `https://github.com/${process.env.GITHUB_REPOSITORY}/issues/${target}`,
+  };
+
+  const output = (name, value) => {
+    if (process.env.GITHUB_OUTPUT) {
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+    }
+  };
+
+  (async () => {
+    try {
+      if (command === "get") {
+        const key = await store.getJiraKey(issue);
+        if (key) {
+          console.log(`Found Jira ticket: ${key}`);
+          output("jira-key", key);
+          output("jira-url", JiraClient.fromEnv().browseUrl(key));
+        } else {
+          console.log("No Jira ticket found for this issue");
+        }
+      } else if (command === "github") {
+        const linked = await store.getGitHubIssue(target);
+        if (linked) {
+          console.log(`Found GitHub issue: ${linked.issueUrl}`);
+          output("issue-number", linked.issueNumber);
+          output("issue-url", linked.issueUrl);
+        } else {
+          console.log(`No GitHub issue found for ${target}`);
+        }
+      } else {
+        await store.link(issue, jiraKey);
+        console.log(`🔗 Linked ${issue.html_url} ↔ ${jiraKey}`);
+      }
+    } catch (error) {
+      console.error("❌ Link store error:", error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  JIRA_KEY_RE,
+  ENTITY_PROPERTY_KEY,
+  describeIssue,
+  createLinkMarker,
+  parseLinkMarker,
+  createIssueBodyBackend,
+  createJiraPropertyBackend,
+  createFileBackend,
+  createCommentBackend,
+  createLinkStore,
+};
@@ -1,5 +1,10 @@
 const fs = require("fs");
 const path = require("path");
+const { parseGitHubIssueForm } = require("./issue-form-parser");
+const { markdownToADF } = require("./adf-utils");
+
+// Custom field types whose answers are GitHub logins resolved to Jira accounts
+const USER_FIELD_TYPES = ["user", "users"];
 
 /**
  * Maps GitHub issue labels to Jira issue types based on configuration
@@ -35,7 +40,8 @@ function mapGitHubLabelsToJiraIssueType(githubLabels, configPath = "./label-mapp
 /**
  * Validates that the mapped issue type exists in Jira
  * @param {string} issueType - The issue type to validate
- * @param {string[]} validIssueTypes - Array of valid Jira issue types for the project
+ * @param {string[]} validIssueTypes - Valid Jira issue types for the project, e.g. the names
+ *   from getCreateMeta() in jira-metadata.js
  * @returns {boolean} - Whether the issue type is valid
  */
 function validateJiraIssueType(issueType, validIssueTypes = []) {
@@ -55,30 +61,303 @@ function validateJiraIssueType(issueType, validIssueTypes = []) {
 }
 
 /**
- * Gets the priority mapping based on GitHub issue content
+ * Loads the rules that apply to issues created from a given template.
+ * Settings under `templates.<templateId>` replace the top-level ones.
+ * @param {string|null} templateId - Issue template id (file name without extension)
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {issueType, defaultIssueType, defaultPriority, priorityRules, componentRules, customFieldRules}
+ */
+function loadMappingRules(templateId = null, configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to default priority and no component rules");
+  }
+
+  const override = (templateId && config.templates && config.templates[templateId]) || {};
+
+  return {
+    issueType: override.issueType || null,
+    defaultIssueType: config.defaultIssueType || "Task",
+    defaultPriority: override.defaultPriority || config.defaultPriority || "Medium",
+    priorityRules: override.priorityRules || config.priorityRules || [],
+    componentRules: override.componentRules || config.componentRules || [],
+    customFieldRules: override.customFieldRules || config.customFieldRules || [],
+  };
+}
+
+/**
+ * Checks whether a rule condition matches the GitHub issue
+ * @param {object} condition - Rule condition ({source, field, equals|startsWith|contains|matches|oneOf})
+ * @param {object} issueContext - {title, labels, formFields}
+ * @returns {boolean} - Whether any of the issue's values for the condition's source match
+ */
+function matchesCondition(condition, issueContext) {
+  const source = condition.source || "form";
+  let values;
+
+  if (source === "title") {
+    values = [issueContext.title];
+  } else if (source === "labels") {
+    values = issueContext.labels;
+  } else {
+    const value = issueContext.formFields[condition.field];
+    values = Array.isArray(value) ? value : [value];
+  }
+
+  return values
+    .filter((value) => typeof value === "string" && value.trim() !== "")
+    .some((value) => {
+      const lowerValue = value.toLowerCase();
+
+      if (condition.equals !== undefined) {
+        return value === condition.equals;
+      }
+      if (condition.startsWith !== undefined) {
+        return lowerValue.startsWith(condition.startsWith.toLowerCase());
+      }
+      if (condition.contains !== undefined) {
+        return []
+          .concat(condition.contains)
+          .some((text) => lowerValue.includes(text.toLowerCase()));
+      }
+      if (condition.matches !== undefined) {
+        return new RegExp(condition.matches, "i").test(value);
+      }
+      if (condition.oneOf !== undefined) {
+        return condition.oneOf.includes(value);
+      }
+
+      // No comparison: any non-empty value matches
+      return true;
+    });
+}
+
+/**
+ * Builds the values rule conditions are evaluated against
+ * @param {object} issueData - GitHub issue data
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @returns {object} - {title, labels, formFields}
+ */
+function createIssueContext(issueData, formFields) {
+  return {
+    title: issueData.title || "",
+    labels: (issueData.labels || []).map((label) =>
+      typeof label === "string" ? label : label.name,
+    ),
+    formFields,
+  };
+}
+
+/**
+ * Finds the first priority rule matching an issue
  * @param {object} issueData - GitHub issue data
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @param {object} rules - Rules from loadMappingRules()
+ * @returns {object|null} - Matching priority rule
+ */
+function findPriorityRule(issueData, formFields, rules) {
+  const issueContext = createIssueContext(issueData, formFields);
+  return (
+    rules.priorityRules.find((candidate) => matchesCondition(candidate.when, issueContext)) || null
+  );
+}
+
+/**
+ * Gets the priority mapping from the configured priority rules
+ * @param {object} issueData - GitHub issue data
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @param {object} rules - Rules from loadMappingRules()
  * @returns {string} - Jira priority level
  */
-function mapPriority(issueData) {
-  const body = (issueData.body || "").toLowerCase();
-  const title = (issueData.title || "").toLowerCase();
-
-  // Check for urgency indicators in bug reports
-  if (body.includes("high - production system") || body.includes("production down")) {
-    return "Highest";
-  } else if (body.includes("medium - a non-critical feature")) {
-    return "Medium";
-  } else if (body.includes("low - minor issue") || body.includes("cosmetic")) {
-    return "Low";
+function mapPriority(issueData, formFields = null, rules = null) {
+  if (!formFields || !rules) {
+    const form = parseGitHubIssueForm(issueData);
+    formFields = formFields || form.fields;
+    rules = rules || loadMappingRules(form.template);
+  }
+
+  const rule = findPriorityRule(issueData, formFields, rules);
+  return rule ? rule.priority : rules.defaultPriority;
+}
+
+/**
+ * Gets the Jira components from the configured component rules
+ * @param {object} issueData - GitHub issue data
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @param {object} rules - Rules from loadMappingRules()
+ * @returns {string[]} - Jira component names
+ */
+function mapComponents(issueData, formFields, rules) {
+  const issueContext = createIssueContext(issueData, formFields);
+  const components = [];
+  const add = (component) => {
+    if (!components.includes(component)) {
+      components.push(component);
+    }
+  };
+
+  rules.componentRules.forEach((rule) => {
+    if (rule.fromField) {
+      // Use the selected option(s) of a form field as component names
+      []
+        .concat(formFields[rule.fromField] || [])
+        .filter((value) => !(rule.exclude || []).includes(value))
+        .forEach((value) => add((rule.rename && rule.rename[value]) || value));
+    } else if (matchesCondition(rule.when, issueContext)) {
+      rule.components.forEach(add);
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Reads the answer a custom field rule copies, with `exclude` and `rename` applied
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @param {object} rule - Custom field rule
+ * @returns {string|string[]|null} - Answer, or null if there is nothing to copy
+ */
+function readCustomFieldAnswer(formFields, rule) {
+  const value = formFields[rule.field];
+  if (value === null || value === undefined) {
+    return null;
   }
 
-  // Check for priority keywords in title or body
-  if (title.includes("urgent") || title.includes("critical") || body.includes("urgent")) {
-    return "High";
+  const values = []
+    .concat(value)
+    .filter((entry) => !(rule.exclude || []).includes(entry))
+    .map((entry) => (rule.rename && rule.rename[entry]) || entry);
+  if (values.length === 0) {
+    return null;
+  }
+  return Array.isArray(value) ? values : values[0];
+}
+
+/**
+ * Splits an answer into its values: the options of a multi-select, or the
+ * comma-separated entries of a text answer
+ * @param {string|string[]} value - Form answer
+ * @returns {string[]} - Trimmed, non-empty values
+ */
+function splitAnswer(value) {
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converts a form answer into the value Jira expects for the rule's field type:
+ * text (default), option, options, number, date or adf. Answers that cannot be
+ * converted are skipped with a warning so they do not fail issue creation.
+ * @param {string|string[]} value - Form answer
+ * @param {object} rule - Custom field rule ({field, customField, type})
+ * @returns {*} - Jira field value, or undefined to leave the field out
+ */
+function coerceCustomFieldValue(value, rule) {
+  const type = rule.type || "text";
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+  const skip = (reason) => {
+    console.warn(`⚠️  Skipping ${rule.customField} (form field "${rule.field}"): ${reason}`);
+    return undefined;
+  };
+
+  switch (type) {
+    case "text":
+      return text;
+    case "option": {
+      const [option] = splitAnswer(value);
+      return option ? { value: option } : skip("no option selected");
+    }
+    case "options": {
+      const options = splitAnswer(value);
+      return options.length > 0
+        ? options.map((option) => ({ value: option }))
+        : skip("no option selected");
+    }
+    case "number": {
+      // Allow thousands separators and stray spaces ("1,200" or "1 200")
+      const number = Number(text.replace(/[\s,]/g, ""));
+      return text.trim() !== "" && Number.isFinite(number)
+        ? number
+        : skip(`"${text}" is not a number`);
+    }
+    case "date": {
+      // Jira date fields take YYYY-MM-DD; other formats Date understands are converted
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text.trim())) {
+        return text.trim();
+      }
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) {
+        return skip(`"${text}" is not a date`);
+      }
+      // Use the calendar date as written, not its UTC equivalent
+      const pad = (number) => String(number).padStart(2, "0");
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    case "adf":
+      return markdownToADF(Array.isArray(value) ? value.join("\n") : String(value));
+    default:
+      return skip(`unknown field type "${type}"`);
   }
+}
+
+/**
+ * Gets Jira custom field values from the configured custom field rules. User
+ * picker rules are left out; see mapUserFields().
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @param {object} rules - Rules from loadMappingRules()
+ * @returns {object} - Jira field id → value
+ */
+function mapCustomFields(formFields, rules) {
+  const customFields = {};
+
+  rules.customFieldRules
+    .filter((rule) => !USER_FIELD_TYPES.includes(rule.type))
+    .forEach((rule) => {
+      const value = readCustomFieldAnswer(formFields, rule);
+      if (value === null) {
+        return;
+      }
+      const coerced = coerceCustomFieldValue(value, rule);
+      if (coerced !== undefined) {
+        customFields[rule.customField] = coerced;
+      }
+    });
 
-  // Default priority
-  return "Medium";
+  return customFields;
+}
+
+/**
+ * Gets the GitHub logins for user picker custom fields. They still need
+ * resolving to Jira accounts, which createUserMapper().customUserFields() does.
+ * @param {object} formFields - Parsed issue form fields keyed by template field id
+ * @param {object} rules - Rules from loadMappingRules()
+ * @returns {object} - Jira field id → {logins, multiple}
+ */
+function mapUserFields(formFields, rules) {
+  const userFields = {};
+
+  rules.customFieldRules
+    .filter((rule) => USER_FIELD_TYPES.includes(rule.type))
+    .forEach((rule) => {
+      const value = readCustomFieldAnswer(formFields, rule);
+      if (value === null) {
+        return;
+      }
+      // Accept "@octocat, @hubot" as well as one login per line
+      const logins = splitAnswer([].concat(value).join(","))
+        .flatMap((entry) => entry.split(/\s+/))
+        .map((login) => login.replace(/^@/, ""))
+        .filter(Boolean);
+      if (logins.length > 0) {
+        userFields[rule.customField] = { logins, multiple: rule.type === "users" };
+      }
+    });
+
+  return userFields;
 }
 
 /**
@@ -92,29 +371,30 @@ function mapGitHubIssueToJiraFields(githubIssue, configPath = "./label-mapping.j
     ? githubIssue.labels.map((label) => (typeof label === "string" ? label : label.name))
     : [];
 
-  const issueType = mapGitHubLabelsToJiraIssueType(labels, configPath);
-  const priority = mapPriority(githubIssue);
-
-  // Extract affected area from bug reports
-  let components = [];
-  const body = githubIssue.body || "";
+  // Parse the issue form answers keyed by template field id
+  const form = parseGitHubIssueForm(githubIssue);
+  const rules = loadMappingRules(form.template, configPath);
 
-  // Look for platform areas in the body text
-  const platformAreas = ["REELS", "ALPHA", "TRINITY", "AI HUB"];
-  platformAreas.forEach((area) => {
-    // Check if area appears on its own line (common in form responses)
-    const areaRegex = new RegExp(`^\\s*${area}\\s*$`, "mi");
-    if (areaRegex.test(body)) {
-      components.push(area);
-    }
-  });
+  // A template-level issue type takes precedence over label mappings
+  const issueType = rules.issueType || mapGitHubLabelsToJiraIssueType(labels, configPath);
+  const priorityRule = findPriorityRule(githubIssue, form.fields, rules);
+  const priority = priorityRule ? priorityRule.priority : rules.defaultPriority;
+  const components = mapComponents(githubIssue, form.fields, rules);
+  const customFields = mapCustomFields(form.fields, rules);
+  const userFields = mapUserFields(form.fields, rules);
 
   return {
     issueType,
     priority,
+    // Edits only set a priority a rule picked, never the default
+    priorityMatched: priorityRule !== null,
     components,
+    customFields,
+    userFields,
     labels: labels,
     originalLabels: githubIssue.labels,
+    template: form.template,
+    formFields: form.fields,
   };
 }
 
@@ -147,6 +427,12 @@ if (require.main === module) {
 module.exports = {
   mapGitHubLabelsToJiraIssueType,
   validateJiraIssueType,
+  loadMappingRules,
+  matchesCondition,
   mapPriority,
+  mapComponents,
+  coerceCustomFieldValue,
+  mapCustomFields,
+  mapUserFields,
   mapGitHubIssueToJiraFields,
 };
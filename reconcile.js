@@ -0,0 +1,532 @@
+/**
+ * Drift reconciliation for linked GitHub issue ↔ Jira issue pairs
+ *
+ * A job that fails half way leaves a pair out of sync with nothing to show
+ * for it. This command walks every GitHub issue of a repository that has a
+ * linked Jira issue and compares:
+ *
+ * - title: the Jira summary built from the GitHub title
+ * - description: the Jira description built from the GitHub body
+ * - priority/components: the priority and components mapped from the GitHub labels and form fields
+ * - labels: the Jira labels the GitHub labels sync to (labelSync)
+ * - status: the GitHub state the Jira status maps to (statusSync.toGitHub)
+ * - comments: GitHub comments missing in Jira and Jira comments missing on GitHub
+ *
+ * Differences are printed as a table or as JSON. With `--fix` they are
+ * replayed through the same functions the workflow uses: updateIssue(),
+ * syncJiraLabels(), syncJiraStatus() / syncGitHubState(), addComment() and
+ * addGitHubComment().
+ */
+
+const github = require("./github-api");
+const { adfToMarkdown } = require("./adf-utils");
+const { JiraClient } = require("./jira-client");
+const { createLinkStore, ENTITY_PROPERTY_KEY } = require("./link-store");
+const { updateIssue, resolveIssueFields, diffIssueFields } = require("./update");
+const {
+  loadStatusMap,
+  githubStateForJiraStatus,
+  syncJiraStatus,
+  syncGitHubState,
+} = require("./sync-status");
+const { addComment, addGitHubComment } = require("./sync-comment");
+const {
+  loadLabelSync,
+  labelNames,
+  jiraLabelsFor,
+  sameLabels,
+  syncJiraLabels,
+} = require("./sync-labels");
+const {
+  parseOriginMarker,
+  isSyncedGitHubComment,
+  LEGACY_GITHUB_COMMENT_RE,
+  LEGACY_JIRA_COMMENT_RE,
+} = require("./sync-origin");
+
+const jira = JiraClient.fromEnv();
+
+// Back-link to a GitHub comment, found in Jira copies posted before origin properties existed
+const GITHUB_COMMENT_ID_RE = /#issuecomment-(\d+)/g;
+
+/**
+ * Parses the reconcile command line
+ * @param {string[]} argv - Arguments after `node reconcile.js`
+ * @returns {object} - {repository, state, limit, json, fix, statusSource}
+ */
+function parseReconcileArgs(argv) {
+  const options = {
+    repository: process.env.GITHUB_REPOSITORY,
+    state: "all",
+    limit: null,
+    json: false,
+    fix: false,
+    statusSource: "github",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--repo":
+        options.repository = value();
+        break;
+      case "--state":
+        options.state = value();
+        if (!["open", "closed", "all"].includes(options.state)) {
+          throw new Error(`--state must be open, closed or all (got "${options.state}")`);
+        }
+        break;
+      case "--limit":
+        options.limit = Number(value());
+        if (!Number.isInteger(options.limit) || options.limit < 0) {
+          throw new Error("--limit must be a non-negative integer");
+        }
+        break;
+      case "--status-source":
+        options.statusSource = value();
+        if (!["github", "jira"].includes(options.statusSource)) {
+          throw new Error(`--status-source must be github or jira (got "${options.statusSource}")`);
+        }
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      case "--fix":
+        options.fix = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Describes the label-derived fields of a Jira issue for the report
+ * @param {object} fields - Jira fields ({priority, components})
+ * @returns {string} - e.g. "priority: High; components: API, UI"
+ */
+function describeMappedFields(fields) {
+  const components = (fields.components || []).map((component) => component.name).sort();
+  return [
+    `priority: ${fields.priority ? fields.priority.name : "none"}`,
+    `components: ${components.length > 0 ? components.join(", ") : "none"}`,
+  ].join("; ");
+}
+
+/**
+ * Finds the GitHub comments that have no copy in Jira
+ * @param {Array<object>} githubComments - GitHub comments ({id, body})
+ * @param {Array<object>} jiraComments - Jira comments with `properties` expanded
+ * @returns {Array<object>} - GitHub comments to add to Jira
+ */
+function findMissingJiraComments(githubComments, jiraComments) {
+  const copied = new Set();
+  for (const comment of jiraComments) {
+    const property = (comment.properties || []).find((entry) => entry.key === ENTITY_PROPERTY_KEY);
+    if (property && property.value && property.value.commentId) {
+      copied.add(String(property.value.commentId));
+    } else if (LEGACY_JIRA_COMMENT_RE.test(adfToMarkdown(comment.body || "").trim())) {
+      // Older copies only link back to the GitHub comment
+      for (const match of JSON.stringify(comment.body).matchAll(GITHUB_COMMENT_ID_RE)) {
+        copied.add(match[1]);
+      }
+    }
+  }
+
+  return githubComments.filter(
+    (comment) => !isSyncedGitHubComment(comment) && !copied.has(String(comment.id)),
+  );
+}
+
+/**
+ * Finds the Jira comments that have no copy on GitHub
+ * @param {Array<object>} jiraComments - Jira comments with `properties` expanded
+ * @param {Array<object>} githubComments - GitHub comments ({body})
+ * @returns {Array<object>} - Jira comments to add to GitHub
+ */
+function findMissingGitHubComments(jiraComments, githubComments) {
+  const copied = new Set();
+  const legacyBodies = [];
+  for (const comment of githubComments) {
+    const origin = parseOriginMarker(comment.body);
+    if (origin && origin.source === "jira" && origin.commentId) {
+      copied.add(String(origin.commentId));
+    } else if (!origin && LEGACY_GITHUB_COMMENT_RE.test(String(comment.body || "").trim())) {
+      legacyBodies.push(comment.body);
+    }
+  }
+
+  return jiraComments.filter((comment) => {
+    const property = (comment.properties || []).find((entry) => entry.key === ENTITY_PROPERTY_KEY);
+    const markdown = adfToMarkdown(comment.body || "").trim();
+    if (
+      (property && property.value && property.value.source) ||
+      LEGACY_JIRA_COMMENT_RE.test(markdown)
+    ) {
+      // Posted by the sync, so it is a copy of a GitHub comment or a sync note
+      return false;
+    }
+    if (!markdown || copied.has(String(comment.id))) {
+      return false;
+    }
+    // Copies posted before origin markers existed can only be matched by their text
+    return !legacyBodies.some((body) => body.includes(markdown));
+  });
+}
+
+/**
+ * Compares a linked pair
+ * @param {object} githubIssue - GitHub issue from the issues API
+ * @param {string} jiraKey - Linked Jira issue key
+ * @param {object} deps - {github, jira, statusMap, labelSync, resolveIssueFields}; replaceable in
+ *   tests
+ * @returns {Promise<object>} - {issueNumber, issueUrl, jiraKey, differences}; each difference is
+ *   {field, github, jira} plus what --fix needs to replay it
+ */
+async function comparePair(githubIssue, jiraKey, deps = {}) {
+  const api = deps.github || github;
+  const client = deps.jira || jira;
+  const statusMap = deps.statusMap || loadStatusMap();
+  const labelSync = deps.labelSync || loadLabelSync();
+  const resolveFields = deps.resolveIssueFields || resolveIssueFields;
+
+  const issue = await client.get(client.api(`/issue/${jiraKey}`), {
+    fields: "summary,description,priority,components,labels,status",
+  });
+  const current = issue.fields || {};
+  // Reuse attachments already in Jira, but do not upload anything while comparing
+  const desired = await resolveFields(jiraKey, githubIssue, { upload: false });
+  const changed = diffIssueFields(desired, current);
+  const differences = [];
+
+  if (changed.summary !== undefined) {
+    differences.push({ field: "title", github: desired.summary, jira: current.summary });
+  }
+  if (changed.description !== undefined) {
+    differences.push({ field: "description", github: "(differs)", jira: "(differs)" });
+  }
+  if (changed.priority !== undefined || changed.components !== undefined) {
+    differences.push({
+      field: "priority/components",
+      github: describeMappedFields(desired),
+      jira: describeMappedFields(current),
+    });
+  }
+
+  if (labelSync.enabled) {
+    const currentLabels = current.labels || [];
+    const desiredLabels = jiraLabelsFor(labelNames(githubIssue), currentLabels, labelSync);
+    if (!sameLabels(desiredLabels, currentLabels)) {
+      differences.push({
+        field: "labels",
+        github: desiredLabels.join(", ") || "none",
+        jira: currentLabels.join(", ") || "none",
+      });
+    }
+  }
+
+  const expected = current.status ? githubStateForJiraStatus(statusMap, current.status) : null;
+  if (expected && expected.state !== githubIssue.state) {
+    differences.push({
+      field: "status",
+      github: githubIssue.state,
+      jira: `${current.status.name} (${expected.state})`,
+    });
+  }
+
+  const githubComments =
+    githubIssue.comments === 0
+      ? []
+      : await api.listIssueComments(githubIssue.number, describeRepository(githubIssue));
+  const jiraComments = await client.paginate(client.api(`/issue/${jiraKey}/comment`), {
+    params: { expand: "properties" },
+    itemsKey: "comments",
+  });
+
+  const toJira = findMissingJiraComments(githubComments, jiraComments);
+  if (toJira.length > 0) {
+    differences.push({
+      field: "comments",
+      github: `${toJira.length} missing in Jira`,
+      jira: "",
+      missing: { jira: toJira },
+    });
+  }
+  const toGitHub = findMissingGitHubComments(jiraComments, githubComments);
+  if (toGitHub.length > 0) {
+    differences.push({
+      field: "comments",
+      github: "",
+      jira: `${toGitHub.length} missing on GitHub`,
+      missing: { github: toGitHub },
+    });
+  }
+
+  return {
+    issueNumber: githubIssue.number,
+    issueUrl: githubIssue.html_url,
+    jiraKey,
+    githubIssue,
+    differences,
+  };
+}
+
+/**
+ * Reads the "owner/name" repository of a GitHub issue from its URL
+ * @param {object} githubIssue - GitHub issue ({html_url})
+ * @returns {string|undefined} - Repository, or undefined to use GITHUB_REPOSITORY
+ */
+function describeRepository(githubIssue) {
+  const parsed = github.parseGitHubIssueUrl(githubIssue.html_url);
+  return parsed ? parsed.repository : undefined;
+}
+
+/**
+ * Replays the missing updates of a compared pair
+ * @param {object} result - Result of comparePair()
+ * @param {object} options - {statusSource: "github" | "jira"}
+ * @param {object} deps - {jira, updateIssue, syncJiraLabels, syncJiraStatus, syncGitHubState,
+ *   addComment, addGitHubComment}; replaceable in tests
+ * @returns {Promise<object>} - {fixed: [field], errors: [{field, error}]}
+ */
+async function fixPair(result, options = {}, deps = {}) {
+  const client = deps.jira || jira;
+  const update = deps.updateIssue || updateIssue;
+  const toJiraLabels = deps.syncJiraLabels || syncJiraLabels;
+  const toJiraStatus = deps.syncJiraStatus || syncJiraStatus;
+  const toGitHubState = deps.syncGitHubState || syncGitHubState;
+  const commentToJira = deps.addComment || addComment;
+  const commentToGitHub = deps.addGitHubComment || addGitHubComment;
+
+  const { jiraKey, githubIssue, differences } = result;
+  const outcome = { fixed: [], errors: [] };
+  const attempt = async (field, fix) => {
+    try {
+      await fix();
+      outcome.fixed.push(field);
+    } catch (error) {
+      outcome.errors.push({ field, error: error.message });
+    }
+  };
+
+  // Title, description, priority and components are all written by one update from the GitHub issue
+  const fields = differences
+    .map((difference) => difference.field)
+    .filter((field) => ["title", "description", "priority/components"].includes(field));
+  if (fields.length > 0) {
+    await attempt(fields.join(", "), () => update(jiraKey, githubIssue));
+  }
+
+  if (differences.some((difference) => difference.field === "labels")) {
+    await attempt("labels", () => toJiraLabels(jiraKey, githubIssue));
+  }
+
+  if (differences.some((difference) => difference.field === "status")) {
+    await attempt("status", () =>
+      options.statusSource === "jira" ? toGitHubState(jiraKey) : toJiraStatus(jiraKey, githubIssue),
+    );
+  }
+
+  for (const difference of differences.filter((candidate) => candidate.missing)) {
+    for (const comment of difference.missing.jira || []) {
+      await attempt(`GitHub comment ${comment.id}`, () => commentToJira(jiraKey, comment));
+    }
+    for (const comment of difference.missing.github || []) {
+      await attempt(`Jira comment ${comment.id}`, () =>
+        commentToGitHub(jiraKey, {
+          id: comment.id,
+          author: (comment.author && comment.author.displayName) || "Unknown",
+          body: comment.body,
+          jiraUrl: client.browseUrl(jiraKey),
+        }),
+      );
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Finds the linked pairs of a repository and compares each one
+ * @param {object} options - Options from parseReconcileArgs()
+ * @param {object} deps - {github, linkStore, ...comparePair() deps}; replaceable in tests
+ * @returns {Promise<object>} - {checked, results}; results only holds pairs with differences
+ */
+async function reconcile(options, deps = {}) {
+  const api = deps.github || github;
+  const linkStore = deps.linkStore || createLinkStore();
+  const statusMap = deps.statusMap || loadStatusMap();
+
+  let issues = await api.listIssues({ state: options.state }, options.repository);
+  if (options.limit !== null && options.limit !== undefined) {
+    issues = issues.slice(0, options.limit);
+  }
+
+  const results = [];
+  let checked = 0;
+  for (const issue of issues) {
+    const jiraKey = await linkStore.getJiraKey(issue);
+    if (!jiraKey) {
+      continue;
+    }
+    checked++;
+
+    try {
+      const result = await comparePair(issue, jiraKey, { ...deps, statusMap });
+      if (result.differences.length > 0) {
+        results.push(result);
+      }
+    } catch (error) {
+      results.push({
+        issueNumber: issue.number,
+        issueUrl: issue.html_url,
+        jiraKey,
+        githubIssue: issue,
+        differences: [],
+        error: error.message,
+      });
+    }
+  }
+
+  return { checked, results };
+}
+
+/**
+ * Strips the data only --fix needs from the results, for JSON output
+ * @param {Array<object>} results - Results of reconcile()
+ * @returns {Array<object>} - {issueNumber, issueUrl, jiraKey, differences, error?, fix?}
+ */
+function toReport(results) {
+  return results.map(({ githubIssue, differences, ...result }) => ({
+    ...result,
+    differences: differences.map(({ missing, ...difference }) => difference),
+  }));
+}
+
+/**
+ * Formats the results as a plain-text table
+ * @param {Array<object>} results - Results of reconcile()
+ * @returns {string} - One row per difference
+ */
+function formatReportTable(results) {
+  const clip = (text, width) => {
+    const value = String(text);
+    return value.length > width ? `${value.slice(0, width - 1)}…` : value;
+  };
+  const rows = [["Issue", "Jira", "Field", "GitHub", "Jira value"]];
+  for (const result of results) {
+    if (result.error) {
+      rows.push([`#${result.issueNumber}`, result.jiraKey, "error", clip(result.error, 80), ""]);
+    }
+    for (const difference of result.differences) {
+      rows.push([
+        `#${result.issueNumber}`,
+        result.jiraKey,
+        difference.field,
+        clip(difference.github, 40),
+        clip(difference.jira, 40),
+      ]);
+    }
+  }
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  const line = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(rows[0]),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.slice(1).map(line),
+  ].join("\n");
+}
+
+// CLI usage
+if (require.main === module) {
+  let options;
+  try {
+    options = parseReconcileArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error("Usage: node reconcile.js [options]");
+    console.error("  --repo owner/name          Repository to check (default GITHUB_REPOSITORY)");
+    console.error("  --state open|closed|all    GitHub issue state (default all)");
+    console.error("  --limit N                  Check at most N issues");
+    console.error("  --json                     Print the report as JSON");
+    console.error("  --fix                      Replay the missing updates");
+    console.error(
+      "  --status-source github|jira  Side whose status wins with --fix (default github)",
+    );
+    console.error("Example: node reconcile.js --state open --fix");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (!options.repository) {
+    missingEnv.push("GITHUB_REPOSITORY");
+  }
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const { checked, results } = await reconcile(options);
+
+      let failed = results.filter((result) => result.error).length;
+      if (options.fix) {
+        for (const result of results.filter((candidate) => !candidate.error)) {
+          result.fix = await fixPair(result, options);
+          failed += result.fix.errors.length > 0 ? 1 : 0;
+        }
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({ checked, results: toReport(results) }, null, 2));
+      } else if (results.length === 0) {
+        console.log(`✅ ${checked} linked pair(s) checked, no drift found`);
+      } else {
+        console.log(formatReportTable(results));
+        console.log(`\n📊 ${results.length} of ${checked} linked pair(s) differ`);
+        for (const result of results.filter((candidate) => candidate.fix)) {
+          result.fix.fixed.forEach((field) =>
+            console.log(`🔧 #${result.issueNumber}: fixed ${field}`),
+          );
+          result.fix.errors.forEach(({ field, error }) =>
+            console.error(`❌ #${result.issueNumber}: could not fix ${field}: ${error}`),
+          );
+        }
+      }
+
+      // Without --fix, any drift fails the run so it can be used as a check
+      process.exit((options.fix ? failed : results.length) > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`❌ Reconciliation failed: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  parseReconcileArgs,
+  findMissingJiraComments,
+  findMissingGitHubComments,
+  comparePair,
+  fixPair,
+  reconcile,
+  toReport,
+  formatReportTable,
+};
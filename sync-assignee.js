@@ -0,0 +1,342 @@
+/**
+ * GitHub ↔ Jira assignee sync
+ *
+ * Assigning or unassigning a GitHub issue sets the assignee of the linked Jira
+ * issue to the first GitHub assignee with a Jira account (see
+ * user-mapping.js). In the other direction, the Jira assignee replaces the
+ * mapped GitHub assignees; GitHub assignees without a Jira account cannot be
+ * represented in Jira and are kept.
+ *
+ * When the user on one side has no counterpart, `assigneeSync.<direction>.unmapped`
+ * in label-mapping.json decides what happens:
+ *
+ * - `unassign`: leave the other side unassigned
+ * - `default`: assign `assigneeSync.<direction>.default` (a triage account)
+ * - `comment`: leave the assignee alone and post a note on the other side;
+ *   later changes edit that note instead of adding another
+ *
+ * Both directions do nothing when the other side already matches, so a change
+ * made on one side does not bounce back.
+ */
+
+const fs = require("fs");
+const github = require("./github-api");
+const { textToADF, adfToMarkdown } = require("./adf-utils");
+const { JiraClient } = require("./jira-client");
+const { createLinkStore, ENTITY_PROPERTY_KEY } = require("./link-store");
+const { createUserMapper } = require("./user-mapping");
+const { withOriginMarker, parseOriginMarker, originProperties } = require("./sync-origin");
+
+const jira = JiraClient.fromEnv();
+
+// Origin `note` of the unmapped assignee notes, to find the one to edit
+const ASSIGNEE_NOTE = "assignee";
+
+const DEFAULT_ASSIGNEE_SYNC = {
+  toJira: { unmapped: "unassign" },
+  toGitHub: { unmapped: "unassign" },
+};
+
+/**
+ * Loads the assignee sync settings from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {toJira: {unmapped, default}, toGitHub: {unmapped, default}}
+ */
+function loadAssigneeSync(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default assignee sync settings");
+  }
+
+  const assigneeSync = config.assigneeSync || {};
+  return {
+    toJira: { ...DEFAULT_ASSIGNEE_SYNC.toJira, ...assigneeSync.toJira },
+    toGitHub: { ...DEFAULT_ASSIGNEE_SYNC.toGitHub, ...assigneeSync.toGitHub },
+  };
+}
+
+/**
+ * Decides the Jira assignee for a GitHub issue's assignees
+ * @param {Array<object>} assignees - GitHub assignees resolved by createUserMapper().resolve()
+ * @param {object} settings - assigneeSync.toJira settings
+ * @returns {object} - {accountId} to assign (null to unassign), or {comment} to only post a note
+ */
+function jiraAssigneeFor(assignees, settings) {
+  if (assignees.length === 0) {
+    return { accountId: null };
+  }
+
+  const mapped = assignees.find((assignee) => assignee.accountId);
+  if (mapped) {
+    return { accountId: mapped.accountId };
+  }
+
+  const logins = assignees.map((assignee) => `@${assignee.login}`).join(", ");
+  if (settings.unmapped === "default" && settings.default) {
+    return { accountId: settings.default };
+  }
+  if (settings.unmapped === "comment") {
+    return {
+      comment: `Assigned on GitHub to ${logins}, who ${
+        assignees.length === 1 ? "has" : "have"
+      } no mapped Jira account.`,
+    };
+  }
+  return { accountId: null };
+}
+
+/**
+ * Decides the GitHub assignees for a Jira assignee
+ * @param {object|null} jiraAssignee - Jira assignee ({accountId, displayName}), null if unassigned
+ * @param {string|null} login - GitHub login mapped to the Jira assignee
+ * @param {Array<object>} current - Current GitHub assignees resolved by createUserMapper().resolve()
+ * @param {object} settings - assigneeSync.toGitHub settings
+ * @returns {object} - {assignees} to set, or {comment} to only post a note
+ */
+function githubAssigneesFor(jiraAssignee, login, current, settings) {
+  // GitHub assignees without a Jira account are not represented in Jira, so keep them
+  const unmapped = current.filter((user) => !user.accountId).map((user) => user.login);
+
+  if (jiraAssignee && login) {
+    return { assignees: [...new Set([login, ...unmapped])] };
+  }
+  if (jiraAssignee && settings.unmapped === "default" && settings.default) {
+    return { assignees: [...new Set([settings.default, ...unmapped])] };
+  }
+  if (jiraAssignee && settings.unmapped === "comment") {
+    return {
+      comment: `Assigned in Jira to ${jiraAssignee.displayName || jiraAssignee.accountId}, who has no mapped GitHub account.`,
+    };
+  }
+  return { assignees: unmapped };
+}
+
+/**
+ * Finds the latest unmapped assignee note the sync posted on a GitHub issue
+ * @param {Array<object>} comments - GitHub comments, oldest first
+ * @returns {object|null} - The note comment, or null if there is none
+ */
+function findGitHubAssigneeNote(comments) {
+  const notes = comments.filter((comment) => {
+    const origin = parseOriginMarker(comment.body);
+    return Boolean(origin && origin.source === "sync" && origin.note === ASSIGNEE_NOTE);
+  });
+  return notes[notes.length - 1] || null;
+}
+
+/**
+ * Finds the latest unmapped assignee note the sync posted on a Jira issue
+ * @param {Array<object>} comments - Jira comments with `properties` expanded, oldest first
+ * @returns {object|null} - The note comment, or null if there is none
+ */
+function findJiraAssigneeNote(comments) {
+  const notes = comments.filter((comment) =>
+    (comment.properties || []).some(
+      (property) =>
+        property.key === ENTITY_PROPERTY_KEY &&
+        property.value &&
+        property.value.source === "sync" &&
+        property.value.note === ASSIGNEE_NOTE,
+    ),
+  );
+  return notes[notes.length - 1] || null;
+}
+
+/**
+ * Compares two lists of GitHub logins regardless of order and case
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {boolean} - Whether both hold the same logins
+ */
+function sameLogins(a, b) {
+  const normalize = (logins) => logins.map((login) => login.toLowerCase()).sort();
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Sets the Jira assignee to match a GitHub issue's assignees
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} githubIssue - GitHub issue ({assignees})
+ * @param {object} settings - Assignee sync settings (defaults to label-mapping.json)
+ * @returns {Promise<object|null>} - Applied {accountId} or {comment}, or null if nothing changed
+ */
+async function syncJiraAssignee(jiraKey, githubIssue, settings = loadAssigneeSync()) {
+  const users = createUserMapper({ jira });
+  const assignees = [];
+  for (const assignee of githubIssue.assignees || []) {
+    assignees.push(await users.resolve(assignee.login));
+  }
+  const desired = jiraAssigneeFor(assignees, settings.toJira);
+
+  try {
+    if (desired.comment) {
+      const comments = await jira.paginate(jira.api(`/issue/${jiraKey}/comment`), {
+        params: { expand: "properties" },
+      });
+      const note = findJiraAssigneeNote(comments);
+      if (note && adfToMarkdown(note.body).trim() === desired.comment) {
+        console.log(`ℹ️  ${jiraKey} already notes the unmapped GitHub assignee`);
+        return null;
+      }
+
+      const body = textToADF(desired.comment);
+      if (note) {
+        await jira.put(jira.api(`/issue/${jiraKey}/comment/${note.id}`), { body });
+      } else {
+        await jira.post(jira.api(`/issue/${jiraKey}/comment`), {
+          body,
+          properties: originProperties({ source: "sync", note: ASSIGNEE_NOTE }),
+        });
+      }
+      return desired;
+    }
+
+    const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "assignee" });
+    const current = issue.fields.assignee;
+    if ((current ? current.accountId : null) === desired.accountId) {
+      console.log(
+        `ℹ️  ${jiraKey} is already ${current ? `assigned to ${current.displayName}` : "unassigned"}`,
+      );
+      return null;
+    }
+
+    await jira.put(jira.api(`/issue/${jiraKey}/assignee`), { accountId: desired.accountId });
+    return desired;
+  } catch (error) {
+    console.error(`Error updating the assignee of Jira issue ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sets the assignees of the GitHub issue linked to a Jira issue to match its assignee
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} settings - Assignee sync settings (defaults to label-mapping.json)
+ * @returns {Promise<object|null>} - Applied {assignees} or {comment}, or null if nothing changed
+ */
+async function syncGitHubAssignees(jiraKey, settings = loadAssigneeSync()) {
+  const linked = await createLinkStore().getGitHubIssue(jiraKey);
+  if (!linked) {
+    throw new Error(`No GitHub issue is linked to ${jiraKey}`);
+  }
+
+  const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "assignee" });
+  const jiraAssignee = issue.fields.assignee;
+
+  const users = createUserMapper({ jira });
+  const githubIssue = await github.getIssue(linked.issueNumber, linked.repository);
+  const current = [];
+  for (const assignee of githubIssue.assignees || []) {
+    current.push(await users.resolve(assignee.login));
+  }
+  const currentLogins = current.map((user) => user.login);
+
+  const login = jiraAssignee ? await users.toGitHub(jiraAssignee.accountId) : null;
+  // The Jira assignee is already one of the GitHub assignees
+  if (login && currentLogins.some((candidate) => candidate.toLowerCase() === login.toLowerCase())) {
+    console.log(`ℹ️  ${linked.issueUrl} is already assigned to @${login}`);
+    return null;
+  }
+
+  const desired = githubAssigneesFor(jiraAssignee, login, current, settings.toGitHub);
+  if (desired.comment) {
+    const body = withOriginMarker(`👤 ${desired.comment}`, {
+      source: "sync",
+      jiraKey,
+      note: ASSIGNEE_NOTE,
+    });
+    const note = findGitHubAssigneeNote(
+      await github.listIssueComments(linked.issueNumber, linked.repository),
+    );
+    if (note && note.body === body) {
+      console.log(`ℹ️  ${linked.issueUrl} already notes the unmapped Jira assignee`);
+      return null;
+    }
+
+    if (note) {
+      await github.updateIssueComment(note.id, body, linked.repository);
+    } else {
+      await github.createIssueComment(linked.issueNumber, body, linked.repository);
+    }
+    return desired;
+  }
+  if (sameLogins(desired.assignees, currentLogins)) {
+    console.log(`ℹ️  ${linked.issueUrl} assignees are already up to date`);
+    return null;
+  }
+
+  await github.updateIssue(linked.issueNumber, { assignees: desired.assignees }, linked.repository);
+  return desired;
+}
+
+// CLI usage
+if (require.main === module) {
+  const [direction, jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = process.argv.slice(2);
+
+  if (!["to-jira", "to-github"].includes(direction) || !jiraKey) {
+    console.error("Usage:");
+    console.error(
+      "  node sync-assignee.js to-jira <jiraKey> [eventPath]   # GitHub assignees → Jira",
+    );
+    console.error(
+      "  node sync-assignee.js to-github <jiraKey>             # Jira assignee → GitHub",
+    );
+    console.error("Example: node sync-assignee.js to-jira PROJ-123 ./issue-assigned-event.json");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      if (direction === "to-jira") {
+        if (!eventPath) {
+          console.error("❌ No event payload: pass a path or set GITHUB_EVENT_PATH");
+          process.exit(1);
+        }
+        const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+        const applied = await syncJiraAssignee(jiraKey, event.issue);
+        if (applied && applied.comment) {
+          console.log(`💬 Noted the unmapped GitHub assignee on ${jiraKey}`);
+        } else if (applied) {
+          console.log(
+            `✅ ${applied.accountId ? `Assigned ${jiraKey} to ${applied.accountId}` : `Unassigned ${jiraKey}`}`,
+          );
+        }
+      } else {
+        const applied = await syncGitHubAssignees(jiraKey);
+        if (applied && applied.comment) {
+          console.log(`💬 Noted the unmapped Jira assignee on the GitHub issue`);
+        } else if (applied) {
+          console.log(
+            `✅ Set the assignees of the GitHub issue linked to ${jiraKey} to [${applied.assignees.join(", ")}]`,
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync the assignee of ${jiraKey}: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_ASSIGNEE_SYNC,
+  loadAssigneeSync,
+  jiraAssigneeFor,
+  githubAssigneesFor,
+  findGitHubAssigneeNote,
+  findJiraAssigneeNote,
+  syncJiraAssignee,
+  syncGitHubAssignees,
+};
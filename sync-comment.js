@@ -0,0 +1,240 @@
+const fs = require("fs");
+const { markdownToADF, adfToMarkdown } = require("./adf-utils");
+const { JiraClient } = require("./jira-client");
+const { createLinkStore } = require("./link-store");
+const { syncAttachments } = require("./attachments");
+const { createUserMapper, userToADF } = require("./user-mapping");
+const {
+  withOriginMarker,
+  originProperties,
+  isSyncedGitHubComment,
+  isSyncedJiraComment,
+} = require("./sync-origin");
+const github = require("./github-api");
+
+const jira = JiraClient.fromEnv();
+
+/**
+ * Creates the ADF body of a Jira comment mirroring a GitHub comment
+ * @param {object} comment - GitHub comment ({body, html_url, user: {login}})
+ * @param {object} author - Comment author resolved by createUserMapper().resolve(), to mention
+ *   their Jira account (defaults to the login as text)
+ * @returns {object} - ADF formatted comment body
+ */
+function createGitHubCommentADF(comment, author = null) {
+  const login = (comment.user && comment.user.login) || "unknown";
+  const content = [
+    // Author attribution
+    {
+      type: "paragraph",
+      content:
+        author && author.accountId
+          ? [
+              { type: "text", text: "Comment from GitHub by ", marks: [{ type: "em" }] },
+              ...userToADF(author),
+              { type: "text", text: ":", marks: [{ type: "em" }] },
+            ]
+          : [
+              {
+                type: "text",
+                text: `Comment from GitHub by ${login}:`,
+                marks: [{ type: "em" }],
+              },
+            ],
+    },
+  ];
+
+  // Comment body, converting GitHub markdown to rich ADF
+  if (comment.body && comment.body.trim()) {
+    content.push(...markdownToADF(comment.body).content);
+  }
+
+  // Back-link to the GitHub comment
+  if (comment.html_url) {
+    content.push(
+      {
+        type: "rule",
+      },
+      {
+        type: "paragraph",
+        content: [
+          {
+            type: "text",
+            text: "View on GitHub",
+            marks: [
+              {
+                type: "link",
+                attrs: {
+                  href: comment.html_url,
+                },
+              },
+            ],
+          },
+        ],
+      },
+    );
+  }
+
+  return {
+    type: "doc",
+    version: 1,
+    content: content,
+  };
+}
+
+/**
+ * Adds a GitHub comment to a Jira issue using REST API. Comments the sync
+ * posted itself (mirrored from Jira or sync notes) are skipped.
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} comment - GitHub comment ({id, body, html_url, user: {login}})
+ * @returns {Promise<string|null>} - Jira comment id, or null if the comment was skipped
+ */
+async function addComment(jiraKey, comment) {
+  if (isSyncedGitHubComment(comment)) {
+    console.log(
+      `⏭️  Skipping comment ${comment.html_url || comment.id}: it was posted by the sync`,
+    );
+    return null;
+  }
+
+  try {
+    const users = createUserMapper({ jira });
+    const body = await users.mentionsToADF(
+      createGitHubCommentADF(comment, await users.resolve(comment.user && comment.user.login)),
+    );
+
+    // Upload screenshots and files first so the comment can point at the Jira copies
+    const attached = await syncAttachments(jiraKey, body, { jira });
+    const data = {
+      body: attached.doc,
+      // Lets the Jira → GitHub direction recognise the comment and not send it back
+      properties: originProperties({
+        source: "github",
+        commentId: comment.id,
+        commentUrl: comment.html_url,
+      }),
+    };
+
+    const response = await jira.post(jira.api(`/issue/${jiraKey}/comment`), data);
+    return response.id;
+  } catch (error) {
+    console.error(`Error adding comment to Jira issue ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetches a Jira comment through the REST API, where its body is ADF (native
+ * Jira webhooks send the body as wiki markup instead)
+ * @param {string} jiraKey - Jira issue key
+ * @param {string} commentId - Jira comment id
+ * @returns {Promise<object>} - Jira comment ({id, author, body})
+ */
+function getJiraComment(jiraKey, commentId) {
+  return jira.get(jira.api(`/issue/${jiraKey}/comment/${commentId}`));
+}
+
+/**
+ * Formats a Jira comment as the GitHub markdown posted on the linked issue,
+ * ending with the origin marker that keeps it from being synced back
+ * @param {object} comment - Jira comment ({author, body, jiraUrl, jiraKey, id}); body may be ADF or plain text
+ * @returns {string} - GitHub comment markdown
+ */
+function createJiraCommentMarkdown(comment) {
+  // Jira comment bodies arrive as ADF (object or JSON string) or plain text
+  const markdownBody = adfToMarkdown(comment.body);
+
+  return withOriginMarker(
+    `💬 **Comment from Jira by ${comment.author}:**\n\n${markdownBody}\n\n---\n*Synced from [Jira](${comment.jiraUrl || "Jira"})*`,
+    { source: "jira", jiraKey: comment.jiraKey, commentId: comment.id },
+  );
+}
+
+/**
+ * Adds a Jira comment to the GitHub issue linked to a Jira issue. Comments the
+ * sync posted itself (mirrored from GitHub or sync notes) are skipped.
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} comment - Jira comment ({id, author, body, jiraUrl})
+ * @returns {Promise<number|null>} - GitHub comment id, or null if the comment was skipped
+ */
+async function addGitHubComment(jiraKey, comment) {
+  if (await isSyncedJiraComment(comment, jira)) {
+    console.log(
+      `⏭️  Skipping Jira comment ${comment.id || ""} on ${jiraKey}: it was posted by the sync`,
+    );
+    return null;
+  }
+
+  const linked = await createLinkStore().getGitHubIssue(jiraKey);
+  if (!linked) {
+    throw new Error(`No GitHub issue is linked to ${jiraKey}`);
+  }
+
+  // Mentions of mapped Jira accounts become @login mentions on GitHub
+  const body = await createUserMapper({ jira }).mentionsToGitHub(comment.body);
+
+  const created = await github.createIssueComment(
+    linked.issueNumber,
+    createJiraCommentMarkdown({ ...comment, body, jiraKey }),
+    linked.repository,
+  );
+  return created.id;
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.error("Usage: node sync-comment.js <jiraKey> [eventPath]");
+    console.error(
+      "Reads the GitHub comment from the issue_comment event payload (GITHUB_EVENT_PATH)",
+    );
+    console.error("Example: node sync-comment.js 'PROJ-123' ./issue-comment-event.json");
+    process.exit(1);
+  }
+
+  const [jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = args;
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  // Add comment
+  (async () => {
+    try {
+      // Read the comment from the event file so its text never passes through the shell
+      const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+      if (!event.comment) {
+        throw new Error(`No comment found in event payload ${eventPath}`);
+      }
+
+      const commentId = await addComment(jiraKey, event.comment);
+      if (!commentId) {
+        return;
+      }
+      console.log(`✅ Successfully added comment ${commentId} to Jira ticket: ${jiraKey}`);
+
+      // Output for GitHub workflow
+      if (process.env.GITHUB_OUTPUT) {
+        fs.appendFileSync(process.env.GITHUB_OUTPUT, `jira-comment-id=${commentId}\n`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to add comment to Jira ticket: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  addComment,
+  createGitHubCommentADF,
+  createJiraCommentMarkdown,
+  getJiraComment,
+  addGitHubComment,
+};
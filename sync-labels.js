@@ -0,0 +1,352 @@
+/**
+ * GitHub ↔ Jira label sync
+ *
+ * Labeling or unlabeling a GitHub issue sets the `labels` field of the linked
+ * Jira issue, and a label change in Jira updates the GitHub labels. Jira
+ * labels cannot contain spaces, so every GitHub label is normalised
+ * (whitespace replaced by `labelSync.separator`, optionally lower-cased)
+ * unless `labelSync.aliases` names its Jira label. In the other direction a
+ * Jira label becomes the GitHub label it came from: an alias, an issue or
+ * repository label that normalises to it, or else the Jira label as is.
+ *
+ * `labelSync.allow` and `labelSync.deny` (`*` matches anything) choose which
+ * labels are synced. Patterns are compared in normalised form, so one pattern
+ * covers a label on both sides; labels outside them are left alone.
+ *
+ * Both directions do nothing when the other side already matches, so a change
+ * made on one side does not bounce back.
+ */
+
+const fs = require("fs");
+const github = require("./github-api");
+const { JiraClient } = require("./jira-client");
+const { createLinkStore } = require("./link-store");
+
+const jira = JiraClient.fromEnv();
+
+// Jira rejects longer labels
+const MAX_LABEL_LENGTH = 255;
+
+const DEFAULT_LABEL_SYNC = {
+  enabled: true,
+  separator: "-",
+  lowercase: false,
+  aliases: {},
+  allow: [],
+  deny: [],
+};
+
+/**
+ * Loads the label sync settings from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {enabled, separator, lowercase, aliases, allow, deny}
+ */
+function loadLabelSync(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default label sync settings");
+  }
+
+  return { ...DEFAULT_LABEL_SYNC, ...config.labelSync };
+}
+
+/**
+ * Turns a label name into a valid Jira label
+ * @param {string} name - Label name
+ * @param {object} settings - Label sync settings
+ * @returns {string} - Label without whitespace, at most 255 characters
+ */
+function normalizeLabel(name, settings = DEFAULT_LABEL_SYNC) {
+  let label = String(name).trim().replace(/\s+/g, settings.separator);
+  if (settings.lowercase) {
+    label = label.toLowerCase();
+  }
+  return label.slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Picks the Jira label for a GitHub label
+ * @param {string} githubLabel - GitHub label name
+ * @param {object} settings - Label sync settings
+ * @returns {string} - Jira label
+ */
+function jiraLabelFor(githubLabel, settings = DEFAULT_LABEL_SYNC) {
+  const alias = Object.keys(settings.aliases || {}).find(
+    (name) => name.toLowerCase() === githubLabel.toLowerCase(),
+  );
+  return alias ? settings.aliases[alias] : normalizeLabel(githubLabel, settings);
+}
+
+/**
+ * Picks the GitHub label for a Jira label
+ * @param {string} jiraLabel - Jira label
+ * @param {object} settings - Label sync settings
+ * @param {string[]} knownLabels - GitHub label names the Jira label may have come from
+ * @returns {string} - GitHub label name
+ */
+function githubLabelFor(jiraLabel, settings = DEFAULT_LABEL_SYNC, knownLabels = []) {
+  const alias = Object.keys(settings.aliases || {}).find(
+    (name) => settings.aliases[name] === jiraLabel,
+  );
+  if (alias) {
+    return alias;
+  }
+  const known = knownLabels.find((name) => normalizeLabel(name, settings) === jiraLabel);
+  return known || jiraLabel;
+}
+
+/**
+ * Checks a GitHub label against the allow and deny lists
+ * @param {string} githubLabel - GitHub label name
+ * @param {object} settings - Label sync settings
+ * @returns {boolean} - Whether the label is synced
+ */
+function isSyncedLabel(githubLabel, settings = DEFAULT_LABEL_SYNC) {
+  const name = normalizeLabel(githubLabel, settings).toLowerCase();
+  const matches = (pattern) => {
+    const escaped = normalizeLabel(pattern, settings)
+      .toLowerCase()
+      .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}$`).test(name);
+  };
+
+  const allow = settings.allow || [];
+  if (allow.length > 0 && !allow.some(matches)) {
+    return false;
+  }
+  return !(settings.deny || []).some(matches);
+}
+
+/**
+ * Reads the label names of a GitHub issue
+ * @param {object} githubIssue - GitHub issue ({labels}); labels may be names or objects
+ * @returns {string[]} - Label names
+ */
+function labelNames(githubIssue) {
+  return ((githubIssue && githubIssue.labels) || []).map((label) =>
+    typeof label === "string" ? label : label.name,
+  );
+}
+
+/**
+ * Removes duplicates from a list of labels, keeping the first occurrence
+ * @param {string[]} labels - Labels
+ * @param {boolean} ignoreCase - Whether labels differing only in case are duplicates
+ * @returns {string[]} - Unique labels
+ */
+function uniqueLabels(labels, ignoreCase = false) {
+  const seen = new Set();
+  return labels.filter((label) => {
+    const key = ignoreCase ? label.toLowerCase() : label;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Compares two label lists regardless of order
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @param {boolean} ignoreCase - Whether to compare case-insensitively (GitHub labels)
+ * @returns {boolean} - Whether both hold the same labels
+ */
+function sameLabels(a, b, ignoreCase = false) {
+  const normalize = (labels) =>
+    uniqueLabels(labels, ignoreCase)
+      .map((label) => (ignoreCase ? label.toLowerCase() : label))
+      .sort();
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Decides the Jira labels for a GitHub issue's labels
+ * @param {string[]} githubLabels - GitHub label names
+ * @param {string[]} currentLabels - Current Jira labels
+ * @param {object} settings - Label sync settings
+ * @returns {string[]} - Jira labels: the ones outside the sync, then the synced GitHub labels
+ */
+function jiraLabelsFor(githubLabels, currentLabels, settings = DEFAULT_LABEL_SYNC) {
+  const kept = currentLabels.filter(
+    (label) => !isSyncedLabel(githubLabelFor(label, settings, githubLabels), settings),
+  );
+  const synced = githubLabels
+    .filter((label) => isSyncedLabel(label, settings))
+    .map((label) => jiraLabelFor(label, settings));
+  return uniqueLabels([...kept, ...synced]);
+}
+
+/**
+ * Decides the GitHub labels for a Jira issue's labels
+ * @param {string[]} jiraLabels - Jira labels
+ * @param {string[]} currentLabels - Current GitHub label names
+ * @param {object} settings - Label sync settings
+ * @param {string[]} repositoryLabels - Label names defined in the repository
+ * @returns {string[]} - GitHub labels: the ones outside the sync, then the synced Jira labels
+ */
+function githubLabelsFor(
+  jiraLabels,
+  currentLabels,
+  settings = DEFAULT_LABEL_SYNC,
+  repositoryLabels = [],
+) {
+  const known = [...currentLabels, ...repositoryLabels];
+  const kept = currentLabels.filter((label) => !isSyncedLabel(label, settings));
+  const synced = jiraLabels
+    .map((label) => githubLabelFor(label, settings, known))
+    .filter((label) => isSyncedLabel(label, settings));
+  return uniqueLabels([...kept, ...synced], true);
+}
+
+/**
+ * Builds the `labels` field for a new Jira issue from its GitHub labels
+ * @param {string[]} githubLabels - GitHub label names
+ * @param {object} settings - Label sync settings (defaults to label-mapping.json)
+ * @returns {object} - {labels}, or no fields when label sync is off or nothing is synced
+ */
+function buildLabelFields(githubLabels, settings = loadLabelSync()) {
+  if (!settings.enabled) {
+    return {};
+  }
+  const labels = jiraLabelsFor(githubLabels, [], settings);
+  return labels.length > 0 ? { labels } : {};
+}
+
+/**
+ * Sets the Jira labels to match a GitHub issue's labels
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} githubIssue - GitHub issue ({labels})
+ * @param {object} settings - Label sync settings (defaults to label-mapping.json)
+ * @returns {Promise<object|null>} - Applied {labels}, or null if nothing changed
+ */
+async function syncJiraLabels(jiraKey, githubIssue, settings = loadLabelSync()) {
+  if (!settings.enabled) {
+    console.log("ℹ️  Label sync is turned off (labelSync.enabled)");
+    return null;
+  }
+
+  try {
+    const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "labels" });
+    const current = issue.fields.labels || [];
+    const desired = jiraLabelsFor(labelNames(githubIssue), current, settings);
+    if (sameLabels(desired, current)) {
+      console.log(`ℹ️  ${jiraKey} labels are already up to date`);
+      return null;
+    }
+
+    await jira.put(jira.api(`/issue/${jiraKey}`), { fields: { labels: desired } });
+    return { labels: desired };
+  } catch (error) {
+    console.error(`Error updating the labels of Jira issue ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sets the labels of the GitHub issue linked to a Jira issue to match its labels
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} settings - Label sync settings (defaults to label-mapping.json)
+ * @returns {Promise<object|null>} - Applied {labels}, or null if nothing changed
+ */
+async function syncGitHubLabels(jiraKey, settings = loadLabelSync()) {
+  if (!settings.enabled) {
+    console.log("ℹ️  Label sync is turned off (labelSync.enabled)");
+    return null;
+  }
+
+  const linked = await createLinkStore().getGitHubIssue(jiraKey);
+  if (!linked) {
+    throw new Error(`No GitHub issue is linked to ${jiraKey}`);
+  }
+
+  const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "labels" });
+  const githubIssue = await github.getIssue(linked.issueNumber, linked.repository);
+  const current = labelNames(githubIssue);
+
+  // Repository labels let a normalised Jira label find the GitHub label it came from
+  let repositoryLabels = [];
+  try {
+    repositoryLabels = (await github.listLabels(linked.repository)).map((label) => label.name);
+  } catch (error) {
+    console.warn(`⚠️  Could not list the labels of ${linked.repository}: ${error.message}`);
+  }
+
+  const desired = githubLabelsFor(issue.fields.labels || [], current, settings, repositoryLabels);
+  if (sameLabels(desired, current, true)) {
+    console.log(`ℹ️  ${linked.issueUrl} labels are already up to date`);
+    return null;
+  }
+
+  await github.updateIssue(linked.issueNumber, { labels: desired }, linked.repository);
+  return { labels: desired };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [direction, jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = process.argv.slice(2);
+
+  if (!["to-jira", "to-github"].includes(direction) || !jiraKey) {
+    console.error("Usage:");
+    console.error("  node sync-labels.js to-jira <jiraKey> [eventPath]   # GitHub labels → Jira");
+    console.error("  node sync-labels.js to-github <jiraKey>             # Jira labels → GitHub");
+    console.error("Example: node sync-labels.js to-jira PROJ-123 ./issue-labeled-event.json");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      if (direction === "to-jira") {
+        if (!eventPath) {
+          console.error("❌ No event payload: pass a path or set GITHUB_EVENT_PATH");
+          process.exit(1);
+        }
+        const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+        const applied = await syncJiraLabels(jiraKey, event.issue);
+        if (applied) {
+          console.log(`✅ Set the labels of ${jiraKey} to [${applied.labels.join(", ")}]`);
+        }
+      } else {
+        const applied = await syncGitHubLabels(jiraKey);
+        if (applied) {
+          console.log(
+            `✅ Set the labels of the GitHub issue linked to ${jiraKey} to [${applied.labels.join(", ")}]`,
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync the labels of ${jiraKey}: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_LABEL_SYNC,
+  loadLabelSync,
+  normalizeLabel,
+  jiraLabelFor,
+  githubLabelFor,
+  isSyncedLabel,
+  labelNames,
+  jiraLabelsFor,
+  githubLabelsFor,
+  sameLabels,
+  buildLabelFields,
+  syncJiraLabels,
+  syncGitHubLabels,
+};
@@ -0,0 +1,417 @@
+/**
+ * GitHub milestone → Jira sync
+ *
+ * Milestones stand for releases and initiatives, so the milestone of a GitHub
+ * issue is carried over to the linked Jira issue as set by
+ * `milestoneSync.target` in label-mapping.json:
+ *
+ * - `fixVersions` (default): the project version named after the milestone is
+ *   added to the issue's fix versions. A new version gets the milestone's due
+ *   date as its release date.
+ * - `parent`: the issue's parent becomes the epic (`milestoneSync.epicIssueType`)
+ *   whose summary is the milestone name.
+ * - `sprint`: the issue is moved to the sprint of that name on board
+ *   `milestoneSync.boardId`.
+ * - `none`: milestones are not synced.
+ *
+ * `milestoneSync.names` maps a milestone title to a different Jira name. A
+ * version, epic or sprint that does not exist yet is created unless
+ * `milestoneSync.create` is false. When the milestone is removed (or replaced)
+ * the issue is taken out of the previous one's version, epic or sprint;
+ * versions, epics and sprints set in Jira by hand are left alone.
+ */
+
+const fs = require("fs");
+const { markdownToADF } = require("./adf-utils");
+const { JiraClient } = require("./jira-client");
+
+const jira = JiraClient.fromEnv();
+
+// Jira rejects longer version names and summaries
+const MAX_NAME_LENGTH = 255;
+// Jira rejects longer sprint names
+const MAX_SPRINT_NAME_LENGTH = 30;
+
+const MILESTONE_TARGETS = ["fixVersions", "parent", "sprint", "none"];
+
+const DEFAULT_MILESTONE_SYNC = {
+  target: "fixVersions",
+  create: true,
+  names: {},
+  epicIssueType: "Epic",
+  boardId: null,
+};
+
+/**
+ * Loads the milestone sync settings from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {target, create, names, epicIssueType, boardId}
+ */
+function loadMilestoneSync(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default milestone sync settings");
+  }
+
+  const settings = { ...DEFAULT_MILESTONE_SYNC, ...config.milestoneSync };
+  if (!MILESTONE_TARGETS.includes(settings.target)) {
+    console.warn(`⚠️  Unknown milestoneSync.target "${settings.target}"; using "fixVersions"`);
+    settings.target = "fixVersions";
+  }
+  return settings;
+}
+
+/**
+ * Gets the Jira name of a GitHub milestone
+ * @param {object} milestone - GitHub milestone ({title})
+ * @param {object} settings - Milestone sync settings
+ * @returns {string} - Version, epic or sprint name
+ */
+function jiraNameFor(milestone, settings) {
+  const name = String((settings.names || {})[milestone.title] || milestone.title).trim();
+  return name.slice(0, settings.target === "sprint" ? MAX_SPRINT_NAME_LENGTH : MAX_NAME_LENGTH);
+}
+
+/**
+ * Quotes a value for use in a JQL string
+ * @param {string} value - Raw value
+ * @returns {string} - Value with backslashes and quotes escaped
+ */
+function escapeJql(value) {
+  return String(value).replace(/[\\"]/g, "\\$&");
+}
+
+/**
+ * Gets the date part of a GitHub timestamp
+ * @param {string|null} timestamp - ISO timestamp, e.g. a milestone's due_on
+ * @returns {string|undefined} - YYYY-MM-DD
+ */
+function dateOf(timestamp) {
+  return timestamp ? String(timestamp).slice(0, 10) : undefined;
+}
+
+/**
+ * Builds the create request for the project version of a milestone
+ * @param {object} milestone - GitHub milestone ({title, html_url, due_on})
+ * @param {string} projectId - Jira project id
+ * @param {object} settings - Milestone sync settings
+ * @returns {object} - POST /version body
+ */
+function buildVersion(milestone, projectId, settings) {
+  return {
+    name: jiraNameFor(milestone, settings),
+    projectId,
+    description: `GitHub milestone: ${milestone.html_url}`,
+    ...(milestone.due_on && { releaseDate: dateOf(milestone.due_on) }),
+  };
+}
+
+/**
+ * Builds the create request for the epic of a milestone
+ * @param {object} milestone - GitHub milestone ({title, description, html_url})
+ * @param {string} projectKey - Jira project key
+ * @param {object} settings - Milestone sync settings
+ * @returns {object} - POST /issue body
+ */
+function buildEpic(milestone, projectKey, settings) {
+  const description = [milestone.description, `GitHub milestone: ${milestone.html_url}`]
+    .filter(Boolean)
+    .join("\n\n");
+  return {
+    fields: {
+      project: { key: projectKey },
+      issuetype: { name: settings.epicIssueType },
+      summary: jiraNameFor(milestone, settings),
+      description: markdownToADF(description),
+    },
+  };
+}
+
+/**
+ * Builds the fixVersions edit operations that move an issue to a version
+ * @param {Array<object>} current - Current fix versions ([{id}])
+ * @param {object|null} version - Version to add
+ * @param {object|null} previous - Version to remove
+ * @returns {Array<object>} - [{remove: {id}}, {add: {id}}], empty if nothing changes
+ */
+function fixVersionOps(current, version, previous) {
+  const has = (candidate) => current.some((fixVersion) => fixVersion.id === candidate.id);
+  const ops = [];
+  if (previous && (!version || previous.id !== version.id) && has(previous)) {
+    ops.push({ remove: { id: previous.id } });
+  }
+  if (version && !has(version)) {
+    ops.push({ add: { id: version.id } });
+  }
+  return ops;
+}
+
+/**
+ * Finds the project version of a milestone, creating it if allowed
+ * @param {string} projectKey - Jira project key
+ * @param {object} milestone - GitHub milestone
+ * @param {object} settings - Milestone sync settings
+ * @param {boolean} create - Whether a missing version may be created
+ * @returns {Promise<object|null>} - Version ({id, name})
+ */
+async function findVersion(projectKey, milestone, settings, create) {
+  const name = jiraNameFor(milestone, settings);
+  const versions = await jira.paginate(jira.api(`/project/${projectKey}/version`), {
+    params: { query: name },
+  });
+  const existing = versions.find((version) => version.name === name);
+  if (existing || !create) {
+    return existing || null;
+  }
+
+  const project = await jira.get(jira.api(`/project/${projectKey}`));
+  return jira.post(jira.api("/version"), buildVersion(milestone, project.id, settings));
+}
+
+/**
+ * Finds the epic of a milestone, creating it if allowed
+ * @param {string} projectKey - Jira project key
+ * @param {object} milestone - GitHub milestone
+ * @param {object} settings - Milestone sync settings
+ * @param {boolean} create - Whether a missing epic may be created
+ * @returns {Promise<object|null>} - Epic ({key})
+ */
+async function findEpic(projectKey, milestone, settings, create) {
+  const name = jiraNameFor(milestone, settings);
+  // `~` matches words, so confirm the exact summary
+  const candidates = await jira.searchIssues(
+    `project = "${escapeJql(projectKey)}" AND issuetype = "${escapeJql(settings.epicIssueType)}" ` +
+      `AND summary ~ "\\"${escapeJql(name)}\\"" ORDER BY created ASC`,
+    { fields: ["summary"], limit: 20 },
+  );
+  const existing = candidates.find((candidate) => candidate.fields.summary === name);
+  if (existing || !create) {
+    return existing ? { key: existing.key } : null;
+  }
+
+  const created = await jira.post(jira.api("/issue"), buildEpic(milestone, projectKey, settings));
+  return { key: created.key };
+}
+
+/**
+ * Finds the open sprint of a milestone on the configured board, creating it if allowed
+ * @param {object} milestone - GitHub milestone
+ * @param {object} settings - Milestone sync settings
+ * @param {boolean} create - Whether a missing sprint may be created
+ * @returns {Promise<object|null>} - Sprint ({id, name})
+ */
+async function findSprint(milestone, settings, create) {
+  const name = jiraNameFor(milestone, settings);
+  const sprints = await jira.paginate(`/rest/agile/1.0/board/${settings.boardId}/sprint`, {
+    params: { state: "active,future" },
+  });
+  const existing = sprints.find((sprint) => sprint.name === name);
+  if (existing || !create) {
+    return existing || null;
+  }
+
+  return jira.post("/rest/agile/1.0/sprint", { name, originBoardId: Number(settings.boardId) });
+}
+
+/**
+ * Warns that a milestone has no Jira counterpart and creating one is turned off
+ * @param {string} kind - "version", "epic" or "sprint"
+ * @param {string} name - Jira name of the milestone
+ */
+function warnMissing(kind, name) {
+  console.warn(`⚠️  No ${kind} "${name}" in Jira and milestoneSync.create is off; skipping`);
+}
+
+/**
+ * Sets the fix versions of a Jira issue from its GitHub milestone
+ * @param {string} jiraKey - Jira issue key
+ * @param {object|null} milestone - Current GitHub milestone
+ * @param {object|null} previous - Milestone the issue was taken out of
+ * @param {object} settings - Milestone sync settings
+ * @returns {Promise<boolean>} - Whether the issue was edited
+ */
+async function syncFixVersions(jiraKey, milestone, previous, settings) {
+  const projectKey = jiraKey.replace(/-\d+$/, "");
+  const version =
+    milestone && (await findVersion(projectKey, milestone, settings, settings.create));
+  if (milestone && !version) {
+    warnMissing("version", jiraNameFor(milestone, settings));
+  }
+  const previousVersion = previous && (await findVersion(projectKey, previous, settings, false));
+
+  const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "fixVersions" });
+  const ops = fixVersionOps(issue.fields.fixVersions || [], version, previousVersion);
+  if (ops.length === 0) {
+    return false;
+  }
+  await jira.put(jira.api(`/issue/${jiraKey}`), { update: { fixVersions: ops } });
+  return true;
+}
+
+/**
+ * Sets the parent of a Jira issue to the epic of its GitHub milestone
+ * @param {string} jiraKey - Jira issue key
+ * @param {object|null} milestone - Current GitHub milestone
+ * @param {object|null} previous - Milestone the issue was taken out of
+ * @param {object} settings - Milestone sync settings
+ * @returns {Promise<boolean>} - Whether the issue was edited
+ */
+async function syncParent(jiraKey, milestone, previous, settings) {
+  const projectKey = jiraKey.replace(/-\d+$/, "");
+  const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "parent" });
+  const parentKey = issue.fields.parent ? issue.fields.parent.key : null;
+
+  if (milestone) {
+    const epic = await findEpic(projectKey, milestone, settings, settings.create);
+    if (!epic) {
+      warnMissing("epic", jiraNameFor(milestone, settings));
+      return false;
+    }
+    if (epic.key === parentKey) {
+      return false;
+    }
+    await jira.put(jira.api(`/issue/${jiraKey}`), { fields: { parent: { key: epic.key } } });
+    return true;
+  }
+
+  // Only clear a parent that came from the previous milestone
+  const previousEpic = previous && (await findEpic(projectKey, previous, settings, false));
+  if (!previousEpic || previousEpic.key !== parentKey) {
+    return false;
+  }
+  await jira.put(jira.api(`/issue/${jiraKey}`), { update: { parent: [{ set: { none: true } }] } });
+  return true;
+}
+
+/**
+ * Moves a Jira issue to the sprint of its GitHub milestone
+ * @param {string} jiraKey - Jira issue key
+ * @param {object|null} milestone - Current GitHub milestone
+ * @param {object|null} previous - Milestone the issue was taken out of
+ * @param {object} settings - Milestone sync settings
+ * @returns {Promise<boolean>} - Whether the issue was moved
+ */
+async function syncSprint(jiraKey, milestone, previous, settings) {
+  if (!settings.boardId) {
+    throw new Error('milestoneSync.boardId is required when milestoneSync.target is "sprint"');
+  }
+  const issue = await jira.get(`/rest/agile/1.0/issue/${jiraKey}`, { fields: "sprint" });
+  const current = issue.fields.sprint || null;
+
+  if (milestone) {
+    const sprint = await findSprint(milestone, settings, settings.create);
+    if (!sprint) {
+      warnMissing("sprint", jiraNameFor(milestone, settings));
+      return false;
+    }
+    if (current && current.id === sprint.id) {
+      return false;
+    }
+    // Moving an issue to where it already is changes nothing, so retries are safe
+    await jira.post(
+      `/rest/agile/1.0/sprint/${sprint.id}/issue`,
+      { issues: [jiraKey] },
+      {},
+      { idempotent: true },
+    );
+    return true;
+  }
+
+  // Only move the issue out of the previous milestone's sprint
+  if (!previous || !current || current.name !== jiraNameFor(previous, settings)) {
+    return false;
+  }
+  await jira.post("/rest/agile/1.0/backlog/issue", { issues: [jiraKey] }, {}, { idempotent: true });
+  return true;
+}
+
+/**
+ * Carries the milestone of a GitHub issue over to the linked Jira issue
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} githubIssue - GitHub issue ({milestone})
+ * @param {object} options - {previous: milestone the issue was taken out of, settings}
+ * @returns {Promise<object|null>} - Applied {target, name} (name is null when removed), or
+ *   null if nothing changed
+ */
+async function syncJiraMilestone(jiraKey, githubIssue, options = {}) {
+  const settings = options.settings || loadMilestoneSync();
+  if (settings.target === "none") {
+    console.log('ℹ️  Milestone sync is turned off (milestoneSync.target is "none")');
+    return null;
+  }
+
+  const milestone = githubIssue.milestone || null;
+  const previous =
+    options.previous && (!milestone || options.previous.title !== milestone.title)
+      ? options.previous
+      : null;
+  if (!milestone && !previous) {
+    return null;
+  }
+
+  const sync = { fixVersions: syncFixVersions, parent: syncParent, sprint: syncSprint }[
+    settings.target
+  ];
+  try {
+    const changed = await sync(jiraKey, milestone, previous, settings);
+    if (!changed) {
+      console.log(`ℹ️  The ${settings.target} of ${jiraKey} already match the milestone`);
+      return null;
+    }
+    return { target: settings.target, name: milestone ? jiraNameFor(milestone, settings) : null };
+  } catch (error) {
+    console.error(`Error syncing the milestone of Jira issue ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const [jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = process.argv.slice(2);
+
+  if (!jiraKey || !eventPath) {
+    console.error("Usage: node sync-milestone.js <jiraKey> [eventPath]");
+    console.error("Syncs the milestone of the issue in GITHUB_EVENT_PATH to the Jira issue");
+    console.error("Example: node sync-milestone.js PROJ-123 ./issue-milestoned-event.json");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+      const applied = await syncJiraMilestone(jiraKey, event.issue, {
+        previous: event.action === "demilestoned" ? event.milestone : undefined,
+      });
+      if (applied && applied.name) {
+        console.log(`✅ Set the ${applied.target} of ${jiraKey} to "${applied.name}"`);
+      } else if (applied) {
+        console.log(`✅ Removed the milestone ${applied.target} from ${jiraKey}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync the milestone of ${jiraKey}: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_MILESTONE_SYNC,
+  loadMilestoneSync,
+  jiraNameFor,
+  buildVersion,
+  buildEpic,
+  fixVersionOps,
+  syncJiraMilestone,
+};
@@ -0,0 +1,147 @@
+/**
+ * Sync Origin Markers
+ *
+ * Every comment the sync posts records where it came from, so the opposite
+ * direction can recognise it and not send it back:
+ *
+ * - GitHub: a hidden `<!-- jira-sync-origin: {...} -->` marker at the end of
+ *   the comment body
+ * - Jira: a `github-sync` entity property on the comment, set in the same
+ *   request that creates it
+ *
+ * The origin `source` is `github` or `jira` for mirrored comments and `sync`
+ * for notes the sync writes itself (e.g. "Jira Ticket Created"). Comments
+ * posted before markers existed are recognised by their fixed wording.
+ *
+ * A marker only helps when it survives: it can be edited away or quoted, and
+ * comments posted by other automation never had one. GitHub comments by a bot
+ * account or by the login the sync posts as (`GITHUB_SYNC_LOGIN`, for a
+ * personal access token) are therefore treated as synced too.
+ */
+
+const { adfToMarkdown } = require("./adf-utils");
+const { JiraClient, JiraNotFoundError } = require("./jira-client");
+const { ENTITY_PROPERTY_KEY } = require("./link-store");
+
+const ORIGIN_MARKER_RE = /<!--\s*jira-sync-origin:\s*(\{[^]*?\})\s*-->/;
+
+// Wording of comments the sync posted before origin markers existed
+const LEGACY_GITHUB_COMMENT_RE = /^(?:💬 \*\*Comment from Jira by |🎫 \*\*Jira Ticket Created\*\*)/;
+const LEGACY_JIRA_COMMENT_RE = /^[*_]?Comment from GitHub by /;
+
+/**
+ * Builds the hidden origin marker for a GitHub comment
+ * @param {object} origin - {source, jiraKey?, commentId?}
+ * @returns {string} - HTML comment marker
+ */
+function createOriginMarker(origin) {
+  return `<!-- jira-sync-origin: ${JSON.stringify(origin)} -->`;
+}
+
+/**
+ * Appends the origin marker to GitHub comment markdown
+ * @param {string} markdown - Comment markdown
+ * @param {object} origin - {source, jiraKey?, commentId?}
+ * @returns {string} - Markdown ending with the marker
+ */
+function withOriginMarker(markdown, origin) {
+  return `${markdown}\n\n${createOriginMarker(origin)}`;
+}
+
+/**
+ * Reads the origin marker of a GitHub comment body
+ * @param {string} body - GitHub comment body
+ * @returns {object|null} - Origin, or null if the comment has no marker
+ */
+function parseOriginMarker(body) {
+  const match = String(body || "").match(ORIGIN_MARKER_RE);
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the entity properties recording the origin of a Jira comment
+ * @param {object} origin - {source, commentId?, commentUrl?}
+ * @returns {Array<object>} - `properties` for POST /issue/{key}/comment
+ */
+function originProperties(origin) {
+  return [{ key: ENTITY_PROPERTY_KEY, value: origin }];
+}
+
+/**
+ * Checks whether a GitHub comment author is the sync or another bot
+ * @param {object} user - GitHub comment author ({login, type})
+ * @param {string} syncLogin - Login the sync posts as, if it is not a bot account
+ * @returns {boolean} - Whether comments by this author are not written by people
+ */
+function isSyncAuthor(user, syncLogin = process.env.GITHUB_SYNC_LOGIN) {
+  if (!user) {
+    return false;
+  }
+  return (
+    user.type === "Bot" ||
+    Boolean(syncLogin && String(user.login || "").toLowerCase() === syncLogin.toLowerCase())
+  );
+}
+
+/**
+ * Checks whether a GitHub comment was posted by the sync (mirrored from Jira
+ * or a sync note) or by a bot, so it must not be sent to Jira
+ * @param {object} comment - GitHub comment ({body, user: {login, type}})
+ * @param {string} syncLogin - Login the sync posts as (defaults to GITHUB_SYNC_LOGIN)
+ * @returns {boolean} - Whether the comment originated from the sync
+ */
+function isSyncedGitHubComment(comment, syncLogin = process.env.GITHUB_SYNC_LOGIN) {
+  const body = (comment && comment.body) || "";
+  return (
+    Boolean(parseOriginMarker(body)) ||
+    LEGACY_GITHUB_COMMENT_RE.test(body.trim()) ||
+    isSyncAuthor(comment && comment.user, syncLogin)
+  );
+}
+
+/**
+ * Checks whether a Jira comment was posted by the sync (mirrored from GitHub
+ * or a sync note), so it must not be sent to GitHub
+ * @param {object} comment - Jira comment ({id, body}); body may be ADF or plain text
+ * @param {JiraClient} jira - Jira client
+ * @returns {Promise<boolean>} - Whether the comment originated from the sync
+ */
+async function isSyncedJiraComment(comment, jira = JiraClient.fromEnv()) {
+  if (LEGACY_JIRA_COMMENT_RE.test(adfToMarkdown(comment.body || "").trim())) {
+    return true;
+  }
+  if (!comment.id) {
+    return false;
+  }
+
+  try {
+    const property = await jira.get(
+      jira.api(`/comment/${comment.id}/properties/${ENTITY_PROPERTY_KEY}`),
+    );
+    return Boolean(property.value && property.value.source);
+  } catch (error) {
+    if (!(error instanceof JiraNotFoundError)) {
+      console.warn(`⚠️  Could not read the origin of Jira comment ${comment.id}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+module.exports = {
+  createOriginMarker,
+  withOriginMarker,
+  parseOriginMarker,
+  originProperties,
+  isSyncAuthor,
+  isSyncedGitHubComment,
+  isSyncedJiraComment,
+  LEGACY_GITHUB_COMMENT_RE,
+  LEGACY_JIRA_COMMENT_RE,
+};
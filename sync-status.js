@@ -0,0 +1,251 @@
+/**
+ * GitHub issue state ↔ Jira status sync
+ *
+ * Closing or reopening a GitHub issue runs the Jira transition configured in
+ * `statusSync.toJira` of label-mapping.json (matched by transition name or by
+ * the name of the status it leads to). In the other direction, the Jira
+ * status (by name, or by status category: new / indeterminate / done) is
+ * looked up in `statusSync.toGitHub` to close or reopen the linked GitHub issue.
+ *
+ * Both directions do nothing when the other side is already in the target
+ * state, so a change made on one side does not bounce back.
+ */
+
+const fs = require("fs");
+const github = require("./github-api");
+const { JiraClient } = require("./jira-client");
+const { createLinkStore } = require("./link-store");
+
+const jira = JiraClient.fromEnv();
+
+const DEFAULT_STATUS_SYNC = {
+  toJira: {
+    closed: "Done",
+    reopened: "To Do",
+  },
+  toGitHub: {
+    new: "open",
+    indeterminate: "open",
+    done: "closed",
+  },
+};
+
+/**
+ * Loads the status map from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {toJira, toGitHub}
+ */
+function loadStatusMap(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default status map");
+  }
+
+  const statusSync = config.statusSync || {};
+  return {
+    toJira: statusSync.toJira || DEFAULT_STATUS_SYNC.toJira,
+    toGitHub: statusSync.toGitHub || DEFAULT_STATUS_SYNC.toGitHub,
+  };
+}
+
+/**
+ * Picks the Jira transition target for a GitHub issue state
+ * @param {object} statusMap - Status map from loadStatusMap()
+ * @param {object} githubIssue - GitHub issue ({state, state_reason})
+ * @returns {string|null} - Transition or status name, or null if none is configured
+ */
+function jiraTargetForGitHubState(statusMap, githubIssue) {
+  const { toJira } = statusMap;
+  if (githubIssue.state === "closed") {
+    if (githubIssue.state_reason === "not_planned" && toJira.not_planned) {
+      return toJira.not_planned;
+    }
+    return toJira.closed || null;
+  }
+  return toJira.reopened || null;
+}
+
+/**
+ * Picks the GitHub state for a Jira status; a mapping for the status name
+ * takes precedence over one for its status category
+ * @param {object} statusMap - Status map from loadStatusMap()
+ * @param {object} status - Jira status ({name, statusCategory: {key}})
+ * @returns {object|null} - {state, state_reason} for the GitHub API (no state_reason for a
+ *   plain "closed"), or null if not mapped
+ */
+function githubStateForJiraStatus(statusMap, status) {
+  const { toGitHub } = statusMap;
+  const byName = Object.keys(toGitHub).find(
+    (key) => key.toLowerCase() === String(status.name || "").toLowerCase(),
+  );
+  const category = status.statusCategory && status.statusCategory.key;
+  const target = byName ? toGitHub[byName] : toGitHub[category];
+
+  if (target === "open") {
+    return { state: "open" };
+  }
+  // A plain "closed" leaves the close reason alone, so an issue closed as not
+  // planned is not reset to completed when Jira reaches a done status
+  if (target === "closed") {
+    return { state: "closed" };
+  }
+  if (target === "completed") {
+    return { state: "closed", state_reason: "completed" };
+  }
+  if (target === "not_planned") {
+    return { state: "closed", state_reason: "not_planned" };
+  }
+  return null;
+}
+
+/**
+ * Finds a transition by its name or by the name of the status it leads to
+ * @param {Array<object>} transitions - Transitions from GET /issue/{key}/transitions
+ * @param {string} target - Transition or status name
+ * @returns {object|null} - Matching transition
+ */
+function findTransition(transitions, target) {
+  const wanted = target.toLowerCase();
+  return (
+    transitions.find((transition) => transition.name.toLowerCase() === wanted) ||
+    transitions.find(
+      (transition) => transition.to && transition.to.name.toLowerCase() === wanted,
+    ) ||
+    null
+  );
+}
+
+/**
+ * Moves a Jira issue to the configured state for a GitHub issue
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} githubIssue - GitHub issue ({state, state_reason})
+ * @param {object} statusMap - Status map (defaults to label-mapping.json)
+ * @returns {Promise<string|null>} - Name of the executed transition, or null if none was needed
+ */
+async function syncJiraStatus(jiraKey, githubIssue, statusMap = loadStatusMap()) {
+  const target = jiraTargetForGitHubState(statusMap, githubIssue);
+  if (!target) {
+    console.log(`ℹ️  No Jira transition configured for GitHub state "${githubIssue.state}"`);
+    return null;
+  }
+
+  try {
+    const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "status" });
+    const current = issue.fields.status;
+    if (current.name.toLowerCase() === target.toLowerCase()) {
+      console.log(`ℹ️  ${jiraKey} is already in "${current.name}"`);
+      return null;
+    }
+
+    const { transitions } = await jira.get(jira.api(`/issue/${jiraKey}/transitions`));
+    const transition = findTransition(transitions || [], target);
+    if (!transition) {
+      throw new Error(
+        `No transition "${target}" from "${current.name}" (available: ${(transitions || [])
+          .map((candidate) => `${candidate.name} → ${candidate.to.name}`)
+          .join(", ")})`,
+      );
+    }
+    if (transition.to && transition.to.name === current.name) {
+      console.log(`ℹ️  ${jiraKey} is already in "${current.name}"`);
+      return null;
+    }
+
+    await jira.post(jira.api(`/issue/${jiraKey}/transitions`), {
+      transition: { id: transition.id },
+    });
+    return transition.name;
+  } catch (error) {
+    console.error(`Error transitioning Jira issue ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Closes or reopens the GitHub issue linked to a Jira issue to match its status
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} statusMap - Status map (defaults to label-mapping.json)
+ * @returns {Promise<object|null>} - Applied {state, state_reason}, or null if nothing changed
+ */
+async function syncGitHubState(jiraKey, statusMap = loadStatusMap()) {
+  const linked = await createLinkStore().getGitHubIssue(jiraKey);
+  if (!linked) {
+    throw new Error(`No GitHub issue is linked to ${jiraKey}`);
+  }
+
+  const issue = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "status" });
+  const desired = githubStateForJiraStatus(statusMap, issue.fields.status);
+  if (!desired) {
+    console.log(`ℹ️  Jira status "${issue.fields.status.name}" is not mapped to a GitHub state`);
+    return null;
+  }
+
+  const current = await github.getIssue(linked.issueNumber, linked.repository);
+  const sameReason = !desired.state_reason || current.state_reason === desired.state_reason;
+  if (current.state === desired.state && sameReason) {
+    console.log(`ℹ️  ${linked.issueUrl} is already ${current.state}`);
+    return null;
+  }
+
+  await github.updateIssue(linked.issueNumber, desired, linked.repository);
+  return desired;
+}
+
+// CLI usage
+if (require.main === module) {
+  const [direction, jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = process.argv.slice(2);
+
+  if (!["to-jira", "to-github"].includes(direction) || !jiraKey) {
+    console.error("Usage:");
+    console.error("  node sync-status.js to-jira <jiraKey> [eventPath]   # GitHub state → Jira");
+    console.error("  node sync-status.js to-github <jiraKey>             # Jira status → GitHub");
+    console.error("Example: node sync-status.js to-jira PROJ-123 ./issue-closed-event.json");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      if (direction === "to-jira") {
+        if (!eventPath) {
+          console.error("❌ No event payload: pass a path or set GITHUB_EVENT_PATH");
+          process.exit(1);
+        }
+        const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+        const transition = await syncJiraStatus(jiraKey, event.issue);
+        if (transition) {
+          console.log(`✅ Transitioned ${jiraKey} with "${transition}"`);
+        }
+      } else {
+        const applied = await syncGitHubState(jiraKey);
+        if (applied) {
+          console.log(`✅ Set the GitHub issue linked to ${jiraKey} to ${applied.state}`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync status for ${jiraKey}: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_STATUS_SYNC,
+  loadStatusMap,
+  jiraTargetForGitHubState,
+  githubStateForJiraStatus,
+  findTransition,
+  syncJiraStatus,
+  syncGitHubState,
+};
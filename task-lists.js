@@ -0,0 +1,322 @@
+/**
+ * GitHub task lists in Jira
+ *
+ * `- [ ]` / `- [x]` items in a GitHub issue body (acceptance criteria, to-do
+ * lists) are carried over as set by `taskLists.mode` in label-mapping.json:
+ *
+ * - `adf` (default): the description shows them as a Jira task list
+ *   (`taskList`/`taskItem` nodes) with each item's TODO/DONE state.
+ * - `subtasks`: each item becomes a sub-task of the synced issue, named after
+ *   the item, and is moved to the `statusSync.toJira` "closed" or "reopened"
+ *   status as it is checked or unchecked. The description keeps the plain list.
+ * - `off`: items stay plain bullet list text, as before task lists were synced.
+ *
+ * When a GitHub issue is edited only the items whose checkbox changed on
+ * GitHub (compared with the body before the edit) are pushed, so a box ticked
+ * in Jira is not reset by an unrelated edit. Without the previous body (e.g.
+ * when reconciling) GitHub wins for every item. Items are matched by their
+ * text: a reworded item is a new task, and a removed item leaves its sub-task alone.
+ */
+
+const fs = require("fs");
+const { markdownToADF } = require("./adf-utils");
+const { JiraClient } = require("./jira-client");
+const { loadStatusMap, findTransition } = require("./sync-status");
+
+const jira = JiraClient.fromEnv();
+
+// Jira rejects longer summaries
+const MAX_SUMMARY_LENGTH = 255;
+
+const TASK_LIST_MODES = ["adf", "subtasks", "off"];
+
+const DEFAULT_TASK_LISTS = {
+  mode: "adf",
+  subtaskIssueType: "Sub-task",
+};
+
+/**
+ * Loads the task list settings from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {mode, subtaskIssueType}
+ */
+function loadTaskLists(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default task list settings");
+  }
+
+  const settings = { ...DEFAULT_TASK_LISTS, ...config.taskLists };
+  if (!TASK_LIST_MODES.includes(settings.mode)) {
+    console.warn(`⚠️  Unknown taskLists.mode "${settings.mode}"; using "adf"`);
+    settings.mode = "adf";
+  }
+  return settings;
+}
+
+/**
+ * Gets the plain text of a task item
+ * @param {object} item - ADF taskItem node
+ * @returns {string} - Text with whitespace collapsed
+ */
+function taskText(item) {
+  return (item.content || [])
+    .map((node) => (node.type === "mention" ? node.attrs.text : node.text || ""))
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Gets the key a task item is matched by: its text without mentions, which
+ * read `@login` on GitHub but the display name in Jira
+ * @param {object} item - ADF taskItem node
+ * @returns {string} - Matching key
+ */
+function taskKey(item) {
+  return taskText({ content: (item.content || []).filter((node) => node.type === "text") })
+    .replace(/(^|\s)@[A-Za-z0-9-]+/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Collects the task items of an ADF document in document order
+ * @param {object} doc - ADF document (or any node)
+ * @returns {Array<object>} - taskItem nodes
+ */
+function findTaskItems(doc) {
+  if (!doc || typeof doc !== "object") {
+    return [];
+  }
+  if (doc.type === "taskItem") {
+    return [doc];
+  }
+  return (doc.content || []).flatMap(findTaskItems);
+}
+
+/**
+ * Lists the task list items of a GitHub issue body
+ * @param {string} body - Issue body (GitHub-Flavored Markdown)
+ * @returns {Array<object>} - [{text, key, done}] in document order
+ */
+function parseTasks(body) {
+  return findTaskItems(markdownToADF(body || "", { taskLists: true }))
+    .map((item) => ({
+      text: taskText(item),
+      key: taskKey(item),
+      done: item.attrs.state === "DONE",
+    }))
+    .filter((task) => task.text);
+}
+
+/**
+ * Finds the items that were added or checked/unchecked by a GitHub edit
+ * @param {string|undefined} previousBody - Body before the edit, or undefined if unknown
+ * @param {string} body - Body after the edit
+ * @returns {Set<string>|null} - Keys of the changed items, or null if every item counts as changed
+ */
+function changedTasks(previousBody, body) {
+  if (previousBody === undefined || previousBody === null) {
+    return null;
+  }
+  const before = new Map(parseTasks(previousBody).map((task) => [task.key, task.done]));
+  return new Set(
+    parseTasks(body)
+      .filter((task) => before.get(task.key) !== task.done)
+      .map((task) => task.key),
+  );
+}
+
+/**
+ * Gets the body of an edited issue before the edit from an issues event
+ * @param {object} event - GitHub issues event payload
+ * @returns {string} - Previous body (the current one if the body was not edited)
+ */
+function previousBodyOf(event) {
+  return event.changes && event.changes.body ? event.changes.body.from : event.issue.body;
+}
+
+/**
+ * Keeps the Jira state of task items that did not change on GitHub
+ * @param {object} desired - ADF description built from the GitHub issue
+ * @param {object} current - Current Jira description
+ * @param {Set<string>|null} changed - Result of changedTasks(); null keeps the GitHub state
+ * @returns {object} - Description with the Jira state restored for unchanged items
+ */
+function keepTaskStates(desired, current, changed) {
+  if (!changed) {
+    return desired;
+  }
+
+  // Queue the current states per text so repeated items keep their own state
+  const states = new Map();
+  findTaskItems(current).forEach((item) => {
+    const key = taskKey(item);
+    states.set(key, [...(states.get(key) || []), item.attrs && item.attrs.state]);
+  });
+
+  const restore = (node) => {
+    if (!node || typeof node !== "object") {
+      return node;
+    }
+    if (node.type === "taskItem") {
+      const key = taskKey(node);
+      const state = (states.get(key) || []).shift();
+      return state && !changed.has(key) ? { ...node, attrs: { ...node.attrs, state } } : node;
+    }
+    return Array.isArray(node.content) ? { ...node, content: node.content.map(restore) } : node;
+  };
+  return restore(desired);
+}
+
+/**
+ * Moves a sub-task to the status its checkbox maps to, warning if there is no
+ * such transition since the sub-task itself already exists
+ * @param {string} key - Sub-task key
+ * @param {string} target - Transition or status name
+ * @returns {Promise<boolean>} - Whether the sub-task was moved
+ */
+async function transitionSubtask(key, target) {
+  const { transitions } = await jira.get(jira.api(`/issue/${key}/transitions`));
+  const transition = findTransition(transitions || [], target);
+  if (!transition) {
+    console.warn(`⚠️  No transition "${target}" for sub-task ${key}; leaving its status`);
+    return false;
+  }
+  await jira.post(jira.api(`/issue/${key}/transitions`), { transition: { id: transition.id } });
+  return true;
+}
+
+/**
+ * Creates and updates the sub-tasks for the task list items of a GitHub issue,
+ * in `subtasks` mode only
+ * @param {string} jiraKey - Parent Jira issue key
+ * @param {object} githubIssue - GitHub issue ({body})
+ * @param {object} options - {previousBody, settings, statusMap}
+ * @returns {Promise<object|null>} - {created, transitioned} sub-task keys, or null if not in subtasks mode
+ */
+async function syncSubtasks(jiraKey, githubIssue, options = {}) {
+  const settings = options.settings || loadTaskLists();
+  if (settings.mode !== "subtasks") {
+    return null;
+  }
+
+  const result = { created: [], transitioned: [] };
+  const tasks = parseTasks(githubIssue.body);
+  if (tasks.length === 0) {
+    return result;
+  }
+
+  const statusMap = options.statusMap || loadStatusMap();
+  const changed = changedTasks(options.previousBody, githubIssue.body);
+  const targetFor = (done) => statusMap.toJira[done ? "closed" : "reopened"];
+
+  try {
+    const parent = await jira.get(jira.api(`/issue/${jiraKey}`), { fields: "subtasks" });
+    const subtasks = new Map(
+      (parent.fields.subtasks || []).map((subtask) => [subtask.fields.summary.trim(), subtask]),
+    );
+
+    for (const task of tasks) {
+      const summary = task.text.slice(0, MAX_SUMMARY_LENGTH);
+      const subtask = subtasks.get(summary);
+
+      if (!subtask) {
+        const created = await jira.post(jira.api("/issue"), {
+          fields: {
+            project: { key: jiraKey.replace(/-\d+$/, "") },
+            parent: { key: jiraKey },
+            issuetype: { name: settings.subtaskIssueType },
+            summary,
+          },
+        });
+        result.created.push(created.key);
+        const moved =
+          task.done && targetFor(true) && (await transitionSubtask(created.key, targetFor(true)));
+        if (moved) {
+          result.transitioned.push(created.key);
+        }
+        // A repeated item refers to the same sub-task
+        subtasks.set(summary, {
+          key: created.key,
+          fields: { summary, status: { statusCategory: { key: moved ? "done" : "new" } } },
+        });
+        continue;
+      }
+
+      // Only push checkboxes that changed on GitHub
+      if (changed && !changed.has(task.key)) {
+        continue;
+      }
+      const status = subtask.fields.status || {};
+      const done = Boolean(status.statusCategory && status.statusCategory.key === "done");
+      const target = targetFor(task.done);
+      if (done !== task.done && target && (await transitionSubtask(subtask.key, target))) {
+        result.transitioned.push(subtask.key);
+      }
+    }
+    return result;
+  } catch (error) {
+    console.error(`Error syncing the sub-tasks of ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const [jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = process.argv.slice(2);
+
+  if (!jiraKey || !eventPath) {
+    console.error("Usage: node task-lists.js <jiraKey> [eventPath]");
+    console.error("Creates/updates sub-tasks from the task list of the issue in GITHUB_EVENT_PATH");
+    console.error("Example: node task-lists.js PROJ-123 ./issue-edited-event.json");
+    process.exit(1);
+  }
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+      const result = await syncSubtasks(jiraKey, event.issue, {
+        previousBody: event.action === "edited" ? previousBodyOf(event) : undefined,
+      });
+      if (!result) {
+        console.log(`ℹ️  taskLists.mode is not "subtasks"; nothing to do`);
+      } else if (result.created.length + result.transitioned.length === 0) {
+        console.log(`ℹ️  The sub-tasks of ${jiraKey} are up to date`);
+      } else {
+        console.log(
+          `✅ Sub-tasks of ${jiraKey}: created [${result.created.join(", ")}], moved [${result.transitioned.join(", ")}]`,
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync the sub-tasks of ${jiraKey}: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_TASK_LISTS,
+  loadTaskLists,
+  taskText,
+  taskKey,
+  findTaskItems,
+  parseTasks,
+  changedTasks,
+  previousBodyOf,
+  keepTaskStates,
+  syncSubtasks,
+};
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub attachment sync
+ * Uses a stub Jira client and downloader, so no GitHub or Jira access is needed
+ */
+
+const { markdownToADF } = require("./adf-utils");
+const {
+  matchesSkipList,
+  findAttachmentLinks,
+  attachmentFileName,
+  rewriteAttachmentLinks,
+  syncAttachments,
+} = require("./attachments");
+
+const SCREENSHOT = "https://github.com/user-attachments/assets/1b2c3d4e-screenshot";
+const LOG_FILE = "https://github.com/user-attachments/files/123/server.log";
+const VIDEO = "https://github.com/user-attachments/assets/9f8e7d6c-recording";
+
+// Media ids the stub's content URLs redirect to, by attachment id
+const MEDIA_IDS = { 100: "3f1c9a2e-5b7d-4e8f-9a0b-1c2d3e4f5a6b" };
+
+/**
+ * Creates a stub Jira client that records uploads
+ * @param {Array<object>} existing - Attachments already on the issue
+ * @returns {object} - Stub client with an `uploads` array
+ */
+function createStubJira(existing = []) {
+  const stub = {
+    uploads: [],
+    api: (path) => `/rest/api/3${path}`,
+    get: async () => ({ fields: { attachment: existing } }),
+    request: async (method, path, options) => {
+      if (method === "get") {
+        const id = path.split("/").pop();
+        return {
+          status: 303,
+          headers: { location: `https://api.media.atlassian.com/file/${MEDIA_IDS[id]}/binary` },
+        };
+      }
+      const filename = options.data.toString("utf8").match(/filename="([^"]+)"/)[1];
+      const attachment = {
+        id: String(100 + stub.uploads.length),
+        filename,
+        mimeType: filename.endsWith(".png") ? "image/png" : "text/plain",
+        content: `https://jira.example.com/rest/api/3/attachment/content/${100 + stub.uploads.length}`,
+      };
+      stub.uploads.push(attachment);
+      return [attachment];
+    },
+  };
+  return stub;
+}
+
+/**
+ * Stub downloader serving a PNG, a log file and a large video
+ * @param {string} url - Attachment URL
+ * @returns {Promise<object>} - {filename, contentType, content}
+ */
+async function stubDownload(url) {
+  const files = {
+    [SCREENSHOT]: { contentType: "image/png", size: 64 },
+    [LOG_FILE]: { contentType: "text/plain", size: 32 },
+    [VIDEO]: { contentType: "video/mp4", size: 4096 },
+  };
+  const file = files[url];
+  if (!file) {
+    throw new Error("404 Not Found");
+  }
+  return {
+    filename: attachmentFileName(url, file.contentType),
+    contentType: file.contentType,
+    content: Buffer.alloc(file.size),
+  };
+}
+
+async function runTests() {
+  console.log("🧪 Testing attachment sync\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const doc = markdownToADF(
+    [
+      `<img width="800" alt="Login error" src="${SCREENSHOT}">`,
+      "",
+      `Full log: [server.log](${LOG_FILE})`,
+      "",
+      `Recording: ${VIDEO}`,
+      "",
+      "Docs: https://example.com/help",
+    ].join("\n"),
+  );
+
+  check("Finds attachment links in order", findAttachmentLinks(doc), [SCREENSHOT, LOG_FILE, VIDEO]);
+
+  check("Skip list matches file names", matchesSkipList(VIDEO, "recording.mp4", ["*.mp4"]), true);
+  check("Skip list matches URLs", matchesSkipList(LOG_FILE, null, ["*/files/*"]), true);
+  check("Skip list ignores other files", matchesSkipList(SCREENSHOT, "shot.png", ["*.mp4"]), false);
+
+  const name = attachmentFileName(SCREENSHOT, "image/png");
+  check(
+    "File name gets a source prefix and extension",
+    /^gh-[0-9a-f]{8}-.+\.png$/.test(name),
+    true,
+  );
+  check("File name is stable", attachmentFileName(SCREENSHOT, "image/png"), name);
+
+  const attachments = new Map([
+    [
+      SCREENSHOT,
+      {
+        mimeType: "image/png",
+        content: "https://jira.example.com/attachment/1",
+        mediaId: MEDIA_IDS[100],
+      },
+    ],
+    [LOG_FILE, { mimeType: "text/plain", content: "https://jira.example.com/attachment/2" }],
+  ]);
+  const rewritten = rewriteAttachmentLinks(doc, attachments);
+  check("Standalone image becomes a media node", rewritten.content[0], {
+    type: "mediaSingle",
+    attrs: { layout: "center" },
+    content: [
+      {
+        type: "media",
+        attrs: { id: MEDIA_IDS[100], type: "file", collection: "", alt: "Login error" },
+      },
+    ],
+  });
+  const unembeddable = new Map([
+    [SCREENSHOT, { mimeType: "image/png", content: "https://jira.example.com/attachment/1" }],
+  ]);
+  check(
+    "Image without a media id links to the Jira attachment",
+    rewriteAttachmentLinks(doc, unembeddable).content[0].content[0].marks[0].attrs.href,
+    "https://jira.example.com/attachment/1",
+  );
+  const external = {
+    type: "doc",
+    version: 1,
+    content: [
+      {
+        type: "mediaSingle",
+        attrs: { layout: "center" },
+        content: [{ type: "media", attrs: { type: "external", url: SCREENSHOT, alt: "Shot" } }],
+      },
+    ],
+  };
+  check(
+    "External GitHub media is replaced by the Jira file",
+    rewriteAttachmentLinks(external, attachments).content[0].content[0].attrs,
+    {
+      id: MEDIA_IDS[100],
+      type: "file",
+      collection: "",
+      alt: "Shot",
+    },
+  );
+  check(
+    "External GitHub media without a media id becomes a link",
+    rewriteAttachmentLinks(external, unembeddable).content[0],
+    {
+      type: "paragraph",
+      content: [
+        {
+          type: "text",
+          text: "Shot",
+          marks: [{ type: "link", attrs: { href: "https://jira.example.com/attachment/1" } }],
+        },
+      ],
+    },
+  );
+  check(
+    "Inline link points at the Jira attachment",
+    rewritten.content[1].content[1].marks[0].attrs.href,
+    "https://jira.example.com/attachment/2",
+  );
+  check("Original document is left unchanged", findAttachmentLinks(doc).length, 3);
+
+  const config = { enabled: true, maxFileSize: 1024, skip: [] };
+  const jira = createStubJira();
+  const result = await syncAttachments("PROJ-1", doc, { jira, config, download: stubDownload });
+  check("Uploads files within the size limit", jira.uploads.length, 2);
+  check("Oversized file keeps its GitHub link", findAttachmentLinks(result.doc), [VIDEO]);
+  check("Reports the sync result", [result.uploaded, result.skipped, result.changed], [2, 1, true]);
+  check(
+    "Uploaded screenshot is embedded by its media id",
+    result.doc.content[0].content[0].attrs.id,
+    MEDIA_IDS[100],
+  );
+
+  const rerunJira = createStubJira(jira.uploads);
+  const rerun = await syncAttachments("PROJ-1", doc, {
+    jira: rerunJira,
+    config,
+    download: stubDownload,
+  });
+  check("Re-run reuses existing attachments", rerunJira.uploads.length, 0);
+  check("Re-run produces the same document", rerun.doc, result.doc);
+
+  const skipJira = createStubJira();
+  const skipped = await syncAttachments("PROJ-1", doc, {
+    jira: skipJira,
+    config: { ...config, maxFileSize: 8192, skip: ["*.mp4"] },
+    download: stubDownload,
+  });
+  check("Skip list leaves matching files alone", skipJira.uploads.length, 2);
+  check("Skipped file keeps its GitHub link", findAttachmentLinks(skipped.doc), [VIDEO]);
+
+  const disabled = await syncAttachments("PROJ-1", doc, {
+    jira: createStubJira(),
+    config: { ...config, enabled: false },
+  });
+  check("Disabled sync leaves the document alone", disabled.changed, false);
+
+  console.log(`\n📊 Attachment Sync Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
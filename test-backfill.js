@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the backfill command
+ * Uses stub GitHub and Jira clients, so no network access is needed
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { rateLimitDelay } = require("./github-api");
+const { parseBackfillArgs, filterByCreatedDate, backfill } = require("./backfill");
+
+const ISSUES = [
+  { number: 1, title: "Login fails", created_at: "2023-12-20T10:00:00Z", comments: 0 },
+  { number: 2, title: "Crash on save", created_at: "2024-01-05T10:00:00Z", comments: 2 },
+  { number: 3, title: "Dark mode", created_at: "2024-02-01T10:00:00Z", comments: 1 },
+];
+
+const COMMENTS = {
+  2: [
+    { id: 201, body: "Seeing this too", user: { login: "octocat" } },
+    { id: 202, body: "Fixed in #5", user: { login: "hubot" } },
+  ],
+  3: [{ id: 301, body: "+1", user: { login: "linus" } }],
+};
+
+/**
+ * Creates stub dependencies that record what the backfill did
+ * @param {object} options - {failIssue, failComment, jiraComments}
+ * @returns {object} - Dependencies for backfill() with `created` and `imported` logs
+ */
+function createStubs(options = {}) {
+  const stubs = {
+    created: [],
+    imported: [],
+    listed: null,
+    github: {
+      listIssues: async (filters) => {
+        stubs.listed = filters;
+        return ISSUES;
+      },
+      listIssueComments: async (number) => COMMENTS[number] || [],
+    },
+    jira: {
+      api: (apiPath) => `/rest/api/3${apiPath}`,
+      paginate: async () => options.jiraComments || [],
+    },
+    createIssueFromGitHub: async (issue, createOptions) => {
+      if (issue.number === options.failIssue) {
+        throw new Error("Jira is down");
+      }
+      stubs.created.push(issue.number);
+      return createOptions.dryRun ? { dryRun: true } : `PROJ-${issue.number}`;
+    },
+    addComment: async (jiraKey, comment) => {
+      if (comment.id === options.failComment) {
+        throw new Error("Comment rejected");
+      }
+      stubs.imported.push(comment.id);
+      return `c${comment.id}`;
+    },
+    sleep: async () => {},
+  };
+  return stubs;
+}
+
+async function runTests() {
+  console.log("🧪 Testing backfill\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jira-backfill-"));
+  const checkpointFile = path.join(directory, "checkpoint.json");
+  const original = { log: console.log, error: console.error };
+  const silence = () => {
+    console.log = () => {};
+    console.error = () => {};
+  };
+  const restore = () => Object.assign(console, original);
+
+  try {
+    const options = parseBackfillArgs([
+      "--repo",
+      "octo/app",
+      "--state",
+      "all",
+      "--label",
+      "bug, ui",
+      "--since",
+      "2024-01-01",
+      "--checkpoint",
+      checkpointFile,
+      "--delay",
+      "0",
+    ]);
+    check(
+      "Parses filters",
+      [options.repository, options.state, options.labels, options.since, options.comments],
+      ["octo/app", "all", ["bug", "ui"], "2024-01-01T00:00:00.000Z", true],
+    );
+    let error = null;
+    try {
+      parseBackfillArgs(["--state", "merged"]);
+    } catch (e) {
+      error = e.message;
+    }
+    check("Rejects an unknown state", /--state must be/.test(error), true);
+
+    check(
+      "Filters by creation date",
+      filterByCreatedDate(ISSUES, {
+        since: "2024-01-01T00:00:00Z",
+        until: "2024-01-31T00:00:00Z",
+      }).map((issue) => issue.number),
+      [2],
+    );
+
+    // First run: issue 3 fails, so the run stops short of completion
+    let stubs = createStubs({ failIssue: 3 });
+    silence();
+    let summary = await backfill(options, stubs);
+    restore();
+    check("Passes filters to GitHub", stubs.listed, {
+      state: "all",
+      labels: "bug,ui",
+      since: "2024-01-01T00:00:00.000Z",
+    });
+    check("Creates issues in the date range", stubs.created, [2]);
+    check("Imports existing comments", stubs.imported, [201, 202]);
+    check(
+      "Reports the failure",
+      [summary.synced, summary.comments, summary.failed],
+      [1, 2, [{ number: 3, error: "Jira is down" }]],
+    );
+
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, "utf8"));
+    check("Checkpoint records progress", checkpoint.issues, {
+      2: { jiraKey: "PROJ-2", comments: [201, 202], done: true },
+      3: { jiraKey: null, comments: [], error: "Jira is down" },
+    });
+
+    // Second run resumes: issue 2 is done, issue 3 is retried
+    stubs = createStubs();
+    silence();
+    summary = await backfill(options, stubs);
+    restore();
+    check("Resume skips finished issues", stubs.created, [3]);
+    check("Resume imports the remaining comments", stubs.imported, [301]);
+    check("Resume reports done issues", [summary.resumed, summary.failed.length], [1, 0]);
+
+    // A failed comment keeps the issue open; the next run continues after the last imported one
+    fs.unlinkSync(checkpointFile);
+    stubs = createStubs({ failComment: 202 });
+    silence();
+    await backfill(options, stubs);
+    restore();
+    stubs = createStubs();
+    silence();
+    await backfill(options, stubs);
+    restore();
+    check("Retry continues from the failed comment", stubs.imported, [202]);
+    check("Retry reuses the created Jira issue", stubs.created, []);
+
+    // Comments already in Jira (e.g. synced by the workflow) are not imported again
+    stubs = createStubs({
+      jiraComments: [{ properties: [{ key: "github-sync", value: { commentId: 201 } }] }],
+    });
+    silence();
+    await backfill({ ...options, restart: true }, stubs);
+    restore();
+    check("Skips comments already in Jira", stubs.imported, [202, 301]);
+
+    // --limit counts unfinished issues, so each run takes the next batch
+    const limited = { ...options, limit: 1 };
+    stubs = createStubs();
+    silence();
+    await backfill({ ...limited, restart: true }, stubs);
+    restore();
+    check("A limited run stops after its batch", stubs.created, [2]);
+    stubs = createStubs();
+    silence();
+    summary = await backfill(limited, stubs);
+    restore();
+    check(
+      "Resuming a limited run takes the next batch",
+      [stubs.created, summary.resumed],
+      [[3], 1],
+    );
+
+    stubs = createStubs();
+    silence();
+    summary = await backfill(
+      { ...options, checkpoint: path.join(directory, "dry.json"), dryRun: true },
+      stubs,
+    );
+    restore();
+    check(
+      "Dry run previews without comments or a checkpoint",
+      [stubs.created, stubs.imported, fs.existsSync(path.join(directory, "dry.json"))],
+      [[2, 3], [], false],
+    );
+  } finally {
+    restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  const now = Date.parse("2024-01-01T00:00:00Z");
+  check(
+    "Waits for the primary rate limit reset",
+    rateLimitDelay(
+      {
+        status: 403,
+        headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(now / 1000 + 30) },
+      },
+      now,
+    ),
+    31000,
+  );
+  check(
+    "Honors Retry-After for secondary rate limits",
+    rateLimitDelay({ status: 429, headers: { "retry-after": "60" } }, now),
+    60000,
+  );
+  check(
+    "Other 403 responses are not retried",
+    rateLimitDelay({ status: 403, headers: { "x-ratelimit-remaining": "42" } }, now),
+    null,
+  );
+
+  console.log(`\n📊 Backfill Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
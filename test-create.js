@@ -5,8 +5,17 @@
  * This script tests the Jira issue creation without actually creating issues
  */
 
-const { createGitHubIssueADF, createIssue } = require('./create.js');
-const { textToADF, isValidADF } = require('./adf-utils.js');
+const {
+  createGitHubIssueADF,
+  createIssue,
+  buildIssuePayload,
+  validateIssuePayload,
+  formatPayloadPreview,
+  hasGitHubIssueMarker
+} = require('./create.js');
+const { createGitHubCommentADF } = require('./sync-comment.js');
+const { buildIssueFields, diffIssueFields } = require('./update.js');
+const { textToADF, markdownToADF, adfToMarkdown, isValidADF } = require('./adf-utils.js');
 
 // Test data
 const testData = {
@@ -35,6 +44,130 @@ try {
   console.error('❌ ADF utilities test failed:', error.message);
 }
 
+// Test 1b: Markdown conversion
+console.log('\n1️⃣b Testing markdown to ADF conversion...');
+try {
+  const markdownADF = markdownToADF([
+    '### Issue Description',
+    '',
+    'Login **fails** with `SSO`, see [docs](https://example.com/docs).',
+    '',
+    '```js',
+    'login();',
+    '```',
+    '',
+    '- step one',
+    '  1. nested step',
+    '',
+    '> quoted',
+    '',
+    '| Browser | Works |',
+    '| --- | --- |',
+    '| Chrome | no |',
+    '',
+    '<img width="400" alt="Login screen" src="https://github.com/user-attachments/assets/1b2c3d4e">'
+  ].join('\n'));
+
+  const blockTypes = markdownADF.content.map(block => block.type);
+  const expectedTypes = ['heading', 'paragraph', 'codeBlock', 'bulletList', 'blockquote', 'table', 'paragraph'];
+  const marks = markdownADF.content[1].content.flatMap(node => (node.marks || []).map(mark => mark.type));
+
+  if (JSON.stringify(blockTypes) !== JSON.stringify(expectedTypes)) {
+    throw new Error(`Expected blocks [${expectedTypes.join(', ')}], got [${blockTypes.join(', ')}]`);
+  }
+  if (!['strong', 'code', 'link'].every(type => marks.includes(type))) {
+    throw new Error(`Missing inline marks, got [${marks.join(', ')}]`);
+  }
+  if (markdownADF.content[2].attrs.language !== 'js') {
+    throw new Error('Code block language was not preserved');
+  }
+  if (markdownADF.content[3].content[0].content[1].type !== 'orderedList') {
+    throw new Error('Nested list was not preserved');
+  }
+  const image = markdownADF.content[6].content[0];
+  if (image.text !== 'Login screen' || image.marks[0].attrs.href !== 'https://github.com/user-attachments/assets/1b2c3d4e') {
+    throw new Error('Image tag was not converted to a link');
+  }
+
+  console.log('✅ markdownToADF works');
+  console.log('   Blocks created:', blockTypes.join(', '));
+} catch (error) {
+  console.error('❌ Markdown conversion test failed:', error.message);
+}
+
+// Test 1b2: Emphasis runs and long unmatched delimiters
+console.log('\n1️⃣b2 Testing emphasis edge cases...');
+try {
+  const tripleRun = markdownToADF('***bold italic***').content[0].content;
+  if (JSON.stringify(tripleRun) !== JSON.stringify([
+    { type: 'text', text: 'bold italic', marks: [{ type: 'strong' }, { type: 'em' }] }
+  ])) {
+    throw new Error(`***bold italic*** became ${JSON.stringify(tripleRun)}`);
+  }
+
+  // Bodies up to GitHub's 65,536 characters must not stall the webhook server
+  [['_a ', 20000], ['[', 60000], ['**a ', 15000], ['![', 30000]].forEach(([chunk, count]) => {
+    const started = Date.now();
+    const text = markdownToADF(chunk.repeat(count)).content[0].content[0].text;
+    const expected = chunk.repeat(count).trim();
+    const elapsed = Date.now() - started;
+    if (text !== expected || elapsed > 1000) {
+      throw new Error(`"${chunk}" x ${count} took ${elapsed}ms`);
+    }
+  });
+
+  console.log('✅ Emphasis edge cases work');
+} catch (error) {
+  console.error('❌ Emphasis edge case test failed:', error.message);
+}
+
+// Test 1c: ADF to markdown rendering (Jira → GitHub comments)
+console.log('\n1️⃣c Testing ADF to markdown rendering...');
+try {
+  const jiraComment = {
+    type: 'doc',
+    version: 1,
+    content: [
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'mention', attrs: { id: '5b10a2844c20165700ede21g', text: '@Jane Doe' } },
+          { type: 'text', text: ' please check ' },
+          { type: 'text', text: 'this', marks: [{ type: 'strong' }] }
+        ]
+      },
+      { type: 'codeBlock', attrs: { language: 'bash' }, content: [{ type: 'text', text: 'npm test' }] },
+      { type: 'panel', attrs: { panelType: 'warning' }, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Careful' }] }] },
+      { type: 'unknownNode', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'fallback' }] }] }
+    ]
+  };
+
+  const expectedMarkdown = [
+    '**@Jane Doe** please check **this**',
+    '',
+    '```bash',
+    'npm test',
+    '```',
+    '',
+    '> [!WARNING]',
+    '> Careful',
+    '',
+    'fallback'
+  ].join('\n');
+
+  const markdown = adfToMarkdown(JSON.stringify(jiraComment));
+  if (markdown !== expectedMarkdown) {
+    throw new Error(`Unexpected markdown:\n${markdown}`);
+  }
+  if (adfToMarkdown('plain text comment') !== 'plain text comment') {
+    throw new Error('Plain text comment bodies should pass through unchanged');
+  }
+
+  console.log('✅ adfToMarkdown works');
+} catch (error) {
+  console.error('❌ ADF to markdown test failed:', error.message);
+}
+
 // Test 2: GitHub Issue ADF Creation
 console.log('\n2️⃣ Testing GitHub issue ADF creation...');
 try {
@@ -58,6 +191,132 @@ try {
   console.error('❌ GitHub ADF creation test failed:', error.message);
 }
 
+// Test 2b: GitHub comment ADF creation
+console.log('\n2️⃣b Testing GitHub comment ADF creation...');
+try {
+  const commentADF = createGitHubCommentADF({
+    body: 'He said "it\'s broken" \\ see C:\\logs\n\n- first\n- second',
+    html_url: 'https://github.com/testuser/testrepo/issues/123#issuecomment-1',
+    user: { login: 'testuser' }
+  });
+
+  const roundTripped = JSON.parse(JSON.stringify(commentADF));
+  const blockTypes = roundTripped.content.map(block => block.type);
+
+  if (!isValidADF(roundTripped)) {
+    throw new Error('Comment ADF is not valid');
+  }
+  if (roundTripped.content[0].content[0].text !== 'Comment from GitHub by testuser:') {
+    throw new Error('Author attribution is missing');
+  }
+  if (!roundTripped.content[1].content[0].text.includes('"it\'s broken"')) {
+    throw new Error('Quotes in the comment body were not preserved');
+  }
+  if (blockTypes[blockTypes.length - 1] !== 'paragraph' || blockTypes[blockTypes.length - 2] !== 'rule') {
+    throw new Error('Back-link to GitHub is missing');
+  }
+
+  console.log('✅ createGitHubCommentADF works');
+  console.log('   ADF Structure:', blockTypes.join(', '));
+} catch (error) {
+  console.error('❌ GitHub comment ADF creation test failed:', error.message);
+}
+
+// Test 2c: Issue edit diffing
+console.log('\n2️⃣c Testing issue edit field diffing...');
+try {
+  const editedIssue = {
+    title: 'Login fails on mobile',
+    body: '### Urgency / Impact\n\nHigh - Production system is down or severely impacted.',
+    html_url: testData.githubUrl,
+    user: { login: testData.author },
+    created_at: testData.createdAt,
+    labels: [{ name: 'Bug Report' }]
+  };
+
+  const desired = buildIssueFields(editedIssue);
+  const unchanged = diffIssueFields(desired, JSON.parse(JSON.stringify(desired)));
+  if (Object.keys(unchanged).length !== 0) {
+    throw new Error(`Expected no changes, got [${Object.keys(unchanged).join(', ')}]`);
+  }
+
+  const retitled = buildIssueFields({ ...editedIssue, title: 'Login fails on all devices' });
+  const changed = diffIssueFields(retitled, desired);
+  if (JSON.stringify(Object.keys(changed)) !== JSON.stringify(['summary'])) {
+    throw new Error(`Expected only summary to change, got [${Object.keys(changed).join(', ')}]`);
+  }
+
+  const authorBlock = desired.description.content[1].content[0].text;
+  if (authorBlock !== `Created by: ${testData.author}` || desired.priority.name !== 'Highest') {
+    throw new Error('Edited description lost author or mapped priority');
+  }
+
+  console.log('✅ Only changed fields are sent on edit');
+} catch (error) {
+  console.error('❌ Issue edit diffing test failed:', error.message);
+}
+
+// Test 2d: Dry-run payload validation and preview
+console.log('\n2️⃣d Testing dry-run payload validation and preview...');
+try {
+  const payload = buildIssuePayload(
+    testData.projectKey,
+    testData.issueType,
+    testData.summary,
+    '**Steps**\n\n1. Open the app',
+    { priority: { name: 'High' }, components: [{ name: 'Mobile' }] }
+  );
+  const problems = validateIssuePayload(payload);
+  if (problems.length !== 0) {
+    throw new Error(`Expected a valid payload, got: ${problems.join('; ')}`);
+  }
+
+  const preview = formatPayloadPreview(payload);
+  const expectedLines = ['+ project: TEST', '+ priority: High', '+ components: Mobile', '+   1. Open the app'];
+  const missingLines = expectedLines.filter(line => !preview.split('\n').includes(line));
+  if (missingLines.length > 0) {
+    throw new Error(`Preview is missing: ${missingLines.join(', ')}`);
+  }
+
+  const broken = buildIssuePayload('', testData.issueType, 'x'.repeat(256), 'Body', {
+    components: [{}]
+  });
+  const brokenProblems = validateIssuePayload(broken).map(problem => problem.split(':')[0]);
+  if (JSON.stringify(brokenProblems) !== JSON.stringify(['project', 'summary', 'components[0]'])) {
+    throw new Error(`Unexpected problems: [${brokenProblems.join(', ')}]`);
+  }
+
+  console.log('✅ Dry-run validation and preview work');
+  console.log('   Problems reported for a broken payload:', brokenProblems.join(', '));
+} catch (error) {
+  console.error('❌ Dry-run validation test failed:', error.message);
+}
+
+// Test 2e: Detecting issues already synced from a GitHub issue
+console.log('\n2️⃣e Testing synced issue marker detection...');
+try {
+  const syncedDescription = createGitHubIssueADF(
+    testData.githubUrl,
+    testData.author,
+    testData.createdAt,
+    testData.description
+  );
+  if (!hasGitHubIssueMarker(syncedDescription, testData.githubUrl)) {
+    throw new Error('Synced description was not recognized');
+  }
+  if (hasGitHubIssueMarker(syncedDescription, 'https://github.com/testuser/testrepo/issues/12')) {
+    throw new Error('Description matched a different issue URL');
+  }
+  const mentioned = markdownToADF(`Related to ${testData.githubUrl}`);
+  if (hasGitHubIssueMarker(mentioned, testData.githubUrl)) {
+    throw new Error('A plain mention of the URL was treated as a synced issue');
+  }
+
+  console.log('✅ Synced issue marker detection works');
+} catch (error) {
+  console.error('❌ Synced issue marker test failed:', error.message);
+}
+
 // Test 3: Environment Variable Check
 console.log('\n3️⃣ Testing environment variables...');
 const requiredEnvVars = [
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub cross-references → Jira issue links
+ * Only exercises the reference parsing and link helpers, so no GitHub or Jira access is needed
+ */
+
+const {
+  DEFAULT_ISSUE_LINKS,
+  parseReferences,
+  buildIssueLink,
+  hasIssueLink,
+  describeLink,
+} = require("./issue-links");
+
+function runTests() {
+  console.log("🧪 Testing issue links\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const refs = (text, settings) =>
+    parseReferences(text, "octo/app", settings).map(
+      (reference) =>
+        `${reference.repository}#${reference.number} ${reference.linkType} ${reference.direction}`,
+    );
+
+  // References
+  check("Bare references relate", refs("See #12 and (#13)"), [
+    "octo/app#12 Relates outward",
+    "octo/app#13 Relates outward",
+  ]);
+  check(
+    "Cross-repository references and issue URLs are read",
+    refs("octo/lib#7, https://github.com/acme/api/issues/3"),
+    ["octo/lib#7 Relates outward", "acme/api#3 Relates outward"],
+  );
+  check("Phrases choose the link type and direction", refs("Duplicate of #45. Blocked by #12"), [
+    "octo/app#45 Duplicate outward",
+    "octo/app#12 Blocks inward",
+  ]);
+  check("Phrases cover a list of references", refs("Depends on: #1, #2 and octo/lib#3; see #4"), [
+    "octo/app#1 Blocks inward",
+    "octo/app#2 Blocks inward",
+    "octo/lib#3 Blocks inward",
+    "octo/app#4 Relates outward",
+  ]);
+  check("Phrases are case-insensitive", refs("BLOCKS   #8"), ["octo/app#8 Blocks outward"]);
+  check(
+    "A phrase wins over an earlier bare reference",
+    refs("Like #45 — in fact a duplicate of #45"),
+    ["octo/app#45 Duplicate outward"],
+  );
+  check(
+    "Code, HTML comments, headings and entities are not references",
+    refs("`#1`\n```\nblocked by #2\n```\n<!-- #3 -->\n# Title\nIt&#39;s issue#4 or v1#5"),
+    [],
+  );
+  check(
+    "Without a default link type only phrases link",
+    refs("See #12, blocked by #13", { ...DEFAULT_ISSUE_LINKS, defaultLinkType: null }),
+    ["octo/app#13 Blocks inward"],
+  );
+  check(
+    "Configured phrases replace the defaults",
+    refs("Fixed by #6, blocked by #7", {
+      defaultLinkType: null,
+      phrases: { "fixed by": { linkType: "Problem/Incident", direction: "inward" } },
+    }),
+    ["octo/app#6 Problem/Incident inward"],
+  );
+
+  // Jira links
+  check(
+    "Outward links start at the issue",
+    buildIssueLink("PROJ-1", "PROJ-2", "Blocks", "outward"),
+    {
+      type: { name: "Blocks" },
+      inwardIssue: { key: "PROJ-1" },
+      outwardIssue: { key: "PROJ-2" },
+    },
+  );
+  check(
+    "Inward links start at the referenced issue",
+    buildIssueLink("PROJ-1", "PROJ-2", "Blocks", "inward"),
+    { type: { name: "Blocks" }, inwardIssue: { key: "PROJ-2" }, outwardIssue: { key: "PROJ-1" } },
+  );
+  const existing = [{ type: { name: "Blocks" }, inwardIssue: { key: "PROJ-2" } }];
+  check(
+    "Existing links of the same type are found",
+    hasIssueLink(existing, "PROJ-2", "blocks"),
+    true,
+  );
+  check("Links of another type do not count", hasIssueLink(existing, "PROJ-2", "Duplicate"), false);
+  check("Any link counts without a type", hasIssueLink(existing, "PROJ-2", null), true);
+  check(
+    "Links are described with their direction",
+    describeLink({ key: "PROJ-2", linkType: "Blocks", direction: "inward" }),
+    "Blocks ← PROJ-2",
+  );
+
+  console.log(`\n📊 Issue Link Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
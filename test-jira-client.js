@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the shared Jira REST client
+ * Runs against a throwaway local HTTP server, so no Jira access is needed
+ */
+
+const http = require("http");
+const {
+  JiraClient,
+  JiraError,
+  JiraAuthError,
+  JiraNotFoundError,
+  JiraValidationError,
+  parseRetryAfter,
+} = require("./jira-client");
+
+/**
+ * Starts a local server answering from a queue of canned responses
+ * @param {Array<object>} responses - {status, body, headers} in request order
+ * @returns {Promise<object>} - {server, baseUrl, requests}
+ */
+function startServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        authorization: req.headers.authorization,
+        body: body ? JSON.parse(body) : null,
+      });
+      const next = responses.shift() || { status: 500, body: { errorMessages: ["Unexpected"] } };
+      res.writeHead(next.status, { "Content-Type": "application/json", ...next.headers });
+      res.end(JSON.stringify(next.body || {}));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+  });
+}
+
+async function runTests() {
+  console.log("🧪 Testing Jira REST client\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  check("Retry-After in seconds", parseRetryAfter("3"), 3000);
+  check("Missing Retry-After", parseRetryAfter(undefined), null);
+
+  const { server, baseUrl, requests } = await startServer([
+    { status: 429, headers: { "Retry-After": "2" } },
+    { status: 503 },
+    { status: 200, body: { key: "PROJ-1" } },
+    { status: 503 },
+    { status: 429, headers: { "Retry-After": "0" } },
+    { status: 201, body: { key: "PROJ-2" } },
+    { status: 502 },
+    { status: 201, body: {} },
+    { status: 400, body: { errorMessages: [], errors: { priority: "Priority is invalid" } } },
+    { status: 404, body: { errorMessages: ["Issue does not exist"] } },
+    { status: 401, body: {} },
+    { status: 502 },
+    { status: 200, body: { issues: [{ key: "PROJ-1" }], nextPageToken: "abc" } },
+    { status: 200, body: { issues: [{ key: "PROJ-2" }] } },
+    {
+      status: 404,
+      body: { message: "null for uri: /rest/api/3/issue/PROJ-1", "status-code": 404 },
+    },
+  ]);
+
+  const waits = [];
+  const jira = new JiraClient({
+    baseUrl,
+    email: "bot@example.com",
+    apiToken: "token",
+    retryDelay: 100,
+    sleep: async (ms) => waits.push(ms),
+  });
+
+  try {
+    const fetched = await jira.get(jira.api("/issue/PROJ-1"));
+    check("Request succeeds after 429 and 503", fetched, { key: "PROJ-1" });
+    check(
+      "Retry-After is honored, then backoff is used",
+      [waits[0], waits[1] >= 100],
+      [2000, true],
+    );
+    check(
+      "Basic auth is sent",
+      requests[0].authorization,
+      `Basic ${Buffer.from("bot@example.com:token").toString("base64")}`,
+    );
+
+    const expectError = async (description, promise, ErrorClass, messagePart) => {
+      try {
+        await promise;
+        check(description, "resolved", ErrorClass.name);
+      } catch (error) {
+        check(
+          description,
+          [error.name, error.message.includes(messagePart)],
+          [ErrorClass.name, true],
+        );
+      }
+    };
+
+    await expectError(
+      "POST is not retried after a server error",
+      jira.post(jira.api("/issue"), { fields: {} }),
+      JiraError,
+      "(503)",
+    );
+    const created = await jira.post(jira.api("/issue"), { fields: {} });
+    check("POST is retried when rate limited", created, { key: "PROJ-2" });
+    await jira.post(jira.api("/issue/PROJ-2/remotelink"), {}, {}, { idempotent: true });
+    check(
+      "Idempotent POSTs are retried after a server error",
+      requests.slice(6, 8).map((request) => request.url),
+      ["/rest/api/3/issue/PROJ-2/remotelink", "/rest/api/3/issue/PROJ-2/remotelink"],
+    );
+
+    await expectError(
+      "400 becomes JiraValidationError with field errors",
+      jira.post(jira.api("/issue"), {}),
+      JiraValidationError,
+      "priority: Priority is invalid",
+    );
+    await expectError(
+      "404 becomes JiraNotFoundError",
+      jira.get(jira.api("/issue/PROJ-9")),
+      JiraNotFoundError,
+      "Issue does not exist",
+    );
+    await expectError(
+      "401 becomes JiraAuthError",
+      jira.get(jira.api("/myself")),
+      JiraAuthError,
+      "(401)",
+    );
+    check("Client errors are not retried", requests.length, 11);
+
+    const issues = await jira.searchIssues("project = PROJ");
+    check("Searches are retried after a server error", requests[11].url, requests[12].url);
+    check(
+      "Search follows nextPageToken",
+      issues.map((issue) => issue.key),
+      ["PROJ-1", "PROJ-2"],
+    );
+    check("Second search page sends the token", requests[13].body.nextPageToken, "abc");
+
+    const pat = new JiraClient({ baseUrl, personalAccessToken: "pat", maxRetries: 0 });
+    const noV3 = await pat.get(pat.api("/issue/PROJ-1")).catch((error) => error);
+    check("PAT clients send a bearer token", requests[14].authorization, "Bearer pat");
+    check(
+      "A server without REST API v3 is reported as unsupported",
+      [
+        noV3 instanceof JiraNotFoundError,
+        /Data Center \/ Server is not supported/.test(noV3.message),
+      ],
+      [true, true],
+    );
+
+    const v2 = new JiraClient({ baseUrl, personalAccessToken: "pat", apiVersion: "2" });
+    const rejected = await v2.get(v2.api("/issue/PROJ-1")).catch((error) => error);
+    check(
+      "REST API v2 is rejected before any request",
+      [/^JIRA_API_VERSION=2 is not supported/.test(rejected.message), requests.length],
+      [true, 15],
+    );
+    check(
+      "Missing environment variables are listed",
+      JiraClient.missingEnv({ JIRA_BASE_URL: "x", JIRA_PAT: "y" }),
+      [],
+    );
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Jira Client Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests().catch((error) => {
+    console.error("❌ Test runner error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Jira create metadata validation and fallbacks
+ * Uses a stub Jira client, so no Jira access is needed
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getCreateMeta,
+  applyCreateMeta,
+  applyEditMeta,
+  clearCreateMetaCache,
+} = require("./jira-metadata");
+
+const FIELDS = {
+  10001: [
+    { fieldId: "summary", name: "Summary", required: true },
+    { fieldId: "description", name: "Description", required: false },
+    {
+      fieldId: "priority",
+      name: "Priority",
+      required: false,
+      hasDefaultValue: true,
+      allowedValues: [
+        { id: "2", name: "High" },
+        { id: "3", name: "Medium" },
+      ],
+    },
+    {
+      fieldId: "components",
+      name: "Component/s",
+      required: false,
+      allowedValues: [{ id: "100", name: "Mobile" }],
+    },
+  ],
+  10002: [
+    { fieldId: "summary", name: "Summary", required: true },
+    { fieldId: "customfield_10050", name: "Customer", required: true },
+  ],
+};
+
+/**
+ * Builds a stub Jira client answering createmeta requests
+ * @returns {object} - Stub client counting its requests
+ */
+function createStubJira() {
+  return {
+    baseUrl: "https://example.atlassian.net",
+    requests: 0,
+    api: (apiPath) => `/rest/api/3${apiPath}`,
+    async paginate(apiPath) {
+      this.requests++;
+      const typeId = apiPath.split("/issuetypes/")[1];
+      if (typeId) {
+        return FIELDS[typeId] || [];
+      }
+      return [
+        { id: "10001", name: "Task", subtask: false },
+        { id: "10002", name: "Support", subtask: false },
+        { id: "10003", name: "Sub-task", subtask: true },
+      ];
+    },
+  };
+}
+
+async function runTests() {
+  console.log("🧪 Testing Jira create metadata\n");
+
+  const cacheFile = path.join(os.tmpdir(), `jira-createmeta-${process.pid}.json`);
+  let failed = 0;
+
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  try {
+    const jira = createStubJira();
+    const meta = await getCreateMeta("PROJ", { jira, cacheFile, ttl: 60 });
+    check("Issue types and fields are fetched", meta.issueTypes.length, 3);
+
+    await getCreateMeta("PROJ", { jira, cacheFile, ttl: 60 });
+    check("Second lookup is served from the memory cache", jira.requests, 4);
+
+    clearCreateMetaCache();
+    const cached = await getCreateMeta("PROJ", { jira, cacheFile, ttl: 60 });
+    check("Cache file is used after the memory cache is cleared", jira.requests, 4);
+    check("Cached metadata keeps allowed values", cached.issueTypes[0].fields[2].allowedValues, [
+      { id: "2", name: "High" },
+      { id: "3", name: "Medium" },
+    ]);
+
+    const valid = applyCreateMeta(
+      {
+        project: { key: "PROJ" },
+        summary: "Title",
+        issuetype: { name: "task" },
+        priority: { name: "High" },
+        components: [{ name: "Mobile" }],
+      },
+      meta,
+    );
+    check("Valid fields pass unchanged (issue type name normalized)", valid.fields.issuetype, {
+      name: "Task",
+    });
+    check("Valid fields produce no warnings", valid.warnings, []);
+
+    const fallback = applyCreateMeta(
+      {
+        project: { key: "PROJ" },
+        summary: "Title",
+        issuetype: { name: "Bug Report" },
+        priority: { name: "Highest" },
+        components: [{ name: "AI HUB" }, { name: "Mobile" }],
+        customfield_10099: "not on screen",
+      },
+      meta,
+      { issueType: "Task", priority: "Medium" },
+    );
+    check("Unknown issue type falls back to the default", fallback.fields.issuetype, {
+      name: "Task",
+    });
+    check("Unknown priority falls back to the default", fallback.fields.priority, {
+      name: "Medium",
+    });
+    check("Unknown components are dropped", fallback.fields.components, [{ name: "Mobile" }]);
+    check(
+      "Fields missing from the create screen are dropped",
+      "customfield_10099" in fallback.fields,
+      false,
+    );
+    check("Every fallback is reported as a warning", fallback.warnings.length, 4);
+    check("Fallbacks are not problems", fallback.problems, []);
+
+    const missing = applyCreateMeta(
+      { project: { key: "PROJ" }, summary: "Title", issuetype: { name: "Support" } },
+      meta,
+    );
+    check("Required fields without a default are problems", missing.problems, [
+      'customfield_10050: "Customer" is required for Support',
+    ]);
+
+    const editMeta = { issue: "PROJ-1", fields: FIELDS["10001"] };
+    const edit = applyEditMeta(
+      {
+        summary: "Title",
+        priority: { name: "Highest" },
+        components: [{ name: "AI HUB" }, { name: "Mobile" }],
+        customfield_10099: "not on screen",
+      },
+      editMeta,
+    );
+    check("Edits drop unknown components", edit.fields.components, [{ name: "Mobile" }]);
+    check("Edits leave an unknown priority unchanged", "priority" in edit.fields, false);
+    check("Edits skip fields missing from the edit screen", Object.keys(edit.fields), [
+      "summary",
+      "components",
+    ]);
+    check(
+      "Edits drop a component list with no known component",
+      "components" in applyEditMeta({ components: [{ name: "AI HUB" }] }, editMeta).fields,
+      false,
+    );
+  } finally {
+    fs.rmSync(cacheFile, { force: true });
+  }
+
+  console.log(`\n📊 Create Metadata Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests().catch((error) => {
+    console.error("❌ Test runner error:", error);
+    process.exit(1);
+  });
+}
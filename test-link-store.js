@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the GitHub issue ↔ Jira key link store
+ * Uses the local file backend, so no GitHub or Jira access is needed
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createLinkStore,
+  createFileBackend,
+  createLinkMarker,
+  parseLinkMarker,
+} = require("./link-store");
+
+async function runTests() {
+  console.log("🧪 Testing GitHub-Jira link store\n");
+
+  const linkFile = path.join(os.tmpdir(), `jira-links-${process.pid}.json`);
+  const store = createLinkStore([createFileBackend(linkFile)]);
+  const issue = { number: 42, html_url: "https://github.com/acme/app/issues/42" };
+  let failed = 0;
+
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  try {
+    // Markers survive surrounding text and support project keys with digits
+    const body = `Steps to reproduce\n\n${createLinkMarker("AB2-17")}`;
+    check("Marker round-trips a project key containing digits", parseLinkMarker(body), "AB2-17");
+    check("Body without marker has no key", parseLinkMarker("No marker here"), null);
+
+    check("Unlinked issue has no Jira key", await store.getJiraKey(issue), null);
+
+    await store.link(issue, "AB2-17");
+    check("Linked issue resolves to its Jira key", await store.getJiraKey(issue), "AB2-17");
+    check("Jira key resolves back to the GitHub issue", await store.getGitHubIssue("AB2-17"), {
+      repository: "acme/app",
+      issueNumber: 42,
+      issueUrl: "https://github.com/acme/app/issues/42",
+    });
+
+    // Re-linking replaces the previous entry instead of duplicating it
+    await store.link(issue, "AB2-18");
+    check("Re-linking replaces the old key", await store.getJiraKey(issue), "AB2-18");
+    check("Old key is no longer linked", await store.getGitHubIssue("AB2-17"), null);
+
+    try {
+      await store.link(issue, "not-a-key");
+      check("Invalid key is rejected", "accepted", "rejected");
+    } catch (error) {
+      check("Invalid key is rejected", "rejected", "rejected");
+    }
+  } finally {
+    fs.rmSync(linkFile, { force: true });
+  }
+
+  console.log(`\n📊 Link Store Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests().catch((error) => {
+    console.error("❌ Test runner error:", error);
+    process.exit(1);
+  });
+}
@@ -5,7 +5,14 @@
  * Run this to validate your mapping configuration before deployment
  */
 
-const { mapGitHubIssueToJiraFields, mapGitHubLabelsToJiraIssueType } = require("./map-issue-type");
+const {
+  mapGitHubIssueToJiraFields,
+  mapGitHubLabelsToJiraIssueType,
+  mapCustomFields,
+  mapUserFields,
+} = require("./map-issue-type");
+const { parseGitHubIssueForm } = require("./issue-form-parser");
+const { validateConfig, validateConfigFile } = require("./validate-config");
 const fs = require("fs");
 
 console.log("🧪 GitHub-Jira Mapping Test Suite\n");
@@ -72,6 +79,70 @@ Button alignment is slightly off on the dashboard.`,
       components: ["TRINITY"],
     },
   },
+  {
+    name: "Bug Report - GitHub Form Body With Area Mentioned In Description",
+    githubIssue: {
+      title: "Export button broken",
+      labels: [{ name: "Bug Report" }],
+      body: `### Which part of the platform is affected?
+
+ALPHA
+
+### Urgency / Impact
+
+Low - Minor issue or cosmetic bug.
+
+### Issue Description
+
+Export works fine in REELS but not here:
+REELS
+Production down is not the case.`,
+    },
+    expectedMapping: {
+      issueType: "Bug Report",
+      priority: "Low",
+      components: ["ALPHA"],
+    },
+  },
+  {
+    name: "Feature Request - Business Priority From Form",
+    githubIssue: {
+      title: "Real-time chat",
+      labels: [{ name: "Feature Request" }],
+      body: `### Feature Description
+
+Add a real-time chat system.
+
+### Which part of the platform should this feature be added to?
+
+Cross-platform / General
+
+### Business Justification
+
+Reduces support tickets.
+
+### Proposed Implementation (Optional)
+
+_No response_
+
+### Business Priority
+
+High - Critical for business operations
+
+### Acceptance Criteria
+
+_No response_
+
+### Additional Context
+
+_No response_`,
+    },
+    expectedMapping: {
+      issueType: "Platform New Feature",
+      priority: "High",
+      components: [],
+    },
+  },
   {
     name: "Enhancement Request",
     githubIssue: {
@@ -93,7 +164,7 @@ Add a toggle in user settings to switch between light and dark themes.`,
     name: "Technical Support Request",
     githubIssue: {
       title: "How to configure API webhooks?",
-      labels: [{ name: "Technical Support" }],
+      labels: [{ name: "Technical support" }],
       body: `What is your question?
 I need help setting up webhooks for our API integration.
 
@@ -101,7 +172,7 @@ What have you already tried or checked?
 I have already read the documentation on page X but still confused about the authentication part.`,
     },
     expectedMapping: {
-      issueType: "Technical Support",
+      issueType: "Support",
       priority: "Medium",
       components: [],
     },
@@ -114,7 +185,7 @@ I have already read the documentation on page X but still confused about the aut
       body: "Some generic issue without template",
     },
     expectedMapping: {
-      issueType: "Technical Support",
+      issueType: "Support",
       priority: "Medium",
       components: [],
     },
@@ -127,7 +198,7 @@ I have already read the documentation on page X but still confused about the aut
       body: "Issue with unknown label type",
     },
     expectedMapping: {
-      issueType: "Technical Support",
+      issueType: "Support",
       priority: "Medium",
       components: [],
     },
@@ -164,9 +235,9 @@ function testLabelMapping() {
   const labelTests = [
     { input: ["Bug Report"], expected: "Bug Report" },
     { input: ["Improvement"], expected: "Improvement" },
-    { input: ["Technical Support"], expected: "Technical Support" },
-    { input: [], expected: "Technical Support" },
-    { input: ["Unknown Label"], expected: "Technical Support" },
+    { input: ["Technical support"], expected: "Support" },
+    { input: [], expected: "Support" },
+    { input: ["Unknown Label"], expected: "Support" },
   ];
 
   let passed = 0;
@@ -245,6 +316,220 @@ function testCompleteMapping() {
   return failed === 0;
 }
 
+// Test issue form parsing
+function testFormParsing() {
+  console.log("📝 Testing Issue Form Parsing...");
+
+  const { template, fields } = parseGitHubIssueForm({
+    labels: [{ name: "Feature Request" }],
+    body: `### Feature Description
+
+Add a real-time chat system.
+
+### Which part of the platform should this feature be added to?
+
+REELS
+
+### Business Justification
+
+Improves engagement.
+
+### Proposed Implementation (Optional)
+
+_No response_
+
+### Business Priority
+
+Medium - Would significantly improve workflows
+
+### Acceptance Criteria
+
+- Users can send messages
+- Users see online status`,
+  });
+
+  const expected = {
+    "feature-description": "Add a real-time chat system.",
+    "target-area": "REELS",
+    "business-justification": "Improves engagement.",
+    "proposed-implementation": null,
+    priority: "Medium - Would significantly improve workflows",
+    "acceptance-criteria": "- Users can send messages\n- Users see online status",
+  };
+
+  let failed = 0;
+  if (template !== "feature-request") {
+    console.log(`❌ Template → Expected: feature-request, Got: ${template}`);
+    failed++;
+  }
+
+  Object.entries(expected).forEach(([fieldId, value]) => {
+    if (JSON.stringify(fields[fieldId]) === JSON.stringify(value)) {
+      console.log(`✅ ${fieldId} → ${JSON.stringify(fields[fieldId])}`);
+    } else {
+      console.log(
+        `❌ ${fieldId} → Expected: ${JSON.stringify(value)}, Got: ${JSON.stringify(fields[fieldId])}`,
+      );
+      failed++;
+    }
+  });
+
+  console.log(`\n📊 Form Parsing Results: ${failed === 0 ? "all passed" : `${failed} failed`}\n`);
+  return failed === 0;
+}
+
+// Test custom field rules and type coercion
+function testCustomFields() {
+  console.log("🧩 Testing Custom Field Mapping...");
+
+  const fields = {
+    "business-justification": "Finance exports **every** report by hand.",
+    priority: "Medium - Would significantly improve workflows",
+    "target-area": ["REELS", "Other", "AI HUB"],
+    budget: "12,500",
+    estimate: "about a week",
+    deadline: "March 5, 2026",
+    "due-date": "2026-07-01",
+    reviewers: "@octocat, hubot",
+    owner: "octocat",
+    "proposed-implementation": null,
+  };
+  const rules = {
+    customFieldRules: [
+      { field: "target-area", customField: "customfield_10001" },
+      { field: "business-justification", customField: "customfield_10002", type: "adf" },
+      {
+        field: "priority",
+        customField: "customfield_10003",
+        type: "option",
+        rename: { "Medium - Would significantly improve workflows": "Medium" },
+      },
+      {
+        field: "target-area",
+        customField: "customfield_10004",
+        type: "options",
+        exclude: ["Other"],
+      },
+      { field: "budget", customField: "customfield_10005", type: "number" },
+      { field: "estimate", customField: "customfield_10006", type: "number" },
+      { field: "deadline", customField: "customfield_10007", type: "date" },
+      { field: "due-date", customField: "customfield_10008", type: "date" },
+      { field: "proposed-implementation", customField: "customfield_10009", type: "adf" },
+      { field: "reviewers", customField: "customfield_10010", type: "users" },
+      { field: "owner", customField: "customfield_10011", type: "user" },
+    ],
+  };
+
+  // Unconvertible answers are skipped with a warning; keep the output readable
+  const warn = console.warn;
+  console.warn = () => {};
+  const customFields = mapCustomFields(fields, rules);
+  const userFields = mapUserFields(fields, rules);
+  console.warn = warn;
+
+  const cases = [
+    ["Text joins multiple answers", customFields.customfield_10001, "REELS, Other, AI HUB"],
+    [
+      "ADF converts Markdown",
+      customFields.customfield_10002,
+      {
+        type: "doc",
+        version: 1,
+        content: [
+          {
+            type: "paragraph",
+            content: [
+              { type: "text", text: "Finance exports " },
+              { type: "text", text: "every", marks: [{ type: "strong" }] },
+              { type: "text", text: " report by hand." },
+            ],
+          },
+        ],
+      },
+    ],
+    ["Option applies rename", customFields.customfield_10003, { value: "Medium" }],
+    [
+      "Options apply exclude",
+      customFields.customfield_10004,
+      [{ value: "REELS" }, { value: "AI HUB" }],
+    ],
+    ["Number ignores thousands separators", customFields.customfield_10005, 12500],
+    ["Non-numbers are skipped", "customfield_10006" in customFields, false],
+    ["Dates are converted to YYYY-MM-DD", customFields.customfield_10007, "2026-03-05"],
+    ["ISO dates are kept", customFields.customfield_10008, "2026-07-01"],
+    ["Unanswered fields are skipped", "customfield_10009" in customFields, false],
+    ["User pickers are left for user mapping", "customfield_10010" in customFields, false],
+    [
+      "User picker logins",
+      userFields,
+      {
+        customfield_10010: { logins: ["octocat", "hubot"], multiple: true },
+        customfield_10011: { logins: ["octocat"], multiple: false },
+      },
+    ],
+  ];
+
+  let failed = 0;
+  cases.forEach(([description, actual, expected]) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  });
+
+  console.log(`\n📊 Custom Field Results: ${failed === 0 ? "all passed" : `${failed} failed`}\n`);
+  return failed === 0;
+}
+
+// Test configuration validation
+function testConfigValidation() {
+  console.log("🔍 Testing Configuration Validation...");
+
+  let failed = 0;
+
+  const current = validateConfigFile("./label-mapping.json");
+  if (current.valid) {
+    console.log("✅ label-mapping.json is valid");
+  } else {
+    console.log(`❌ label-mapping.json is invalid: ${JSON.stringify(current.errors)}`);
+    failed++;
+  }
+
+  const broken = validateConfig({
+    mappings: { "Bug Report": "Bug" },
+    defaultIssueType: "Task",
+    priorityRules: [{ when: { field: "urgency", matches: "((" }, priority: "High" }],
+    componentRules: [{ fromField: "affected-area", exlude: ["Other"] }],
+    templates: { "bug-reports": { issueType: "Bug" } },
+  });
+
+  const expectedPaths = [
+    "priorityRules[0].when.matches",
+    "componentRules[0].exlude",
+    'templates["bug-reports"]',
+  ];
+
+  expectedPaths.forEach((expectedPath) => {
+    if (broken.errors.some((error) => error.path === expectedPath)) {
+      console.log(`✅ Reported problem at ${expectedPath}`);
+    } else {
+      console.log(
+        `❌ Expected a problem at ${expectedPath}, got: ${broken.errors.map((error) => error.path).join(", ")}`,
+      );
+      failed++;
+    }
+  });
+
+  console.log(
+    `\n📊 Configuration Validation Results: ${failed === 0 ? "all passed" : `${failed} failed`}\n`,
+  );
+  return failed === 0;
+}
+
 // Test CLI functionality
 function testCLI() {
   console.log("⚡ Testing CLI Functionality...");
@@ -299,6 +584,9 @@ async function runTests() {
     config: testMappingConfig(),
     labelMapping: testLabelMapping(),
     completeMapping: testCompleteMapping(),
+    formParsing: testFormParsing(),
+    customFields: testCustomFields(),
+    configValidation: testConfigValidation(),
     cli: testCLI(),
   };
 
@@ -306,6 +594,9 @@ async function runTests() {
   console.log(`   Configuration: ${results.config ? "✅ PASS" : "❌ FAIL"}`);
   console.log(`   Label Mapping: ${results.labelMapping ? "✅ PASS" : "❌ FAIL"}`);
   console.log(`   Complete Mapping: ${results.completeMapping ? "✅ PASS" : "❌ FAIL"}`);
+  console.log(`   Form Parsing: ${results.formParsing ? "✅ PASS" : "❌ FAIL"}`);
+  console.log(`   Custom Fields: ${results.customFields ? "✅ PASS" : "❌ FAIL"}`);
+  console.log(`   Config Validation: ${results.configValidation ? "✅ PASS" : "❌ FAIL"}`);
   console.log(`   CLI Functionality: ${results.cli ? "✅ PASS" : "❌ FAIL"}`);
 
   const allPassed = Object.values(results).every((result) => result);
@@ -339,5 +630,8 @@ module.exports = {
   testMappingConfig,
   testLabelMapping,
   testCompleteMapping,
+  testFormParsing,
+  testCustomFields,
+  testConfigValidation,
   runTests,
 };
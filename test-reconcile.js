@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for drift reconciliation
+ * Uses stub GitHub, Jira and link store clients, so no network access is needed
+ */
+
+const { textToADF } = require("./adf-utils");
+const { resolveIssueFields } = require("./update");
+const { DEFAULT_STATUS_SYNC } = require("./sync-status");
+const { DEFAULT_LABEL_SYNC } = require("./sync-labels");
+const { withOriginMarker } = require("./sync-origin");
+const {
+  parseReconcileArgs,
+  findMissingJiraComments,
+  findMissingGitHubComments,
+  comparePair,
+  fixPair,
+  reconcile,
+  toReport,
+  formatReportTable,
+} = require("./reconcile");
+
+const TO_DO = { name: "To Do", statusCategory: { key: "new" } };
+const DONE = { name: "Done", statusCategory: { key: "done" } };
+
+/**
+ * Builds a GitHub issue from the issues API
+ * @param {number} number - Issue number
+ * @param {string} title - Issue title
+ * @param {number} comments - Comment count
+ * @returns {object} - GitHub issue
+ */
+function githubIssue(number, title, comments) {
+  return {
+    number,
+    title,
+    body: "Steps to reproduce",
+    state: "open",
+    html_url: `https://github.com/octo/app/issues/${number}`,
+    user: { login: "octocat" },
+    created_at: "2024-01-01T00:00:00Z",
+    labels: [{ name: "bug" }],
+    comments,
+  };
+}
+
+/**
+ * Builds a GitHub comment
+ * @param {number} id - Comment id
+ * @param {string} body - Comment markdown
+ * @returns {object} - GitHub comment
+ */
+function githubComment(id, body) {
+  return {
+    id,
+    body,
+    html_url: `https://github.com/octo/app/issues/1#issuecomment-${id}`,
+    user: { login: "octocat" },
+  };
+}
+
+/**
+ * Builds a Jira comment with its properties expanded
+ * @param {string} id - Comment id
+ * @param {string} text - Comment text
+ * @param {object} origin - github-sync property value, if any
+ * @returns {object} - Jira comment
+ */
+function jiraComment(id, text, origin) {
+  return {
+    id,
+    author: { displayName: "Jane Jira" },
+    body: textToADF(text),
+    properties: origin ? [{ key: "github-sync", value: origin }] : [],
+  };
+}
+
+async function runTests() {
+  console.log("🧪 Testing drift reconciliation\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  check(
+    "Parses options",
+    parseReconcileArgs(["--repo", "octo/app", "--json", "--fix", "--status-source", "jira"]),
+    {
+      repository: "octo/app",
+      state: "all",
+      limit: null,
+      json: true,
+      fix: true,
+      statusSource: "jira",
+    },
+  );
+
+  const inSync = githubIssue(1, "Login fails", 1);
+  const drifted = githubIssue(2, "Crash on save", 3);
+  const unlinked = githubIssue(3, "Not synced", 0);
+
+  const fieldsFor = async (issue, overrides = {}) => ({
+    ...(await resolveIssueFields("PROJ-1", issue, { upload: false })),
+    status: TO_DO,
+    labels: ["bug"],
+    ...overrides,
+  });
+  const jiraIssues = {
+    "PROJ-1": await fieldsFor(inSync),
+    "PROJ-2": await fieldsFor(drifted, { summary: "[GitHub] Crash", status: DONE }),
+  };
+  // Jira stores the description with attributes of its own
+  jiraIssues["PROJ-1"].description.content.forEach((node, index) => {
+    node.attrs = { ...node.attrs, localId: `node-${index}` };
+  });
+  const githubComments = {
+    1: [
+      githubComment(11, "Looks like a cookie issue"),
+      githubComment(
+        12,
+        withOriginMarker("💬 **Comment from Jira by Jane Jira:**\n\nOn it", {
+          source: "jira",
+          jiraKey: "PROJ-1",
+          commentId: "900",
+        }),
+      ),
+    ],
+    2: [
+      githubComment(21, "Happens on every save"),
+      githubComment(22, "Only with large files"),
+      githubComment(23, "💬 **Comment from Jira by Jane Jira:**\n\nLegacy copy"),
+    ],
+  };
+  const jiraComments = {
+    "PROJ-1": [
+      jiraComment("800", "Comment from GitHub by octocat: Looks like a cookie issue", {
+        source: "github",
+        commentId: 11,
+      }),
+      jiraComment("900", "On it"),
+    ],
+    "PROJ-2": [
+      {
+        id: "801",
+        body: {
+          type: "doc",
+          version: 1,
+          content: [
+            {
+              type: "paragraph",
+              content: [
+                { type: "text", text: "Comment from GitHub by octocat:", marks: [{ type: "em" }] },
+              ],
+            },
+            {
+              type: "paragraph",
+              content: [
+                {
+                  type: "text",
+                  text: "View on GitHub",
+                  marks: [
+                    {
+                      type: "link",
+                      attrs: { href: "https://github.com/octo/app/issues/2#issuecomment-22" },
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+      jiraComment("901", "Needs a design review"),
+      jiraComment("902", "Legacy copy"),
+    ],
+  };
+
+  const deps = {
+    statusMap: DEFAULT_STATUS_SYNC,
+    labelSync: DEFAULT_LABEL_SYNC,
+    github: {
+      listIssues: async () => [inSync, drifted, unlinked],
+      listIssueComments: async (number) => githubComments[number] || [],
+    },
+    jira: {
+      api: (path) => `/rest/api/3${path}`,
+      get: async (path) => ({ fields: jiraIssues[path.split("/").pop()] }),
+      paginate: async (path) => jiraComments[path.split("/")[5]] || [],
+      browseUrl: (key) => `https://jira.example.com/browse/${key}`,
+    },
+    linkStore: {
+      getJiraKey: async (issue) => ({ 1: "PROJ-1", 2: "PROJ-2" })[issue.number] || null,
+    },
+  };
+
+  check(
+    "Comments copied by id or legacy back-link are not missing",
+    findMissingJiraComments(githubComments[2], jiraComments["PROJ-2"]).map((c) => c.id),
+    [21],
+  );
+  check(
+    "Jira comments copied by marker or legacy text are not missing",
+    findMissingGitHubComments(jiraComments["PROJ-2"], githubComments[2]).map((c) => c.id),
+    ["901"],
+  );
+
+  const { checked, results } = await reconcile({ state: "all", limit: null }, deps);
+  check("Checks linked pairs only", checked, 2);
+  check(
+    "Reports the drifted pair",
+    results.map((result) => result.jiraKey),
+    ["PROJ-2"],
+  );
+
+  // The title rule maps "urgent" to High; without a matching rule Jira's priority is left alone
+  const urgent = githubIssue(1, "Login fails (urgent)", 1);
+  const urgentFields = await fieldsFor(urgent);
+  const jiraWith = (fields, overrides) => ({
+    ...deps,
+    jira: { ...deps.jira, get: async () => ({ fields: { ...fields, ...overrides } }) },
+  });
+  const relabeled = await comparePair(
+    urgent,
+    "PROJ-1",
+    jiraWith(urgentFields, { priority: { name: "Low" }, labels: ["bug", "wontfix"] }),
+  );
+  check("Reports priority and label drift as separate fields", relabeled.differences, [
+    {
+      field: "priority/components",
+      github: "priority: High; components: none",
+      jira: "priority: Low; components: none",
+    },
+    { field: "labels", github: "bug", jira: "bug, wontfix" },
+  ]);
+  const unmapped = await comparePair(
+    inSync,
+    "PROJ-1",
+    jiraWith(jiraIssues["PROJ-1"], { priority: { name: "Low" }, components: [{ name: "UI" }] }),
+  );
+  check("Priority and components no rule maps are not drift", unmapped.differences, []);
+
+  const report = toReport(results);
+  check("Reports title, status and comment drift", report[0].differences, [
+    { field: "title", github: "[GitHub] Crash on save", jira: "[GitHub] Crash" },
+    { field: "status", github: "open", jira: "Done (closed)" },
+    { field: "comments", github: "1 missing in Jira", jira: "" },
+    { field: "comments", github: "", jira: "1 missing on GitHub" },
+  ]);
+  check("JSON report leaves out the GitHub issue", "githubIssue" in report[0], false);
+
+  const table = formatReportTable(results).split("\n");
+  check("Table has a header and one row per difference", table.length, 2 + 4);
+  check("Table rows name the pair and field", /^#2\s+PROJ-2\s+title\s+/.test(table[2]), true);
+
+  const calls = [];
+  const fixDeps = {
+    jira: deps.jira,
+    updateIssue: async (jiraKey) => calls.push(`update ${jiraKey}`),
+    syncJiraLabels: async (jiraKey) => calls.push(`labels→jira ${jiraKey}`),
+    syncJiraStatus: async (jiraKey) => calls.push(`status→jira ${jiraKey}`),
+    syncGitHubState: async (jiraKey) => calls.push(`status→github ${jiraKey}`),
+    addComment: async (jiraKey, comment) => calls.push(`comment→jira ${comment.id}`),
+    addGitHubComment: async (jiraKey, comment) =>
+      calls.push(`comment→github ${comment.id} by ${comment.author}`),
+  };
+  const outcome = await fixPair(results[0], { statusSource: "github" }, fixDeps);
+  check("Fix replays each missing update", calls, [
+    "update PROJ-2",
+    "status→jira PROJ-2",
+    "comment→jira 21",
+    "comment→github 901 by Jane Jira",
+  ]);
+  check("Fix reports what it fixed", outcome.fixed, [
+    "title",
+    "status",
+    "GitHub comment 21",
+    "Jira comment 901",
+  ]);
+
+  calls.length = 0;
+  await fixPair(relabeled, {}, fixDeps);
+  check("Labels are fixed by the label sync", calls, ["update PROJ-1", "labels→jira PROJ-1"]);
+
+  calls.length = 0;
+  await fixPair(results[0], { statusSource: "jira" }, fixDeps);
+  check("Status can follow Jira instead", calls[1], "status→github PROJ-2");
+
+  const failing = await fixPair(
+    results[0],
+    {},
+    {
+      ...fixDeps,
+      updateIssue: async () => {
+        throw new Error("Field 'summary' cannot be set");
+      },
+    },
+  );
+  check(
+    "Failed fixes are reported and the rest still run",
+    [failing.errors, failing.fixed.length],
+    [[{ field: "title", error: "Field 'summary' cannot be set" }], 3],
+  );
+
+  console.log(`\n📊 Reconcile Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub ↔ Jira assignee mapping
+ * Only exercises the decision and note lookup helpers, so no GitHub or Jira access is needed
+ */
+
+const {
+  DEFAULT_ASSIGNEE_SYNC,
+  jiraAssigneeFor,
+  githubAssigneesFor,
+  findGitHubAssigneeNote,
+  findJiraAssigneeNote,
+} = require("./sync-assignee");
+
+function runTests() {
+  console.log("🧪 Testing assignee sync mapping\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const octocat = { login: "octocat", accountId: "acc-octocat" };
+  const hubot = { login: "hubot", accountId: "acc-hubot" };
+  const stranger = { login: "stranger", accountId: null };
+  const unassign = DEFAULT_ASSIGNEE_SYNC.toJira;
+  const triage = { unmapped: "default", default: "acc-triage" };
+  const comment = { unmapped: "comment" };
+
+  check("No GitHub assignees unassigns Jira", jiraAssigneeFor([], triage), { accountId: null });
+  check(
+    "First mapped GitHub assignee wins",
+    jiraAssigneeFor([stranger, hubot, octocat], unassign),
+    {
+      accountId: "acc-hubot",
+    },
+  );
+  check("Unmapped assignee leaves Jira unassigned", jiraAssigneeFor([stranger], unassign), {
+    accountId: null,
+  });
+  check("Unmapped assignee assigns the triage account", jiraAssigneeFor([stranger], triage), {
+    accountId: "acc-triage",
+  });
+  check("Unmapped assignee is noted in a comment", jiraAssigneeFor([stranger], comment), {
+    comment: "Assigned on GitHub to @stranger, who has no mapped Jira account.",
+  });
+
+  const ann = { accountId: "acc-ann", displayName: "Ann Lee" };
+  check(
+    "Mapped Jira assignee replaces mapped GitHub assignees",
+    githubAssigneesFor(ann, "ann", [octocat, stranger], DEFAULT_ASSIGNEE_SYNC.toGitHub),
+    { assignees: ["ann", "stranger"] },
+  );
+  check(
+    "Unassigned in Jira keeps unmapped GitHub assignees",
+    githubAssigneesFor(null, null, [octocat, stranger], DEFAULT_ASSIGNEE_SYNC.toGitHub),
+    { assignees: ["stranger"] },
+  );
+  check(
+    "Unmapped Jira assignee assigns the default login",
+    githubAssigneesFor(ann, null, [octocat], { unmapped: "default", default: "triage-bot" }),
+    { assignees: ["triage-bot"] },
+  );
+  check(
+    "Unmapped Jira assignee is noted in a comment",
+    githubAssigneesFor(ann, null, [octocat], comment),
+    { comment: "Assigned in Jira to Ann Lee, who has no mapped GitHub account." },
+  );
+
+  const githubComments = [
+    {
+      id: 1,
+      body: '👤 Old note\n\n<!-- jira-sync-origin: {"source":"sync","note":"assignee"} -->',
+    },
+    {
+      id: 2,
+      body: '🎫 Created\n\n<!-- jira-sync-origin: {"source":"sync","jiraKey":"PROJ-1"} -->',
+    },
+    {
+      id: 3,
+      body: '👤 New note\n\n<!-- jira-sync-origin: {"source":"sync","note":"assignee"} -->',
+    },
+    { id: 4, body: "A reply" },
+  ];
+  check("Latest GitHub assignee note is found", findGitHubAssigneeNote(githubComments).id, 3);
+  check(
+    "Other sync notes are not assignee notes",
+    findGitHubAssigneeNote(githubComments.slice(1, 2)),
+    null,
+  );
+
+  const syncProperty = (value) => [{ key: "github-sync", value }];
+  const jiraComments = [
+    { id: "20001", properties: syncProperty({ source: "sync", note: "assignee" }) },
+    { id: "20002", properties: syncProperty({ source: "github", commentId: 7 }) },
+    { id: "20003", properties: [] },
+  ];
+  check(
+    "Jira assignee note is found by its origin",
+    findJiraAssigneeNote(jiraComments).id,
+    "20001",
+  );
+  check(
+    "Mirrored Jira comments are not assignee notes",
+    findJiraAssigneeNote(jiraComments.slice(1)),
+    null,
+  );
+
+  console.log(`\n📊 Assignee Sync Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub ↔ Jira label mapping
+ * Only exercises the normalisation and decision helpers, so no GitHub or Jira access is needed
+ */
+
+const {
+  DEFAULT_LABEL_SYNC,
+  normalizeLabel,
+  jiraLabelFor,
+  githubLabelFor,
+  isSyncedLabel,
+  jiraLabelsFor,
+  githubLabelsFor,
+  buildLabelFields,
+} = require("./sync-labels");
+
+function runTests() {
+  console.log("🧪 Testing label sync mapping\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const defaults = DEFAULT_LABEL_SYNC;
+  const lower = { ...defaults, separator: "_", lowercase: true };
+  const aliased = { ...defaults, aliases: { "Bug Report": "bug", "good first issue": "starter" } };
+  const filtered = { ...defaults, allow: ["area: *", "Bug Report"], deny: ["area: legacy"] };
+
+  // Normalisation
+  check("Spaces become the separator", normalizeLabel("Bug Report"), "Bug-Report");
+  check(
+    "Runs of whitespace collapse",
+    normalizeLabel("  good \t first  issue "),
+    "good-first-issue",
+  );
+  check(
+    "Lower-casing and a custom separator",
+    normalizeLabel("Needs Triage", lower),
+    "needs_triage",
+  );
+  check("Labels are cut to 255 characters", normalizeLabel("x".repeat(300)).length, 255);
+  check("Aliases take precedence", jiraLabelFor("bug report", aliased), "bug");
+  check(
+    "Labels without an alias are normalised",
+    jiraLabelFor("Needs Triage", aliased),
+    "Needs-Triage",
+  );
+
+  // Reverse mapping
+  check("Aliases map back", githubLabelFor("bug", aliased), "Bug Report");
+  check(
+    "A known GitHub label that normalises to the Jira label is used",
+    githubLabelFor("good-first-issue", defaults, ["enhancement", "good first issue"]),
+    "good first issue",
+  );
+  check(
+    "Unknown Jira labels are used as is",
+    githubLabelFor("backend", defaults, ["Bug Report"]),
+    "backend",
+  );
+
+  // Allow and deny lists
+  check("Every label is synced by default", isSyncedLabel("anything", defaults), true);
+  check("Allow patterns match with *", isSyncedLabel("area: reels", filtered), true);
+  check("Labels outside the allow list are not synced", isSyncedLabel("question", filtered), false);
+  check("Deny wins over allow", isSyncedLabel("area: legacy", filtered), false);
+  check(
+    "Patterns match the normalised Jira label too",
+    isSyncedLabel("area:-reels", filtered),
+    true,
+  );
+  check("Patterns ignore case", isSyncedLabel("bug report", filtered), true);
+
+  // GitHub → Jira
+  check(
+    "GitHub labels replace the synced Jira labels",
+    jiraLabelsFor(["Bug Report", "area: reels"], ["Needs-Triage"], defaults),
+    ["Bug-Report", "area:-reels"],
+  );
+  check(
+    "Jira labels outside the sync are kept",
+    jiraLabelsFor(
+      ["area: reels", "question"],
+      ["area:-legacy", "customer-42", "area:-ai"],
+      filtered,
+    ),
+    ["area:-legacy", "customer-42", "area:-reels"],
+  );
+  check(
+    "A removed GitHub label is removed from Jira",
+    jiraLabelsFor(["Bug Report"], ["bug", "starter"], aliased),
+    ["bug"],
+  );
+  check(
+    "Duplicates are dropped",
+    jiraLabelsFor(["Bug Report", "Bug  Report"], ["Bug-Report"], defaults),
+    ["Bug-Report"],
+  );
+
+  // Jira → GitHub
+  check(
+    "Jira labels map back to the GitHub labels they came from",
+    githubLabelsFor(["Bug-Report", "good-first-issue"], ["Bug Report"], defaults, [
+      "good first issue",
+    ]),
+    ["Bug Report", "good first issue"],
+  );
+  check(
+    "GitHub labels outside the sync are kept",
+    githubLabelsFor(["area:-ai"], ["question", "area: reels", "area: legacy"], filtered),
+    ["question", "area: legacy", "area:-ai"],
+  );
+  check(
+    "Case-insensitive duplicates are dropped",
+    githubLabelsFor(["bug"], ["bug"], defaults, ["Bug"]),
+    ["bug"],
+  );
+
+  // Creation
+  check(
+    "Created issues carry the synced labels",
+    buildLabelFields(["Bug Report", "question"], filtered),
+    {
+      labels: ["Bug-Report"],
+    },
+  );
+  check("No labels field when nothing is synced", buildLabelFields(["question"], filtered), {});
+  check(
+    "No labels field when label sync is off",
+    buildLabelFields(["Bug Report"], { ...defaults, enabled: false }),
+    {},
+  );
+
+  console.log(`\n📊 Label Sync Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
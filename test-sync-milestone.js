@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the GitHub milestone → Jira sync
+ * Only exercises the naming and request builders, so no GitHub or Jira access is needed
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_MILESTONE_SYNC,
+  loadMilestoneSync,
+  jiraNameFor,
+  buildVersion,
+  buildEpic,
+  fixVersionOps,
+} = require("./sync-milestone");
+
+function runTests() {
+  console.log("🧪 Testing milestone sync\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const milestone = {
+    title: "Q3 Reporting Initiative",
+    description: "",
+    html_url: "https://github.com/octo/app/milestone/4",
+    due_on: "2026-09-30T07:00:00Z",
+  };
+  const settings = { ...DEFAULT_MILESTONE_SYNC, names: { "Q3 Reporting Initiative": "Q3-24" } };
+
+  // Settings
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "milestone-sync-"));
+  const configPath = path.join(dir, "label-mapping.json");
+  fs.writeFileSync(configPath, JSON.stringify({ milestoneSync: { target: "release" } }));
+  check(
+    "Unknown targets fall back to fixVersions",
+    loadMilestoneSync(configPath).target,
+    "fixVersions",
+  );
+  fs.writeFileSync(configPath, JSON.stringify({ milestoneSync: { target: "sprint", boardId: 7 } }));
+  check("Settings are merged with the defaults", loadMilestoneSync(configPath), {
+    ...DEFAULT_MILESTONE_SYNC,
+    target: "sprint",
+    boardId: 7,
+  });
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Names
+  check(
+    "Milestones keep their title by default",
+    jiraNameFor(milestone, DEFAULT_MILESTONE_SYNC),
+    "Q3 Reporting Initiative",
+  );
+  check("names maps a title to a Jira name", jiraNameFor(milestone, settings), "Q3-24");
+  check(
+    "Sprint names are cut to 30 characters",
+    jiraNameFor(
+      { title: "Platform reliability and observability" },
+      { ...DEFAULT_MILESTONE_SYNC, target: "sprint" },
+    ),
+    "Platform reliability and obser",
+  );
+
+  // Requests
+  check("Versions take the due date as release date", buildVersion(milestone, "10000", settings), {
+    name: "Q3-24",
+    projectId: "10000",
+    description: "GitHub milestone: https://github.com/octo/app/milestone/4",
+    releaseDate: "2026-09-30",
+  });
+  check(
+    "Versions without a due date have no release date",
+    "releaseDate" in buildVersion({ ...milestone, due_on: null }, "10000", settings),
+    false,
+  );
+  const epic = buildEpic({ ...milestone, description: "All reporting work" }, "PROJ", settings);
+  check(
+    "Epics are named after the milestone",
+    [epic.fields.issuetype, epic.fields.summary],
+    [{ name: "Epic" }, "Q3-24"],
+  );
+  check(
+    "Epic descriptions link the milestone",
+    epic.fields.description.content.map((node) => node.content.map((text) => text.text).join("")),
+    ["All reporting work", "GitHub milestone: https://github.com/octo/app/milestone/4"],
+  );
+
+  // fixVersions operations
+  const v1 = { id: "1", name: "v1" };
+  const v2 = { id: "2", name: "v2" };
+  const hotfix = { id: "3", name: "hotfix" };
+  check("A new milestone version is added", fixVersionOps([hotfix], v2, null), [
+    { add: { id: "2" } },
+  ]);
+  check("A changed milestone swaps the versions", fixVersionOps([v1, hotfix], v2, v1), [
+    { remove: { id: "1" } },
+    { add: { id: "2" } },
+  ]);
+  check("A removed milestone removes its version", fixVersionOps([v1, hotfix], null, v1), [
+    { remove: { id: "1" } },
+  ]);
+  check("Nothing changes when the version is already set", fixVersionOps([v2], v2, null), []);
+  check("Versions not on the issue are not removed", fixVersionOps([hotfix], null, v1), []);
+
+  console.log(`\n📊 Milestone Sync Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for echo suppression of synced comments
+ * Uses a stub Jira client, so no GitHub or Jira access is needed
+ */
+
+const { JiraNotFoundError } = require("./jira-client");
+const { createJiraCommentMarkdown, createGitHubCommentADF } = require("./sync-comment");
+const {
+  createOriginMarker,
+  parseOriginMarker,
+  isSyncedGitHubComment,
+  isSyncedJiraComment,
+} = require("./sync-origin");
+
+/**
+ * Creates a stub Jira client that knows the origin property of some comments
+ * @param {object} properties - Property value by comment id
+ * @returns {object} - Stub client
+ */
+function createStubJira(properties) {
+  return {
+    api: (path) => `/rest/api/3${path}`,
+    get: async (path) => {
+      const id = path.match(/\/comment\/([^/]+)\//)[1];
+      if (!properties[id]) {
+        throw new JiraNotFoundError("Property not found", { status: 404 });
+      }
+      return { key: "github-sync", value: properties[id] };
+    },
+  };
+}
+
+async function runTests() {
+  console.log("🧪 Testing sync origin markers\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const origin = { source: "jira", jiraKey: "PROJ-1", commentId: "10001" };
+  check(
+    "Origin marker round-trips",
+    parseOriginMarker(`Hi\n\n${createOriginMarker(origin)}`),
+    origin,
+  );
+  check("Body without a marker has no origin", parseOriginMarker("Hi <!-- other -->"), null);
+
+  const mirrored = createJiraCommentMarkdown({
+    id: "10001",
+    jiraKey: "PROJ-1",
+    author: "Ann Lee",
+    body: "Fixed in build 12",
+    jiraUrl: "https://jira.example.com/browse/PROJ-1",
+  });
+  check("Mirrored Jira comment carries its origin", parseOriginMarker(mirrored), origin);
+  check("Mirrored Jira comment is not sent back", isSyncedGitHubComment({ body: mirrored }), true);
+  check(
+    "Ticket created note is not sent to Jira",
+    isSyncedGitHubComment({
+      body: "🎫 **Jira Ticket Created**\n\n**Ticket:** [PROJ-1](https://x)",
+    }),
+    true,
+  );
+  check(
+    "Legacy mirrored comment is not sent back",
+    isSyncedGitHubComment({ body: "💬 **Comment from Jira by Ann Lee:**\n\nFixed" }),
+    true,
+  );
+  check(
+    "Quoting a mirrored comment is still synced",
+    isSyncedGitHubComment({ body: "> 💬 **Comment from Jira by Ann Lee:**\n\nAgreed" }),
+    false,
+  );
+  check("Regular GitHub comment is synced", isSyncedGitHubComment({ body: "Works for me" }), false);
+  check(
+    "Bot comment without a marker is not sent to Jira",
+    isSyncedGitHubComment({
+      body: "Edited note",
+      user: { login: "github-actions[bot]", type: "Bot" },
+    }),
+    true,
+  );
+  check(
+    "Comment by the configured sync login is not sent to Jira",
+    isSyncedGitHubComment(
+      { body: "Edited note", user: { login: "Jira-Sync", type: "User" } },
+      "jira-sync",
+    ),
+    true,
+  );
+  check(
+    "Comment by another user is synced",
+    isSyncedGitHubComment(
+      { body: "Works for me", user: { login: "octocat", type: "User" } },
+      "jira-sync",
+    ),
+    false,
+  );
+
+  const jira = createStubJira({ 20001: { source: "github", commentId: 5 } });
+  check(
+    "Jira comment with an origin property is not sent back",
+    await isSyncedJiraComment({ id: "20001", body: "Works for me" }, jira),
+    true,
+  );
+  check(
+    "Regular Jira comment is synced",
+    await isSyncedJiraComment({ id: "20002", body: "Fixed in build 12" }, jira),
+    false,
+  );
+  check(
+    "Legacy Jira comment from GitHub is not sent back",
+    await isSyncedJiraComment(
+      { body: createGitHubCommentADF({ body: "Works for me", user: { login: "octocat" } }) },
+      jira,
+    ),
+    true,
+  );
+
+  console.log(`\n📊 Sync Origin Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
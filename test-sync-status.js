@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub issue state ↔ Jira status mapping
+ * Only exercises the mapping helpers, so no GitHub or Jira access is needed
+ */
+
+const {
+  DEFAULT_STATUS_SYNC,
+  jiraTargetForGitHubState,
+  githubStateForJiraStatus,
+  findTransition,
+} = require("./sync-status");
+
+function runTests() {
+  console.log("🧪 Testing status sync mapping\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const statusMap = {
+    toJira: { ...DEFAULT_STATUS_SYNC.toJira, not_planned: "Won't Do" },
+    toGitHub: { ...DEFAULT_STATUS_SYNC.toGitHub, "Won't Do": "not_planned" },
+  };
+
+  check(
+    "Closed GitHub issue → Done",
+    jiraTargetForGitHubState(statusMap, { state: "closed", state_reason: "completed" }),
+    "Done",
+  );
+  check(
+    "Closed as not planned → Won't Do",
+    jiraTargetForGitHubState(statusMap, { state: "closed", state_reason: "not_planned" }),
+    "Won't Do",
+  );
+  check(
+    "Not planned falls back to the closed mapping",
+    jiraTargetForGitHubState(DEFAULT_STATUS_SYNC, { state: "closed", state_reason: "not_planned" }),
+    "Done",
+  );
+  check(
+    "Reopened GitHub issue → To Do",
+    jiraTargetForGitHubState(statusMap, { state: "open", state_reason: "reopened" }),
+    "To Do",
+  );
+
+  check(
+    "Done category closes the GitHub issue",
+    githubStateForJiraStatus(statusMap, { name: "Resolved", statusCategory: { key: "done" } }),
+    { state: "closed" },
+  );
+  check(
+    "completed also sets the close reason",
+    githubStateForJiraStatus(
+      { toJira: {}, toGitHub: { done: "completed" } },
+      { name: "Resolved", statusCategory: { key: "done" } },
+    ),
+    { state: "closed", state_reason: "completed" },
+  );
+  check(
+    "Status name mapping wins over its category",
+    githubStateForJiraStatus(statusMap, { name: "won't do", statusCategory: { key: "done" } }),
+    { state: "closed", state_reason: "not_planned" },
+  );
+  check(
+    "In-progress category reopens the GitHub issue",
+    githubStateForJiraStatus(statusMap, {
+      name: "In Review",
+      statusCategory: { key: "indeterminate" },
+    }),
+    { state: "open" },
+  );
+  check(
+    "Unmapped status leaves the GitHub issue alone",
+    githubStateForJiraStatus(
+      { toJira: {}, toGitHub: { done: "closed" } },
+      {
+        name: "To Do",
+        statusCategory: { key: "new" },
+      },
+    ),
+    null,
+  );
+
+  const transitions = [
+    { id: "11", name: "Start Progress", to: { name: "In Progress" } },
+    { id: "31", name: "Resolve", to: { name: "Done" } },
+  ];
+  check("Transition found by name", findTransition(transitions, "start progress").id, "11");
+  check("Transition found by target status", findTransition(transitions, "Done").id, "31");
+  check("Missing transition", findTransition(transitions, "Won't Do"), null);
+
+  console.log(`\n📊 Status Sync Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub task lists in Jira
+ * Only exercises the conversion and matching helpers, so no GitHub or Jira access is needed
+ */
+
+const { markdownToADF, adfToMarkdown } = require("./adf-utils");
+const {
+  parseTasks,
+  changedTasks,
+  previousBodyOf,
+  keepTaskStates,
+  findTaskItems,
+} = require("./task-lists");
+
+function runTests() {
+  console.log("🧪 Testing task list sync\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const body = "- [ ] Export **CSV**\n- [x] Include archived\n  - [ ] Ask @octocat";
+  const states = (doc) => findTaskItems(doc).map((item) => item.attrs.state);
+
+  // Markdown → ADF
+  check("Task lists become ADF task lists", markdownToADF(body).content[0], {
+    type: "taskList",
+    attrs: { localId: "task-1" },
+    content: [
+      {
+        type: "taskItem",
+        attrs: { localId: "task-2", state: "TODO" },
+        content: [
+          { type: "text", text: "Export " },
+          { type: "text", text: "CSV", marks: [{ type: "strong" }] },
+        ],
+      },
+      {
+        type: "taskItem",
+        attrs: { localId: "task-3", state: "DONE" },
+        content: [{ type: "text", text: "Include archived" }],
+      },
+      {
+        type: "taskList",
+        attrs: { localId: "task-4" },
+        content: [
+          {
+            type: "taskItem",
+            attrs: { localId: "task-5", state: "TODO" },
+            content: [{ type: "text", text: "Ask @octocat" }],
+          },
+        ],
+      },
+    ],
+  });
+  check("Task lists convert back to markdown", adfToMarkdown(markdownToADF(body)), body);
+  check(
+    "Lists mixing tasks and plain items stay bullet lists",
+    markdownToADF("- [ ] task\n- plain").content[0].type,
+    "bulletList",
+  );
+  check(
+    "Items with more than one paragraph stay bullet lists",
+    markdownToADF("- [ ] task\n\n  details").content[0].type,
+    "bulletList",
+  );
+  check(
+    "Task lists inside quotes become [ ] text",
+    markdownToADF("> - [x] quoted").content[0].content[0].content[0].content[0].content,
+    [{ type: "text", text: "[x] quoted" }],
+  );
+  check(
+    "taskLists: false keeps the text",
+    markdownToADF("- [ ] task", { taskLists: false }).content[0].content[0].content[0].content,
+    [{ type: "text", text: "[ ] task" }],
+  );
+
+  // Items and changes
+  check("Items are read with their state", parseTasks(body), [
+    { text: "Export CSV", key: "Export CSV", done: false },
+    { text: "Include archived", key: "Include archived", done: true },
+    { text: "Ask @octocat", key: "Ask", done: false },
+  ]);
+  check("Code blocks are not task lists", parseTasks("```\n- [ ] not a task\n```"), []);
+  check(
+    "Checked, unchecked and new items are changes",
+    [...changedTasks("- [ ] a\n- [x] b\n- [ ] c", "- [x] a\n- [ ] b\n- [ ] c\n- [ ] d")],
+    ["a", "b", "d"],
+  );
+  check("Without the previous body every item counts", changedTasks(undefined, body), null);
+  check(
+    "The previous body comes from the edit",
+    previousBodyOf({ issue: { body: "new" }, changes: { body: { from: "old" } } }),
+    "old",
+  );
+  check(
+    "A title-only edit has the current body",
+    previousBodyOf({ issue: { body: "same" }, changes: { title: { from: "Old" } } }),
+    "same",
+  );
+
+  // Keeping Jira state
+  const jiraDoc = markdownToADF("- [x] a\n- [x] b\n- [ ] c");
+  const desired = markdownToADF("- [ ] a\n- [ ] b\n- [x] c");
+  check(
+    "Unchanged items keep their Jira state",
+    states(keepTaskStates(desired, jiraDoc, new Set(["c"]))),
+    ["DONE", "DONE", "DONE"],
+  );
+  check(
+    "Changed items take the GitHub state",
+    states(keepTaskStates(desired, jiraDoc, new Set(["a", "c"]))),
+    ["TODO", "DONE", "DONE"],
+  );
+  check("GitHub wins when changes are unknown", states(keepTaskStates(desired, jiraDoc, null)), [
+    "TODO",
+    "TODO",
+    "DONE",
+  ]);
+  check(
+    "Mentions are ignored when matching items",
+    states(
+      keepTaskStates(
+        markdownToADF("- [ ] ask @octocat"),
+        {
+          type: "doc",
+          version: 1,
+          content: [
+            {
+              type: "taskList",
+              attrs: { localId: "1" },
+              content: [
+                {
+                  type: "taskItem",
+                  attrs: { localId: "2", state: "DONE" },
+                  content: [
+                    { type: "text", text: "ask " },
+                    { type: "mention", attrs: { id: "5b10-octocat", text: "@Mona" } },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        new Set(),
+      ),
+    ),
+    ["DONE"],
+  );
+
+  console.log(`\n📊 Task List Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GitHub login ↔ Jira account mapping
+ * Uses stub Jira and GitHub clients, so no network access is needed
+ */
+
+const { markdownToADF, adfToMarkdown } = require("./adf-utils");
+const { createGitHubIssueADF } = require("./create");
+const { createGitHubCommentADF } = require("./sync-comment");
+const {
+  findGitHubMentions,
+  findJiraMentions,
+  replaceJiraMentions,
+  createUserMapper,
+} = require("./user-mapping");
+
+const OCTOCAT_ID = "5b10a2844c20165700ede21g";
+const HUBOT_ID = "5b10ac8d82e05b22cc7d4ef5";
+
+const config = {
+  users: {
+    octocat: { accountId: OCTOCAT_ID, displayName: "Mona Octocat" },
+    hubot: { email: "hubot@example.com" },
+  },
+  lookupByEmail: true,
+  setReporter: true,
+  setAssignee: true,
+};
+
+/**
+ * Creates a stub Jira client answering user searches and account lookups
+ * @returns {object} - Stub client with a `requests` log
+ */
+function createStubJira() {
+  const accounts = [
+    { accountId: HUBOT_ID, displayName: "Hubot", emailAddress: "hubot@example.com" },
+    { accountId: "5b10-linus", displayName: "Linus", emailAddress: "linus@example.com" },
+  ];
+  const stub = {
+    requests: [],
+    api: (path) => `/rest/api/3${path}`,
+    get: async (path, params) => {
+      stub.requests.push(`${path} ${JSON.stringify(params)}`);
+      if (path.endsWith("/user/search")) {
+        return accounts.filter((account) => account.emailAddress === params.query);
+      }
+      return accounts.find((account) => account.accountId === params.accountId);
+    },
+  };
+  return stub;
+}
+
+const stubGitHub = {
+  getUser: async (login) => ({
+    login,
+    email: login === "linus" ? "linus@example.com" : null,
+  }),
+};
+
+async function runTests() {
+  console.log("🧪 Testing user mapping\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const doc = markdownToADF(
+    "Thanks @octocat and @HUBOT, cc @nobody.\n\n" +
+      "Not mentions: mail@octocat.dev, @github/security, `@octocat`\n\n" +
+      "```\n@octocat in code\n```",
+  );
+  check("Finds mentions outside code, emails and teams", findGitHubMentions(doc), [
+    "octocat",
+    "HUBOT",
+    "nobody",
+  ]);
+
+  const jira = createStubJira();
+  const users = createUserMapper({ config, jira, github: stubGitHub });
+
+  check("Configured accountId resolves without lookups", await users.resolve("Octocat"), {
+    login: "Octocat",
+    accountId: OCTOCAT_ID,
+    displayName: "Mona Octocat",
+  });
+  check("Configured email resolves through Jira user search", await users.resolve("hubot"), {
+    login: "hubot",
+    accountId: HUBOT_ID,
+    displayName: "Hubot",
+  });
+  check(
+    "Unmapped login resolves through the GitHub profile email",
+    (await users.resolve("linus")).accountId,
+    "5b10-linus",
+  );
+  check("Unknown login stays unmapped", (await users.resolve("nobody")).accountId, null);
+  await users.resolve("hubot");
+  check(
+    "Lookups are cached",
+    jira.requests.filter((request) => request.includes("hubot@example.com")).length,
+    1,
+  );
+
+  const mentioned = await users.mentionsToADF(doc);
+  check("Mapped mentions become Jira mention nodes", mentioned.content[0].content, [
+    { type: "text", text: "Thanks " },
+    { type: "mention", attrs: { id: OCTOCAT_ID, text: "@Mona Octocat" } },
+    { type: "text", text: " and " },
+    { type: "mention", attrs: { id: HUBOT_ID, text: "@Hubot" } },
+    { type: "text", text: ", cc @nobody." },
+  ]);
+  check(
+    "Emails, teams and code are left alone",
+    JSON.stringify(mentioned.content.slice(1)),
+    JSON.stringify(doc.content.slice(1)),
+  );
+
+  const issueDescription = createGitHubIssueADF(
+    "https://github.com/testuser/testrepo/issues/1",
+    await users.resolve("octocat"),
+    "2024-01-01T00:00:00Z",
+    "",
+  );
+  check("Mapped issue author is mentioned", issueDescription.content[1].content, [
+    { type: "text", text: "Created by: " },
+    { type: "mention", attrs: { id: OCTOCAT_ID, text: "@Mona Octocat" } },
+  ]);
+  const comment = createGitHubCommentADF(
+    { body: "LGTM", user: { login: "hubot" } },
+    await users.resolve("hubot"),
+  );
+  check(
+    "Mapped comment author is mentioned",
+    comment.content[0].content.map((node) => node.type),
+    ["text", "mention", "text"],
+  );
+
+  check(
+    "Reporter and first mapped assignee",
+    await users.issueUserFields({
+      user: { login: "octocat" },
+      assignees: [{ login: "nobody" }, { login: "hubot" }],
+    }),
+    { reporter: { id: OCTOCAT_ID }, assignee: { id: HUBOT_ID } },
+  );
+  const warn = console.warn;
+  console.warn = () => {};
+  check(
+    "User picker custom fields resolve to Jira accounts",
+    await users.customUserFields({
+      customfield_10010: { logins: ["octocat", "nobody", "hubot"], multiple: true },
+      customfield_10011: { logins: ["hubot"], multiple: false },
+      customfield_10012: { logins: ["nobody"], multiple: false },
+    }),
+    {
+      customfield_10010: [{ accountId: OCTOCAT_ID }, { accountId: HUBOT_ID }],
+      customfield_10011: { accountId: HUBOT_ID },
+    },
+  );
+  console.warn = warn;
+  const noAssignee = createUserMapper({
+    config: { ...config, setAssignee: false },
+    jira,
+    github: stubGitHub,
+  });
+  check(
+    "setAssignee: false only sets the reporter",
+    await noAssignee.issueUserFields({
+      user: { login: "octocat" },
+      assignees: [{ login: "hubot" }],
+    }),
+    { reporter: { id: OCTOCAT_ID } },
+  );
+
+  const jiraComment = {
+    type: "doc",
+    version: 1,
+    content: [
+      {
+        type: "paragraph",
+        content: [
+          { type: "mention", attrs: { id: OCTOCAT_ID, text: "@Mona Octocat" } },
+          { type: "text", text: " please check with " },
+          { type: "mention", attrs: { id: "5b10-stranger", text: "@Stranger" } },
+        ],
+      },
+    ],
+  };
+  check("Finds Jira mentions", findJiraMentions(jiraComment), [OCTOCAT_ID, "5b10-stranger"]);
+  check(
+    "Mapped Jira mentions become @login",
+    adfToMarkdown(await users.mentionsToGitHub(jiraComment)),
+    "@octocat please check with **@Stranger**",
+  );
+  check(
+    "Jira mentions map back through configured emails",
+    await createUserMapper({ config, jira, github: stubGitHub }).toGitHub(HUBOT_ID),
+    "hubot",
+  );
+  check(
+    "Wiki markup mentions become @login",
+    replaceJiraMentions(
+      `[~accountid:${OCTOCAT_ID}] see [~accountid:x]`,
+      new Map([[OCTOCAT_ID, "octocat"]]),
+    ),
+    "@octocat see [~accountid:x]",
+  );
+
+  console.log(`\n📊 User Mapping Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests();
+}
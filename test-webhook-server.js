@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the webhook server
+ * Runs on a local port with stub handlers, so no GitHub or Jira access is needed
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const {
+  createWebhookServer,
+  normalizeGitHubEvent,
+  normalizeJiraEvents,
+} = require("./webhook-server");
+
+const GITHUB_SECRET = "github-secret";
+const JIRA_SECRET = "jira-secret";
+
+/**
+ * Sends a POST request to the local server
+ * @param {number} port - Server port
+ * @param {string} path - Request path
+ * @param {object} payload - JSON payload
+ * @param {object} headers - Extra headers
+ * @returns {Promise<object>} - {status, body}
+ */
+function post(port, path, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        port,
+        path,
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      },
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Signs a payload the way GitHub does
+ * @param {string} secret - Webhook secret
+ * @param {object} payload - JSON payload
+ * @returns {string} - X-Hub-Signature-256 header value
+ */
+function sign(secret, payload) {
+  const digest = crypto.createHmac("sha256", secret).update(JSON.stringify(payload)).digest("hex");
+  return `sha256=${digest}`;
+}
+
+async function runTests() {
+  console.log("🧪 Testing webhook server\n");
+
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${description}`);
+    } else {
+      console.log(
+        `❌ ${description} → Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`,
+      );
+      failed++;
+    }
+  };
+
+  const received = [];
+  const record = async (event) => received.push(event);
+  const server = createWebhookServer({
+    githubSecret: GITHUB_SECRET,
+    jiraSecret: JIRA_SECRET,
+    handlers: {
+      "github.issue.opened": record,
+      "github.comment.created": record,
+      "jira.comment.created": record,
+      "jira.status.changed": record,
+      "jira.assignee.changed": record,
+      "jira.labels.changed": record,
+    },
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  try {
+    const opened = {
+      action: "opened",
+      issue: { number: 7, title: "Crash", html_url: "https://github.com/acme/app/issues/7" },
+    };
+    const accepted = await post(port, "/github", opened, {
+      "X-GitHub-Event": "issues",
+      "X-Hub-Signature-256": sign(GITHUB_SECRET, opened),
+    });
+    check("Signed GitHub issue event is accepted", accepted, {
+      status: 202,
+      body: { accepted: "github.issue.opened" },
+    });
+
+    const forged = await post(port, "/github", opened, {
+      "X-GitHub-Event": "issues",
+      "X-Hub-Signature-256": sign("wrong-secret", opened),
+    });
+    check("Wrong GitHub signature is rejected", forged.status, 401);
+
+    const prComment = {
+      action: "created",
+      issue: { number: 8, pull_request: {} },
+      comment: { body: "LGTM" },
+    };
+    const ignored = await post(port, "/github", prComment, {
+      "X-GitHub-Event": "issue_comment",
+      "X-Hub-Signature-256": sign(GITHUB_SECRET, prComment),
+    });
+    check("Pull request comments are ignored", ignored.body, { ignored: true });
+
+    const jiraComment = {
+      webhookEvent: "comment_created",
+      issue: { key: "PROJ-5" },
+      comment: { body: "Fixed in build 12", author: { displayName: "Ann Lee" } },
+    };
+    check(
+      "Jira webhook without the shared secret is rejected",
+      (await post(port, "/jira", jiraComment)).status,
+      401,
+    );
+    check(
+      "Jira webhook with the shared secret is accepted",
+      (await post(port, `/jira?secret=${JIRA_SECRET}`, jiraComment)).status,
+      202,
+    );
+
+    const transitioned = {
+      webhookEvent: "jira:issue_updated",
+      issue: { key: "PROJ-5" },
+      changelog: { items: [{ field: "status", fromString: "In Progress", toString: "Done" }] },
+    };
+    const hmac = crypto
+      .createHmac("sha256", JIRA_SECRET)
+      .update(JSON.stringify(transitioned))
+      .digest("hex");
+    check(
+      "Jira webhook signed with X-Hub-Signature is accepted",
+      (await post(port, "/jira", transitioned, { "X-Hub-Signature": `sha256=${hmac}` })).status,
+      202,
+    );
+
+    const oversized = { action: "opened", padding: "x".repeat(6 * 1024 * 1024) };
+    const tooLarge = await post(port, "/github", oversized, {
+      "X-GitHub-Event": "issues",
+      "X-Hub-Signature-256": sign(GITHUB_SECRET, oversized),
+    }).catch((error) => ({ status: error.code }));
+    check("Oversized bodies get a 413 response", tooLarge.status, 413);
+
+    const bulkEdited = {
+      webhookEvent: "jira:issue_updated",
+      issue: { key: "PROJ-6" },
+      changelog: {
+        items: [
+          { field: "labels", fromString: "", toString: "needs-triage" },
+          { field: "status", fromString: "To Do", toString: "In Progress" },
+          { field: "assignee", fromString: null, toString: "Ann Lee" },
+        ],
+      },
+    };
+    check(
+      "Every synced field of a Jira update is accepted",
+      (await post(port, `/jira?secret=${JIRA_SECRET}`, bulkEdited)).body,
+      { accepted: "jira.status.changed, jira.assignee.changed, jira.labels.changed" },
+    );
+
+    await server.drain();
+    check(
+      "Events reach their handlers in order",
+      received.map((event) => event.type),
+      [
+        "github.issue.opened",
+        "jira.comment.created",
+        "jira.status.changed",
+        "jira.status.changed",
+        "jira.assignee.changed",
+        "jira.labels.changed",
+      ],
+    );
+    check(
+      "Each change of a Jira update is dispatched",
+      received.slice(3).map((event) => [event.jiraKey, event[event.type.split(".")[1]].to]),
+      [
+        ["PROJ-6", "In Progress"],
+        ["PROJ-6", "Ann Lee"],
+        ["PROJ-6", "needs-triage"],
+      ],
+    );
+    check("GitHub events carry the issue", received[0].issue.number, 7);
+    check(
+      "Jira comments are normalised",
+      [received[1].jiraKey, received[1].comment.author],
+      ["PROJ-5", "Ann Lee"],
+    );
+    check("Jira status changes are normalised", received[2].status, {
+      from: "In Progress",
+      to: "Done",
+    });
+    check(
+      "Jira assignee changes are normalised",
+      normalizeJiraEvents({
+        webhookEvent: "jira:issue_updated",
+        issue: { key: "PROJ-5" },
+        changelog: { items: [{ field: "assignee", fromString: null, toString: "Ann Lee" }] },
+      }),
+      [
+        {
+          type: "jira.assignee.changed",
+          jiraKey: "PROJ-5",
+          assignee: { from: null, to: "Ann Lee" },
+        },
+      ],
+    );
+    check(
+      "Jira label changes are normalised",
+      normalizeJiraEvents({
+        webhookEvent: "jira:issue_updated",
+        issue: { key: "PROJ-5" },
+        changelog: { items: [{ field: "labels", fromString: "", toString: "needs-triage" }] },
+      }),
+      [
+        {
+          type: "jira.labels.changed",
+          jiraKey: "PROJ-5",
+          labels: { from: "", to: "needs-triage" },
+        },
+      ],
+    );
+    check(
+      "Removed milestones are normalised",
+      normalizeGitHubEvent("issues", {
+        action: "demilestoned",
+        issue: { number: 7, milestone: null },
+        milestone: { title: "v2.0" },
+      }),
+      {
+        type: "github.issue.demilestoned",
+        issue: { number: 7, milestone: null },
+        milestone: { title: "v2.0" },
+      },
+    );
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n📊 Webhook Server Results: ${failed === 0 ? "all passed" : `${failed} failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+if (require.main === module) {
+  runTests().catch((error) => {
+    console.error("❌ Test runner error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Issue creation against the fake Jira and GitHub APIs: the exact payload
+ * sent for each issue template, idempotent re-runs, create metadata
+ * fallbacks, and how Jira errors are surfaced.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture, silenceConsole, startFakes } = require("./helpers");
+
+const TEMPLATES = ["bug-report", "feature-request", "improvement", "technical-support"];
+
+describe("create.js", () => {
+  let fakes;
+  let create;
+  let jiraErrors;
+
+  // create.js binds its Jira client to the environment when it is first loaded,
+  // so every test in this file shares one pair of fakes
+  before(async () => {
+    silenceConsole();
+    fakes = await startFakes();
+    create = require("../create");
+    jiraErrors = require("../jira-client");
+  });
+  after(() => fakes.stop());
+  beforeEach(() => fakes.reset());
+
+  describe("createIssueFromGitHub", () => {
+    for (const template of TEMPLATES) {
+      it(`sends the expected payload for the ${template} template`, async () => {
+        const issue = fakes.github.addIssue(loadFixture(`issues/${template}`));
+
+        const key = await create.createIssueFromGitHub(issue);
+
+        assert.equal(key, "PROJ-1");
+        const [request] = fakes.jira.requestsTo("POST", "/rest/api/3/issue");
+        assert.deepEqual(request.body, loadFixture(`payloads/${template}`));
+      });
+    }
+
+    it("links the new issue on both sides", async () => {
+      const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+
+      const key = await create.createIssueFromGitHub(issue);
+
+      assert.match(
+        fakes.github.issues.get(issue.number).body,
+        new RegExp(`<!-- jira-sync: \\{"jiraKey":"${key}"\\} -->$`),
+      );
+      assert.deepEqual(fakes.jira.issues.get(key).properties["github-sync"], {
+        repository: "octo/app",
+        issueNumber: issue.number,
+        issueUrl: issue.html_url,
+      });
+    });
+
+    it("returns the linked issue instead of creating a duplicate", async () => {
+      const issue = fakes.github.addIssue(loadFixture("issues/improvement"));
+      const key = await create.createIssueFromGitHub(issue);
+
+      const again = await create.createIssueFromGitHub(fakes.github.issues.get(issue.number));
+
+      assert.equal(again, key);
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 1);
+    });
+
+    it("finds an issue created before the link was recorded", async () => {
+      const issue = loadFixture("issues/technical-support");
+      fakes.github.addIssue(issue);
+      const existing = fakes.jira.addIssue({
+        summary: `[GitHub] ${issue.title}`,
+        description: create.createGitHubIssueADF(issue.html_url, "linus", issue.created_at, ""),
+      });
+
+      const key = await create.createIssueFromGitHub(issue);
+
+      assert.equal(key, existing.key);
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 0);
+    });
+
+    it("previews a dry run without creating or linking", async () => {
+      const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+
+      const result = await create.createIssueFromGitHub(issue, { dryRun: true });
+
+      assert.deepEqual(result.problems, []);
+      assert.deepEqual(result.payload, loadFixture("payloads/bug-report"));
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 0);
+      assert.equal(fakes.github.requestsTo("PATCH").length, 0);
+    });
+  });
+
+  describe("createIssue", () => {
+    it("falls back to the default issue type and priority from the create metadata", async () => {
+      const key = await create.createIssue("PROJ", "Initiative", "Summary", "Body", {
+        priority: { name: "Urgent" },
+        components: [{ name: "REELS" }],
+      });
+
+      assert.equal(key, "PROJ-1");
+      const { fields } = fakes.jira.requestsTo("POST", "/rest/api/3/issue")[0].body;
+      assert.deepEqual(fields.issuetype, { name: "Support" });
+      assert.deepEqual(fields.priority, { name: "Medium" });
+      // Support has no components on its create screen
+      assert.equal("components" in fields, false);
+    });
+
+    it("rejects a missing required field without calling Jira", async () => {
+      await assert.rejects(
+        create.createIssue("PROJ", "Sub-task", "Summary", "Body"),
+        (error) =>
+          error instanceof jiraErrors.JiraValidationError &&
+          /parent: "Parent" is required for Sub-task/.test(error.message),
+      );
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 0);
+    });
+
+    it("surfaces Jira's field errors as a JiraValidationError", async () => {
+      fakes.jira.fail("POST", "/rest/api/3/issue", 400, {
+        errorMessages: [],
+        errors: { summary: "Summary contains invalid characters." },
+      });
+
+      await assert.rejects(create.createIssue("PROJ", "Bug Report", "Summary", "Body"), (error) => {
+        assert.ok(error instanceof jiraErrors.JiraValidationError);
+        assert.equal(error.status, 400);
+        assert.deepEqual(error.errors, { summary: "Summary contains invalid characters." });
+        return true;
+      });
+      assert.equal(fakes.jira.issues.size, 0);
+    });
+
+    it("surfaces rejected credentials as a JiraAuthError", async () => {
+      fakes.jira.fail("GET", /\/issue\/createmeta\//, 401, { errorMessages: ["Unauthorized"] });
+      fakes.jira.fail("POST", "/rest/api/3/issue", 401, { errorMessages: ["Unauthorized"] });
+
+      await assert.rejects(
+        create.createIssue("PROJ", "Bug Report", "Summary", "Body"),
+        jiraErrors.JiraAuthError,
+      );
+    });
+
+    it("retries when Jira is rate limited", async () => {
+      fakes.jira.fail(
+        "POST",
+        "/rest/api/3/issue",
+        429,
+        { errorMessages: ["Rate limit exceeded"] },
+        { headers: { "retry-after": "0" } },
+      );
+
+      const key = await create.createIssue("PROJ", "Bug Report", "Summary", "Body");
+
+      assert.equal(key, "PROJ-1");
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 2);
+    });
+
+    it("does not retry the creation after a server error", async () => {
+      fakes.jira.fail("POST", "/rest/api/3/issue", 503, { errorMessages: ["Unavailable"] });
+
+      await assert.rejects(
+        create.createIssue("PROJ", "Bug Report", "Summary", "Body"),
+        jiraErrors.JiraError,
+      );
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 1);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Fake GitHub REST API
+ *
+ * Implements the issue, comment, label, search and user endpoints the sync uses,
+ * with Link header pagination and GitHub's error bodies. Rate limiting is
+ * simulated by queueing a failure with the x-ratelimit-* or retry-after
+ * headers (see rateLimit()).
+ */
+
+const { HttpError, createFakeServer } = require("./http-fake");
+
+/**
+ * Creates a fake GitHub server
+ * @param {object} options - {repository (default octo/app), perPage (page size cap, default 100)}
+ * @returns {object} - Fake with start(), stop(), reset(), addIssue(), issues, and request helpers
+ */
+function createFakeGitHub(options = {}) {
+  const repository = options.repository || "octo/app";
+  const perPageLimit = options.perPage || 100;
+  const fake = createFakeServer({
+    name: "Fake GitHub",
+    authorize: (req) => /^Bearer \S+/.test(req.headers.authorization || ""),
+    unauthorized: { message: "Bad credentials", documentation_url: "https://docs.github.com/rest" },
+  });
+
+  fake.repository = repository;
+  fake.users = options.users || {};
+
+  /**
+   * Forgets all issues, comments, repository labels and recorded requests
+   */
+  fake.reset = () => {
+    fake.clear();
+    fake.issues = new Map();
+    fake.comments = new Map();
+    fake.labels = [];
+    fake.nextCommentId = 5001;
+  };
+  fake.reset();
+
+  /**
+   * Adds an issue (e.g. a fixture) to the repository
+   * @param {object} issue - GitHub issue
+   * @param {Array<object>} comments - Its comments ({body, user})
+   * @returns {object} - Stored issue
+   */
+  fake.addIssue = (issue, comments = []) => {
+    const stored = JSON.parse(JSON.stringify(issue));
+    stored.comments = 0;
+    fake.issues.set(stored.number, stored);
+    fake.comments.set(stored.number, []);
+    comments.forEach((comment) => addComment(stored.number, comment.body, comment.user));
+    return stored;
+  };
+
+  /**
+   * Queues a rate-limited response for the next matching request
+   * @param {string} method - HTTP method
+   * @param {string|RegExp} path - Request path
+   * @param {object} limit - {retryAfter (seconds)} for a secondary limit, else the primary limit
+   *   resets after `resetIn` seconds (default 0)
+   * @returns {object} - The fake
+   */
+  fake.rateLimit = (method, path, limit = {}) =>
+    fake.fail(
+      method,
+      path,
+      limit.retryAfter !== undefined ? 429 : 403,
+      { message: "API rate limit exceeded" },
+      {
+        headers:
+          limit.retryAfter !== undefined
+            ? { "retry-after": String(limit.retryAfter) }
+            : {
+                "x-ratelimit-remaining": "0",
+                "x-ratelimit-reset": String(Math.floor(Date.now() / 1000) + (limit.resetIn || 0)),
+              },
+      },
+    );
+
+  const prefix = `/repos/${repository}`;
+
+  const findIssue = (number) => {
+    const issue = fake.issues.get(Number(number));
+    if (!issue) {
+      throw new HttpError(404, { message: "Not Found" });
+    }
+    return issue;
+  };
+
+  const addComment = (number, body, user = { login: "github-actions[bot]", type: "Bot" }) => {
+    const issue = findIssue(number);
+    const comment = {
+      id: fake.nextCommentId++,
+      body,
+      user,
+      html_url: `${issue.html_url}#issuecomment-${fake.nextCommentId - 1}`,
+      created_at: new Date().toISOString(),
+    };
+    fake.comments.get(issue.number).push(comment);
+    issue.comments++;
+    return comment;
+  };
+
+  /**
+   * Answers one page of a list with a Link header to the next page
+   * @param {string} path - Request path
+   * @param {object} query - Query parameters
+   * @param {Array} items - Full list
+   * @returns {object} - {status, body, headers}
+   */
+  const paginate = (path, query, items) => {
+    const perPage = Math.min(Number(query.per_page || 30), perPageLimit);
+    const page = Number(query.page || 1);
+    const headers = {};
+    if (page * perPage < items.length) {
+      const next = new URLSearchParams({ ...query, page: String(page + 1) });
+      headers.link = `<${fake.url}${path}?${next}>; rel="next"`;
+    }
+    return { status: 200, body: items.slice((page - 1) * perPage, page * perPage), headers };
+  };
+
+  fake.route("GET", `${prefix}/issues`, ({ path, query }) => {
+    const state = query.state || "open";
+    const labels = query.labels ? query.labels.split(",") : [];
+    let issues = [...fake.issues.values()]
+      .filter((issue) => state === "all" || issue.state === state)
+      .filter((issue) =>
+        labels.every((label) => issue.labels.some((candidate) => candidate.name === label)),
+      )
+      .filter((issue) => !query.since || issue.updated_at >= query.since);
+    issues.sort((a, b) => a.created_at.localeCompare(b.created_at) || a.number - b.number);
+    if (query.direction !== "asc") {
+      issues = issues.reverse();
+    }
+    return paginate(path, query, issues);
+  });
+
+  fake.route("GET", `${prefix}/issues/:number`, ({ params }) => findIssue(params.number));
+
+  fake.route("PATCH", `${prefix}/issues/:number`, ({ params, body }) => {
+    const issue = findIssue(params.number);
+    if (body.state && !["open", "closed"].includes(body.state)) {
+      throw new HttpError(422, { message: "Validation Failed", errors: [{ field: "state" }] });
+    }
+    if (body.assignees) {
+      body = { ...body, assignees: body.assignees.map((login) => ({ login })) };
+    }
+    if (body.labels) {
+      body = {
+        ...body,
+        labels: body.labels.map((label) => (typeof label === "string" ? { name: label } : label)),
+      };
+    }
+    Object.assign(issue, body, { updated_at: new Date().toISOString() });
+    return issue;
+  });
+
+  fake.route("GET", `${prefix}/issues/:number/comments`, ({ path, params, query }) => {
+    findIssue(params.number);
+    return paginate(path, query, fake.comments.get(Number(params.number)));
+  });
+
+  fake.route("POST", `${prefix}/issues/:number/comments`, ({ params, body }) => {
+    if (!body || typeof body.body !== "string" || !body.body.trim()) {
+      throw new HttpError(422, { message: "Validation Failed", errors: [{ field: "body" }] });
+    }
+    return { status: 201, body: addComment(params.number, body.body) };
+  });
+
+  fake.route("PATCH", `${prefix}/issues/comments/:id`, ({ params, body }) => {
+    const comment = [...fake.comments.values()]
+      .flat()
+      .find((candidate) => candidate.id === Number(params.id));
+    if (!comment) {
+      throw new HttpError(404, { message: "Not Found" });
+    }
+    if (!body || typeof body.body !== "string" || !body.body.trim()) {
+      throw new HttpError(422, { message: "Validation Failed", errors: [{ field: "body" }] });
+    }
+    Object.assign(comment, { body: body.body, updated_at: new Date().toISOString() });
+    return comment;
+  });
+
+  fake.route("GET", `${prefix}/labels`, ({ path, query }) => paginate(path, query, fake.labels));
+
+  fake.route("GET", "/search/issues", ({ query }) => {
+    const phrase = (String(query.q).match(/"([^"]+)"/) || [])[1];
+    const items = [...fake.issues.values()].filter(
+      (issue) => !phrase || String(issue.body || "").includes(phrase),
+    );
+    return { total_count: items.length, incomplete_results: false, items };
+  });
+
+  fake.route("GET", "/users/:login", ({ params }) => ({
+    login: params.login,
+    email: null,
+    ...fake.users[params.login.toLowerCase()],
+  }));
+
+  return fake;
+}
+
+module.exports = {
+  createFakeGitHub,
+};
@@ -0,0 +1,230 @@
+/**
+ * In-process HTTP server shared by the fake Jira and GitHub APIs
+ *
+ * Routes are matched by method and path pattern (`:name` segments become
+ * params). Every request is recorded with its parsed JSON body, and failures
+ * can be queued to answer the next matching requests with an error instead.
+ */
+
+const http = require("http");
+
+/**
+ * Error a route handler throws to answer with a status and JSON body
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {object} body - JSON response body
+   * @param {object} headers - Extra response headers
+   */
+  constructor(status, body = {}, headers = {}) {
+    super(`HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Compiles a route pattern such as /issue/:key/comment
+ * @param {string} pattern - Path pattern
+ * @returns {Function} - Matcher returning the params, or null
+ */
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (match, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  const regex = new RegExp(`^${source}$`);
+
+  return (path) => {
+    const match = path.match(regex);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(
+      names.map((name, index) => [name, decodeURIComponent(match[index + 1])]),
+    );
+  };
+}
+
+/**
+ * Creates a fake HTTP API server
+ * @param {object} options - {name, authorize(req) → boolean, unauthorized: body}
+ * @returns {object} - Server with route(), fail(), start(), stop(), requests and url
+ */
+function createFakeServer(options = {}) {
+  const routes = [];
+  const failures = [];
+
+  const fake = {
+    url: null,
+    requests: [],
+
+    /**
+     * Registers a route handler
+     * @param {string} method - HTTP method
+     * @param {string} pattern - Path pattern with :params
+     * @param {Function} handler - ({params, query, body, headers, req}) → {status, body, headers} or body
+     * @returns {object} - The fake, for chaining
+     */
+    route(method, pattern, handler) {
+      routes.push({ method: method.toUpperCase(), match: compilePattern(pattern), handler });
+      return fake;
+    },
+
+    /**
+     * Answers the next matching requests with an error
+     * @param {string} method - HTTP method
+     * @param {string|RegExp} path - Exact path or pattern
+     * @param {number} status - HTTP status
+     * @param {object} body - JSON response body
+     * @param {object} extra - {headers, times (default 1)}
+     * @returns {object} - The fake, for chaining
+     */
+    fail(method, path, status, body = {}, extra = {}) {
+      failures.push({
+        method: method.toUpperCase(),
+        path,
+        status,
+        body,
+        headers: extra.headers || {},
+        times: extra.times || 1,
+      });
+      return fake;
+    },
+
+    /**
+     * Lists the recorded requests, optionally filtered
+     * @param {string} method - HTTP method
+     * @param {string|RegExp} path - Exact path or pattern
+     * @returns {Array<object>} - {method, path, query, body, headers}
+     */
+    requestsTo(method, path) {
+      return fake.requests.filter(
+        (request) =>
+          (!method || request.method === method.toUpperCase()) &&
+          (!path || (path instanceof RegExp ? path.test(request.path) : request.path === path)),
+      );
+    },
+
+    /**
+     * Starts listening on a free local port
+     * @returns {Promise<string>} - Base URL
+     */
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      fake.url = `http://127.0.0.1:${server.address().port}`;
+      return fake.url;
+    },
+
+    /**
+     * Stops the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    /**
+     * Forgets recorded requests and queued failures
+     */
+    clear() {
+      fake.requests.length = 0;
+      failures.length = 0;
+    },
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    const payload = body === undefined || status === 204 ? "" : JSON.stringify(body);
+    res.writeHead(status, {
+      ...(payload && { "Content-Type": "application/json" }),
+      ...headers,
+    });
+    res.end(payload);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const raw = Buffer.concat(chunks);
+      let body = null;
+      if (raw.length > 0 && /json/.test(req.headers["content-type"] || "")) {
+        try {
+          body = JSON.parse(raw.toString("utf8"));
+        } catch (error) {
+          send(res, 400, { message: "Problems parsing JSON" });
+          return;
+        }
+      } else if (raw.length > 0) {
+        body = raw;
+      }
+
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body,
+        headers: req.headers,
+      };
+      fake.requests.push(request);
+
+      const failure = failures.find(
+        (candidate) =>
+          candidate.method === req.method &&
+          (candidate.path instanceof RegExp
+            ? candidate.path.test(url.pathname)
+            : candidate.path === url.pathname),
+      );
+      if (failure) {
+        failure.times--;
+        if (failure.times <= 0) {
+          failures.splice(failures.indexOf(failure), 1);
+        }
+        send(res, failure.status, failure.body, failure.headers);
+        return;
+      }
+
+      if (options.authorize && !options.authorize(req)) {
+        send(res, 401, options.unauthorized || { message: "Unauthorized" });
+        return;
+      }
+
+      for (const route of routes.filter((candidate) => candidate.method === req.method)) {
+        const params = route.match(url.pathname);
+        if (!params) {
+          continue;
+        }
+        try {
+          const result = await route.handler({ ...request, params, req });
+          if (result && result.status) {
+            send(res, result.status, result.body, result.headers);
+          } else {
+            send(res, 200, result);
+          }
+        } catch (error) {
+          if (error instanceof HttpError) {
+            send(res, error.status, error.body, error.headers);
+          } else {
+            send(res, 500, { message: error.message });
+          }
+        }
+        return;
+      }
+
+      send(res, 404, {
+        message: `${options.name || "Fake"}: no route for ${req.method} ${url.pathname}`,
+      });
+    });
+  });
+
+  return fake;
+}
+
+module.exports = {
+  HttpError,
+  createFakeServer,
+};
@@ -0,0 +1,679 @@
+/**
+ * Fake Jira Cloud REST API (v3)
+ *
+ * Implements the endpoints the sync uses, with the validation Jira applies
+ * to them: issue create/update (checked against the create metadata),
+ * comments, transitions, assignee, entity properties, createmeta, editmeta, JQL search,
+ * user lookup, attachments, sub-tasks, issue links, project versions and board sprints.
+ * Responses and error bodies follow Jira's shapes (`errorMessages` and field
+ * `errors`).
+ */
+
+const { HttpError, createFakeServer } = require("./http-fake");
+const createmeta = require("../fixtures/createmeta.json");
+
+const API = "/rest/api/3";
+const AGILE = "/rest/agile/1.0";
+const PROJECT_ID = "10000";
+
+const STATUSES = {
+  "To Do": { id: "1", name: "To Do", statusCategory: { key: "new", name: "To Do" } },
+  "In Progress": {
+    id: "3",
+    name: "In Progress",
+    statusCategory: { key: "indeterminate", name: "In Progress" },
+  },
+  Done: { id: "10000", name: "Done", statusCategory: { key: "done", name: "Done" } },
+};
+
+const LINK_TYPES = [
+  { id: "10000", name: "Blocks", inward: "is blocked by", outward: "blocks" },
+  { id: "10001", name: "Cloners", inward: "is cloned by", outward: "clones" },
+  { id: "10002", name: "Duplicate", inward: "is duplicated by", outward: "duplicates" },
+  { id: "10003", name: "Relates", inward: "relates to", outward: "relates to" },
+];
+
+// Every status can be reached from every other one, by a transition named after it
+const TRANSITIONS = [
+  { id: "11", name: "To Do", to: "To Do" },
+  { id: "21", name: "Start Progress", to: "In Progress" },
+  { id: "31", name: "Done", to: "Done" },
+];
+
+/**
+ * Checks that a value is an ADF document
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether Jira would accept it as a rich text field
+ */
+function isDocument(value) {
+  return Boolean(
+    value &&
+    typeof value === "object" &&
+    value.type === "doc" &&
+    value.version === 1 &&
+    Array.isArray(value.content),
+  );
+}
+
+/**
+ * Throws Jira's 400 response for field errors, if there are any
+ * @param {object} errors - Field errors keyed by field id
+ */
+function rejectFieldErrors(errors) {
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(400, { errorMessages: [], errors });
+  }
+}
+
+/**
+ * Creates a fake Jira server
+ * @param {object} options - {projectKey (default PROJ), users: [{accountId, displayName, emailAddress}]}
+ * @returns {object} - Fake with start(), stop(), reset(), issues, and request helpers
+ */
+function createFakeJira(options = {}) {
+  const projectKey = options.projectKey || "PROJ";
+  const fake = createFakeServer({
+    name: "Fake Jira",
+    authorize: (req) => /^(Basic|Bearer) \S+/.test(req.headers.authorization || ""),
+    unauthorized: {
+      errorMessages: [
+        "You are not authenticated. Authentication required to perform this operation.",
+      ],
+    },
+  });
+
+  fake.projectKey = projectKey;
+  fake.users = options.users || [];
+
+  /**
+   * Forgets all issues, comments and recorded requests
+   */
+  fake.reset = () => {
+    fake.clear();
+    fake.issues = new Map();
+    fake.nextIssueId = 10001;
+    fake.nextCommentId = 20001;
+    fake.nextAttachmentId = 30001;
+    fake.nextLinkId = 50001;
+    fake.versions = [];
+    fake.nextVersionId = 40001;
+    fake.sprints = [];
+    fake.nextSprintId = 1;
+  };
+  fake.reset();
+
+  /**
+   * Adds an issue directly, bypassing validation
+   * @param {object} fields - Issue fields
+   * @param {object} extra - {properties, comments}
+   * @returns {object} - Stored issue
+   */
+  fake.addIssue = (fields = {}, extra = {}) => {
+    const id = String(fake.nextIssueId++);
+    const key = `${projectKey}-${fake.issues.size + 1}`;
+    const issue = {
+      id,
+      key,
+      fields: {
+        status: STATUSES["To Do"],
+        assignee: null,
+        attachment: [],
+        components: [],
+        priority: { name: "Medium" },
+        ...fields,
+      },
+      properties: { ...extra.properties },
+      comments: [],
+    };
+    fake.issues.set(key, issue);
+    (extra.comments || []).forEach((comment) =>
+      addComment(issue, comment.body, comment.properties),
+    );
+    return issue;
+  };
+
+  const findIssue = (key) => {
+    const issue = fake.issues.get(key);
+    if (!issue) {
+      throw new HttpError(404, {
+        errorMessages: ["Issue does not exist or you do not have permission to see it."],
+        errors: {},
+      });
+    }
+    return issue;
+  };
+
+  const addComment = (issue, body, properties = []) => {
+    const comment = {
+      id: String(fake.nextCommentId++),
+      author: { accountId: "fake-automation", displayName: "Automation" },
+      body,
+      created: new Date().toISOString(),
+      properties: Object.fromEntries(properties.map((property) => [property.key, property.value])),
+    };
+    issue.comments.push(comment);
+    return comment;
+  };
+
+  const presentComment = (comment, expand) => {
+    const { properties, ...rest } = comment;
+    return expand
+      ? { ...rest, properties: Object.entries(properties).map(([key, value]) => ({ key, value })) }
+      : rest;
+  };
+
+  const issueTypeMeta = (name) =>
+    createmeta.issueTypes.find((type) => type.name.toLowerCase() === String(name).toLowerCase());
+
+  /**
+   * Validates fields the way the create and edit screens do
+   * @param {object} fields - Request fields
+   * @param {object} issueType - Issue type metadata
+   * @param {boolean} creating - Whether required fields must be present
+   */
+  const validateFields = (fields, issueType, creating) => {
+    const errors = {};
+    const screen = new Map(issueType.fields.map((field) => [field.fieldId, field]));
+
+    for (const [fieldId, value] of Object.entries(fields)) {
+      if (["project", "issuetype"].includes(fieldId)) {
+        continue;
+      }
+      const meta = screen.get(fieldId);
+      if (!meta) {
+        errors[fieldId] =
+          `Field '${fieldId}' cannot be set. It is not on the appropriate screen, or unknown.`;
+        continue;
+      }
+      if (fieldId === "description" && value !== null && !isDocument(value)) {
+        errors.description =
+          "Operation value must be an Atlassian Document (see the Atlassian Document Format)";
+      }
+      if (fieldId === "summary" && (typeof value !== "string" || !value.trim())) {
+        errors.summary = "You must specify a summary of the issue.";
+      } else if (fieldId === "summary" && value.length > 255) {
+        errors.summary = "Summary must be less than 255 characters.";
+      }
+      if (meta.allowedValues && value) {
+        const values = Array.isArray(value) ? value : [value];
+        const unknown = values.find(
+          (item) =>
+            !meta.allowedValues.some(
+              (allowed) =>
+                allowed.id === item.id ||
+                (item.name && allowed.name === item.name) ||
+                (item.value && allowed.value === item.value),
+            ),
+        );
+        if (unknown) {
+          errors[fieldId] =
+            fieldId === "components"
+              ? `Component name '${unknown.name}' is not valid`
+              : `Specify a valid '${fieldId}' id or name`;
+        }
+      }
+    }
+
+    if (creating) {
+      issueType.fields
+        .filter((field) => field.required && !field.hasDefaultValue)
+        .filter((field) => !["project", "issuetype"].includes(field.fieldId))
+        .filter((field) => fields[field.fieldId] === undefined)
+        .forEach((field) => {
+          errors[field.fieldId] = `${field.name} is required.`;
+        });
+    }
+
+    rejectFieldErrors(errors);
+  };
+
+  fake.route("POST", `${API}/issue`, ({ body }) => {
+    const fields = (body && body.fields) || {};
+    if (!fields.project || fields.project.key !== projectKey) {
+      rejectFieldErrors({ project: "Specify a valid project ID or key" });
+    }
+    const issueType =
+      fields.issuetype && issueTypeMeta(fields.issuetype.name || fields.issuetype.id);
+    if (!issueType) {
+      rejectFieldErrors({ issuetype: "Specify a valid issue type" });
+    }
+    validateFields(fields, issueType, true);
+
+    const { project, issuetype, ...rest } = fields;
+    const issue = fake.addIssue(
+      { ...rest, issuetype: { id: issueType.id, name: issueType.name } },
+      {
+        properties: Object.fromEntries(
+          (body.properties || []).map((property) => [property.key, property.value]),
+        ),
+      },
+    );
+    return {
+      status: 201,
+      body: { id: issue.id, key: issue.key, self: `${fake.url}${API}/issue/${issue.id}` },
+    };
+  });
+
+  /**
+   * Lists the sub-tasks of an issue the way Jira embeds them in `fields.subtasks`
+   * (children of an epic are not sub-tasks)
+   * @param {object} issue - Parent issue
+   * @returns {Array<object>} - [{id, key, fields: {summary, status, issuetype}}]
+   */
+  const subtasksOf = (issue) =>
+    [...fake.issues.values()]
+      .filter((candidate) => candidate.fields.parent && candidate.fields.parent.key === issue.key)
+      .filter((candidate) => (issueTypeMeta(candidate.fields.issuetype.name) || {}).subtask)
+      .map(({ id, key, fields }) => ({
+        id,
+        key,
+        fields: { summary: fields.summary, status: fields.status, issuetype: fields.issuetype },
+      }));
+
+  fake.route("GET", `${API}/issue/:key`, ({ params, query }) => {
+    const issue = findIssue(params.key);
+    const fields = { ...issue.fields, subtasks: subtasksOf(issue) };
+    const wanted = query.fields ? query.fields.split(",") : Object.keys(fields);
+    return {
+      id: issue.id,
+      key: issue.key,
+      fields: Object.fromEntries(
+        wanted.filter((field) => field in fields).map((field) => [field, fields[field]]),
+      ),
+    };
+  });
+
+  fake.route("GET", `${API}/issue/:key/editmeta`, ({ params }) => {
+    const issue = findIssue(params.key);
+    const issueType = issueTypeMeta(issue.fields.issuetype.name);
+    return {
+      fields: Object.fromEntries(
+        issueType.fields
+          .filter((field) => !["project", "issuetype"].includes(field.fieldId))
+          .map(({ fieldId, name, required, schema, allowedValues }) => [
+            fieldId,
+            { key: fieldId, name, required, schema, ...(allowedValues && { allowedValues }) },
+          ]),
+      ),
+    };
+  });
+
+  /**
+   * Applies the `update` operations of an edit request (fixVersions add/remove, parent set)
+   * @param {object} issue - Issue being edited
+   * @param {object} update - Operations keyed by field id
+   * @param {object} issueType - Issue type metadata
+   */
+  const applyUpdate = (issue, update, issueType) => {
+    const errors = {};
+    for (const [fieldId, operations] of Object.entries(update)) {
+      if (!issueType.fields.some((field) => field.fieldId === fieldId)) {
+        errors[fieldId] =
+          `Field '${fieldId}' cannot be set. It is not on the appropriate screen, or unknown.`;
+        continue;
+      }
+      for (const operation of operations) {
+        if (fieldId === "fixVersions") {
+          const [verb, ref] = Object.entries(operation)[0];
+          const version = fake.versions.find(
+            (candidate) => candidate.id === ref.id || candidate.name === ref.name,
+          );
+          if (!version) {
+            errors.fixVersions = `Version id '${ref.id || ref.name}' is not valid`;
+            continue;
+          }
+          const current = (issue.fields.fixVersions || []).filter(
+            (candidate) => candidate.id !== version.id,
+          );
+          issue.fields.fixVersions = verb === "add" ? [...current, version] : current;
+        } else if (fieldId === "parent" && operation.set && operation.set.none) {
+          issue.fields.parent = null;
+        } else {
+          errors[fieldId] = `Operation ${JSON.stringify(operation)} is not supported`;
+        }
+      }
+    }
+    rejectFieldErrors(errors);
+  };
+
+  fake.route("PUT", `${API}/issue/:key`, ({ params, body }) => {
+    const issue = findIssue(params.key);
+    const fields = (body && body.fields) || {};
+    const issueType = issueTypeMeta(issue.fields.issuetype.name);
+    validateFields(fields, issueType, false);
+    if (fields.parent) {
+      findIssue(fields.parent.key);
+    }
+    applyUpdate(issue, (body && body.update) || {}, issueType);
+    Object.assign(issue.fields, fields);
+    return { status: 204 };
+  });
+
+  fake.route("PUT", `${API}/issue/:key/assignee`, ({ params, body }) => {
+    const issue = findIssue(params.key);
+    if (body.accountId === null) {
+      issue.fields.assignee = null;
+    } else {
+      const user = fake.users.find((candidate) => candidate.accountId === body.accountId);
+      if (!user) {
+        throw new HttpError(404, { errorMessages: [`User '${body.accountId}' does not exist.`] });
+      }
+      issue.fields.assignee = user;
+    }
+    return { status: 204 };
+  });
+
+  fake.route("GET", `${API}/issue/:key/comment`, ({ params, query }) => {
+    const issue = findIssue(params.key);
+    const startAt = Number(query.startAt || 0);
+    const maxResults = Number(query.maxResults || 50);
+    const page = issue.comments.slice(startAt, startAt + maxResults);
+    return {
+      startAt,
+      maxResults,
+      total: issue.comments.length,
+      comments: page.map((comment) => presentComment(comment, query.expand === "properties")),
+    };
+  });
+
+  fake.route("GET", `${API}/issue/:key/comment/:id`, ({ params, query }) => {
+    const comment = findIssue(params.key).comments.find((candidate) => candidate.id === params.id);
+    if (!comment) {
+      throw new HttpError(404, {
+        errorMessages: ["Can not find a comment for the id."],
+        errors: {},
+      });
+    }
+    return presentComment(comment, query.expand === "properties");
+  });
+
+  fake.route("POST", `${API}/issue/:key/comment`, ({ params, body }) => {
+    const issue = findIssue(params.key);
+    if (!isDocument(body && body.body)) {
+      rejectFieldErrors({ comment: "Comment body is not a valid Atlassian Document" });
+    }
+    const comment = addComment(issue, body.body, body.properties || []);
+    return { status: 201, body: presentComment(comment, false) };
+  });
+
+  fake.route("PUT", `${API}/issue/:key/comment/:id`, ({ params, body }) => {
+    const comment = findIssue(params.key).comments.find((candidate) => candidate.id === params.id);
+    if (!comment) {
+      throw new HttpError(404, {
+        errorMessages: ["Can not find a comment for the id."],
+        errors: {},
+      });
+    }
+    if (!isDocument(body && body.body)) {
+      rejectFieldErrors({ comment: "Comment body is not a valid Atlassian Document" });
+    }
+    comment.body = body.body;
+    comment.updated = new Date().toISOString();
+    return presentComment(comment, false);
+  });
+
+  fake.route("GET", `${API}/comment/:id/properties/:property`, ({ params }) => {
+    for (const issue of fake.issues.values()) {
+      const comment = issue.comments.find((candidate) => candidate.id === params.id);
+      if (comment && params.property in comment.properties) {
+        return { key: params.property, value: comment.properties[params.property] };
+      }
+    }
+    throw new HttpError(404, { errorMessages: ["The property was not found."] });
+  });
+
+  fake.route("GET", `${API}/issue/:key/transitions`, ({ params }) => {
+    findIssue(params.key);
+    return {
+      transitions: TRANSITIONS.map((transition) => ({
+        id: transition.id,
+        name: transition.name,
+        to: STATUSES[transition.to],
+      })),
+    };
+  });
+
+  fake.route("POST", `${API}/issue/:key/transitions`, ({ params, body }) => {
+    const issue = findIssue(params.key);
+    const transition = TRANSITIONS.find(
+      (candidate) => body && body.transition && candidate.id === body.transition.id,
+    );
+    if (!transition) {
+      throw new HttpError(400, {
+        errorMessages: ["Transition id is not valid for this issue."],
+        errors: {},
+      });
+    }
+    issue.fields.status = STATUSES[transition.to];
+    return { status: 204 };
+  });
+
+  fake.route("GET", `${API}/issue/:key/properties/:property`, ({ params }) => {
+    const issue = findIssue(params.key);
+    if (!(params.property in issue.properties)) {
+      throw new HttpError(404, { errorMessages: ["The property was not found."] });
+    }
+    return { key: params.property, value: issue.properties[params.property] };
+  });
+
+  fake.route("PUT", `${API}/issue/:key/properties/:property`, ({ params, body }) => {
+    const issue = findIssue(params.key);
+    const created = !(params.property in issue.properties);
+    issue.properties[params.property] = body;
+    return { status: created ? 201 : 200, body: {} };
+  });
+
+  fake.route("POST", `${API}/issue/:key/attachments`, ({ params, body, headers }) => {
+    const issue = findIssue(params.key);
+    if (headers["x-atlassian-token"] !== "no-check") {
+      throw new HttpError(403, { errorMessages: ["XSRF check failed"] });
+    }
+    const filename = String(body).match(/filename="([^"]+)"/)[1];
+    const id = String(fake.nextAttachmentId++);
+    const attachment = {
+      id,
+      filename,
+      mimeType: /\.png$/.test(filename) ? "image/png" : "application/octet-stream",
+      content: `${fake.url}/rest/api/3/attachment/content/${id}`,
+    };
+    issue.fields.attachment.push(attachment);
+    return [attachment];
+  });
+
+  // Jira Cloud serves attachment content from the media API, which is where the media id shows
+  fake.route("GET", `${API}/attachment/content/:id`, ({ params }) => {
+    const exists = [...fake.issues.values()].some((issue) =>
+      issue.fields.attachment.some((attachment) => attachment.id === params.id),
+    );
+    if (!exists) {
+      throw new HttpError(404, { errorMessages: ["The attachment with id does not exist"] });
+    }
+    const mediaId = `00000000-0000-4000-8000-${params.id.padStart(12, "0")}`;
+    return {
+      status: 303,
+      headers: { location: `https://api.media.atlassian.com/file/${mediaId}/binary?token=fake` },
+    };
+  });
+
+  fake.route("GET", `${API}/issue/createmeta/:project/issuetypes`, ({ params }) => {
+    if (params.project !== projectKey) {
+      throw new HttpError(404, {
+        errorMessages: [`No project could be found with key '${params.project}'.`],
+      });
+    }
+    const issueTypes = createmeta.issueTypes.map(({ fields, ...type }) => type);
+    return { startAt: 0, maxResults: 50, total: issueTypes.length, issueTypes };
+  });
+
+  fake.route("GET", `${API}/issue/createmeta/:project/issuetypes/:id`, ({ params }) => {
+    const issueType = createmeta.issueTypes.find((type) => type.id === params.id);
+    if (params.project !== projectKey || !issueType) {
+      throw new HttpError(404, { errorMessages: ["Issue type not found."] });
+    }
+    return { startAt: 0, maxResults: 50, total: issueType.fields.length, fields: issueType.fields };
+  });
+
+  /**
+   * Answers the JQL the sync runs: `project = "X"` and `text ~ "\"phrase\""`
+   * @param {string} jql - JQL query
+   * @param {string[]} fields - Fields to return
+   * @returns {Array<object>} - Matching issues
+   */
+  const search = (jql, fields = ["summary"]) => {
+    const project = (jql.match(/project\s*=\s*"?([A-Z][A-Z0-9_]+)"?/) || [])[1];
+    const phrase = (jql.match(/text\s*~\s*"\\"(.+?)\\""/) || [])[1];
+    const issueType = (jql.match(/issuetype\s*=\s*"([^"]+)"/) || [])[1];
+    const summary = (jql.match(/summary\s*~\s*"\\"(.+?)\\""/) || [])[1];
+    return [...fake.issues.values()]
+      .filter((issue) => !project || issue.key.startsWith(`${project}-`))
+      .filter((issue) => !issueType || issue.fields.issuetype.name === issueType)
+      .filter((issue) => !summary || issue.fields.summary.includes(summary))
+      .filter(
+        (issue) =>
+          !phrase ||
+          JSON.stringify([issue.fields.summary, issue.fields.description, issue.comments]).includes(
+            phrase,
+          ),
+      )
+      .map((issue) => ({
+        id: issue.id,
+        key: issue.key,
+        fields: Object.fromEntries(fields.map((field) => [field, issue.fields[field]])),
+      }));
+  };
+
+  fake.route("POST", `${API}/search/jql`, ({ body }) => ({
+    issues: search(body.jql, body.fields),
+  }));
+
+  fake.route("POST", `${API}/search`, ({ body }) => {
+    const issues = search(body.jql, body.fields);
+    return { startAt: 0, maxResults: body.maxResults || 50, total: issues.length, issues };
+  });
+
+  fake.route("GET", `${API}/project/:key`, ({ params }) => {
+    if (params.key !== projectKey) {
+      throw new HttpError(404, {
+        errorMessages: [`No project could be found with key '${params.key}'.`],
+      });
+    }
+    return { id: PROJECT_ID, key: projectKey, name: "Project" };
+  });
+
+  fake.route("GET", `${API}/project/:key/version`, ({ params, query }) => {
+    const query_ = String(query.query || "").toLowerCase();
+    const values = fake.versions
+      .filter((version) => params.key === projectKey)
+      .filter((version) => version.name.toLowerCase().includes(query_));
+    return { startAt: 0, maxResults: 50, total: values.length, isLast: true, values };
+  });
+
+  fake.route("POST", `${API}/version`, ({ body }) => {
+    if (!body || body.projectId !== PROJECT_ID) {
+      rejectFieldErrors({ project: "Project must be specified to create a version." });
+    }
+    if (fake.versions.some((version) => version.name === body.name)) {
+      rejectFieldErrors({ name: "A version with this name already exists in this project." });
+    }
+    const version = {
+      id: String(fake.nextVersionId++),
+      name: body.name,
+      description: body.description,
+      releaseDate: body.releaseDate,
+      released: false,
+      projectId: Number(PROJECT_ID),
+    };
+    fake.versions.push(version);
+    return { status: 201, body: version };
+  });
+
+  fake.route("GET", `${AGILE}/board/:id/sprint`, ({ params, query }) => {
+    const states = query.state ? query.state.split(",") : ["active", "future", "closed"];
+    const values = fake.sprints.filter(
+      (sprint) => String(sprint.originBoardId) === params.id && states.includes(sprint.state),
+    );
+    return { startAt: 0, maxResults: 50, isLast: true, values };
+  });
+
+  fake.route("POST", `${AGILE}/sprint`, ({ body }) => {
+    if (!body || !body.name || !body.originBoardId) {
+      throw new HttpError(400, { errorMessages: ["Sprint name and board are required."] });
+    }
+    const sprint = {
+      id: fake.nextSprintId++,
+      name: body.name,
+      state: "future",
+      originBoardId: body.originBoardId,
+      ...(body.endDate && { endDate: body.endDate }),
+    };
+    fake.sprints.push(sprint);
+    return { status: 201, body: sprint };
+  });
+
+  fake.route("POST", `${AGILE}/sprint/:id/issue`, ({ params, body }) => {
+    const sprint = fake.sprints.find((candidate) => String(candidate.id) === params.id);
+    if (!sprint) {
+      throw new HttpError(404, { errorMessages: [`Sprint ${params.id} does not exist.`] });
+    }
+    body.issues.forEach((key) => {
+      findIssue(key).fields.sprint = sprint;
+    });
+    return { status: 204 };
+  });
+
+  fake.route("POST", `${AGILE}/backlog/issue`, ({ body }) => {
+    body.issues.forEach((key) => {
+      findIssue(key).fields.sprint = null;
+    });
+    return { status: 204 };
+  });
+
+  fake.route("GET", `${AGILE}/issue/:key`, ({ params }) => {
+    const issue = findIssue(params.key);
+    return { id: issue.id, key: issue.key, fields: { sprint: issue.fields.sprint || null } };
+  });
+
+  fake.route("GET", `${API}/issueLinkType`, () => ({ issueLinkTypes: LINK_TYPES }));
+
+  // Stored on both issues the way Jira returns `issuelinks`: the other issue
+  // under outwardIssue on the inward issue ("A blocks B") and vice versa
+  fake.route("POST", `${API}/issueLink`, ({ body }) => {
+    const type = LINK_TYPES.find((candidate) => candidate.name === (body.type || {}).name);
+    if (!type) {
+      throw new HttpError(404, {
+        errorMessages: [`No issue link type with name '${(body.type || {}).name}' found.`],
+      });
+    }
+    const inward = findIssue(body.inwardIssue.key);
+    const outward = findIssue(body.outwardIssue.key);
+    const id = String(fake.nextLinkId++);
+    inward.fields.issuelinks = [
+      ...(inward.fields.issuelinks || []),
+      { id, type, outwardIssue: { id: outward.id, key: outward.key } },
+    ];
+    outward.fields.issuelinks = [
+      ...(outward.fields.issuelinks || []),
+      { id, type, inwardIssue: { id: inward.id, key: inward.key } },
+    ];
+    return { status: 201 };
+  });
+
+  fake.route("GET", `${API}/user/search`, ({ query }) =>
+    fake.users.filter((user) => user.emailAddress === query.query),
+  );
+
+  fake.route("GET", `${API}/user`, ({ query }) => {
+    const user = fake.users.find((candidate) => candidate.accountId === query.accountId);
+    if (!user) {
+      throw new HttpError(404, { errorMessages: [`User '${query.accountId}' does not exist.`] });
+    }
+    return user;
+  });
+
+  return fake;
+}
+
+module.exports = {
+  STATUSES,
+  createFakeJira,
+};
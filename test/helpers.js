@@ -0,0 +1,163 @@
+/**
+ * Test helpers: start the fake Jira and GitHub APIs, point the sync at them
+ * through the same environment variables the workflow sets, and run the CLI
+ * scripts as the workflow steps do.
+ *
+ * Modules read their environment when they are loaded, so tests require
+ * them only after startFakes() has resolved.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { mock } = require("node:test");
+const { createFakeJira } = require("./fakes/jira");
+const { createFakeGitHub } = require("./fakes/github");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// Variables from the developer's shell that would point the sync elsewhere
+const CLEARED_ENV = [
+  "JIRA_PAT",
+  "JIRA_API_VERSION",
+  "LINK_STORE_BACKENDS",
+  "LINK_STORE_FILE",
+  "GITHUB_OUTPUT",
+  "GITHUB_EVENT_PATH",
+  "GITHUB_SYNC_LOGIN",
+];
+
+/**
+ * Reads a JSON fixture (a fresh copy each time)
+ * @param {string} name - Path below test/fixtures, without .json
+ * @returns {object} - Parsed fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8"));
+}
+
+/**
+ * Silences the emoji progress output of the modules under test. Besides
+ * keeping the report readable, large bursts of output from a test file can
+ * corrupt the test runner's stream on Node 20.
+ */
+function silenceConsole() {
+  ["log", "info", "warn", "error"].forEach((method) => mock.method(console, method, () => {}));
+}
+
+/**
+ * Starts both fakes and points process.env at them
+ * @param {object} options - {jira: createFakeJira() options, github: createFakeGitHub() options}
+ * @returns {Promise<object>} - {jira, github, env, dir, reset(), stop(), runScript()}
+ */
+async function startFakes(options = {}) {
+  const jira = createFakeJira(options.jira);
+  const github = createFakeGitHub(options.github);
+  await jira.start();
+  await github.start();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jira-sync-test-"));
+  const env = {
+    JIRA_BASE_URL: jira.url,
+    JIRA_USER_EMAIL: "automation@example.com",
+    JIRA_API_TOKEN: "jira-test-token",
+    JIRA_PROJECT_KEY: jira.projectKey,
+    GITHUB_API_URL: github.url,
+    GITHUB_TOKEN: "github-test-token",
+    GITHUB_REPOSITORY: github.repository,
+    JIRA_CREATEMETA_CACHE: path.join(dir, "createmeta.json"),
+  };
+  CLEARED_ENV.forEach((name) => delete process.env[name]);
+  Object.assign(process.env, env);
+
+  return {
+    jira,
+    github,
+    env,
+    dir,
+
+    /**
+     * Empties both fakes between tests
+     */
+    reset() {
+      jira.reset();
+      github.reset();
+    },
+
+    /**
+     * Stops both fakes and removes the temporary directory
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      await Promise.all([jira.stop(), github.stop()]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+
+    /**
+     * Runs a CLI script the way a workflow step does
+     * @param {string} script - Script file in the repository root
+     * @param {string[]} args - Arguments
+     * @param {object} runOptions - {event: payload written to GITHUB_EVENT_PATH, env: overrides,
+     *   config: label-mapping.json settings merged over the repository's}
+     * @returns {Promise<object>} - {code, stdout, stderr, outputs (from GITHUB_OUTPUT)}
+     */
+    runScript(script, args = [], runOptions = {}) {
+      const outputFile = path.join(dir, `output-${Date.now()}-${Math.random()}.txt`);
+      const scriptEnv = { ...process.env, ...env, GITHUB_OUTPUT: outputFile, ...runOptions.env };
+      if (runOptions.event) {
+        scriptEnv.GITHUB_EVENT_PATH = path.join(dir, `event-${Date.now()}.json`);
+        fs.writeFileSync(scriptEnv.GITHUB_EVENT_PATH, JSON.stringify(runOptions.event));
+      }
+      Object.keys(scriptEnv)
+        .filter((name) => scriptEnv[name] === undefined)
+        .forEach((name) => delete scriptEnv[name]);
+
+      // Scripts read ./label-mapping.json and ./.github, so a custom config runs
+      // them from a directory with its own mapping and the repository's templates
+      let cwd = ROOT;
+      if (runOptions.config) {
+        cwd = fs.mkdtempSync(path.join(dir, "cwd-"));
+        const config = JSON.parse(fs.readFileSync(path.join(ROOT, "label-mapping.json"), "utf8"));
+        fs.writeFileSync(
+          path.join(cwd, "label-mapping.json"),
+          JSON.stringify({ ...config, ...runOptions.config }),
+        );
+        fs.symlinkSync(path.join(ROOT, ".github"), path.join(cwd, ".github"));
+      }
+
+      // Asynchronous, so the fakes in this process keep answering the script
+      return new Promise((resolve) => {
+        const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+          cwd,
+          env: scriptEnv,
+        });
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", (chunk) => (stdout += chunk));
+        child.stderr.on("data", (chunk) => (stderr += chunk));
+        child.on("close", (code) => {
+          const outputs = {};
+          if (fs.existsSync(outputFile)) {
+            fs.readFileSync(outputFile, "utf8")
+              .split("\n")
+              .filter(Boolean)
+              .forEach((line) => {
+                const index = line.indexOf("=");
+                outputs[line.slice(0, index)] = line.slice(index + 1);
+              });
+          }
+          resolve({ code, stdout, stderr, outputs });
+        });
+      });
+    },
+  };
+}
+
+module.exports = {
+  ROOT,
+  loadFixture,
+  silenceConsole,
+  startFakes,
+};
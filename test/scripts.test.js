@@ -0,0 +1,61 @@
+/**
+ * The unit check scripts in the repository root (test-*.js). Each one prints
+ * its checks and exits non-zero when one fails, so they run here as they do
+ * by hand and `npm test` covers them without a second harness.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ROOT } = require("./helpers");
+
+// The scripts need no Jira or GitHub access; keep a developer's shell from pointing them at one
+const CLEARED_ENV = [
+  "JIRA_BASE_URL",
+  "JIRA_USER_EMAIL",
+  "JIRA_API_TOKEN",
+  "JIRA_PAT",
+  "JIRA_PROJECT_KEY",
+  "GITHUB_TOKEN",
+  "GITHUB_API_URL",
+  "GITHUB_SYNC_LOGIN",
+];
+
+/**
+ * Runs a root check script
+ * @param {string} script - Script file in the repository root
+ * @returns {Promise<object>} - {code, output}
+ */
+function runCheckScript(script) {
+  const env = { ...process.env };
+  CLEARED_ENV.forEach((name) => delete env[name]);
+
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [path.join(ROOT, script)],
+      { cwd: ROOT, env, timeout: 60000 },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code || 1 : 0, output: `${stdout}${stderr}` });
+      },
+    );
+  });
+}
+
+describe("check scripts", () => {
+  const scripts = fs
+    .readdirSync(ROOT)
+    .filter((name) => /^test-.+\.js$/.test(name))
+    .sort();
+
+  scripts.forEach((script) => {
+    it(script, async () => {
+      const { code, output } = await runCheckScript(script);
+
+      const failures = output.split("\n").filter((line) => line.includes("❌"));
+      assert.equal(code, 0, failures.join("\n") || output);
+    });
+  });
+});
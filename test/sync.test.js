@@ -0,0 +1,813 @@
+/**
+ * Keeping linked issues in sync against the fake Jira and GitHub APIs:
+ * comments in both directions, edits, status and label changes, task lists
+ * and GitHub rate limits.
+ */
+
+const http = require("http");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture, silenceConsole, startFakes } = require("./helpers");
+const { STATUSES } = require("./fakes/jira");
+
+describe("sync", () => {
+  let fakes;
+  let syncComment;
+  let update;
+  let syncStatus;
+  let syncLabels;
+  let syncAssignee;
+  let taskLists;
+  let syncMilestone;
+  let issueLinks;
+  let github;
+  let webhookServer;
+
+  // The modules bind their API clients to the environment when first loaded,
+  // so every test in this file shares one pair of fakes
+  before(async () => {
+    silenceConsole();
+    fakes = await startFakes();
+    syncComment = require("../sync-comment");
+    update = require("../update");
+    syncStatus = require("../sync-status");
+    syncLabels = require("../sync-labels");
+    syncAssignee = require("../sync-assignee");
+    taskLists = require("../task-lists");
+    syncMilestone = require("../sync-milestone");
+    issueLinks = require("../issue-links");
+    github = require("../github-api");
+    webhookServer = require("../webhook-server");
+  });
+  after(() => fakes.stop());
+  beforeEach(() => fakes.reset());
+
+  /**
+   * Adds the bug report fixture to GitHub and a Jira issue linked to it
+   * @param {object} fields - Jira issue fields
+   * @returns {object} - {issue: GitHub issue, jiraIssue}
+   */
+  const linkedPair = (fields = {}) => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+    const jiraIssue = fakes.jira.addIssue(
+      { issuetype: { id: "10001", name: "Bug Report" }, ...fields },
+      {
+        properties: {
+          "github-sync": {
+            repository: "octo/app",
+            issueNumber: issue.number,
+            issueUrl: issue.html_url,
+          },
+        },
+      },
+    );
+    return { issue, jiraIssue };
+  };
+
+  describe("GitHub comment → Jira", () => {
+    it("posts the comment as ADF tagged with its origin", async () => {
+      const { jiraIssue } = linkedPair();
+      const comment = {
+        id: 5001,
+        body: "Looks good to **me**.",
+        user: { login: "hubot" },
+        html_url: "https://github.com/octo/app/issues/101#issuecomment-5001",
+      };
+
+      const commentId = await syncComment.addComment(jiraIssue.key, comment);
+
+      assert.equal(commentId, "20001");
+      const [request] = fakes.jira.requestsTo("POST", `/rest/api/3/issue/${jiraIssue.key}/comment`);
+      assert.deepEqual(request.body, {
+        body: {
+          type: "doc",
+          version: 1,
+          content: [
+            {
+              type: "paragraph",
+              content: [
+                { type: "text", text: "Comment from GitHub by hubot:", marks: [{ type: "em" }] },
+              ],
+            },
+            {
+              type: "paragraph",
+              content: [
+                { type: "text", text: "Looks good to " },
+                { type: "text", text: "me", marks: [{ type: "strong" }] },
+                { type: "text", text: "." },
+              ],
+            },
+            { type: "rule" },
+            {
+              type: "paragraph",
+              content: [
+                {
+                  type: "text",
+                  text: "View on GitHub",
+                  marks: [{ type: "link", attrs: { href: comment.html_url } }],
+                },
+              ],
+            },
+          ],
+        },
+        properties: [
+          {
+            key: "github-sync",
+            value: { source: "github", commentId: 5001, commentUrl: comment.html_url },
+          },
+        ],
+      });
+    });
+
+    it("skips comments the sync posted on GitHub", async () => {
+      const { jiraIssue } = linkedPair();
+
+      const commentId = await syncComment.addComment(jiraIssue.key, {
+        id: 5002,
+        body: 'Mirrored\n\n<!-- jira-sync-origin: {"source":"jira","jiraKey":"PROJ-1","commentId":"20001"} -->',
+        user: { login: "github-actions[bot]" },
+      });
+
+      assert.equal(commentId, null);
+      assert.equal(fakes.jira.requestsTo("POST", /\/comment$/).length, 0);
+    });
+
+    it("skips comments by bot accounts whose marker was edited away", async () => {
+      const { jiraIssue } = linkedPair();
+
+      const commentId = await syncComment.addComment(jiraIssue.key, {
+        id: 5004,
+        body: "👤 Assigned in Jira to Ann Lee (edited)",
+        user: { login: "github-actions[bot]", type: "Bot" },
+      });
+
+      assert.equal(commentId, null);
+      assert.equal(fakes.jira.requestsTo("POST", /\/comment$/).length, 0);
+    });
+
+    it("fails when Jira rejects the comment", async () => {
+      const { jiraIssue } = linkedPair();
+      fakes.jira.fail("POST", `/rest/api/3/issue/${jiraIssue.key}/comment`, 403, {
+        errorMessages: ["You do not have permission to comment on this issue."],
+      });
+
+      await assert.rejects(
+        syncComment.addComment(jiraIssue.key, { id: 5003, body: "Hi", user: { login: "hubot" } }),
+        /permission to comment/,
+      );
+    });
+  });
+
+  describe("Jira comment → GitHub", () => {
+    it("posts the comment on the linked issue with an origin marker", async () => {
+      const { issue, jiraIssue } = linkedPair();
+
+      const commentId = await syncComment.addGitHubComment(jiraIssue.key, {
+        id: "20005",
+        author: "Ada Lovelace",
+        body: {
+          type: "doc",
+          version: 1,
+          content: [{ type: "paragraph", content: [{ type: "text", text: "Fixed in 2.1" }] }],
+        },
+        jiraUrl: `${fakes.jira.url}/browse/${jiraIssue.key}`,
+      });
+
+      assert.equal(commentId, 5001);
+      const [request] = fakes.github.requestsTo(
+        "POST",
+        `/repos/octo/app/issues/${issue.number}/comments`,
+      );
+      assert.deepEqual(request.body, {
+        body: [
+          "💬 **Comment from Jira by Ada Lovelace:**",
+          "",
+          "Fixed in 2.1",
+          "",
+          "---",
+          `*Synced from [Jira](${fakes.jira.url}/browse/${jiraIssue.key})*`,
+          "",
+          `<!-- jira-sync-origin: {"source":"jira","jiraKey":"${jiraIssue.key}","commentId":"20005"} -->`,
+        ].join("\n"),
+      });
+    });
+
+    it("posts a comment from a native Jira webhook as markdown", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      fakes.jira.issues.get(jiraIssue.key).comments.push({
+        id: "20001",
+        author: { accountId: "5b10ac8d82e05b22cc7d4ef5", displayName: "Ada Lovelace" },
+        body: {
+          type: "doc",
+          version: 1,
+          content: [
+            {
+              type: "paragraph",
+              content: [
+                { type: "text", text: "Fixed", marks: [{ type: "strong" }] },
+                { type: "text", text: " in " },
+                { type: "text", text: "2.1", marks: [{ type: "code" }] },
+              ],
+            },
+          ],
+        },
+        properties: {},
+      });
+      const payload = JSON.stringify(loadFixture("webhooks/jira-comment-created"));
+
+      const server = webhookServer.createWebhookServer({ jiraSecret: "jira-secret" });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const status = await new Promise((resolve, reject) => {
+          const req = http.request(
+            {
+              port: server.address().port,
+              path: "/jira?secret=jira-secret",
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+            },
+            (res) => res.resume().on("end", () => resolve(res.statusCode)),
+          );
+          req.on("error", reject);
+          req.end(payload);
+        });
+        await server.drain();
+
+        assert.equal(status, 202);
+      } finally {
+        server.close();
+      }
+
+      // The wiki markup of the webhook body is replaced by the comment's ADF
+      const [request] = fakes.github.requestsTo(
+        "POST",
+        `/repos/octo/app/issues/${issue.number}/comments`,
+      );
+      assert.match(request.body.body, /by Ada Lovelace:\*\*\n\n\*\*Fixed\*\* in `2\.1`\n/);
+    });
+
+    it("skips comments the sync posted on Jira", async () => {
+      const { jiraIssue } = linkedPair();
+      fakes.jira.issues.get(jiraIssue.key).comments.push({
+        id: "20006",
+        body: { type: "doc", version: 1, content: [] },
+        properties: { "github-sync": { source: "github", commentId: 5009 } },
+      });
+
+      const commentId = await syncComment.addGitHubComment(jiraIssue.key, {
+        id: "20006",
+        author: "Automation",
+        body: "Mirrored",
+      });
+
+      assert.equal(commentId, null);
+      assert.equal(fakes.github.requestsTo("POST").length, 0);
+    });
+  });
+
+  describe("GitHub edit → Jira", () => {
+    it("sends only the fields that changed", async () => {
+      const fixture = loadFixture("issues/bug-report");
+      const { jiraIssue } = linkedPair(update.buildIssueFields(fixture));
+
+      const changed = await update.updateIssue(jiraIssue.key, {
+        ...fixture,
+        title: "Reels upload fails with 502",
+      });
+
+      assert.deepEqual(changed, ["summary"]);
+      const [request] = fakes.jira.requestsTo("PUT", `/rest/api/3/issue/${jiraIssue.key}`);
+      assert.deepEqual(request.body, {
+        fields: { summary: "[GitHub] Reels upload fails with 502" },
+      });
+    });
+
+    it("does not write when nothing changed", async () => {
+      const fixture = loadFixture("issues/bug-report");
+      const { jiraIssue } = linkedPair(update.buildIssueFields(fixture));
+
+      assert.deepEqual(await update.updateIssue(jiraIssue.key, fixture), []);
+      assert.equal(fakes.jira.requestsTo("PUT").length, 0);
+    });
+
+    it("ignores the attributes Jira adds to the stored description", async () => {
+      const fixture = loadFixture("issues/bug-report");
+      const fields = update.buildIssueFields(fixture);
+      // As Jira returns it: every node gets a localId
+      const stored = JSON.parse(JSON.stringify(fields.description), (key, value) =>
+        value && value.type && value.type !== "text"
+          ? { ...value, attrs: { ...value.attrs, localId: `${value.type}-1` } }
+          : value,
+      );
+      const { jiraIssue } = linkedPair({ ...fields, description: stored });
+
+      assert.deepEqual(await update.updateIssue(jiraIssue.key, fixture), []);
+      assert.equal(fakes.jira.requestsTo("PUT").length, 0);
+    });
+
+    it("keeps the priority and components set in Jira when no rule maps them", async () => {
+      // No form answers: no priority rule matches and no components are mapped
+      const fixture = { ...loadFixture("issues/bug-report"), body: "Uploads fail." };
+      const { jiraIssue } = linkedPair({
+        ...update.buildIssueFields(fixture),
+        priority: { name: "Low" },
+        components: [{ name: "ALPHA" }],
+      });
+
+      const changed = await update.updateIssue(jiraIssue.key, { ...fixture, title: "Retitled" });
+
+      assert.deepEqual(changed, ["summary"]);
+      assert.deepEqual(fakes.jira.issues.get(jiraIssue.key).fields.priority, { name: "Low" });
+      assert.deepEqual(fakes.jira.issues.get(jiraIssue.key).fields.components, [{ name: "ALPHA" }]);
+    });
+
+    it("drops components the edit screen rejects and sends the rest", async () => {
+      const fixture = loadFixture("issues/bug-report");
+      const fields = update.buildIssueFields(fixture);
+      // Support issues have no components field
+      const { jiraIssue } = linkedPair({
+        ...fields,
+        issuetype: { id: "10004", name: "Support" },
+        components: [],
+      });
+
+      const changed = await update.updateIssue(jiraIssue.key, { ...fixture, title: "Retitled" });
+
+      assert.deepEqual(changed, ["summary"]);
+      const [request] = fakes.jira.requestsTo("PUT", `/rest/api/3/issue/${jiraIssue.key}`);
+      assert.deepEqual(request.body, { fields: { summary: "[GitHub] Retitled" } });
+    });
+
+    it("skips a mapped component that does not exist in Jira", async () => {
+      const fixture = loadFixture("issues/bug-report");
+      const { jiraIssue } = linkedPair(update.buildIssueFields(fixture));
+
+      const changed = await update.updateIssue(jiraIssue.key, {
+        ...fixture,
+        body: fixture.body.replace("REELS", "Billing"),
+      });
+
+      assert.deepEqual(changed, ["description"]);
+      assert.deepEqual(fakes.jira.issues.get(jiraIssue.key).fields.components, [{ name: "REELS" }]);
+    });
+  });
+
+  describe("status", () => {
+    it("transitions the Jira issue when the GitHub issue is closed", async () => {
+      const { issue, jiraIssue } = linkedPair();
+
+      const transition = await syncStatus.syncJiraStatus(jiraIssue.key, {
+        ...issue,
+        state: "closed",
+        state_reason: "completed",
+      });
+
+      assert.equal(transition, "Done");
+      const [request] = fakes.jira.requestsTo(
+        "POST",
+        `/rest/api/3/issue/${jiraIssue.key}/transitions`,
+      );
+      assert.deepEqual(request.body, { transition: { id: "31" } });
+      assert.equal(fakes.jira.issues.get(jiraIssue.key).fields.status.name, "Done");
+    });
+
+    it("does not transition an issue already in the target status", async () => {
+      const { issue, jiraIssue } = linkedPair();
+
+      assert.equal(await syncStatus.syncJiraStatus(jiraIssue.key, issue), null);
+      assert.equal(fakes.jira.requestsTo("POST").length, 0);
+    });
+
+    it("closes the linked GitHub issue when the Jira issue is done", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      jiraIssue.fields.status = STATUSES.Done;
+
+      const applied = await syncStatus.syncGitHubState(jiraIssue.key);
+
+      assert.deepEqual(applied, { state: "closed" });
+      const [request] = fakes.github.requestsTo("PATCH", `/repos/octo/app/issues/${issue.number}`);
+      assert.deepEqual(request.body, { state: "closed" });
+    });
+
+    it("keeps the reason of an issue closed as not planned", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      issue.state = "closed";
+      issue.state_reason = "not_planned";
+
+      // The default map sends "not planned" to Done, and Done back to closed
+      assert.equal(await syncStatus.syncJiraStatus(jiraIssue.key, issue), "Done");
+      assert.equal(await syncStatus.syncGitHubState(jiraIssue.key), null);
+
+      assert.equal(fakes.github.requestsTo("PATCH").length, 0);
+      assert.equal(issue.state_reason, "not_planned");
+    });
+
+    it("fails when no GitHub issue is linked", async () => {
+      const jiraIssue = fakes.jira.addIssue({ issuetype: { id: "10001", name: "Bug Report" } });
+
+      await assert.rejects(syncStatus.syncGitHubState(jiraIssue.key), /No GitHub issue is linked/);
+    });
+  });
+
+  describe("labels", () => {
+    it("mirrors GitHub labels to Jira, keeping labels set only in Jira", async () => {
+      const { issue, jiraIssue } = linkedPair({ labels: ["Bug-Report", "customer-42"] });
+      const settings = { ...syncLabels.DEFAULT_LABEL_SYNC, deny: ["customer-*"] };
+
+      const applied = await syncLabels.syncJiraLabels(
+        jiraIssue.key,
+        { ...issue, labels: [{ name: "Bug Report" }, { name: "needs triage" }] },
+        settings,
+      );
+
+      assert.deepEqual(applied, { labels: ["customer-42", "Bug-Report", "needs-triage"] });
+      const [request] = fakes.jira.requestsTo("PUT", `/rest/api/3/issue/${jiraIssue.key}`);
+      assert.deepEqual(request.body, {
+        fields: { labels: ["customer-42", "Bug-Report", "needs-triage"] },
+      });
+    });
+
+    it("does not write when the Jira labels already match", async () => {
+      const { issue, jiraIssue } = linkedPair({ labels: ["Bug-Report"] });
+
+      assert.equal(await syncLabels.syncJiraLabels(jiraIssue.key, issue), null);
+      assert.equal(fakes.jira.requestsTo("PUT").length, 0);
+    });
+
+    it("maps Jira labels back to the repository's GitHub labels", async () => {
+      const { issue, jiraIssue } = linkedPair({ labels: ["Bug-Report", "good-first-issue"] });
+      fakes.github.labels.push({ name: "good first issue" }, { name: "Bug Report" });
+
+      const applied = await syncLabels.syncGitHubLabels(jiraIssue.key);
+
+      assert.deepEqual(applied, { labels: ["Bug Report", "good first issue"] });
+      const [request] = fakes.github.requestsTo("PATCH", `/repos/octo/app/issues/${issue.number}`);
+      assert.deepEqual(request.body, { labels: ["Bug Report", "good first issue"] });
+    });
+
+    it("does not write when the GitHub labels already match", async () => {
+      const { jiraIssue } = linkedPair({ labels: ["Bug-Report"] });
+
+      assert.equal(await syncLabels.syncGitHubLabels(jiraIssue.key), null);
+      assert.equal(fakes.github.requestsTo("PATCH").length, 0);
+    });
+  });
+
+  describe("assignees", () => {
+    const noteUnmapped = {
+      toJira: { unmapped: "comment" },
+      toGitHub: { unmapped: "comment" },
+    };
+
+    it("keeps one GitHub note for an unmapped Jira assignee", async () => {
+      const { issue, jiraIssue } = linkedPair({
+        assignee: { accountId: "5b10a2844c20165700ede21g", displayName: "Ann Lee" },
+      });
+      const notes = () => fakes.github.comments.get(issue.number);
+
+      await syncAssignee.syncGitHubAssignees(jiraIssue.key, noteUnmapped);
+      const repeated = await syncAssignee.syncGitHubAssignees(jiraIssue.key, noteUnmapped);
+
+      assert.equal(repeated, null);
+      assert.equal(notes().length, 1);
+      assert.match(notes()[0].body, /^👤 Assigned in Jira to Ann Lee, who/);
+
+      fakes.jira.issues.get(jiraIssue.key).fields.assignee = {
+        accountId: "5b10a2844c20165700ede21h",
+        displayName: "Bo Chen",
+      };
+      await syncAssignee.syncGitHubAssignees(jiraIssue.key, noteUnmapped);
+
+      assert.equal(notes().length, 1);
+      assert.match(notes()[0].body, /^👤 Assigned in Jira to Bo Chen, who/);
+    });
+
+    it("keeps one Jira note for an unmapped GitHub assignee", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      const assigned = (login) => ({ ...issue, assignees: [{ login }] });
+
+      await syncAssignee.syncJiraAssignee(jiraIssue.key, assigned("stranger"), noteUnmapped);
+      const repeated = await syncAssignee.syncJiraAssignee(
+        jiraIssue.key,
+        assigned("stranger"),
+        noteUnmapped,
+      );
+      await syncAssignee.syncJiraAssignee(jiraIssue.key, assigned("newcomer"), noteUnmapped);
+
+      assert.equal(repeated, null);
+      const { comments } = fakes.jira.issues.get(jiraIssue.key);
+      assert.equal(comments.length, 1);
+      assert.equal(
+        comments[0].body.content[0].content[0].text,
+        "Assigned on GitHub to @newcomer, who has no mapped Jira account.",
+      );
+    });
+  });
+
+  describe("task lists", () => {
+    const body =
+      "### Acceptance Criteria\n\n- [ ] One CSV per workspace\n- [ ] Includes archived reports";
+    const subtaskSettings = { mode: "subtasks", subtaskIssueType: "Sub-task" };
+    const states = (description) =>
+      taskLists.findTaskItems(description).map((item) => item.attrs.state);
+
+    it("keeps items checked in Jira when another item is checked on GitHub", async () => {
+      const fixture = { ...loadFixture("issues/bug-report"), body };
+      const { jiraIssue } = linkedPair(update.buildIssueFields(fixture));
+      taskLists.findTaskItems(jiraIssue.fields.description)[1].attrs.state = "DONE";
+
+      const changed = await update.updateIssue(
+        jiraIssue.key,
+        { ...fixture, body: body.replace("- [ ] One", "- [x] One") },
+        { previousBody: body },
+      );
+
+      assert.deepEqual(changed, ["description"]);
+      const [request] = fakes.jira.requestsTo("PUT", `/rest/api/3/issue/${jiraIssue.key}`);
+      assert.deepEqual(states(request.body.fields.description), ["DONE", "DONE"]);
+    });
+
+    it("uses the GitHub state of every item without the previous body", async () => {
+      const fixture = { ...loadFixture("issues/bug-report"), body };
+      const { jiraIssue } = linkedPair(update.buildIssueFields(fixture));
+      taskLists.findTaskItems(jiraIssue.fields.description)[1].attrs.state = "DONE";
+
+      await update.updateIssue(jiraIssue.key, fixture);
+
+      assert.deepEqual(states(fakes.jira.issues.get(jiraIssue.key).fields.description), [
+        "TODO",
+        "TODO",
+      ]);
+    });
+
+    it("creates a sub-task per item and moves checked ones to Done", async () => {
+      const { jiraIssue } = linkedPair();
+
+      const result = await taskLists.syncSubtasks(
+        jiraIssue.key,
+        { body: body.replace("- [ ] Includes", "- [x] Includes") },
+        { settings: subtaskSettings },
+      );
+
+      assert.deepEqual(result, { created: ["PROJ-2", "PROJ-3"], transitioned: ["PROJ-3"] });
+      const [request] = fakes.jira.requestsTo("POST", "/rest/api/3/issue");
+      assert.deepEqual(request.body, {
+        fields: {
+          project: { key: "PROJ" },
+          parent: { key: jiraIssue.key },
+          issuetype: { name: "Sub-task" },
+          summary: "One CSV per workspace",
+        },
+      });
+      assert.equal(fakes.jira.issues.get("PROJ-3").fields.status.name, "Done");
+    });
+
+    it("moves only the sub-tasks whose checkbox changed on GitHub", async () => {
+      const { jiraIssue } = linkedPair();
+      const subtask = (summary, status) =>
+        fakes.jira.addIssue({
+          summary,
+          status,
+          parent: { key: jiraIssue.key },
+          issuetype: { id: "10005", name: "Sub-task" },
+        });
+      subtask("One CSV per workspace", STATUSES["To Do"]);
+      subtask("Includes archived reports", STATUSES.Done);
+
+      const result = await taskLists.syncSubtasks(
+        jiraIssue.key,
+        { body: body.replace("- [ ] One", "- [x] One") },
+        { previousBody: body, settings: subtaskSettings },
+      );
+
+      assert.deepEqual(result, { created: [], transitioned: ["PROJ-2"] });
+      assert.equal(fakes.jira.issues.get("PROJ-3").fields.status.name, "Done");
+    });
+
+    it("does nothing outside subtasks mode", async () => {
+      const { jiraIssue } = linkedPair();
+
+      assert.equal(await taskLists.syncSubtasks(jiraIssue.key, { body }), null);
+      assert.equal(fakes.jira.requestsTo("POST").length, 0);
+    });
+  });
+
+  describe("milestones", () => {
+    const milestone = {
+      title: "v2.0",
+      description: "Reporting overhaul",
+      html_url: "https://github.com/octo/app/milestone/3",
+      due_on: "2026-12-01T08:00:00Z",
+    };
+    const settingsFor = (target, overrides = {}) => ({
+      ...syncMilestone.DEFAULT_MILESTONE_SYNC,
+      target,
+      ...overrides,
+    });
+
+    it("creates the missing version and adds it to the fix versions", async () => {
+      const { jiraIssue } = linkedPair();
+
+      const applied = await syncMilestone.syncJiraMilestone(
+        jiraIssue.key,
+        { milestone },
+        { settings: settingsFor("fixVersions") },
+      );
+
+      assert.deepEqual(applied, { target: "fixVersions", name: "v2.0" });
+      const [created] = fakes.jira.requestsTo("POST", "/rest/api/3/version");
+      assert.deepEqual(created.body, {
+        name: "v2.0",
+        projectId: "10000",
+        description: "GitHub milestone: https://github.com/octo/app/milestone/3",
+        releaseDate: "2026-12-01",
+      });
+      assert.deepEqual(
+        fakes.jira.issues.get(jiraIssue.key).fields.fixVersions.map((version) => version.name),
+        ["v2.0"],
+      );
+    });
+
+    it("removes only the previous milestone's version when the milestone is removed", async () => {
+      fakes.jira.versions.push({ id: "1", name: "v2.0" }, { id: "2", name: "hotfix" });
+      const { jiraIssue } = linkedPair({ fixVersions: [...fakes.jira.versions] });
+
+      const applied = await syncMilestone.syncJiraMilestone(
+        jiraIssue.key,
+        { milestone: null },
+        { previous: milestone, settings: settingsFor("fixVersions") },
+      );
+
+      assert.deepEqual(applied, { target: "fixVersions", name: null });
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/version").length, 0);
+      assert.deepEqual(
+        fakes.jira.issues.get(jiraIssue.key).fields.fixVersions.map((version) => version.name),
+        ["hotfix"],
+      );
+    });
+
+    it("creates the epic once and sets it as the parent", async () => {
+      const { jiraIssue } = linkedPair();
+      const settings = settingsFor("parent");
+
+      await syncMilestone.syncJiraMilestone(jiraIssue.key, { milestone }, { settings });
+      const again = await syncMilestone.syncJiraMilestone(
+        jiraIssue.key,
+        { milestone },
+        { settings },
+      );
+
+      assert.equal(again, null);
+      const [created] = fakes.jira.requestsTo("POST", "/rest/api/3/issue");
+      assert.deepEqual(created.body.fields.issuetype, { name: "Epic" });
+      assert.equal(created.body.fields.summary, "v2.0");
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issue").length, 1);
+      assert.deepEqual(fakes.jira.issues.get(jiraIssue.key).fields.parent, { key: "PROJ-2" });
+    });
+
+    it("moves the issue to the milestone's sprint and back to the backlog", async () => {
+      const { jiraIssue } = linkedPair();
+      const settings = settingsFor("sprint", { boardId: 7, names: { "v2.0": "Sprint v2" } });
+
+      await syncMilestone.syncJiraMilestone(jiraIssue.key, { milestone }, { settings });
+      assert.equal(fakes.jira.issues.get(jiraIssue.key).fields.sprint.name, "Sprint v2");
+      assert.deepEqual(fakes.jira.requestsTo("POST", "/rest/agile/1.0/sprint")[0].body, {
+        name: "Sprint v2",
+        originBoardId: 7,
+      });
+
+      await syncMilestone.syncJiraMilestone(
+        jiraIssue.key,
+        { milestone: null },
+        { previous: milestone, settings },
+      );
+      assert.equal(fakes.jira.issues.get(jiraIssue.key).fields.sprint, null);
+    });
+
+    it("skips a missing version when creating is turned off", async () => {
+      const { jiraIssue } = linkedPair();
+
+      const applied = await syncMilestone.syncJiraMilestone(
+        jiraIssue.key,
+        { milestone },
+        { settings: settingsFor("fixVersions", { create: false }) },
+      );
+
+      assert.equal(applied, null);
+      assert.equal(fakes.jira.requestsTo("POST").length, 0);
+      assert.equal(fakes.jira.requestsTo("PUT").length, 0);
+    });
+  });
+
+  describe("issue links", () => {
+    /**
+     * Adds a GitHub issue synced to its own Jira issue
+     * @param {number} number - GitHub issue number
+     * @returns {object} - Jira issue
+     */
+    const syncedIssue = (number) => {
+      const jiraIssue = fakes.jira.addIssue({
+        summary: `Issue ${number}`,
+        issuetype: { id: "10001", name: "Bug Report" },
+      });
+      fakes.github.addIssue({
+        ...loadFixture("issues/bug-report"),
+        number,
+        html_url: `https://github.com/octo/app/issues/${number}`,
+        body: `Details\n\n<!-- jira-sync: {"jiraKey":"${jiraIssue.key}"} -->`,
+      });
+      return jiraIssue;
+    };
+
+    it("creates the link type of the phrase in front of each reference", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      const blocker = syncedIssue(12);
+      const original = syncedIssue(45);
+
+      const created = await issueLinks.syncIssueLinks(jiraIssue.key, {
+        ...issue,
+        body: "Blocked by #12.\n\nDuplicate of https://github.com/octo/app/issues/45",
+      });
+
+      assert.deepEqual(created, [
+        { key: blocker.key, linkType: "Blocks", direction: "inward" },
+        { key: original.key, linkType: "Duplicate", direction: "outward" },
+      ]);
+      assert.deepEqual(
+        fakes.jira.requestsTo("POST", "/rest/api/3/issueLink").map((request) => request.body),
+        [
+          {
+            type: { name: "Blocks" },
+            inwardIssue: { key: blocker.key },
+            outwardIssue: { key: jiraIssue.key },
+          },
+          {
+            type: { name: "Duplicate" },
+            inwardIssue: { key: jiraIssue.key },
+            outwardIssue: { key: original.key },
+          },
+        ],
+      );
+    });
+
+    it("relates bare references once, skipping unsynced issues and the issue itself", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      const related = syncedIssue(12);
+      const comment = `See #12, #${issue.number} and #999 (\`#13\` is only an example)`;
+
+      const created = await issueLinks.syncIssueLinks(jiraIssue.key, issue, { text: comment });
+      const again = await issueLinks.syncIssueLinks(jiraIssue.key, issue, { text: comment });
+
+      assert.deepEqual(created, [{ key: related.key, linkType: "Relates", direction: "outward" }]);
+      assert.deepEqual(again, []);
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issueLink").length, 1);
+    });
+
+    it("does not add a Relates link to issues that are already linked", async () => {
+      const { issue, jiraIssue } = linkedPair();
+      syncedIssue(12);
+      await issueLinks.syncIssueLinks(jiraIssue.key, { ...issue, body: "Blocked by #12" });
+
+      const created = await issueLinks.syncIssueLinks(jiraIssue.key, issue, {
+        text: "Still waiting on #12",
+      });
+
+      assert.deepEqual(created, []);
+      assert.equal(fakes.jira.requestsTo("POST", "/rest/api/3/issueLink").length, 1);
+    });
+  });
+
+  describe("GitHub rate limits", () => {
+    it("retries after a secondary rate limit", async () => {
+      fakes.github.addIssue(loadFixture("issues/bug-report"));
+      fakes.github.rateLimit("GET", "/repos/octo/app/issues/101", { retryAfter: 0 });
+
+      const issue = await github.getIssue(101);
+
+      assert.equal(issue.number, 101);
+      assert.equal(fakes.github.requestsTo("GET", "/repos/octo/app/issues/101").length, 2);
+    });
+
+    it("waits for the primary rate limit to reset", async () => {
+      fakes.github.addIssue(loadFixture("issues/bug-report"));
+      fakes.github.rateLimit("GET", "/repos/octo/app/issues/101/comments");
+
+      assert.deepEqual(await github.listIssueComments(101), []);
+      assert.equal(fakes.github.requestsTo("GET", /\/comments$/).length, 2);
+    });
+
+    it("gives up after repeated rate limits", async () => {
+      fakes.github.addIssue(loadFixture("issues/bug-report"));
+      fakes.github.fail(
+        "GET",
+        "/repos/octo/app/issues/101",
+        429,
+        { message: "You have exceeded a secondary rate limit." },
+        { headers: { "retry-after": "0" }, times: 4 },
+      );
+
+      await assert.rejects(github.getIssue(101), (error) => error.response.status === 429);
+      assert.equal(fakes.github.requestsTo("GET").length, 4);
+    });
+  });
+});
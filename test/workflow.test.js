@@ -0,0 +1,129 @@
+/**
+ * The CLI scripts as the jira-sync workflow runs them: arguments, the event
+ * payload in GITHUB_EVENT_PATH, step outputs written to GITHUB_OUTPUT and
+ * the exit code that fails the step.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture, startFakes } = require("./helpers");
+
+describe("workflow steps", () => {
+  let fakes;
+
+  before(async () => {
+    fakes = await startFakes();
+  });
+  after(() => fakes.stop());
+  beforeEach(() => fakes.reset());
+
+  /**
+   * Runs the "Create Jira issue" step for a fixture issue
+   * @param {object} issue - GitHub issue
+   * @param {object} env - Environment overrides
+   * @param {object} config - label-mapping.json overrides
+   * @returns {Promise<object>} - runScript() result
+   */
+  const createStep = (issue, env, config) =>
+    fakes.runScript(
+      "create.js",
+      [
+        issue.labels.length > 0 ? issue.labels[0].name : "Task",
+        `[GitHub] ${issue.title}`,
+        issue.body,
+        issue.html_url,
+        issue.user.login,
+        issue.created_at,
+        JSON.stringify(issue.labels.map((label) => label.name)),
+      ],
+      { env, config },
+    );
+
+  it("maps the issue labels to a Jira issue type", async () => {
+    const { code, outputs } = await fakes.runScript("map-issue-type.js", ['["Feature Request"]']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(outputs, { "jira-issue-type": "Platform New Feature" });
+  });
+
+  it("creates the Jira issue and outputs its key and URL", async () => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+
+    const { code, outputs } = await createStep(issue);
+
+    assert.equal(code, 0);
+    assert.deepEqual(outputs, {
+      "jira-key": "PROJ-1",
+      "jira-url": `${fakes.jira.url}/browse/PROJ-1`,
+    });
+    assert.equal(fakes.jira.issues.get("PROJ-1").fields.summary, `[GitHub] ${issue.title}`);
+  });
+
+  it("creates the issue type of a template override", async () => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+
+    const { code } = await createStep(issue, undefined, {
+      templates: { "bug-report": { issueType: "Improvement" } },
+    });
+
+    assert.equal(code, 0);
+    const [request] = fakes.jira.requestsTo("POST", "/rest/api/3/issue");
+    assert.deepEqual(request.body.fields.issuetype, { name: "Improvement" });
+  });
+
+  it("finds the linked Jira issue for later events", async () => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+    await createStep(issue);
+
+    const { code, outputs } = await fakes.runScript("link-store.js", ["get", String(issue.number)]);
+
+    assert.equal(code, 0);
+    assert.equal(outputs["jira-key"], "PROJ-1");
+  });
+
+  it("syncs a new GitHub comment from the event payload", async () => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+    fakes.jira.addIssue({ summary: `[GitHub] ${issue.title}` });
+    const event = {
+      action: "created",
+      issue,
+      comment: {
+        id: 5001,
+        body: "Still happening on `main`.",
+        user: { login: "hubot" },
+        html_url: `${issue.html_url}#issuecomment-5001`,
+      },
+    };
+
+    const { code, outputs } = await fakes.runScript("sync-comment.js", ["PROJ-1"], { event });
+
+    assert.equal(code, 0);
+    assert.deepEqual(outputs, { "jira-comment-id": "20001" });
+    assert.equal(fakes.jira.issues.get("PROJ-1").comments.length, 1);
+  });
+
+  it("fails the step when Jira credentials are missing", async () => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+
+    const { code, stderr, outputs } = await createStep(issue, { JIRA_API_TOKEN: undefined });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /- JIRA_API_TOKEN/);
+    assert.deepEqual(outputs, {});
+    assert.equal(fakes.jira.requests.length, 0);
+  });
+
+  it("fails the step when Jira rejects the issue", async () => {
+    const issue = fakes.github.addIssue(loadFixture("issues/bug-report"));
+    fakes.jira.fail("POST", "/rest/api/3/issue", 400, {
+      errorMessages: [],
+      errors: { components: "Component name 'REELS' is not valid" },
+    });
+
+    const { code, stderr, outputs } = await createStep(issue);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Failed to create Jira issue/);
+    assert.deepEqual(outputs, {});
+  });
+});
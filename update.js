@@ -0,0 +1,238 @@
+const fs = require("fs");
+const { createGitHubIssueADF } = require("./create");
+const { adfToMarkdown } = require("./adf-utils");
+const { mapGitHubIssueToJiraFields } = require("./map-issue-type");
+const { JiraClient } = require("./jira-client");
+const { fetchEditMeta, applyEditMeta } = require("./jira-metadata");
+const { syncAttachments } = require("./attachments");
+const { createUserMapper } = require("./user-mapping");
+const { changedTasks, keepTaskStates, previousBodyOf, syncSubtasks } = require("./task-lists");
+
+const jira = JiraClient.fromEnv();
+
+/**
+ * Serializes a value with object keys sorted, so structurally equal values compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Builds the Jira fields a GitHub issue maps to
+ * @param {object} githubIssue - GitHub issue ({title, body, html_url, user, created_at, labels})
+ * @param {string|object} author - Author login, or the user resolved by createUserMapper().resolve()
+ * @returns {object} - Jira fields: summary, description, and priority and components when the
+ *   mapping rules set them
+ */
+function buildIssueFields(githubIssue, author = githubIssue.user && githubIssue.user.login) {
+  const mapping = mapGitHubIssueToJiraFields(githubIssue);
+  const fields = {
+    summary: `[GitHub] ${githubIssue.title}`,
+    description: createGitHubIssueADF(
+      githubIssue.html_url,
+      author,
+      githubIssue.created_at,
+      githubIssue.body,
+      mapping,
+    ),
+  };
+
+  // Only what the rules picked: the default priority or an empty component list would
+  // overwrite a priority or components set by hand in Jira
+  if (mapping.priorityMatched) {
+    fields.priority = { name: mapping.priority };
+  }
+  if (mapping.components.length > 0) {
+    fields.components = mapping.components.map((component) => ({ name: component }));
+  }
+  return fields;
+}
+
+/**
+ * Builds the Jira fields a GitHub issue maps to as they are sent to Jira:
+ * mapped users become mentions and attachment links point at the Jira copies
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} githubIssue - GitHub issue ({title, body, html_url, user, created_at, labels})
+ * @param {object} options - `upload: false` only reuses attachments already on the issue
+ * @returns {Promise<object>} - Jira fields: summary, description, priority, components
+ */
+async function resolveIssueFields(jiraKey, githubIssue, options = {}) {
+  // Keep the author and @mentions as Jira mentions, as on creation
+  const users = createUserMapper({ jira });
+  const desired = buildIssueFields(
+    githubIssue,
+    await users.resolve(githubIssue.user && githubIssue.user.login),
+  );
+  desired.description = await users.mentionsToADF(desired.description);
+
+  // Point attachment links at the Jira copies (uploading new ones), as on creation
+  desired.description = (
+    await syncAttachments(jiraKey, desired.description, { jira, upload: options.upload })
+  ).doc;
+  return desired;
+}
+
+/**
+ * Returns the fields whose desired value differs from the current Jira value
+ * @param {object} desired - Fields from buildIssueFields()
+ * @param {object} current - Current Jira issue fields
+ * @returns {object} - Changed fields only
+ */
+function diffIssueFields(desired, current) {
+  const changed = {};
+
+  if (desired.summary !== current.summary) {
+    changed.summary = desired.summary;
+  }
+
+  // Jira adds attributes of its own to stored documents (localIds, mention access levels,
+  // media file details), so descriptions are compared by what they render to
+  if (adfToMarkdown(desired.description) !== adfToMarkdown(current.description)) {
+    changed.description = desired.description;
+  }
+
+  const currentPriority = current.priority ? current.priority.name : null;
+  if (desired.priority && desired.priority.name !== currentPriority) {
+    changed.priority = desired.priority;
+  }
+
+  const names = (components) => (components || []).map((component) => component.name).sort();
+  if (
+    desired.components &&
+    canonicalJSON(names(desired.components)) !== canonicalJSON(names(current.components))
+  ) {
+    changed.components = desired.components;
+  }
+
+  return changed;
+}
+
+/**
+ * Drops the changed fields the issue's edit screen would reject (an unknown component, a
+ * priority the scheme does not have), so they do not fail the rest of the edit
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} changed - Fields from diffIssueFields()
+ * @returns {Promise<object>} - Fields to send; unreachable metadata only logs a warning
+ */
+async function checkEditMeta(jiraKey, changed) {
+  if (Object.keys(changed).length === 0) {
+    return changed;
+  }
+
+  let meta;
+  try {
+    meta = await fetchEditMeta(jiraKey, jira);
+  } catch (error) {
+    console.warn(`⚠️  Skipped edit metadata check: ${error.message}`);
+    return changed;
+  }
+
+  const { fields, warnings } = applyEditMeta(changed, meta);
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+  return fields;
+}
+
+/**
+ * Updates a Jira issue from an edited GitHub issue, sending only changed fields
+ * @param {string} jiraKey - Jira issue key
+ * @param {object} githubIssue - GitHub issue ({title, body, html_url, user, created_at, labels})
+ * @param {object} options - `previousBody` (the body before the edit) keeps the Jira
+ *   state of task list items whose checkbox did not change on GitHub
+ * @returns {Promise<string[]>} - Names of the fields that were updated
+ */
+async function updateIssue(jiraKey, githubIssue, options = {}) {
+  try {
+    const desired = await resolveIssueFields(jiraKey, githubIssue);
+    const current = await jira.get(jira.api(`/issue/${jiraKey}`), {
+      fields: Object.keys(desired).join(","),
+    });
+    desired.description = keepTaskStates(
+      desired.description,
+      current.fields && current.fields.description,
+      changedTasks(options.previousBody, githubIssue.body),
+    );
+
+    const changed = await checkEditMeta(jiraKey, diffIssueFields(desired, current.fields || {}));
+    const changedNames = Object.keys(changed);
+
+    if (changedNames.length === 0) {
+      return changedNames;
+    }
+
+    await jira.put(jira.api(`/issue/${jiraKey}`), { fields: changed });
+    return changedNames;
+  } catch (error) {
+    console.error(`Error updating Jira issue ${jiraKey}:`);
+    console.error(error.message);
+    throw error;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 1) {
+    console.error("Usage: node update.js <jiraKey> [eventPath]");
+    console.error("Reads the GitHub issue from the issues event payload (GITHUB_EVENT_PATH)");
+    console.error("Example: node update.js 'PROJ-123' ./issue-edited-event.json");
+    process.exit(1);
+  }
+
+  const [jiraKey, eventPath = process.env.GITHUB_EVENT_PATH] = args;
+
+  // Validate required environment variables
+  const missingEnv = JiraClient.missingEnv();
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  // Update issue
+  (async () => {
+    try {
+      const event = JSON.parse(fs.readFileSync(eventPath, "utf8"));
+      if (!event.issue) {
+        throw new Error(`No issue found in event payload ${eventPath}`);
+      }
+
+      const previousBody = previousBodyOf(event);
+      const updatedFields = await updateIssue(jiraKey, event.issue, { previousBody });
+      if (updatedFields.length > 0) {
+        console.log(`✅ Updated ${updatedFields.join(", ")} on Jira ticket: ${jiraKey}`);
+      } else {
+        console.log(`ℹ️  Jira ticket ${jiraKey} is already up to date`);
+      }
+
+      // Task list items become sub-tasks in "subtasks" mode
+      const subtasks = await syncSubtasks(jiraKey, event.issue, { previousBody });
+      if (subtasks && subtasks.created.length + subtasks.transitioned.length > 0) {
+        console.log(
+          `☑️  Sub-tasks: created [${subtasks.created.join(", ")}], moved [${subtasks.transitioned.join(", ")}]`,
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Failed to update Jira ticket: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  updateIssue,
+  buildIssueFields,
+  resolveIssueFields,
+  diffIssueFields,
+};
@@ -0,0 +1,497 @@
+/**
+ * GitHub Login ↔ Jira Account Mapping
+ *
+ * Maps GitHub logins to Jira accounts using `userMapping.users` in
+ * label-mapping.json. An entry is a Jira accountId, an email address, or an
+ * object with either (plus an optional displayName). Email addresses are
+ * resolved to an accountId with Jira's user search; with `lookupByEmail`, a
+ * login without an entry is resolved through the public email on its GitHub
+ * profile.
+ *
+ * The mapping is used to set the reporter and assignee of created issues,
+ * turn `@login` mentions into Jira mention nodes and turn Jira mentions back
+ * into `@login` on the way to GitHub. Logins that cannot be resolved stay
+ * plain text, and lookup failures are only logged.
+ */
+
+const fs = require("fs");
+const github = require("./github-api");
+const { JiraClient } = require("./jira-client");
+
+const DEFAULT_USER_MAPPING = {
+  users: {},
+  lookupByEmail: false,
+  setReporter: true,
+  setAssignee: true,
+};
+
+// GitHub logins: alphanumerics and single inner hyphens, up to 39 characters.
+// A mention must not follow a word character (emails) and must not be a team (@org/team).
+const GITHUB_MENTION_RE =
+  /(^|[^\w`@/])@([A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38})(?![\w/-])/g;
+
+// Mentions in Jira wiki markup, as sent by automation rules using {{comment.body}}
+const JIRA_WIKI_MENTION_RE = /\[~accountid:([^\]\s]+)\]/g;
+
+/**
+ * Normalizes a `users` entry
+ * @param {string|object} value - accountId, email, or {accountId, email, displayName}
+ * @returns {object} - {accountId, email, displayName}
+ */
+function normalizeUserEntry(value) {
+  if (typeof value === "string") {
+    return value.includes("@") ? { email: value } : { accountId: value };
+  }
+  return {
+    accountId: (value && value.accountId) || undefined,
+    email: (value && value.email) || undefined,
+    displayName: (value && value.displayName) || undefined,
+  };
+}
+
+/**
+ * Loads the user mapping from the mapping configuration
+ * @param {string} configPath - Path to the mapping configuration file
+ * @returns {object} - {users (keyed by lowercase login), lookupByEmail, setReporter, setAssignee}
+ */
+function loadUserMapping(configPath = "./label-mapping.json") {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.error("❌ Error reading mapping configuration:", error.message);
+    console.log("ℹ️  Falling back to the default user mapping");
+  }
+
+  const mapping = { ...DEFAULT_USER_MAPPING, ...config.userMapping };
+  const users = {};
+  Object.entries(mapping.users || {}).forEach(([login, value]) => {
+    users[login.toLowerCase()] = normalizeUserEntry(value);
+  });
+  return { ...mapping, users };
+}
+
+/**
+ * Builds the inline ADF for a user: a mention when the user has a Jira
+ * account, otherwise the login as text
+ * @param {object|string} user - Resolved user ({login, accountId, displayName}) or login
+ * @returns {Array} - ADF inline nodes
+ */
+function userToADF(user) {
+  if (user && typeof user === "object" && user.accountId) {
+    return [
+      {
+        type: "mention",
+        attrs: { id: user.accountId, text: `@${user.displayName || user.login}` },
+      },
+    ];
+  }
+  const login = user && typeof user === "object" ? user.login : user;
+  return [{ type: "text", text: String(login) }];
+}
+
+/**
+ * Collects the `@login` mentions in the text of an ADF document, skipping
+ * code and links
+ * @param {object} doc - ADF document
+ * @returns {string[]} - Unique logins in document order
+ */
+function findGitHubMentions(doc) {
+  const logins = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object" || node.type === "codeBlock") {
+      return;
+    }
+    if (node.type === "text" && !hasLiteralMark(node)) {
+      for (const match of node.text.matchAll(GITHUB_MENTION_RE)) {
+        logins.push(match[2]);
+      }
+    }
+    (node.content || []).forEach(visit);
+  };
+  visit(doc);
+  return [...new Set(logins)];
+}
+
+/**
+ * Checks whether a text node is code or a link, where mentions are left alone
+ * @param {object} node - ADF text node
+ * @returns {boolean} - Whether the text must not be rewritten
+ */
+function hasLiteralMark(node) {
+  return (node.marks || []).some((mark) => mark.type === "code" || mark.type === "link");
+}
+
+/**
+ * Replaces `@login` text with Jira mention nodes for the resolved users
+ * @param {object} doc - ADF document
+ * @param {Map<string, object>} users - Resolved users by lowercase login
+ * @returns {object} - Rewritten ADF document
+ */
+function replaceGitHubMentions(doc, users) {
+  const splitText = (node) => {
+    const nodes = [];
+    let last = 0;
+    for (const match of node.text.matchAll(GITHUB_MENTION_RE)) {
+      const user = users.get(match[2].toLowerCase());
+      if (!user || !user.accountId) {
+        continue;
+      }
+      const start = match.index + match[1].length;
+      if (start > last) {
+        nodes.push({ ...node, text: node.text.slice(last, start) });
+      }
+      nodes.push(...userToADF(user));
+      last = start + match[2].length + 1;
+    }
+    if (last === 0) {
+      return [node];
+    }
+    if (last < node.text.length) {
+      nodes.push({ ...node, text: node.text.slice(last) });
+    }
+    return nodes;
+  };
+
+  const rewrite = (node) => {
+    if (!node || typeof node !== "object" || node.type === "codeBlock") {
+      return node;
+    }
+    if (!Array.isArray(node.content)) {
+      return node;
+    }
+    return {
+      ...node,
+      content: node.content.flatMap((child) =>
+        child.type === "text" && !hasLiteralMark(child) ? splitText(child) : [rewrite(child)],
+      ),
+    };
+  };
+
+  return rewrite(doc);
+}
+
+/**
+ * Collects the account ids of the Jira mentions in a comment body
+ * @param {object|string} body - ADF document (object or JSON string) or wiki/plain text
+ * @returns {string[]} - Unique account ids
+ */
+function findJiraMentions(body) {
+  const ids = [];
+  const adf = parseADF(body);
+  if (adf) {
+    const visit = (node) => {
+      if (!node || typeof node !== "object") {
+        return;
+      }
+      if (node.type === "mention" && node.attrs && node.attrs.id) {
+        ids.push(node.attrs.id);
+      }
+      (node.content || []).forEach(visit);
+    };
+    visit(adf);
+  } else if (typeof body === "string") {
+    for (const match of body.matchAll(JIRA_WIKI_MENTION_RE)) {
+      ids.push(match[1]);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Replaces Jira mentions of mapped accounts with `@login` text
+ * @param {object|string} body - ADF document (object or JSON string) or wiki/plain text
+ * @param {Map<string, string>} logins - GitHub login by Jira account id
+ * @returns {object|string} - ADF document, or the rewritten text for non-ADF bodies
+ */
+function replaceJiraMentions(body, logins) {
+  const adf = parseADF(body);
+  if (!adf) {
+    return typeof body === "string"
+      ? body.replace(JIRA_WIKI_MENTION_RE, (mention, id) =>
+          logins.has(id) ? `@${logins.get(id)}` : mention,
+        )
+      : body;
+  }
+
+  const rewrite = (node) => {
+    if (!node || typeof node !== "object") {
+      return node;
+    }
+    if (node.type === "mention" && node.attrs && logins.has(node.attrs.id)) {
+      return { type: "text", text: `@${logins.get(node.attrs.id)}` };
+    }
+    return Array.isArray(node.content) ? { ...node, content: node.content.map(rewrite) } : node;
+  };
+  return rewrite(adf);
+}
+
+/**
+ * Parses a comment body that may be an ADF document or a JSON string of one
+ * @param {object|string} body - Comment body
+ * @returns {object|null} - ADF document, or null for plain text
+ */
+function parseADF(body) {
+  let adf = body;
+  if (typeof adf === "string") {
+    try {
+      adf = JSON.parse(adf);
+    } catch (error) {
+      return null;
+    }
+  }
+  return adf && typeof adf === "object" && Array.isArray(adf.content) ? adf : null;
+}
+
+/**
+ * Creates a user mapper. Lookups are cached for the lifetime of the mapper.
+ * @param {object} options - {config, jira, github} overrides
+ * @returns {object} - Mapper with resolve(), toGitHub(), issueUserFields(),
+ *   customUserFields(), mentionsToADF() and mentionsToGitHub()
+ */
+function createUserMapper(options = {}) {
+  const config = options.config || loadUserMapping();
+  const githubApi = options.github || github;
+  let jira = options.jira;
+  const resolved = new Map();
+  const reverse = new Map();
+
+  Object.entries(config.users).forEach(([login, entry]) => {
+    if (entry.accountId) {
+      reverse.set(entry.accountId, login);
+    }
+  });
+
+  const jiraClient = () => {
+    jira = jira || JiraClient.fromEnv();
+    return jira;
+  };
+
+  /**
+   * Finds the Jira account registered with an email address
+   * @param {string} email - Email address
+   * @returns {Promise<object|null>} - {accountId, displayName}
+   */
+  const findJiraAccount = async (email) => {
+    const client = jiraClient();
+    const users = await client.get(client.api("/user/search"), { query: email });
+    const matches = (users || []).filter((user) => user.accountType !== "app");
+    const exact = matches.find(
+      (user) => (user.emailAddress || "").toLowerCase() === email.toLowerCase(),
+    );
+    // Jira hides email addresses by default, so accept a single unambiguous result
+    const account = exact || (matches.length === 1 ? matches[0] : null);
+    return account ? { accountId: account.accountId, displayName: account.displayName } : null;
+  };
+
+  /**
+   * Resolves a GitHub login to its Jira account
+   * @param {string} login - GitHub login
+   * @returns {Promise<object>} - {login, accountId, displayName}; accountId is null if unmapped
+   */
+  const resolve = async (login) => {
+    const key = String(login || "").toLowerCase();
+    if (!key) {
+      return { login, accountId: null };
+    }
+    if (!resolved.has(key)) {
+      resolved.set(
+        key,
+        (async () => {
+          const entry = config.users[key] || {};
+          const user = {
+            login,
+            accountId: entry.accountId || null,
+            displayName: entry.displayName,
+          };
+          if (user.accountId) {
+            return user;
+          }
+
+          try {
+            let email = entry.email;
+            if (!email && config.lookupByEmail) {
+              email = (await githubApi.getUser(login)).email;
+            }
+            const account = email ? await findJiraAccount(email) : null;
+            if (account) {
+              Object.assign(user, account, {
+                displayName: user.displayName || account.displayName,
+              });
+              reverse.set(account.accountId, key);
+            }
+          } catch (error) {
+            console.warn(`⚠️  Could not look up the Jira account of @${login}: ${error.message}`);
+          }
+          return user;
+        })(),
+      );
+    }
+    return resolved.get(key);
+  };
+
+  /**
+   * Maps a Jira account back to a GitHub login
+   * @param {string} accountId - Jira account id
+   * @returns {Promise<string|null>} - GitHub login, or null if unmapped
+   */
+  const toGitHub = async (accountId) => {
+    if (reverse.has(accountId)) {
+      return reverse.get(accountId);
+    }
+
+    // Entries given as email addresses are matched on the Jira account's email
+    const byEmail = Object.entries(config.users).filter(([, entry]) => entry.email);
+    if (byEmail.length === 0) {
+      return null;
+    }
+    try {
+      const client = jiraClient();
+      const account = await client.get(client.api("/user"), { accountId });
+      const email = ((account && account.emailAddress) || "").toLowerCase();
+      const match = byEmail.find(([, entry]) => entry.email.toLowerCase() === email);
+      reverse.set(accountId, match ? match[0] : null);
+    } catch (error) {
+      console.warn(`⚠️  Could not look up Jira account ${accountId}: ${error.message}`);
+      reverse.set(accountId, null);
+    }
+    return reverse.get(accountId);
+  };
+
+  /**
+   * Builds the reporter and assignee fields for a GitHub issue
+   * @param {object} githubIssue - GitHub issue ({user, assignee, assignees})
+   * @returns {Promise<object>} - {reporter, assignee} for mapped users only
+   */
+  const issueUserFields = async (githubIssue) => {
+    const fields = {};
+    if (config.setReporter && githubIssue.user) {
+      const reporter = await resolve(githubIssue.user.login);
+      if (reporter.accountId) {
+        fields.reporter = { id: reporter.accountId };
+      }
+    }
+
+    // Jira has a single assignee: use the first GitHub assignee with a Jira account
+    const assignees = githubIssue.assignees || (githubIssue.assignee ? [githubIssue.assignee] : []);
+    if (config.setAssignee) {
+      for (const assignee of assignees) {
+        const user = await resolve(assignee.login);
+        if (user.accountId) {
+          fields.assignee = { id: user.accountId };
+          break;
+        }
+      }
+    }
+    return fields;
+  };
+
+  /**
+   * Resolves the logins of user picker custom fields to Jira accounts.
+   * Unmapped logins are left out; a field with no mapped login is dropped.
+   * @param {object} userFields - Jira field id → {logins, multiple}, from mapUserFields()
+   * @returns {Promise<object>} - Jira field id → {accountId} or [{accountId}]
+   */
+  const customUserFields = async (userFields = {}) => {
+    const fields = {};
+    for (const [fieldId, { logins, multiple }] of Object.entries(userFields)) {
+      const accounts = [];
+      for (const login of logins) {
+        const user = await resolve(login);
+        if (user.accountId) {
+          accounts.push({ accountId: user.accountId });
+        } else {
+          console.warn(`⚠️  @${login} has no Jira account; leaving it out of ${fieldId}`);
+        }
+      }
+      if (accounts.length > 0) {
+        fields[fieldId] = multiple ? accounts : accounts[0];
+      }
+    }
+    return fields;
+  };
+
+  /**
+   * Turns `@login` mentions of mapped users into Jira mention nodes
+   * @param {object} doc - ADF document
+   * @returns {Promise<object>} - Rewritten ADF document
+   */
+  const mentionsToADF = async (doc) => {
+    const users = new Map();
+    for (const login of findGitHubMentions(doc)) {
+      users.set(login.toLowerCase(), await resolve(login));
+    }
+    return replaceGitHubMentions(doc, users);
+  };
+
+  /**
+   * Turns Jira mentions of mapped accounts into `@login` text
+   * @param {object|string} body - ADF document (object or JSON string) or wiki/plain text
+   * @returns {Promise<object|string>} - Rewritten body
+   */
+  const mentionsToGitHub = async (body) => {
+    const logins = new Map();
+    for (const accountId of findJiraMentions(body)) {
+      const login = await toGitHub(accountId);
+      if (login) {
+        logins.set(accountId, login);
+      }
+    }
+    return replaceJiraMentions(body, logins);
+  };
+
+  return {
+    resolve,
+    toGitHub,
+    issueUserFields,
+    customUserFields,
+    mentionsToADF,
+    mentionsToGitHub,
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [direction, value] = process.argv.slice(2);
+
+  if (!["to-jira", "to-github"].includes(direction) || !value) {
+    console.error("Usage:");
+    console.error(
+      "  node user-mapping.js to-jira <githubLogin>      # GitHub login → Jira account",
+    );
+    console.error(
+      "  node user-mapping.js to-github <jiraAccountId>  # Jira account → GitHub login",
+    );
+    process.exit(1);
+  }
+
+  (async () => {
+    const users = createUserMapper();
+    if (direction === "to-jira") {
+      const user = await users.resolve(value);
+      if (!user.accountId) {
+        console.log(`ℹ️  @${value} is not mapped to a Jira account`);
+        process.exit(1);
+      }
+      console.log(`✅ @${value} → ${user.displayName || "(no display name)"} (${user.accountId})`);
+    } else {
+      const login = await users.toGitHub(value);
+      if (!login) {
+        console.log(`ℹ️  Jira account ${value} is not mapped to a GitHub login`);
+        process.exit(1);
+      }
+      console.log(`✅ ${value} → @${login}`);
+    }
+  })();
+}
+
+module.exports = {
+  DEFAULT_USER_MAPPING,
+  loadUserMapping,
+  userToADF,
+  findGitHubMentions,
+  replaceGitHubMentions,
+  findJiraMentions,
+  replaceJiraMentions,
+  createUserMapper,
+};
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Validates label-mapping.json against label-mapping.schema.json
+ *
+ * Besides the JSON Schema checks, this verifies that regular expressions
+ * compile, that template overrides name existing issue templates, and warns
+ * about rules that reference form field ids no template defines. Every problem
+ * is reported with the exact path of the offending value.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const { loadIssueTemplates } = require("./issue-form-parser");
+
+const SCHEMA_PATH = path.join(__dirname, "label-mapping.schema.json");
+const COMPARISONS = ["equals", "startsWith", "contains", "matches", "oneOf"];
+
+/**
+ * Converts a JSON pointer (`/priorityRules/0/when`) into a readable path
+ * (`priorityRules[0].when`)
+ * @param {string} pointer - JSON pointer from Ajv
+ * @returns {string} Readable path
+ */
+function formatPath(pointer) {
+  const segments = pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  return segments.reduce((result, segment) => {
+    if (/^\d+$/.test(segment)) return `${result}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return result ? `${result}.${segment}` : segment;
+    return `${result}[${JSON.stringify(segment)}]`;
+  }, "");
+}
+
+/**
+ * Turns an Ajv error into a {path, message} problem
+ * @param {object} error - Ajv error object
+ * @returns {object|null} Problem, or null for errors that only repeat others
+ */
+function describeSchemaError(error) {
+  const at = (suffix) => formatPath(`${error.instancePath}/${suffix}`);
+
+  switch (error.keyword) {
+    case "if":
+      // Reported through the failing "then"/"else" branch
+      return null;
+    case "required":
+      return { path: at(error.params.missingProperty), message: "is required" };
+    case "additionalProperties":
+      return { path: at(error.params.additionalProperty), message: "is not a known setting" };
+    case "minLength":
+      return { path: formatPath(error.instancePath), message: "must not be empty" };
+    case "minItems":
+      return { path: formatPath(error.instancePath), message: "must list at least one entry" };
+    case "pattern":
+      if (error.instancePath.endsWith("/customField")) {
+        return {
+          path: formatPath(error.instancePath),
+          message: 'must be a Jira field id such as "customfield_10042" or "labels"',
+        };
+      }
+      return { path: formatPath(error.instancePath), message: error.message };
+    case "enum":
+      return {
+        path: formatPath(error.instancePath),
+        message: `must be one of: ${error.params.allowedValues.join(", ")}`,
+      };
+    default:
+      return { path: formatPath(error.instancePath) || "(root)", message: error.message };
+  }
+}
+
+/**
+ * Collects the form field ids defined by the issue templates
+ * @param {Array<object>} templates - Templates from loadIssueTemplates()
+ * @returns {object} {all: Set<string>, byTemplate: Map<string, Set<string>>}
+ */
+function collectFieldIds(templates) {
+  const all = new Set();
+  const byTemplate = new Map();
+
+  templates.forEach((template) => {
+    const ids = new Set(template.fields.map((field) => field.id));
+    ids.forEach((id) => all.add(id));
+    byTemplate.set(template.file.replace(/\.ya?ml$/, ""), ids);
+  });
+
+  return { all, byTemplate };
+}
+
+/**
+ * Runs checks the JSON Schema cannot express on one set of rules
+ * @param {object} rules - Object holding priorityRules/componentRules/customFieldRules
+ * @param {string} basePath - Path of the rules object ("" for the top level)
+ * @param {Set<string>|null} fieldIds - Known form field ids, or null to skip field checks
+ * @param {object} report - {errors, warnings} arrays to append to
+ */
+function checkRules(rules, basePath, fieldIds, report) {
+  const prefix = basePath ? `${basePath}.` : "";
+
+  const checkField = (fieldId, fieldPath) => {
+    if (fieldIds && fieldId && !fieldIds.has(fieldId)) {
+      report.warnings.push({
+        path: fieldPath,
+        message: `form field "${fieldId}" is not defined by any matching issue template`,
+      });
+    }
+  };
+
+  const checkCondition = (condition, conditionPath) => {
+    if (!condition || typeof condition !== "object") return;
+
+    const used = COMPARISONS.filter((comparison) => comparison in condition);
+    if (used.length > 1) {
+      report.errors.push({
+        path: conditionPath,
+        message: `use only one of ${COMPARISONS.join(", ")} (found ${used.join(", ")})`,
+      });
+    }
+
+    if (typeof condition.matches === "string") {
+      try {
+        new RegExp(condition.matches, "i");
+      } catch (error) {
+        report.errors.push({ path: `${conditionPath}.matches`, message: error.message });
+      }
+    }
+
+    if ((condition.source || "form") === "form") {
+      checkField(condition.field, `${conditionPath}.field`);
+    }
+  };
+
+  (rules.priorityRules || []).forEach((rule, index) => {
+    checkCondition(rule && rule.when, `${prefix}priorityRules[${index}].when`);
+  });
+
+  (rules.componentRules || []).forEach((rule, index) => {
+    if (!rule) return;
+    if (rule.fromField) {
+      checkField(rule.fromField, `${prefix}componentRules[${index}].fromField`);
+    } else {
+      checkCondition(rule.when, `${prefix}componentRules[${index}].when`);
+    }
+  });
+
+  (rules.customFieldRules || []).forEach((rule, index) => {
+    if (rule) checkField(rule.field, `${prefix}customFieldRules[${index}].field`);
+  });
+}
+
+/**
+ * Validates a mapping configuration object
+ * @param {object} config - Parsed label-mapping.json
+ * @param {object} options - Validation options
+ * @param {string} options.templateDir - Directory containing the issue form YAML files
+ * @returns {object} {valid, errors: [{path, message}], warnings: [{path, message}]}
+ */
+function validateConfig(config, options = {}) {
+  const templateDir = options.templateDir || "./.github/ISSUE_TEMPLATE";
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const validate = ajv.compile(schema);
+  const report = { errors: [], warnings: [] };
+
+  if (!validate(config)) {
+    validate.errors
+      .map(describeSchemaError)
+      .filter(Boolean)
+      .forEach((problem) => {
+        const duplicate = report.errors.some(
+          (existing) => existing.path === problem.path && existing.message === problem.message,
+        );
+        if (!duplicate) report.errors.push(problem);
+      });
+  }
+
+  if (config && typeof config === "object") {
+    const templates = loadIssueTemplates(templateDir);
+    const fieldIds = templates.length > 0 ? collectFieldIds(templates) : null;
+
+    checkRules(config, "", fieldIds && fieldIds.all, report);
+
+    Object.entries(config.templates || {}).forEach(([templateId, override]) => {
+      const templatePath = `templates[${JSON.stringify(templateId)}]`;
+      if (fieldIds && !fieldIds.byTemplate.has(templateId)) {
+        report.errors.push({
+          path: templatePath,
+          message: `no issue template "${templateId}" in ${templateDir} (expected one of: ${[
+            ...fieldIds.byTemplate.keys(),
+          ].join(", ")})`,
+        });
+        return;
+      }
+      if (override && typeof override === "object") {
+        checkRules(override, templatePath, fieldIds && fieldIds.byTemplate.get(templateId), report);
+      }
+    });
+  }
+
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Reads and validates a mapping configuration file
+ * @param {string} configPath - Path to the mapping configuration file
+ * @param {object} options - Options passed to validateConfig()
+ * @returns {object} {valid, errors, warnings}
+ */
+function validateConfigFile(configPath = "./label-mapping.json", options = {}) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    return { valid: false, errors: [{ path: "(root)", message: error.message }], warnings: [] };
+  }
+
+  return validateConfig(config, options);
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const configPath = args[0] || "./label-mapping.json";
+  const templateDir = args[1] || "./.github/ISSUE_TEMPLATE";
+
+  console.log(`🔍 Validating ${configPath}...`);
+
+  const result = validateConfigFile(configPath, { templateDir });
+
+  result.warnings.forEach((warning) => {
+    console.warn(`⚠️  ${warning.path}: ${warning.message}`);
+  });
+  result.errors.forEach((error) => {
+    console.error(`❌ ${error.path}: ${error.message}`);
+  });
+
+  if (result.valid) {
+    console.log("✅ Configuration is valid");
+  } else {
+    console.error(`\n❌ ${result.errors.length} problem(s) found in ${configPath}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  validateConfig,
+  validateConfigFile,
+};
@@ -0,0 +1,418 @@
+/**
+ * Webhook Server
+ *
+ * A small HTTP server for running the sync outside GitHub Actions. It accepts
+ * native GitHub webhooks on POST /github and Jira webhooks on POST /jira,
+ * verifies them, normalises the payload into an event and dispatches it to
+ * the same functions the workflow jobs call:
+ *
+ * | Event                              | Function                                                  |
+ * | ---------------------------------- | --------------------------------------------------------- |
+ * | GitHub issue opened                | createIssueFromGitHub() (create.js)                       |
+ * | GitHub issue edited                | updateIssue() (update.js),                                |
+ * |                                    | syncSubtasks() (task-lists.js),                           |
+ * |                                    | syncIssueLinks() (issue-links.js)                         |
+ * | GitHub issue closed / reopened     | syncJiraStatus() (sync-status.js)                         |
+ * | GitHub issue assigned / unassigned | syncJiraAssignee() (sync-assignee.js)                     |
+ * | GitHub issue labeled / unlabeled   | syncJiraLabels() (sync-labels.js)                         |
+ * | GitHub issue (de)milestoned        | syncJiraMilestone() (sync-milestone.js)                   |
+ * | GitHub issue comment created       | addComment() (sync-comment.js),                           |
+ * |                                    | syncIssueLinks() (issue-links.js)                         |
+ * | Jira comment created               | getJiraComment(), addGitHubComment() (sync-comment.js)    |
+ * | Jira issue updated (status change) | syncGitHubState() (sync-status.js)                        |
+ * | Jira issue updated (assignee)      | syncGitHubAssignees() (sync-assignee.js)                  |
+ * | Jira issue updated (labels)        | syncGitHubLabels() (sync-labels.js)                       |
+ *
+ * GitHub requests must carry a valid `X-Hub-Signature-256` for
+ * GITHUB_WEBHOOK_SECRET. Jira requests must carry either an `X-Hub-Signature`
+ * (Jira Cloud webhooks registered with a secret) or a `?secret=` query
+ * parameter matching JIRA_WEBHOOK_SECRET. Events are acknowledged with 202
+ * and processed one at a time in arrival order; a Jira update that changes
+ * several synced fields is dispatched as one event per field.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { createIssueFromGitHub } = require("./create");
+const { updateIssue } = require("./update");
+const { addComment, addGitHubComment, getJiraComment } = require("./sync-comment");
+const { syncJiraStatus, syncGitHubState } = require("./sync-status");
+const { syncJiraAssignee, syncGitHubAssignees } = require("./sync-assignee");
+const { syncJiraLabels, syncGitHubLabels } = require("./sync-labels");
+const { previousBodyOf, syncSubtasks } = require("./task-lists");
+const { syncJiraMilestone } = require("./sync-milestone");
+const { syncIssueLinks } = require("./issue-links");
+const { createLinkStore } = require("./link-store");
+const { JiraClient } = require("./jira-client");
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - Whether both are equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verifies a `sha256=<hex>` HMAC signature header over the raw request body
+ * @param {string} secret - Shared webhook secret
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} header - Signature header value
+ * @returns {boolean} - Whether the signature is valid
+ */
+function verifySignature(secret, rawBody, header) {
+  if (!secret || !header || !header.startsWith("sha256=")) {
+    return false;
+  }
+  const expected = `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+  return safeEqual(expected, header);
+}
+
+/**
+ * Normalises a GitHub webhook into a sync event
+ * @param {string} eventName - X-GitHub-Event header
+ * @param {object} payload - Webhook payload
+ * @returns {object|null} - {type, issue, comment?, changes?, milestone?}, or null for events the sync ignores
+ */
+function normalizeGitHubEvent(eventName, payload) {
+  const issue = payload && payload.issue;
+  // Pull requests share the issues API but are never synced
+  if (!issue || issue.pull_request) {
+    return null;
+  }
+
+  if (
+    eventName === "issues" &&
+    [
+      "opened",
+      "edited",
+      "closed",
+      "reopened",
+      "assigned",
+      "unassigned",
+      "labeled",
+      "unlabeled",
+    ].includes(payload.action)
+  ) {
+    // Edits carry the previous title/body, used to push only changed task list items
+    return payload.action === "edited"
+      ? { type: "github.issue.edited", issue, changes: payload.changes || {} }
+      : { type: `github.issue.${payload.action}`, issue };
+  }
+  if (eventName === "issues" && ["milestoned", "demilestoned"].includes(payload.action)) {
+    // The milestone the issue was added to or taken out of
+    return { type: `github.issue.${payload.action}`, issue, milestone: payload.milestone };
+  }
+  if (eventName === "issue_comment" && payload.action === "created") {
+    return { type: "github.comment.created", issue, comment: payload.comment };
+  }
+  return null;
+}
+
+/**
+ * Normalises a Jira webhook into sync events, one per synced field an update
+ * changed (a single update can e.g. move the status and reassign the issue)
+ * @param {object} payload - Webhook payload
+ * @returns {Array<object>} - [{type, jiraKey, comment?, status?, assignee?, labels?}], empty for webhooks the sync ignores
+ */
+function normalizeJiraEvents(payload) {
+  const jiraKey = payload && payload.issue && payload.issue.key;
+  if (!jiraKey) {
+    return [];
+  }
+
+  if (payload.webhookEvent === "comment_created" && payload.comment) {
+    const author = payload.comment.author || {};
+    return [
+      {
+        type: "jira.comment.created",
+        jiraKey,
+        comment: {
+          id: payload.comment.id,
+          author: author.displayName || author.name || "Unknown",
+          body: payload.comment.body,
+          jiraUrl: JiraClient.fromEnv().browseUrl(jiraKey),
+        },
+      },
+    ];
+  }
+
+  const changes =
+    payload.webhookEvent === "jira:issue_updated" && payload.changelog
+      ? payload.changelog.items || []
+      : [];
+  return ["status", "assignee", "labels"]
+    .map((field) => {
+      const change = changes.find((item) => item.field === field);
+      return (
+        change && {
+          type: `jira.${field}.changed`,
+          jiraKey,
+          [field]: { from: change.fromString, to: change.toString },
+        }
+      );
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Wraps a handler that needs the Jira key linked to the event's GitHub issue
+ * @param {Function} handle - (jiraKey, event) => Promise
+ * @returns {Function} - Event handler
+ */
+function withJiraKey(handle) {
+  return async (event) => {
+    const jiraKey = await createLinkStore().getJiraKey(event.issue);
+    if (!jiraKey) {
+      console.log(
+        `ℹ️  No Jira ticket is linked to ${event.issue.html_url}; skipping ${event.type}`,
+      );
+      return;
+    }
+    await handle(jiraKey, event);
+  };
+}
+
+const DEFAULT_HANDLERS = {
+  "github.issue.opened": (event) => createIssueFromGitHub(event.issue),
+  "github.issue.edited": withJiraKey(async (jiraKey, event) => {
+    const previousBody = previousBodyOf(event);
+    await updateIssue(jiraKey, event.issue, { previousBody });
+    await syncSubtasks(jiraKey, event.issue, { previousBody });
+    await syncIssueLinks(jiraKey, event.issue);
+  }),
+  "github.issue.closed": withJiraKey((jiraKey, event) => syncJiraStatus(jiraKey, event.issue)),
+  "github.issue.reopened": withJiraKey((jiraKey, event) => syncJiraStatus(jiraKey, event.issue)),
+  "github.issue.assigned": withJiraKey((jiraKey, event) => syncJiraAssignee(jiraKey, event.issue)),
+  "github.issue.unassigned": withJiraKey((jiraKey, event) =>
+    syncJiraAssignee(jiraKey, event.issue),
+  ),
+  "github.issue.labeled": withJiraKey((jiraKey, event) => syncJiraLabels(jiraKey, event.issue)),
+  "github.issue.unlabeled": withJiraKey((jiraKey, event) => syncJiraLabels(jiraKey, event.issue)),
+  "github.issue.milestoned": withJiraKey((jiraKey, event) =>
+    syncJiraMilestone(jiraKey, event.issue),
+  ),
+  "github.issue.demilestoned": withJiraKey((jiraKey, event) =>
+    syncJiraMilestone(jiraKey, event.issue, { previous: event.milestone }),
+  ),
+  "github.comment.created": withJiraKey(async (jiraKey, event) => {
+    // Comments the sync posted itself are skipped, and so are their references
+    if (await addComment(jiraKey, event.comment)) {
+      await syncIssueLinks(jiraKey, event.issue, { text: event.comment.body });
+    }
+  }),
+  "jira.comment.created": async (event) => {
+    // The webhook body is wiki markup; the same comment from the REST API is ADF, as in the workflow
+    const { body } = await getJiraComment(event.jiraKey, event.comment.id);
+    await addGitHubComment(event.jiraKey, { ...event.comment, body });
+  },
+  "jira.status.changed": (event) => syncGitHubState(event.jiraKey),
+  "jira.assignee.changed": (event) => syncGitHubAssignees(event.jiraKey),
+  "jira.labels.changed": (event) => syncGitHubLabels(event.jiraKey),
+};
+
+/**
+ * Reads a request body up to a size limit. Past the limit the rest of the
+ * body is read and discarded instead of resetting the connection, so the
+ * client still receives the error response.
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} - Raw body
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      if (!chunks) {
+        return;
+      }
+      size += chunk.length;
+      if (size > limit) {
+        chunks = null;
+        reject(new Error(`Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => chunks && resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parses a webhook body sent as JSON or as a form-encoded `payload` field
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} contentType - Content-Type header
+ * @returns {object} - Parsed payload
+ */
+function parsePayload(rawBody, contentType = "") {
+  const text = rawBody.toString("utf8");
+  if (contentType.startsWith("application/x-www-form-urlencoded")) {
+    return JSON.parse(new URLSearchParams(text).get("payload") || "{}");
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ * @param {object} headers - Extra headers
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the request handler of the webhook server
+ * @param {object} options - Handler options
+ * @param {string} options.githubSecret - GitHub webhook secret (default GITHUB_WEBHOOK_SECRET)
+ * @param {string} options.jiraSecret - Jira webhook secret (default JIRA_WEBHOOK_SECRET)
+ * @param {object} options.handlers - Event handlers by event type, merged over the defaults
+ * @returns {Function} - (req, res) handler with a drain() method resolving once queued events ran
+ */
+function createWebhookHandler(options = {}) {
+  const githubSecret =
+    options.githubSecret !== undefined ? options.githubSecret : process.env.GITHUB_WEBHOOK_SECRET;
+  const jiraSecret =
+    options.jiraSecret !== undefined ? options.jiraSecret : process.env.JIRA_WEBHOOK_SECRET;
+  const handlers = { ...DEFAULT_HANDLERS, ...options.handlers };
+  let queue = Promise.resolve();
+
+  const handler = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      send(res, 200, { status: "ok" });
+      return;
+    }
+    if (req.method !== "POST" || !["/github", "/jira"].includes(url.pathname)) {
+      send(res, 404, { error: "Not found" });
+      return;
+    }
+
+    const source = url.pathname.slice(1);
+    const secret = source === "github" ? githubSecret : jiraSecret;
+    if (!secret) {
+      send(res, 503, { error: `${source} webhooks are not configured` });
+      return;
+    }
+
+    let rawBody;
+    try {
+      rawBody = await readBody(req, MAX_BODY_BYTES);
+    } catch (error) {
+      // The server closes the connection once the response is sent
+      send(res, 413, { error: error.message }, { Connection: "close" });
+      return;
+    }
+
+    const verified =
+      source === "github"
+        ? verifySignature(secret, rawBody, req.headers["x-hub-signature-256"])
+        : verifySignature(secret, rawBody, req.headers["x-hub-signature"]) ||
+          safeEqual(url.searchParams.get("secret") || "", secret);
+    if (!verified) {
+      console.warn(`⚠️  Rejected ${source} webhook with an invalid signature`);
+      send(res, 401, { error: "Invalid signature" });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = parsePayload(rawBody, req.headers["content-type"]);
+    } catch (error) {
+      send(res, 400, { error: `Invalid payload: ${error.message}` });
+      return;
+    }
+
+    const events = (
+      source === "github"
+        ? [normalizeGitHubEvent(req.headers["x-github-event"], payload)]
+        : normalizeJiraEvents(payload)
+    ).filter((event) => event && handlers[event.type]);
+    if (events.length === 0) {
+      send(res, 200, { ignored: true });
+      return;
+    }
+
+    send(res, 202, { accepted: events.map((event) => event.type).join(", ") });
+
+    // Process one event at a time so e.g. an edit never overtakes the creation
+    events.forEach((event) => {
+      queue = queue
+        .then(() => handlers[event.type](event))
+        .then(
+          () => console.log(`✅ Processed ${event.type}`),
+          (error) => console.error(`❌ Failed to process ${event.type}: ${error.message}`),
+        );
+    });
+  };
+
+  handler.drain = () => queue;
+  return handler;
+}
+
+/**
+ * Creates the webhook HTTP server (not yet listening)
+ * @param {object} options - See createWebhookHandler()
+ * @returns {http.Server} - Server with a drain() method
+ */
+function createWebhookServer(options = {}) {
+  const handler = createWebhookHandler(options);
+  const server = http.createServer(handler);
+  server.drain = handler.drain;
+  return server;
+}
+
+// CLI usage
+if (require.main === module) {
+  const port = Number(process.env.PORT || 3000);
+
+  const missingEnv = JiraClient.missingEnv();
+  if (!process.env.JIRA_PROJECT_KEY) {
+    missingEnv.push("JIRA_PROJECT_KEY");
+  }
+  if (!process.env.GITHUB_WEBHOOK_SECRET && !process.env.JIRA_WEBHOOK_SECRET) {
+    missingEnv.push("GITHUB_WEBHOOK_SECRET and/or JIRA_WEBHOOK_SECRET");
+  }
+  if (missingEnv.length > 0) {
+    console.error("Missing required environment variables:");
+    missingEnv.forEach((name) => console.error(`- ${name}`));
+    process.exit(1);
+  }
+
+  const server = createWebhookServer();
+  server.listen(port, () => {
+    console.log(`🚀 Webhook server listening on port ${port}`);
+    console.log(
+      `   GitHub: POST /github ${process.env.GITHUB_WEBHOOK_SECRET ? "✅" : "(disabled)"}`,
+    );
+    console.log(`   Jira:   POST /jira ${process.env.JIRA_WEBHOOK_SECRET ? "✅" : "(disabled)"}`);
+  });
+
+  const shutdown = () => {
+    console.log("👋 Shutting down after queued events finish...");
+    server.close();
+    server.drain().then(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = {
+  verifySignature,
+  normalizeGitHubEvent,
+  normalizeJiraEvents,
+  createWebhookHandler,
+  createWebhookServer,
+};